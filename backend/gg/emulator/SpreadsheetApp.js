@@ -0,0 +1,345 @@
+/**
+ * In-memory SpreadsheetApp for running the backend under Node
+ * Implements the subset of Spreadsheet / Sheet / Range used by backend/gg/src.
+ * Evaluated inside the backend's vm context (see index.js) so Dates and arrays
+ * handed to the services belong to the same realm as the services themselves.
+ * @created 2025-10-19
+ */
+
+/**
+ * Convert a fixture cell into a sheet value
+ * `{ "$date": "2025-01-31" }` becomes a Date (as Sheets returns date-typed cells)
+ * @param {any} cell - Fixture cell
+ * @returns {any} Sheet value
+ */
+function toCellValue(cell) {
+  if (cell === null || cell === undefined) {
+    return '';
+  }
+  if (cell instanceof Date) {
+    return new Date(cell.getTime());
+  }
+  if (typeof cell === 'object' && cell.$date !== undefined) {
+    return new Date(cell.$date);
+  }
+  if (typeof cell === 'object' && typeof cell.getTime === 'function') {
+    return new Date(cell.getTime()); // Date from another realm
+  }
+  return cell;
+}
+
+/** Longest text a cell accepts, as in Google Sheets */
+const MAX_CELL_LENGTH = 50000;
+
+/**
+ * Refuse values that Sheets would refuse
+ * @param {any} value - Value about to be written
+ */
+function checkCellValue(value) {
+  if (typeof value === 'string' && value.length > MAX_CELL_LENGTH) {
+    throw new Error(`Your input contains more than the maximum of ${MAX_CELL_LENGTH} characters in a single cell.`);
+  }
+}
+
+/**
+ * Parse A1 notation ("B2", "A1:C3", "A:A") into 1-based coordinates
+ * @param {string} a1 - A1 notation
+ * @param {FakeSheet} sheet - Sheet used for open-ended ranges
+ * @returns {{row: number, column: number, numRows: number, numColumns: number}}
+ */
+function parseA1(a1, sheet) {
+  const toColumn = letters => letters.split('').reduce((n, ch) => n * 26 + (ch.charCodeAt(0) - 64), 0);
+  const parts = String(a1).toUpperCase().replace(/\$/g, '').split(':');
+  const cells = parts.map(part => {
+    const match = /^([A-Z]*)(\d*)$/.exec(part);
+    if (!match) {
+      throw new Error(`Range not found: ${a1}`);
+    }
+    return {
+      column: match[1] ? toColumn(match[1]) : null,
+      row: match[2] ? Number(match[2]) : null
+    };
+  });
+  const start = cells[0];
+  const end = cells[1] || cells[0];
+
+  const row = start.row || 1;
+  const column = start.column || 1;
+  const lastRow = end.row || Math.max(sheet.getLastRow(), row);
+  const lastColumn = end.column || Math.max(sheet.getLastColumn(), column);
+
+  return { row: row, column: column, numRows: lastRow - row + 1, numColumns: lastColumn - column + 1 };
+}
+
+class FakeRange {
+  constructor(sheet, row, column, numRows, numColumns) {
+    if (row < 1 || column < 1 || numRows < 1 || numColumns < 1) {
+      throw new Error(`The coordinates of the range are outside the dimensions of the sheet.`);
+    }
+    this.sheet = sheet;
+    this.row = row;
+    this.column = column;
+    this.numRows = numRows;
+    this.numColumns = numColumns;
+  }
+
+  getRow() { return this.row; }
+  getColumn() { return this.column; }
+  getNumRows() { return this.numRows; }
+  getNumColumns() { return this.numColumns; }
+  getLastRow() { return this.row + this.numRows - 1; }
+  getLastColumn() { return this.column + this.numColumns - 1; }
+  getSheet() { return this.sheet; }
+
+  getA1Notation() {
+    const letters = n => (n > 26 ? letters(Math.floor((n - 1) / 26)) : '') + String.fromCharCode(65 + ((n - 1) % 26));
+    const start = letters(this.column) + this.row;
+    const end = letters(this.getLastColumn()) + this.getLastRow();
+    return start === end ? start : `${start}:${end}`;
+  }
+
+  getValues() {
+    const values = [];
+    for (let r = 0; r < this.numRows; r++) {
+      const row = [];
+      for (let c = 0; c < this.numColumns; c++) {
+        row.push(toCellValue(this.sheet.readCell(this.row + r, this.column + c)));
+      }
+      values.push(row);
+    }
+    return values;
+  }
+
+  getDisplayValues() {
+    return this.getValues().map(row => row.map(value => String(value)));
+  }
+
+  getValue() {
+    return this.getValues()[0][0];
+  }
+
+  setValues(values) {
+    if (!Array.isArray(values) || values.length !== this.numRows) {
+      throw new Error(`The number of rows in the data does not match the number of rows in the range. The data has ${values ? values.length : 0} but the range has ${this.numRows}.`);
+    }
+    values.forEach(row => {
+      if (!Array.isArray(row) || row.length !== this.numColumns) {
+        throw new Error(`The number of columns in the data does not match the number of columns in the range. The data has ${row ? row.length : 0} but the range has ${this.numColumns}.`);
+      }
+      row.forEach(checkCellValue);
+    });
+    values.forEach((row, r) => row.forEach((value, c) => this.sheet.writeCell(this.row + r, this.column + c, value)));
+    return this;
+  }
+
+  setValue(value) {
+    checkCellValue(value);
+    for (let r = 0; r < this.numRows; r++) {
+      for (let c = 0; c < this.numColumns; c++) {
+        this.sheet.writeCell(this.row + r, this.column + c, value);
+      }
+    }
+    return this;
+  }
+
+  clearContent() {
+    return this.setValue('');
+  }
+
+  clear() {
+    return this.clearContent();
+  }
+
+  // Formatting is accepted and ignored
+  setFontWeight() { return this; }
+  setFontColor() { return this; }
+  setBackground() { return this; }
+  setNumberFormat() { return this; }
+  setHorizontalAlignment() { return this; }
+}
+
+class FakeSheet {
+  constructor(spreadsheet, name, rows, sheetId) {
+    this.spreadsheet = spreadsheet;
+    this.name = name;
+    this.sheetId = sheetId;
+    this.frozenRows = 0;
+    this.hidden = false;
+    this.rows = (rows || []).map(row => Array.from(row, toCellValue));
+  }
+
+  getName() { return this.name; }
+  setName(name) { this.name = name; return this; }
+  isSheetHidden() { return this.hidden === true; }
+  hideSheet() { this.hidden = true; return this; }
+  showSheet() { this.hidden = false; return this; }
+  getSheetId() { return this.sheetId; }
+  getParent() { return this.spreadsheet; }
+
+  readCell(row, column) {
+    const values = this.rows[row - 1];
+    const value = values ? values[column - 1] : undefined;
+    return value === undefined || value === null ? '' : value;
+  }
+
+  writeCell(row, column, value) {
+    while (this.rows.length < row) {
+      this.rows.push([]);
+    }
+    const values = this.rows[row - 1];
+    while (values.length < column - 1) {
+      values.push('');
+    }
+    values[column - 1] = toCellValue(value);
+  }
+
+  getLastRow() {
+    for (let r = this.rows.length; r > 0; r--) {
+      if (this.rows[r - 1].some(value => value !== '' && value !== null && value !== undefined)) {
+        return r;
+      }
+    }
+    return 0;
+  }
+
+  getLastColumn() {
+    let last = 0;
+    this.rows.forEach(row => {
+      for (let c = row.length; c > last; c--) {
+        if (row[c - 1] !== '' && row[c - 1] !== null && row[c - 1] !== undefined) {
+          last = c;
+          break;
+        }
+      }
+    });
+    return last;
+  }
+
+  getMaxRows() { return Math.max(this.rows.length, 1000); }
+  getMaxColumns() { return Math.max(this.getLastColumn(), 26); }
+
+  getRange(rowOrA1, column, numRows, numColumns) {
+    if (typeof rowOrA1 === 'string') {
+      const a1 = parseA1(rowOrA1, this);
+      return new FakeRange(this, a1.row, a1.column, a1.numRows, a1.numColumns);
+    }
+    return new FakeRange(this, rowOrA1, column, numRows || 1, numColumns || 1);
+  }
+
+  getDataRange() {
+    return new FakeRange(this, 1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1));
+  }
+
+  appendRow(rowContents) {
+    rowContents.forEach(checkCellValue);
+    const row = this.getLastRow() + 1;
+    rowContents.forEach((value, c) => this.writeCell(row, c + 1, value));
+    if (rowContents.length === 0) {
+      this.writeCell(row, 1, '');
+    }
+    return this;
+  }
+
+  deleteRow(rowPosition) {
+    this.deleteRows(rowPosition, 1);
+  }
+
+  deleteRows(rowPosition, howMany) {
+    if (rowPosition < 1 || rowPosition > this.rows.length) {
+      throw new Error('Those rows are out of bounds.');
+    }
+    this.rows.splice(rowPosition - 1, howMany);
+  }
+
+  insertRowBefore(beforePosition) {
+    this.rows.splice(beforePosition - 1, 0, []);
+    return this;
+  }
+
+  clear() {
+    this.rows = [];
+    return this;
+  }
+
+  clearContents() {
+    return this.clear();
+  }
+
+  setFrozenRows(rows) { this.frozenRows = rows; }
+  getFrozenRows() { return this.frozenRows; }
+  autoResizeColumns() { return this; }
+  setColumnWidth() { return this; }
+}
+
+class FakeSpreadsheet {
+  constructor(options) {
+    this.id = options.id;
+    this.name = options.name;
+    this.nextSheetId = 1;
+    this.sheets = [];
+    Object.keys(options.sheets || {}).forEach(name => this.insertSheet(name, undefined, options.sheets[name]));
+  }
+
+  getId() { return this.id; }
+  getName() { return this.name; }
+  getUrl() { return `https://docs.google.com/spreadsheets/d/${this.id}/edit`; }
+  getSheets() { return this.sheets.slice(); }
+
+  getSheetByName(name) {
+    return this.sheets.find(sheet => sheet.getName() === name) || null;
+  }
+
+  insertSheet(name, index, rows) {
+    const sheetName = name || `Sheet${this.nextSheetId}`;
+    if (this.getSheetByName(sheetName)) {
+      throw new Error(`A sheet with the name "${sheetName}" already exists. Please enter another name.`);
+    }
+    const sheet = new FakeSheet(this, sheetName, rows, this.nextSheetId++);
+    if (typeof index === 'number') {
+      this.sheets.splice(index, 0, sheet);
+    } else {
+      this.sheets.push(sheet);
+    }
+    return sheet;
+  }
+
+  deleteSheet(sheet) {
+    this.sheets = this.sheets.filter(existing => existing !== sheet);
+  }
+}
+
+/**
+ * Create the SpreadsheetApp global
+ * @param {Object} options - Emulator options
+ * @param {string} options.spreadsheetId - ID of the bound spreadsheet
+ * @param {Object<string, Array<Array>>} options.sheets - Sheet name → rows (first row = headers)
+ * @param {boolean} [options.bound=true] - false makes getActiveSpreadsheet() throw, like a standalone script
+ * @returns {{SpreadsheetApp: Object, spreadsheet: FakeSpreadsheet}}
+ */
+function createSpreadsheetApp(options) {
+  const spreadsheet = new FakeSpreadsheet({
+    id: options.spreadsheetId,
+    name: options.spreadsheetName || 'Trading Journal (emulator)',
+    sheets: options.sheets
+  });
+
+  const SpreadsheetApp = {
+    getActiveSpreadsheet() {
+      if (options.bound === false) {
+        throw new Error('No active spreadsheet');
+      }
+      return spreadsheet;
+    },
+    openById(id) {
+      if (id !== spreadsheet.getId()) {
+        throw new Error(`Unexpected error while getting the method or property openById on object SpreadsheetApp.`);
+      }
+      return spreadsheet;
+    },
+    flush() {}
+  };
+
+  return { SpreadsheetApp, spreadsheet };
+}
+
+module.exports = { createSpreadsheetApp, FakeSpreadsheet, FakeSheet, FakeRange };
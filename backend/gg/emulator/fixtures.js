@@ -0,0 +1,139 @@
+/**
+ * Fixture loading for the Apps Script emulator
+ * A fixture is a map of sheet name → rows, where the first row holds the headers.
+ * Sources:
+ *   - a plain object
+ *   - a .json file: { "Accounts": [["Account ID", ...], ["405911362", ...]], ... }
+ *     rows may also be objects keyed by header; `{ "$date": "2025-01-31" }` cells become Dates
+ *   - a .csv file: one sheet named after the file
+ *   - a directory of .json / .csv files (merged, later files win)
+ * @created 2025-10-19
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Default fixture shipped with the emulator
+ * @type {string}
+ */
+const DEFAULT_FIXTURE = path.join(__dirname, 'fixtures', 'default.json');
+
+/**
+ * Convert a CSV cell into a sheet value (numbers and booleans are typed like Sheets does)
+ * @param {string} cell - Raw CSV cell
+ * @param {boolean} quoted - Whether the cell was quoted (quoted cells stay strings)
+ * @returns {string|number|boolean} Sheet value
+ */
+function parseCsvCell(cell, quoted) {
+  if (quoted) return cell;
+  const trimmed = cell.trim();
+  if (trimmed === '') return '';
+  if (/^-?\d+(\.\d+)?$/.test(trimmed)) return Number(trimmed);
+  if (trimmed === 'TRUE' || trimmed === 'FALSE') return trimmed === 'TRUE';
+  return cell;
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting) into rows
+ * @param {string} text - CSV content
+ * @returns {Array<Array>} Rows
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let inQuotes = false;
+
+  const endCell = () => {
+    row.push(parseCsvCell(cell, quoted));
+    cell = '';
+    quoted = false;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+      quoted = true;
+    } else if (ch === ',') {
+      endCell();
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endCell();
+      rows.push(row);
+      row = [];
+    } else {
+      cell += ch;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    endCell();
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Normalize a fixture sheet: object rows are converted to arrays in header order
+ * @param {string} sheetName - Sheet name (for error messages)
+ * @param {Array} rows - Fixture rows
+ * @returns {Array<Array>} Rows as arrays
+ */
+function normalizeSheetRows(sheetName, rows) {
+  if (!Array.isArray(rows)) {
+    throw new Error(`Fixture sheet "${sheetName}" must be an array of rows`);
+  }
+  if (rows.length === 0 || Array.isArray(rows[0])) {
+    return rows.map(row => row.slice());
+  }
+
+  const headers = [];
+  rows.forEach(record => Object.keys(record).forEach(key => {
+    if (!headers.includes(key)) headers.push(key);
+  }));
+  return [headers].concat(rows.map(record => headers.map(header => (header in record ? record[header] : ''))));
+}
+
+/**
+ * Load fixture sheets from an object, file or directory
+ * @param {Object|string} [source=DEFAULT_FIXTURE] - Fixture source
+ * @returns {Object<string, Array<Array>>} Sheet name → rows
+ */
+function loadFixtures(source = DEFAULT_FIXTURE) {
+  if (source && typeof source === 'object') {
+    return Object.keys(source).reduce((sheets, name) => {
+      sheets[name] = normalizeSheetRows(name, source[name]);
+      return sheets;
+    }, {});
+  }
+
+  const stats = fs.statSync(source);
+  if (stats.isDirectory()) {
+    return fs.readdirSync(source)
+      .filter(file => /\.(json|csv)$/i.test(file))
+      .sort()
+      .reduce((sheets, file) => Object.assign(sheets, loadFixtures(path.join(source, file))), {});
+  }
+
+  const text = fs.readFileSync(source, 'utf8').replace(/^\uFEFF/, '');
+  if (/\.csv$/i.test(source)) {
+    return { [path.basename(source, path.extname(source))]: parseCsv(text) };
+  }
+  return loadFixtures(JSON.parse(text));
+}
+
+module.exports = { loadFixtures, parseCsv, DEFAULT_FIXTURE };
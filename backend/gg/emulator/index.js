@@ -0,0 +1,243 @@
+/**
+ * Apps Script emulator - run backend/gg/src under Node
+ * Evaluates every src file into one vm context (the same shared global scope
+ * Apps Script gives a project) on top of in-memory SpreadsheetApp, ContentService,
+ * Utilities, MailApp, PropertiesService, LockService, CacheService and Logger globals.
+ *
+ * @example
+ * const { loadBackend } = require('./emulator');
+ * const backend = loadBackend();                       // default fixture
+ * const login = backend.post({ action: 'login', username: 'A0001', password: 'adminA0001' });
+ * const history = backend.get({ action: 'getTradingHistory', accountId: '405911362', token: login.token });
+ *
+ * @created 2025-10-19
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { loadFixtures, DEFAULT_FIXTURE } = require('./fixtures');
+
+/**
+ * Directory holding the Apps Script sources
+ * @type {string}
+ */
+const SRC_DIR = path.join(__dirname, '..', 'src');
+
+/**
+ * Create a require() that evaluates emulator modules inside a vm context
+ * Node built-ins are passed through from the host.
+ * @param {vm.Context} context - Target context
+ * @returns {function(string): Object} require function
+ */
+function createContextRequire(context) {
+  const cache = {};
+
+  const load = (filename) => {
+    if (cache[filename]) {
+      return cache[filename].exports;
+    }
+
+    const module = { exports: {} };
+    cache[filename] = module;
+
+    const source = fs.readFileSync(filename, 'utf8');
+    const wrapper = vm.runInContext(`(function (module, exports, require) {${source}\n})`, context, { filename });
+    wrapper(module, module.exports, id => (id.startsWith('.') ? load(path.resolve(path.dirname(filename), id) + (path.extname(id) ? '' : '.js')) : require(id)));
+
+    return module.exports;
+  };
+
+  return id => load(path.resolve(__dirname, id));
+}
+
+/**
+ * List the Apps Script source files in load order
+ * Apps Script loads files in project order (alphabetical for clasp pushes); when two
+ * files declare the same function the later one wins, so the order matters.
+ * @param {string} srcDir - Source directory
+ * @returns {string[]} File names
+ */
+function listSourceFiles(srcDir) {
+  return fs.readdirSync(srcDir)
+    .filter(file => /\.(js|gs)$/.test(file))
+    .sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Create a console that keeps output in memory unless `verbose` is set
+ * @param {Array<{level: string, args: Array}>} entries - Receives every console call
+ * @param {boolean} verbose - Also print to the host console
+ * @returns {Object} console replacement
+ */
+function createConsole(entries, verbose) {
+  const record = level => (...args) => {
+    entries.push({ level, args });
+    if (verbose) {
+      console[level](...args);
+    }
+  };
+  return { log: record('log'), info: record('info'), warn: record('warn'), error: record('error'), debug: record('debug') };
+}
+
+/**
+ * Load the backend into a fresh emulated Apps Script project
+ * @param {Object} [options={}] - Emulator options
+ * @param {Object|string} [options.fixtures] - Fixture object, .json/.csv file or directory (defaults to fixtures/default.json)
+ * @param {Object} [options.properties] - Initial { script, user, document } properties
+ * @param {boolean} [options.bound=true] - false simulates a standalone script (no active spreadsheet)
+ * @param {boolean} [options.verbose=false] - Print backend console output
+ * @param {string} [options.srcDir] - Override the source directory
+ * @returns {EmulatedBackend} Loaded backend
+ */
+function loadBackend(options = {}) {
+  const consoleEntries = [];
+  const context = vm.createContext({ console: createConsole(consoleEntries, options.verbose) });
+  const requireInContext = createContextRequire(context);
+
+  const { createSpreadsheetApp } = requireInContext('./SpreadsheetApp.js');
+  const services = requireInContext('./services.js');
+
+  const srcDir = options.srcDir || SRC_DIR;
+  const files = listSourceFiles(srcDir);
+
+  // CONFIG.SPREADSHEET_ID is needed before Config.js runs, so read it from the source
+  const configSource = fs.readFileSync(path.join(srcDir, 'Config.js'), 'utf8');
+  const idMatch = /SPREADSHEET_ID:\s*'([^']*)'/.exec(configSource);
+
+  const outbox = [];
+  const logLines = [];
+  const lockState = { heldElsewhere: false, acquired: 0 };
+  const cacheService = services.createCacheService();
+  const { SpreadsheetApp, spreadsheet } = createSpreadsheetApp({
+    spreadsheetId: idMatch ? idMatch[1] : 'emulator-spreadsheet',
+    sheets: loadFixtures(options.fixtures || DEFAULT_FIXTURE),
+    bound: options.bound
+  });
+
+  Object.assign(context, {
+    SpreadsheetApp: SpreadsheetApp,
+    ContentService: services.ContentService,
+    Utilities: services.Utilities,
+    MailApp: services.createMailApp(outbox),
+    PropertiesService: services.createPropertiesService(options.properties),
+    LockService: services.createLockService(lockState),
+    CacheService: cacheService,
+    Logger: services.createLogger(logLines)
+  });
+
+  files.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(srcDir, file), 'utf8'), context, { filename: path.join(srcDir, file) });
+  });
+
+  /**
+   * Parse a TextOutput returned by doGet/doPost
+   * @param {Object} output - TextOutput
+   * @returns {Object|string} Parsed JSON, or the raw content when it is not JSON
+   */
+  const parseOutput = (output) => {
+    const content = output && typeof output.getContent === 'function' ? output.getContent() : output;
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      return content;
+    }
+  };
+
+  const toParameters = params => Object.keys(params).reduce((result, key) => {
+    result[key] = [].concat(params[key]).map(String);
+    return result;
+  }, {});
+
+  const toParameter = params => Object.keys(params).reduce((result, key) => {
+    result[key] = String([].concat(params[key])[0]);
+    return result;
+  }, {});
+
+  return {
+    context: context,
+    spreadsheet: spreadsheet,
+    files: files,
+    outbox: outbox,
+    logs: logLines,
+    console: consoleEntries,
+    lock: lockState,
+    cache: cacheService.getScriptCache(),
+
+    /**
+     * Call doGet with query parameters
+     * @param {Object} [params={}] - Query parameters
+     * @returns {Object} Parsed JSON response
+     */
+    get(params = {}) {
+      return parseOutput(context.doGet({ parameter: toParameter(params), parameters: toParameters(params), queryString: '' }));
+    },
+
+    /**
+     * Call doPost with parameters and an optional body
+     * @param {Object} [params={}] - Form / query parameters
+     * @param {string|Object} [body] - Request body (objects are sent as JSON)
+     * @param {string} [type='text/plain'] - postData content type
+     * @returns {Object} Parsed JSON response
+     */
+    post(params = {}, body, type = 'text/plain') {
+      const event = { parameter: toParameter(params), parameters: toParameters(params), queryString: '' };
+      if (body !== undefined) {
+        const contents = typeof body === 'string' ? body : JSON.stringify(body);
+        event.postData = { contents: contents, type: type, length: contents.length, name: 'postData' };
+      }
+      return parseOutput(context.doPost(event));
+    },
+
+    /**
+     * Get an emulated sheet
+     * @param {string} name - Sheet name
+     * @returns {Object|null} Sheet or null
+     */
+    sheet(name) {
+      return spreadsheet.getSheetByName(name);
+    },
+
+    /**
+     * Get all values of a sheet (header row first)
+     * @param {string} name - Sheet name
+     * @returns {Array<Array>} Values
+     */
+    values(name) {
+      const sheet = spreadsheet.getSheetByName(name);
+      return sheet ? sheet.getDataRange().getValues() : [];
+    },
+
+    /**
+     * Get the rows of a sheet as objects keyed by header
+     * @param {string} name - Sheet name
+     * @returns {Object[]} Records
+     */
+    records(name) {
+      const [headers, ...rows] = this.values(name);
+      return rows.map(row => headers.reduce((record, header, index) => {
+        record[header] = row[index];
+        return record;
+      }, {}));
+    }
+  };
+}
+
+/**
+ * @typedef {Object} EmulatedBackend
+ * @property {vm.Context} context - Global scope of the Apps Script project (call any src function on it)
+ * @property {Object} spreadsheet - In-memory spreadsheet
+ * @property {string[]} files - Loaded source files in load order
+ * @property {Object[]} outbox - Messages sent with MailApp.sendEmail
+ * @property {string[]} logs - Lines written with Logger.log
+ * @property {{heldElsewhere: boolean, acquired: number}} lock - LockService state (set heldElsewhere to simulate contention)
+ * @property {Object} cache - Script cache of CacheService (`store` holds its entries)
+ * @property {Array<{level: string, args: Array}>} console - Captured console output
+ * @property {function(Object): Object} get - Call doGet
+ * @property {function(Object, (string|Object)=, string=): Object} post - Call doPost
+ * @property {function(string): Object} sheet - Get a sheet by name
+ * @property {function(string): Array<Array>} values - Get all values of a sheet
+ * @property {function(string): Object[]} records - Get sheet rows keyed by header
+ */
+
+module.exports = { loadBackend, loadFixtures, listSourceFiles, SRC_DIR };
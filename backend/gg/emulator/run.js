@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+/**
+ * Run any backend function (e.g. a TestFunctions.js helper) under the emulator
+ *
+ * Usage:
+ *   node emulator/run.js <functionName> [arg ...] [--fixtures <file|dir>] [--verbose]
+ *
+ * Object, array, boolean and null arguments are parsed as JSON; everything else
+ * (including numeric IDs) is passed as a string:
+ *   node emulator/run.js getTradingHistory 405911362
+ *   node emulator/run.js testConfiguration --verbose
+ *
+ * @created 2025-10-19
+ */
+
+const { loadBackend } = require('./index');
+
+function parseArgs(argv) {
+  const options = { args: [], verbose: false, fixtures: undefined };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--verbose') {
+      options.verbose = true;
+    } else if (argv[i] === '--fixtures') {
+      options.fixtures = argv[++i];
+    } else if (!options.functionName) {
+      options.functionName = argv[i];
+    } else {
+      options.args.push(/^([[{]|true$|false$|null$)/.test(argv[i]) ? JSON.parse(argv[i]) : argv[i]);
+    }
+  }
+  return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+
+if (!options.functionName) {
+  console.error('Usage: node emulator/run.js <functionName> [arg ...] [--fixtures <file|dir>] [--verbose]');
+  process.exit(1);
+}
+
+const backend = loadBackend({ fixtures: options.fixtures, verbose: options.verbose });
+const fn = backend.context[options.functionName];
+
+if (typeof fn !== 'function') {
+  console.error(`Function not found: ${options.functionName}`);
+  process.exit(1);
+}
+
+const result = fn(...options.args);
+const output = result && typeof result.getContent === 'function' ? result.getContent() : result;
+
+console.log(typeof output === 'string' ? output : JSON.stringify(output, null, 2));
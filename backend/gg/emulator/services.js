@@ -0,0 +1,369 @@
+/**
+ * In-memory ContentService, Utilities, MailApp, PropertiesService, LockService, CacheService and Logger
+ * Evaluated inside the backend's vm context (see index.js).
+ * @created 2025-10-19
+ */
+
+const crypto = require('crypto');
+const { Buffer } = require('buffer');
+
+// ==========================================
+// ContentService
+// ==========================================
+
+class FakeTextOutput {
+  constructor(content) {
+    this.content = content === undefined ? '' : String(content);
+    this.mimeType = 'TEXT';
+  }
+
+  getContent() { return this.content; }
+  setContent(content) { this.content = String(content); return this; }
+  append(addedContent) { this.content += String(addedContent); return this; }
+  getMimeType() { return this.mimeType; }
+  setMimeType(mimeType) { this.mimeType = mimeType; return this; }
+  downloadAsFile() { return this; }
+}
+
+const ContentService = {
+  MimeType: {
+    ATOM: 'ATOM',
+    CSV: 'CSV',
+    ICAL: 'ICAL',
+    JAVASCRIPT: 'JAVASCRIPT',
+    JSON: 'JSON',
+    RSS: 'RSS',
+    TEXT: 'TEXT',
+    VCARD: 'VCARD',
+    XML: 'XML'
+  },
+  createTextOutput(content) {
+    return new FakeTextOutput(content);
+  }
+};
+
+// ==========================================
+// Utilities
+// ==========================================
+
+/**
+ * Convert a Node Buffer into the signed byte array Apps Script returns
+ * @param {Buffer} buffer - Digest or signature bytes
+ * @returns {number[]} Bytes in the range -128..127
+ */
+function toSignedBytes(buffer) {
+  return Array.from(buffer, b => (b > 127 ? b - 256 : b));
+}
+
+/**
+ * Convert a string or (signed) byte array into a Buffer
+ * @param {string|number[]} value - Input value
+ * @returns {Buffer} Bytes
+ */
+function toBuffer(value) {
+  if (typeof value === 'string') {
+    return Buffer.from(value, 'utf8');
+  }
+  return Buffer.from(Array.from(value, b => (b < 0 ? b + 256 : b)));
+}
+
+/**
+ * Format a date with a java.text.SimpleDateFormat style pattern
+ * Supports y, M, d, H, h, m, s, S, a, E, Z, X and quoted literals
+ * @param {Date} date - Date to format
+ * @param {string} timeZone - IANA time zone (e.g. 'Asia/Bangkok')
+ * @param {string} pattern - Format pattern
+ * @returns {string} Formatted date
+ */
+function formatDate(date, timeZone, pattern) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone || 'UTC',
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+    weekday: 'short'
+  }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+
+  const hour = Number(parts.hour) % 24;
+  const asUtc = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), hour,
+                         Number(parts.minute), Number(parts.second));
+  const offsetMinutes = Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+  const offsetSign = offsetMinutes < 0 ? '-' : '+';
+  const offsetHours = String(Math.floor(Math.abs(offsetMinutes) / 60)).padStart(2, '0');
+  const offsetRest = String(Math.abs(offsetMinutes) % 60).padStart(2, '0');
+
+  return String(pattern).replace(/'([^']*)'|y+|M+|d+|H+|h+|m+|s+|S+|a|E+|Z|X+/g, (token, literal) => {
+    if (literal !== undefined) return literal || "'";
+    const pad = value => String(value).padStart(token.length, '0');
+    switch (token[0]) {
+      case 'y': return token.length === 2 ? parts.year.slice(-2) : parts.year;
+      case 'M': return pad(Number(parts.month));
+      case 'd': return pad(Number(parts.day));
+      case 'H': return pad(hour);
+      case 'h': return pad(hour % 12 === 0 ? 12 : hour % 12);
+      case 'm': return pad(Number(parts.minute));
+      case 's': return pad(Number(parts.second));
+      case 'S': return String(date.getTime() % 1000).padStart(3, '0').slice(0, token.length);
+      case 'a': return hour < 12 ? 'AM' : 'PM';
+      case 'E': return parts.weekday;
+      case 'Z': return `${offsetSign}${offsetHours}${offsetRest}`;
+      case 'X': return offsetMinutes === 0 ? 'Z' : `${offsetSign}${offsetHours}:${offsetRest}`;
+      default: return token;
+    }
+  });
+}
+
+const DIGEST_ALGORITHMS = {
+  MD2: 'md2',
+  MD5: 'md5',
+  SHA_1: 'sha1',
+  SHA_256: 'sha256',
+  SHA_384: 'sha384',
+  SHA_512: 'sha512'
+};
+
+const Utilities = {
+  DigestAlgorithm: Object.keys(DIGEST_ALGORITHMS).reduce((result, key) => {
+    result[key] = key;
+    return result;
+  }, {}),
+  Charset: { US_ASCII: 'US_ASCII', UTF_8: 'UTF_8' },
+
+  getUuid() {
+    return crypto.randomUUID();
+  },
+  formatDate(date, timeZone, format) {
+    return formatDate(date, timeZone, format);
+  },
+  computeDigest(algorithm, value) {
+    const hash = crypto.createHash(DIGEST_ALGORITHMS[algorithm] || algorithm);
+    return toSignedBytes(hash.update(toBuffer(value)).digest());
+  },
+  computeHmacSha256Signature(value, key) {
+    return toSignedBytes(crypto.createHmac('sha256', toBuffer(key)).update(toBuffer(value)).digest());
+  },
+  base64Encode(data) {
+    return toBuffer(data).toString('base64');
+  },
+  base64EncodeWebSafe(data) {
+    return toBuffer(data).toString('base64').replace(/\+/g, '-').replace(/\//g, '_');
+  },
+  base64Decode(encoded) {
+    return toSignedBytes(Buffer.from(String(encoded), 'base64'));
+  },
+  base64DecodeWebSafe(encoded) {
+    return toSignedBytes(Buffer.from(String(encoded).replace(/-/g, '+').replace(/_/g, '/'), 'base64'));
+  },
+  newBlob(data) {
+    const bytes = toBuffer(data);
+    return {
+      getBytes: () => toSignedBytes(bytes),
+      getDataAsString: () => bytes.toString('utf8')
+    };
+  },
+  sleep() {}
+};
+
+// ==========================================
+// MailApp
+// ==========================================
+
+/**
+ * Create a MailApp that records messages instead of sending them
+ * @param {Object[]} outbox - Array that receives every sent message
+ * @returns {Object} MailApp global
+ */
+function createMailApp(outbox) {
+  return {
+    sendEmail(recipientOrMessage, subject, body, options) {
+      const message = typeof recipientOrMessage === 'object'
+        ? Object.assign({}, recipientOrMessage)
+        : Object.assign({ to: recipientOrMessage, subject: subject, body: body }, options || {});
+      outbox.push(message);
+    },
+    getRemainingDailyQuota() {
+      return 100 - outbox.length;
+    }
+  };
+}
+
+// ==========================================
+// PropertiesService
+// ==========================================
+
+class FakeProperties {
+  constructor(initial) {
+    this.store = {};
+    this.setProperties(initial || {});
+  }
+
+  getProperty(key) {
+    return Object.prototype.hasOwnProperty.call(this.store, key) ? this.store[key] : null;
+  }
+  setProperty(key, value) { this.store[key] = String(value); return this; }
+  getProperties() { return Object.assign({}, this.store); }
+  setProperties(properties, deleteAllOthers) {
+    if (deleteAllOthers) this.store = {};
+    Object.keys(properties).forEach(key => this.setProperty(key, properties[key]));
+    return this;
+  }
+  getKeys() { return Object.keys(this.store); }
+  deleteProperty(key) { delete this.store[key]; return this; }
+  deleteAllProperties() { this.store = {}; return this; }
+}
+
+/**
+ * Create the PropertiesService global
+ * @param {Object} [initial={}] - { script, user, document } initial property maps
+ * @returns {Object} PropertiesService global
+ */
+function createPropertiesService(initial = {}) {
+  const scriptProperties = new FakeProperties(initial.script);
+  const userProperties = new FakeProperties(initial.user);
+  const documentProperties = new FakeProperties(initial.document);
+
+  return {
+    getScriptProperties: () => scriptProperties,
+    getUserProperties: () => userProperties,
+    getDocumentProperties: () => documentProperties
+  };
+}
+
+// ==========================================
+// LockService
+// ==========================================
+
+class FakeLock {
+  /**
+   * @param {{heldElsewhere: boolean, acquired: number}} state - Shared lock state
+   */
+  constructor(state) {
+    this.state = state;
+    this.held = false;
+  }
+
+  tryLock() {
+    if (this.held) return true;
+    if (this.state.heldElsewhere) return false;
+    this.held = true;
+    this.state.acquired++;
+    return true;
+  }
+  waitLock(timeoutInMillis) {
+    if (!this.tryLock(timeoutInMillis)) {
+      throw new Error('Lock timeout: another process was holding the lock for too long.');
+    }
+  }
+  hasLock() { return this.held; }
+  releaseLock() { this.held = false; }
+}
+
+/**
+ * Create the LockService global
+ * Executions never overlap in the emulator; set `state.heldElsewhere` to act as if
+ * another execution holds the lock.
+ * @param {{heldElsewhere: boolean, acquired: number}} state - Shared lock state
+ * @returns {Object} LockService global
+ */
+function createLockService(state) {
+  return {
+    getScriptLock: () => new FakeLock(state),
+    getUserLock: () => new FakeLock(state),
+    getDocumentLock: () => new FakeLock(state)
+  };
+}
+
+// ==========================================
+// CacheService
+// ==========================================
+
+class FakeCache {
+  constructor() {
+    this.store = {};
+  }
+
+  get(key) {
+    const entry = this.store[key];
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      delete this.store[key];
+      return null;
+    }
+    return entry.value;
+  }
+  getAll(keys) {
+    return keys.reduce((result, key) => {
+      const value = this.get(key);
+      if (value !== null) result[key] = value;
+      return result;
+    }, {});
+  }
+  put(key, value, expirationInSeconds = 600) {
+    const text = String(value);
+    if (text.length > 100 * 1024) {
+      throw new Error('Argument too large: value');
+    }
+    this.store[key] = { value: text, expiresAt: Date.now() + Math.min(expirationInSeconds, 21600) * 1000 };
+  }
+  putAll(values, expirationInSeconds) {
+    Object.keys(values).forEach(key => this.put(key, values[key], expirationInSeconds));
+  }
+  remove(key) { delete this.store[key]; }
+  removeAll(keys) { keys.forEach(key => this.remove(key)); }
+}
+
+/**
+ * Create the CacheService global
+ * Values are kept in memory with their expiration; `put` enforces the 100 KB value limit.
+ * @returns {Object} CacheService global
+ */
+function createCacheService() {
+  const scriptCache = new FakeCache();
+  const userCache = new FakeCache();
+  const documentCache = new FakeCache();
+
+  return {
+    getScriptCache: () => scriptCache,
+    getUserCache: () => userCache,
+    getDocumentCache: () => documentCache
+  };
+}
+
+// ==========================================
+// Logger
+// ==========================================
+
+/**
+ * Create a Logger that keeps its messages in memory
+ * @param {string[]} lines - Array that receives every logged line
+ * @returns {Object} Logger global
+ */
+function createLogger(lines) {
+  const Logger = {
+    log(format, ...values) {
+      let message = typeof format === 'object' ? JSON.stringify(format) : String(format);
+      values.forEach(value => { message = message.replace('%s', String(value)); });
+      lines.push(message);
+      return Logger;
+    },
+    getLog() {
+      return lines.join('\n');
+    },
+    clear() {
+      lines.length = 0;
+    }
+  };
+  return Logger;
+}
+
+module.exports = {
+  ContentService,
+  Utilities,
+  createMailApp,
+  createPropertiesService,
+  createLockService,
+  createCacheService,
+  createLogger,
+  formatDate
+};
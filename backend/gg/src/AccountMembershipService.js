@@ -0,0 +1,180 @@
+/**
+ * Account Membership Service - Which users may use which accounts
+ * One AccountMembers row gives a user an access level (CONFIG.ACCOUNT_ACCESS_LEVELS) on an account
+ * @requires Config.js - For CONFIG.SHEETS.ACCOUNT_MEMBERS and CONFIG.ACCOUNT_ACCESS_LEVELS
+ * @requires SchemaService.js - For field-based sheet access
+ * @requires AuditService.js - For writeAuditLog
+ * @created 2025-10-19
+ */
+
+/**
+ * Read every membership row
+ * @returns {Object[]} AccountMembers records; empty when the sheet does not exist yet
+ */
+function readAccountMembers() {
+  if (!getSpreadsheet().getSheetByName(CONFIG.SHEETS.ACCOUNT_MEMBERS)) {
+    return [];
+  }
+  return readSheetRecords(CONFIG.SHEETS.ACCOUNT_MEMBERS).records;
+}
+
+/**
+ * Normalize an access level
+ * @param {string} level - Level as stored or requested
+ * @returns {string|null} 'viewer', 'editor' or 'owner'; null when unknown
+ */
+function normalizeAccessLevel(level) {
+  const name = String(level || '').trim().toLowerCase();
+  return Object.prototype.hasOwnProperty.call(CONFIG.ACCOUNT_ACCESS_LEVELS, name) ? name : null;
+}
+
+/**
+ * Check whether a level includes another
+ * @param {string|null} level - Level the user has
+ * @param {string} requiredLevel - Level needed
+ * @returns {boolean} True when `level` ranks at least as high as `requiredLevel`
+ */
+function hasAccessLevel(level, requiredLevel) {
+  return Boolean(level) && CONFIG.ACCOUNT_ACCESS_LEVELS[level] >= CONFIG.ACCOUNT_ACCESS_LEVELS[requiredLevel];
+}
+
+/**
+ * Map the accounts of a user to their access level
+ * @param {Object} userRecord - Record of the user sheet (needs empId and role)
+ * @returns {Object<string, string>} Access level keyed by Account ID (admins are not included)
+ */
+function getUserAccountLevels(userRecord) {
+  const userId = String(userRecord.empId);
+  const levels = {};
+
+  readAccountMembers().forEach(member => {
+    const level = normalizeAccessLevel(member.accessLevel);
+    const accountId = String(member.accountId);
+    if (String(member.userId) === userId && level && !hasAccessLevel(levels[accountId], level)) {
+      levels[accountId] = level;
+    }
+  });
+
+  return levels;
+}
+
+/**
+ * Get the access level of a user on an account
+ * @param {Object} userRecord - Record of the user sheet (needs empId and role)
+ * @param {string} accountId - Account ID
+ * @returns {string|null} Access level, 'owner' for admins, null without access
+ */
+function getAccountAccessLevel(userRecord, accountId) {
+  if (checkPermission(userRecord, 'system:admin')) {
+    return 'owner';
+  }
+  return getUserAccountLevels(userRecord)[String(accountId)] || null;
+}
+
+/**
+ * Give a user an access level on an account, or remove it (admin)
+ * @param {string} accountId - Account ID
+ * @param {string} userId - EmpId of the member
+ * @param {string} accessLevel - 'viewer', 'editor', 'owner', or 'none' to remove the member
+ * @param {string} actor - EmpId of the admin
+ * @returns {APIResponse} Response with the member's new `accessLevel` (null when removed)
+ */
+function setAccountMember(accountId, userId, accessLevel, actor) {
+  try {
+    const level = accessLevel === 'none' ? null : normalizeAccessLevel(accessLevel);
+    if (accessLevel !== 'none' && !level) {
+      return createJSONResponse('error', 'accessLevel ต้องเป็น viewer, editor, owner หรือ none');
+    }
+    if (!findAccountRecord(accountId)) {
+      return createJSONResponse('error', CONFIG.MESSAGES.INVALID_ACCOUNT);
+    }
+    if (!findSheetRecord(CONFIG.SHEETS.USER, 'empId', userId)) {
+      return createJSONResponse('error', 'ไม่พบผู้ใช้ที่ระบุ');
+    }
+
+    const sheet = ensureSheet(CONFIG.SHEETS.ACCOUNT_MEMBERS);
+    const isMember = (member) => String(member.accountId) === String(accountId) && String(member.userId) === String(userId);
+    const records = readSheetRecords(CONFIG.SHEETS.ACCOUNT_MEMBERS).records;
+    const previous = records.filter(isMember).map(member => normalizeAccessLevel(member.accessLevel))[0] || null;
+
+    // Replace every row of the pair, bottom-up so row numbers stay valid
+    for (let i = records.length - 1; i >= 0; i--) {
+      if (isMember(records[i])) {
+        sheet.deleteRow(i + 2);
+      }
+    }
+    if (level) {
+      appendSheetRecord(CONFIG.SHEETS.ACCOUNT_MEMBERS, {
+        accountId: accountId,
+        userId: userId,
+        accessLevel: level,
+        addedAt: new Date()
+      });
+    }
+
+    writeAuditLog({
+      actor: actor,
+      action: 'account.member',
+      targetId: accountId,
+      before: { userId: userId, accessLevel: previous },
+      after: { userId: userId, accessLevel: level }
+    });
+
+    return createJSONResponse('success', 'บันทึกสิทธิ์การเข้าถึงบัญชีแล้ว', {
+      accountId: accountId,
+      userId: userId,
+      accessLevel: level
+    });
+  } catch (error) {
+    logError('setAccountMember', error, { accountId, userId, accessLevel });
+    return createJSONResponse('error', `เกิดข้อผิดพลาด: ${error.toString()}`);
+  }
+}
+
+/**
+ * Create owner rows for accounts that have no members yet (admin, one-off migration)
+ * Before memberships existed an account belonged to the user whose EmpId equals its
+ * Account ID; those pairs become owners and every other account is reported as unassigned.
+ * @param {string} actor - EmpId of the admin
+ * @returns {APIResponse} Response with `added` pairs and `unassigned` Account IDs
+ */
+function seedAccountMembers(actor) {
+  try {
+    ensureSheet(CONFIG.SHEETS.ACCOUNT_MEMBERS);
+
+    const userIds = readSheetRecords(CONFIG.SHEETS.USER).records.map(user => String(user.empId));
+    const assigned = readAccountMembers().map(member => String(member.accountId));
+    const added = [];
+    const unassigned = [];
+
+    readSheetRecords(CONFIG.SHEETS.ACCOUNTS).records.forEach(account => {
+      const accountId = String(account.accountId);
+      if (assigned.includes(accountId)) return;
+
+      if (!userIds.includes(accountId)) {
+        unassigned.push(accountId);
+        return;
+      }
+
+      appendSheetRecord(CONFIG.SHEETS.ACCOUNT_MEMBERS, {
+        accountId: accountId,
+        userId: accountId,
+        accessLevel: 'owner',
+        addedAt: new Date()
+      });
+      added.push({ accountId: accountId, userId: accountId, accessLevel: 'owner' });
+    });
+
+    if (added.length > 0) {
+      writeAuditLog({ actor: actor, action: 'account.seedMembers', after: added });
+    }
+
+    return createJSONResponse('success', `เพิ่มเจ้าของบัญชี ${added.length} รายการ`, {
+      added: added,
+      unassigned: unassigned
+    });
+  } catch (error) {
+    logError('seedAccountMembers', error);
+    return createJSONResponse('error', `เกิดข้อผิดพลาด: ${error.toString()}`);
+  }
+}
@@ -3,26 +3,27 @@
  * Provides functions for account retrieval, validation, and management
  * @requires Types.js - For type definitions
  * @requires Config.js - For configuration constants
+ * @requires SchemaService.js - For field-based sheet access
+ * @requires SerializerService.js - For response DTOs
  * @created 2025-09-27 (refactored)
  */
 
 /**
  * Get all accounts from the Accounts sheet
+ * @param {string} [format] - 'raw' for sheet-header keys, otherwise camelCase DTOs
  * @returns {APIResponse} Response with accounts data
  *   - data.accounts: Account[] - Array of account objects
  *   - data.count: number - Number of accounts found
  */
-function getAccounts() {
+function getAccounts(format) {
   try {
-    const sheet = getSheet(CONFIG.SHEETS.ACCOUNTS);
-    const values = sheet.getDataRange().getValues();
+    const records = readSheetRecords(CONFIG.SHEETS.ACCOUNTS).records;
     
-    if (values.length <= 1) {
+    if (records.length === 0) {
       return createJSONResponse('success', 'ไม่พบข้อมูลบัญชี', { accounts: [], count: 0 });
     }
     
-    const headers = ['Account ID', 'ชื่อบัญชี', 'ชื่อผู้ใช้/เจ้าของ', 'เงินต้นเริ่มต้น (USD)'];
-    const accounts = convertSheetDataToJSON(values, headers);
+    const accounts = serializeRecords(CONFIG.SHEETS.ACCOUNTS, records, format);
     
     console.log(`Retrieved ${accounts.length} accounts`);
     return createJSONResponse('success', CONFIG.MESSAGES.DATA_RETRIEVED_SUCCESS, {
@@ -36,6 +37,57 @@ function getAccounts() {
   }
 }
 
+/**
+ * Get the accounts the token owner may use
+ * Admins get every account as owner.
+ * @param {string} token - User token
+ * @param {string} [format] - 'raw' for sheet-header keys, otherwise camelCase DTOs
+ * @returns {APIResponse} Response with accounts data
+ *   - data.accounts: Account[] - Accounts, each with the caller's `accessLevel`
+ *   - data.count: number - Number of accounts
+ */
+function getMyAccounts(token, format) {
+  try {
+    const userInfo = getUserInfoFromToken(token);
+    if (userInfo.status === 'error') {
+      return userInfo;
+    }
+    
+    const user = { empId: userInfo.user.id, role: userInfo.user.role };
+    const isAdmin = checkPermission(user, 'system:admin');
+    const levels = isAdmin ? {} : getUserAccountLevels(user);
+    
+    const accounts = readSheetRecords(CONFIG.SHEETS.ACCOUNTS).records
+      .filter(account => isAdmin || levels[String(account.accountId)])
+      .map(account => Object.assign(serializeRecord(CONFIG.SHEETS.ACCOUNTS, account, format), {
+        accessLevel: isAdmin ? 'owner' : levels[String(account.accountId)]
+      }));
+    
+    return createJSONResponse('success', CONFIG.MESSAGES.DATA_RETRIEVED_SUCCESS, {
+      accounts: accounts,
+      count: accounts.length
+    });
+    
+  } catch (error) {
+    logError('getMyAccounts', error);
+    return createJSONResponse('error', error.toString());
+  }
+}
+
+/**
+ * Find the field-keyed record of an account
+ * @param {string} accountId - Account ID to look up
+ * @returns {AccountRecord|null} Account record or null if not found
+ */
+function findAccountRecord(accountId) {
+  if (isEmpty(accountId)) {
+    return null;
+  }
+  
+  const match = findSheetRecord(CONFIG.SHEETS.ACCOUNTS, 'accountId', accountId);
+  return match ? match.record : null;
+}
+
 /**
  * Get specific account by ID
  * @param {string} accountId - Account ID to retrieve
@@ -48,18 +100,15 @@ function getAccountById(accountId) {
       return createJSONResponse('error', 'Account ID is required');
     }
     
-    const accountsResponse = getAccounts();
-    if (accountsResponse.status === 'error') {
-      return accountsResponse;
-    }
-    
-    const account = accountsResponse.accounts.find(acc => acc['Account ID'] === accountId);
+    const account = findAccountRecord(accountId);
     
     if (!account) {
       return createJSONResponse('error', CONFIG.MESSAGES.INVALID_ACCOUNT);
     }
     
-    return createJSONResponse('success', 'พบข้อมูลบัญชี', { account: account });
+    return createJSONResponse('success', 'พบข้อมูลบัญชี', {
+      account: toHeaderRecord(CONFIG.SHEETS.ACCOUNTS, account)
+    });
     
   } catch (error) {
     logError('getAccountById', error, { accountId });
@@ -82,39 +131,69 @@ function validateAccountExists(accountId) {
   }
 }
 
+/**
+ * Get the duplicate trade date policy configured for an account
+ * Falls back to CONFIG.DEFAULTS.DUPLICATE_DATE_POLICY when the account has no
+ * (or an unknown) value in the 'Duplicate Date Policy' column
+ * @param {string} accountId - Account ID
+ * @returns {string} One of CONFIG.DUPLICATE_DATE_POLICIES values
+ */
+function getDuplicateDatePolicy(accountId) {
+  try {
+    return getAccountDuplicateDatePolicy(findAccountRecord(accountId));
+  } catch (error) {
+    logError('getDuplicateDatePolicy', error, { accountId });
+  }
+  
+  return CONFIG.DEFAULTS.DUPLICATE_DATE_POLICY;
+}
+
+/**
+ * Get the duplicate trade date policy of an account record that is already loaded
+ * @param {Object|null} account - Accounts record
+ * @returns {string} One of CONFIG.DUPLICATE_DATE_POLICIES values (see getDuplicateDatePolicy)
+ */
+function getAccountDuplicateDatePolicy(account) {
+  const policy = String((account && account.duplicateDatePolicy) || '').trim().toLowerCase();
+  return Object.values(CONFIG.DUPLICATE_DATE_POLICIES).includes(policy) ? policy : CONFIG.DEFAULTS.DUPLICATE_DATE_POLICY;
+}
+
 /**
  * Get account summary with trading statistics
  * @param {string} accountId - Account ID
+ * @param {string} [format] - 'raw' for sheet-header keys, otherwise camelCase DTOs
  * @returns {Object} Account summary with statistics
  */
-function getAccountSummary(accountId) {
+function getAccountSummary(accountId, format) {
   try {
-    const accountResult = getAccountById(accountId);
-    if (accountResult.status === 'error') {
-      return accountResult;
+    if (isEmpty(accountId)) {
+      return createJSONResponse('error', 'Account ID is required');
     }
     
-    const account = accountResult.account;
-    const tradingHistory = getTradingHistory(accountId);
+    const account = findAccountRecord(accountId);
+    if (!account) {
+      return createJSONResponse('error', CONFIG.MESSAGES.INVALID_ACCOUNT);
+    }
+    
+    const trades = getAccountTradeRecords(accountId);
     
     let summary = {
-      accountInfo: account,
+      accountInfo: serializeRecord(CONFIG.SHEETS.ACCOUNTS, account, format),
       statistics: {
         totalTrades: 0,
         totalProfit: 0,
-        currentBalance: safeParseFloat(account['เงินต้นเริ่มต้น (USD)']),
+        currentBalance: safeParseFloat(account.initialCapital),
         winRate: 0,
         profitableTrades: 0,
         lossTrades: 0
       }
     };
     
-    if (tradingHistory.status === 'success' && tradingHistory.trades.length > 0) {
-      const trades = tradingHistory.trades;
+    if (trades.length > 0) {
       summary.statistics.totalTrades = trades.length;
       
       trades.forEach(trade => {
-        const profit = safeParseFloat(trade['กำไร/ขาดทุนรายวัน (USD)']);
+        const profit = safeParseFloat(trade.dailyProfit);
         summary.statistics.totalProfit += profit;
         
         if (profit > 0) {
@@ -125,7 +204,7 @@ function getAccountSummary(accountId) {
       });
       
       // Calculate current balance (initial + total profit)
-      summary.statistics.currentBalance = safeParseFloat(account['เงินต้นเริ่มต้น (USD)']) + summary.statistics.totalProfit;
+      summary.statistics.currentBalance = safeParseFloat(account.initialCapital) + summary.statistics.totalProfit;
       
       // Calculate win rate
       if (summary.statistics.totalTrades > 0) {
@@ -133,16 +212,16 @@ function getAccountSummary(accountId) {
       }
       
       // Get the latest balance from the most recent trade
-      const latestTrade = trades[trades.length - 1];
-      if (latestTrade && latestTrade['เงินรวมสิ้นวัน (USD)']) {
-        summary.statistics.currentBalance = safeParseFloat(latestTrade['เงินรวมสิ้นวัน (USD)']);
+      const latestTrade = trades.slice().sort((a, b) => new Date(b.tradeDate) - new Date(a.tradeDate))[0];
+      if (latestTrade && latestTrade.endBalance) {
+        summary.statistics.currentBalance = safeParseFloat(latestTrade.endBalance);
       }
     }
     
     return createJSONResponse('success', 'สรุปข้อมูลบัญชีเรียบร้อย', summary);
     
   } catch (error) {
-    logError('getAccountSummary', error, { accountId });
+    logError('getAccountSummary', error, { accountId, format });
     return createJSONResponse('error', error.toString());
   }
 }
@@ -153,17 +232,13 @@ function getAccountSummary(accountId) {
  */
 function getAccountsWithStats() {
   try {
-    const accountsResponse = getAccounts();
-    if (accountsResponse.status === 'error') {
-      return accountsResponse;
-    }
+    const accounts = readSheetRecords(CONFIG.SHEETS.ACCOUNTS).records;
     
-    const accountsWithStats = accountsResponse.accounts.map(account => {
-      const accountId = account['Account ID'];
-      const summary = getAccountSummary(accountId);
+    const accountsWithStats = accounts.map(account => {
+      const summary = getAccountSummary(account.accountId);
       
       return {
-        ...account,
+        ...toHeaderRecord(CONFIG.SHEETS.ACCOUNTS, account),
         statistics: summary.status === 'success' ? summary.statistics : null
       };
     });
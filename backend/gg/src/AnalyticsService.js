@@ -0,0 +1,283 @@
+/**
+ * Analytics Service - Balance-series analytics for dashboard charts
+ * Works on the live (not deleted) journal entries of one account, one point per trade date
+ * @requires Types.js - For JSDoc type definitions
+ * @requires Config.js - For CONFIG.ANALYTICS
+ * @requires SchemaService.js - For field-based sheet access
+ * @requires TradingService.js - For getAccountJournalEntries
+ * @created 2025-10-19
+ */
+
+/**
+ * Get the daily equity curve of an account with its drawdowns
+ * The curve starts from the Start Balance of the first trade (the account's initial
+ * capital when it has no trades). Days with several trades ('allow' duplicate policy)
+ * close at the End Balance of the last one. A drawdown runs from a peak until a day
+ * closes at or above that peak again (its recovery date).
+ * @param {string} accountId - Account ID
+ * @returns {APIResponse} Response with the curve
+ *   - data.accountId: string - Account ID
+ *   - data.startBalance: number - Balance the curve starts from
+ *   - data.currentBalance: number - End balance of the last day
+ *   - data.peakBalance: number - Highest balance so far
+ *   - data.points: EquityPoint[] - One point per trade date, oldest first
+ *   - data.currentDrawdown: DrawdownPeriod|null - Drawdown still open on the last day
+ *   - data.maxDrawdown: MaxDrawdown - Deepest drawdown
+ *   - data.drawdowns: DrawdownPeriod[] - Every drawdown, oldest first
+ */
+function getEquityCurve(accountId) {
+  try {
+    if (isEmpty(accountId)) {
+      return createJSONResponse('error', 'Account ID is required');
+    }
+
+    const account = findAccountRecord(accountId);
+    if (!account) {
+      return createJSONResponse('error', CONFIG.MESSAGES.INVALID_ACCOUNT);
+    }
+
+    const entries = getAccountJournalEntries(readSheetRecords(CONFIG.SHEETS.TRADING_JOURNAL), accountId);
+    const startBalance = entries.length > 0
+      ? safeParseFloat(entries[0].trade.startBalance)
+      : safeParseFloat(account.initialCapital);
+    const curve = buildEquityCurve(groupJournalDays(entries), startBalance);
+
+    return createJSONResponse('success', CONFIG.MESSAGES.DATA_RETRIEVED_SUCCESS, Object.assign({
+      accountId: accountId,
+      startBalance: startBalance
+    }, curve));
+
+  } catch (error) {
+    logError('getEquityCurve', error, { accountId });
+    return createJSONResponse('error', error.toString());
+  }
+}
+
+/**
+ * Group journal entries by trade date
+ * @param {Object[]} entries - Entries of getAccountJournalEntries(), oldest first
+ * @returns {Object[]} One item per trade date, oldest first:
+ *   { date, startBalance (of the first trade), endBalance (of the last trade), dailyProfit (sum), trades }
+ */
+function groupJournalDays(entries) {
+  const days = [];
+  entries.forEach(entry => {
+    const date = formatDateKey(entry.trade.tradeDate);
+    let day = days[days.length - 1];
+    if (!day || day.date !== date) {
+      day = { date: date, startBalance: safeParseFloat(entry.trade.startBalance), endBalance: 0, dailyProfit: 0, trades: 0 };
+      days.push(day);
+    }
+    day.endBalance = safeParseFloat(entry.trade.endBalance);
+    day.dailyProfit += safeParseFloat(entry.trade.dailyProfit);
+    day.trades++;
+  });
+  return days;
+}
+
+/**
+ * Walk the daily closes, tracking the running peak and every drawdown
+ * @param {Object[]} days - Result of groupJournalDays()
+ * @param {number} startBalance - Balance before the first day
+ * @returns {{currentBalance: number, peakBalance: number, points: EquityPoint[], currentDrawdown: (DrawdownPeriod|null), maxDrawdown: MaxDrawdown, drawdowns: DrawdownPeriod[]}}
+ */
+function buildEquityCurve(days, startBalance) {
+  const drawdowns = [];
+  let peak = startBalance;
+  // The start balance is the close of the day before the first trade date
+  let peakDate = days.length > 0 ? addDaysToDateKey(days[0].date, -1) : null;
+  let open = null;
+
+  const points = days.map(day => {
+    if (day.endBalance >= peak) {
+      if (open) {
+        open.recoveryDate = day.date;
+        open.durationDays = daysBetween(open.peakDate, day.date);
+        open = null;
+      }
+      peak = day.endBalance;
+      peakDate = day.date;
+    } else {
+      const amount = peak - day.endBalance;
+      if (!open) {
+        open = {
+          peakDate: peakDate,
+          peakBalance: peak,
+          troughDate: day.date,
+          troughBalance: day.endBalance,
+          amount: 0,
+          percent: 0,
+          recoveryDate: null,
+          durationDays: 0
+        };
+        drawdowns.push(open);
+      }
+      if (amount > open.amount) {
+        open.troughDate = day.date;
+        open.troughBalance = day.endBalance;
+        open.amount = amount;
+        open.percent = peak > 0 ? (amount / peak) * 100 : 0;
+      }
+    }
+
+    const drawdown = peak - day.endBalance;
+    return {
+      date: day.date,
+      endBalance: day.endBalance,
+      dailyProfit: day.dailyProfit,
+      trades: day.trades,
+      peak: peak,
+      drawdown: drawdown,
+      drawdownPercent: peak > 0 ? (drawdown / peak) * 100 : 0
+    };
+  });
+
+  // An open drawdown lasts until the last day of the curve
+  if (open) {
+    open.durationDays = daysBetween(open.peakDate, days[days.length - 1].date);
+  }
+
+  // The deepest period is the one with the largest percentage fall (the basis of the Calmar ratio)
+  const deepest = drawdowns.reduce((max, period) => (!max || period.percent > max.percent ? period : max), null);
+
+  return {
+    currentBalance: days.length > 0 ? days[days.length - 1].endBalance : startBalance,
+    peakBalance: peak,
+    points: points,
+    currentDrawdown: open,
+    maxDrawdown: {
+      amount: deepest ? deepest.amount : 0,
+      percent: deepest ? deepest.percent : 0,
+      peakDate: deepest ? deepest.peakDate : null,
+      troughDate: deepest ? deepest.troughDate : null,
+      recoveryDate: deepest ? deepest.recoveryDate : null,
+      durationDays: deepest ? deepest.durationDays : 0
+    },
+    drawdowns: drawdowns
+  };
+}
+
+/**
+ * Count calendar days between two date keys
+ * @param {string} fromDate - YYYY-MM-DD
+ * @param {string} toDate - YYYY-MM-DD
+ * @returns {number} Whole days from `fromDate` to `toDate`
+ */
+function daysBetween(fromDate, toDate) {
+  return Math.round((Date.parse(`${toDate}T00:00:00Z`) - Date.parse(`${fromDate}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Move a date key by whole calendar days
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} YYYY-MM-DD
+ */
+function addDaysToDateKey(dateKey, days) {
+  return new Date(Date.parse(`${dateKey}T00:00:00Z`) + days * 86400000).toISOString().substring(0, 10);
+}
+
+/**
+ * Get risk-adjusted performance metrics of an account
+ * The daily return of a trade date is its profit over the Start Balance of its first
+ * trade. Sharpe and Sortino ratios are annualized with
+ * CONFIG.ANALYTICS.TRADING_DAYS_PER_YEAR, and the standard and downside deviations both
+ * use the sample denominator (N - 1). Calmar divides the compounded annualized return
+ * (the daily returns compounded over the series, scaled to a year) by the maximum
+ * drawdown percentage (see getEquityCurve). A ratio is null when it cannot be computed:
+ * fewer than two trade dates, no losses, no drawdown.
+ * @param {string} accountId - Account ID
+ * @param {number} [riskFreeRate] - Annual risk-free rate in percent (defaults to CONFIG.ANALYTICS.RISK_FREE_RATE)
+ * @returns {APIResponse} Response with the metrics
+ *   - data.accountId: string - Account ID
+ *   - data.riskFreeRate: number - Annual risk-free rate used, in percent
+ *   - data.returns: Array<{date: string, returnPercent: number}> - Daily return series, oldest first
+ *   - data.metrics: PerformanceMetrics - Risk and trade-quality measures
+ */
+function getPerformanceMetrics(accountId, riskFreeRate) {
+  try {
+    if (isEmpty(accountId)) {
+      return createJSONResponse('error', 'Account ID is required');
+    }
+
+    const account = findAccountRecord(accountId);
+    if (!account) {
+      return createJSONResponse('error', CONFIG.MESSAGES.INVALID_ACCOUNT);
+    }
+
+    const rate = riskFreeRate === undefined || riskFreeRate === null ? CONFIG.ANALYTICS.RISK_FREE_RATE : riskFreeRate;
+    const periodsPerYear = CONFIG.ANALYTICS.TRADING_DAYS_PER_YEAR;
+    const entries = getAccountJournalEntries(readSheetRecords(CONFIG.SHEETS.TRADING_JOURNAL), accountId);
+    const days = groupJournalDays(entries);
+    const startBalance = days.length > 0 ? days[0].startBalance : safeParseFloat(account.initialCapital);
+
+    // Daily return series (fractions for the math, percent in the response)
+    const returns = days.map(day => (day.startBalance > 0 ? day.dailyProfit / day.startBalance : 0));
+    const dailyRiskFree = rate / 100 / periodsPerYear;
+    const meanReturn = mean(returns);
+    const excessReturn = meanReturn - dailyRiskFree;
+    // Both deviations divide by N - 1 so Sharpe and Sortino share one basis
+    const stdDev = returns.length > 1
+      ? Math.sqrt(returns.reduce((sum, value) => sum + Math.pow(value - meanReturn, 2), 0) / (returns.length - 1))
+      : 0;
+    const downsideDeviation = returns.length > 1
+      ? Math.sqrt(returns.reduce((sum, value) => sum + Math.pow(Math.min(0, value - dailyRiskFree), 2), 0) / (returns.length - 1))
+      : 0;
+    const growth = returns.reduce((product, value) => product * (1 + value), 1);
+    const annualizedReturn = returns.length > 0
+      ? (Math.pow(Math.max(0, growth), periodsPerYear / returns.length) - 1) * 100
+      : 0;
+    const maxDrawdownPercent = buildEquityCurve(days, startBalance).maxDrawdown.percent;
+
+    // Per-trade measures
+    const profits = entries.map(entry => safeParseFloat(entry.trade.dailyProfit));
+    const wins = profits.filter(profit => profit > 0);
+    const losses = profits.filter(profit => profit < 0);
+    const grossProfit = wins.reduce((sum, profit) => sum + profit, 0);
+    const grossLoss = -losses.reduce((sum, profit) => sum + profit, 0);
+    const averageWin = mean(wins);
+    const averageLoss = mean(losses);
+    const winRate = profits.length > 0 ? wins.length / profits.length : 0;
+    const lossRate = profits.length > 0 ? losses.length / profits.length : 0;
+
+    const metrics = {
+      tradingDays: days.length,
+      totalTrades: profits.length,
+      meanDailyReturn: meanReturn * 100,
+      stdDevReturns: stdDev * 100,
+      downsideDeviation: downsideDeviation * 100,
+      annualizedReturn: annualizedReturn,
+      sharpeRatio: returns.length > 1 && stdDev > 0 ? (excessReturn / stdDev) * Math.sqrt(periodsPerYear) : null,
+      sortinoRatio: returns.length > 1 && downsideDeviation > 0 ? (excessReturn / downsideDeviation) * Math.sqrt(periodsPerYear) : null,
+      calmarRatio: maxDrawdownPercent > 0 ? annualizedReturn / maxDrawdownPercent : null,
+      maxDrawdownPercent: maxDrawdownPercent,
+      grossProfit: grossProfit,
+      grossLoss: grossLoss,
+      profitFactor: grossLoss > 0 ? grossProfit / grossLoss : null,
+      averageWin: averageWin,
+      averageLoss: averageLoss,
+      payoffRatio: averageLoss < 0 ? averageWin / -averageLoss : null,
+      expectancy: winRate * averageWin + lossRate * averageLoss
+    };
+
+    return createJSONResponse('success', 'คำนวณตัวชี้วัดผลการเทรดเรียบร้อย', {
+      accountId: accountId,
+      riskFreeRate: rate,
+      returns: days.map((day, index) => ({ date: day.date, returnPercent: returns[index] * 100 })),
+      metrics: metrics
+    });
+
+  } catch (error) {
+    logError('getPerformanceMetrics', error, { accountId, riskFreeRate });
+    return createJSONResponse('error', error.toString());
+  }
+}
+
+/**
+ * Arithmetic mean
+ * @param {number[]} values - Values
+ * @returns {number} Mean, 0 for an empty list
+ */
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
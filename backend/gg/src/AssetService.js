@@ -3,26 +3,27 @@
  * Provides functions for asset retrieval, validation, and management
  * @requires Types.js - For type definitions
  * @requires Config.js - For configuration constants
+ * @requires SchemaService.js - For field-based sheet access
+ * @requires SerializerService.js - For response DTOs
  * @created 2025-09-27 (refactored)
  */
 
 /**
  * Get all assets from the Assets sheet
+ * @param {string} [format] - 'raw' for sheet-header keys, otherwise camelCase DTOs
  * @returns {APIResponse} Response with assets data
  *   - data.assets: Asset[] - Array of asset objects
  *   - data.count: number - Number of assets found
  */
-function getAssets() {
+function getAssets(format) {
   try {
-    const sheet = getSheet(CONFIG.SHEETS.ASSETS);
-    const values = sheet.getDataRange().getValues();
+    const records = readSheetRecords(CONFIG.SHEETS.ASSETS).records;
     
-    if (values.length <= 1) {
+    if (records.length === 0) {
       return createJSONResponse('success', 'ไม่พบข้อมูลสินทรัพย์', { assets: [], count: 0 });
     }
     
-    const headers = ['Asset ID', 'ชื่อสินทรัพย์', 'ประเภท', 'หมายเหตุ'];
-    const assets = convertSheetDataToJSON(values, headers);
+    const assets = serializeRecords(CONFIG.SHEETS.ASSETS, records, format);
     
     console.log(`Retrieved ${assets.length} assets`);
     return createJSONResponse('success', CONFIG.MESSAGES.DATA_RETRIEVED_SUCCESS, {
@@ -36,6 +37,20 @@ function getAssets() {
   }
 }
 
+/**
+ * Find the field-keyed record of an asset
+ * @param {string} assetId - Asset ID to look up
+ * @returns {AssetRecord|null} Asset record or null if not found
+ */
+function findAssetRecord(assetId) {
+  if (isEmpty(assetId)) {
+    return null;
+  }
+  
+  const match = findSheetRecord(CONFIG.SHEETS.ASSETS, 'assetId', assetId);
+  return match ? match.record : null;
+}
+
 /**
  * Get specific asset by ID
  * @param {string} assetId - Asset ID to retrieve
@@ -48,18 +63,15 @@ function getAssetById(assetId) {
       return createJSONResponse('error', 'Asset ID is required');
     }
     
-    const assetsResponse = getAssets();
-    if (assetsResponse.status === 'error') {
-      return assetsResponse;
-    }
-    
-    const asset = assetsResponse.assets.find(ast => ast['Asset ID'] === assetId);
+    const asset = findAssetRecord(assetId);
     
     if (!asset) {
       return createJSONResponse('error', CONFIG.MESSAGES.INVALID_ASSET);
     }
     
-    return createJSONResponse('success', 'พบข้อมูลสินทรัพย์', { asset: asset });
+    return createJSONResponse('success', 'พบข้อมูลสินทรัพย์', {
+      asset: toHeaderRecord(CONFIG.SHEETS.ASSETS, asset)
+    });
     
   } catch (error) {
     logError('getAssetById', error, { assetId });
@@ -92,17 +104,12 @@ function validateAssetExists(assetId) {
  */
 function getAssetsByType(assetType) {
   try {
-    const assetsResponse = getAssets();
-    if (assetsResponse.status === 'error') {
-      return assetsResponse;
-    }
-    
-    const filteredAssets = assetsResponse.assets.filter(asset => 
-      asset['ประเภท'].toLowerCase() === assetType.toLowerCase()
+    const filteredAssets = readSheetRecords(CONFIG.SHEETS.ASSETS).records.filter(asset => 
+      String(asset.assetType).toLowerCase() === assetType.toLowerCase()
     );
     
     return createJSONResponse('success', `พบสินทรัพย์ประเภท ${assetType}`, {
-      assets: filteredAssets,
+      assets: filteredAssets.map(asset => toHeaderRecord(CONFIG.SHEETS.ASSETS, asset)),
       count: filteredAssets.length,
       type: assetType
     });
@@ -121,29 +128,23 @@ function getAssetsByType(assetType) {
 function getAssetStatistics(assetId = null) {
   try {
     // Get trading history for all trades or specific asset
-    const sheet = getSheet(CONFIG.SHEETS.TRADING_JOURNAL);
-    const values = sheet.getDataRange().getValues();
+    const trades = readSheetRecords(CONFIG.SHEETS.TRADING_JOURNAL).records.filter(trade => !isTradeDeleted(trade));
     
-    if (values.length <= 1) {
+    if (trades.length === 0) {
       return createJSONResponse('success', 'ไม่พบข้อมูลการเทรด', { statistics: [] });
     }
     
-    const headers = ['Transaction_ID', 'Timestamp', 'Account ID', 'Asset ID', 
-                    'เงินต้นเริ่มต้นวัน (USD)', 'กำไร/ขาดทุนรายวัน (USD)', 
-                    'เงินรวมสิ้นวัน (USD)', 'Lot Size', 'หมายเหตุ'];
-    const trades = convertSheetDataToJSON(values, headers);
-    
     // Filter by asset if specified
     const filteredTrades = assetId ? 
-      trades.filter(trade => trade['Asset ID'] === assetId) : trades;
+      trades.filter(trade => trade.assetId === assetId) : trades;
     
     // Calculate statistics by asset
     const assetStats = {};
     
     filteredTrades.forEach(trade => {
-      const tradeAssetId = trade['Asset ID'];
-      const profit = safeParseFloat(trade['กำไร/ขาดทุนรายวัน (USD)']);
-      const lotSize = safeParseFloat(trade['Lot Size']);
+      const tradeAssetId = trade.assetId;
+      const profit = safeParseFloat(trade.dailyProfit);
+      const lotSize = safeParseFloat(trade.lotSize);
       
       if (!assetStats[tradeAssetId]) {
         assetStats[tradeAssetId] = {
@@ -179,16 +180,14 @@ function getAssetStatistics(assetId = null) {
     });
     
     // Get asset details for each statistic
-    const assetsResponse = getAssets();
-    if (assetsResponse.status === 'success') {
-      Object.values(assetStats).forEach(stats => {
-        const asset = assetsResponse.assets.find(a => a['Asset ID'] === stats.assetId);
-        if (asset) {
-          stats.assetName = asset['ชื่อสินทรัพย์'];
-          stats.assetType = asset['ประเภท'];
-        }
-      });
-    }
+    const assets = readSheetRecords(CONFIG.SHEETS.ASSETS).records;
+    Object.values(assetStats).forEach(stats => {
+      const asset = assets.find(a => a.assetId === stats.assetId);
+      if (asset) {
+        stats.assetName = asset.assetName;
+        stats.assetType = asset.assetType;
+      }
+    });
     
     const statisticsArray = Object.values(assetStats);
     
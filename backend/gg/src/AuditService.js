@@ -0,0 +1,184 @@
+/**
+ * Audit Service - Record data-changing and security-relevant events in the AuditLog sheet
+ * dispatchRequest() sets the request context, so services only say what changed and
+ * the acting user is resolved from the request token when an entry is written
+ * @requires Config.js - For CONFIG.SHEETS.AUDIT_LOG, CONFIG.FIELDS.AUDIT_LOG and CONFIG.AUDIT_LOG
+ * @requires SchemaService.js - For field-based sheet access
+ * @created 2025-10-19
+ */
+
+/**
+ * Request being handled ({token, user}); null outside web app requests (editor runs, triggers)
+ * Apps Script runs each request in a fresh global scope, so this never leaks between users.
+ */
+let auditRequestContext = null;
+
+/**
+ * Remember who is making the current request
+ * @param {{token: string|null, user: User|null}|null} context - Request token and, when loaded, its user
+ */
+function setAuditRequestContext(context) {
+  auditRequestContext = context ? { token: context.token || null, user: context.user || null } : null;
+}
+
+/**
+ * Get the EmpId of whoever is making the current request
+ * @returns {string} EmpId, 'anonymous' for requests without a valid token, 'system' outside requests
+ */
+function getAuditActor() {
+  if (!auditRequestContext) return 'system';
+  if (auditRequestContext.user) return String(auditRequestContext.user.id);
+  if (!auditRequestContext.token) return 'anonymous';
+
+  const tokenInfo = getTokenInfo(auditRequestContext.token);
+  if (!tokenInfo) return 'anonymous';
+
+  auditRequestContext.user = { id: tokenInfo.userId };
+  return String(tokenInfo.userId);
+}
+
+/**
+ * Append an entry to the audit log
+ * Never throws: a failed audit write is logged and the calling operation carries on.
+ * @param {Object} entry - Audit entry
+ * @param {string} [entry.actor] - Who acted; defaults to the user of the current request (getAuditActor)
+ * @param {string} entry.action - Event name, '<area>.<verb>', e.g. 'trade.delete'
+ * @param {string} [entry.targetId] - ID of the record or user the event is about
+ * @param {*} [entry.before] - State before the change (stored as JSON)
+ * @param {*} [entry.after] - State after the change (stored as JSON)
+ * @param {*} [entry.details] - Extra context (stored as JSON)
+ * @returns {boolean} True when the entry was written
+ */
+function writeAuditLog(entry) {
+  try {
+    ensureSheet(CONFIG.SHEETS.AUDIT_LOG);
+    appendSheetRecord(CONFIG.SHEETS.AUDIT_LOG, toAuditRecord(entry));
+    return true;
+  } catch (error) {
+    logError('writeAuditLog', error, { action: entry && entry.action });
+    return false;
+  }
+}
+
+/**
+ * Append several entries to the audit log with one range write (see appendSheetRecords)
+ * Never throws, like writeAuditLog(); callers must hold the script lock.
+ * @param {Object[]} entries - Audit entries in the shape writeAuditLog() takes
+ * @returns {boolean} True when the entries were written
+ */
+function writeAuditLogs(entries) {
+  try {
+    ensureSheet(CONFIG.SHEETS.AUDIT_LOG);
+    appendSheetRecords(CONFIG.SHEETS.AUDIT_LOG, entries.map(toAuditRecord));
+    return true;
+  } catch (error) {
+    logError('writeAuditLogs', error, { count: entries.length });
+    return false;
+  }
+}
+
+/**
+ * Convert an audit entry into an AuditLog record
+ * @param {Object} entry - Audit entry (see writeAuditLog)
+ * @returns {Object} Record keyed by CONFIG.FIELDS.AUDIT_LOG fields
+ */
+function toAuditRecord(entry) {
+  return {
+    timestamp: new Date(),
+    actor: String(entry.actor || getAuditActor()),
+    action: entry.action,
+    targetId: entry.targetId === undefined || entry.targetId === null ? '' : String(entry.targetId),
+    before: toAuditValue(entry.before),
+    after: toAuditValue(entry.after),
+    details: toAuditValue(entry.details)
+  };
+}
+
+/**
+ * Serialize a value for an audit log cell
+ * @param {*} value - Value to store
+ * @returns {string} JSON text, or '' for missing values
+ */
+function toAuditValue(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Parse an audit log cell written by toAuditValue
+ * @param {*} value - Cell value
+ * @returns {*} Parsed JSON, the text itself when it is not JSON, or null when empty
+ */
+function fromAuditValue(value) {
+  if (value === '' || value === undefined || value === null) return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return String(value);
+  }
+}
+
+/**
+ * Read the audit log, newest first (admin)
+ * @param {Object} [query] - Filters
+ * @param {string} [query.actor] - Exact actor
+ * @param {string} [query.action] - Exact action, or an area such as 'trade' for every 'trade.*' action
+ * @param {string} [query.targetId] - Exact target ID
+ * @param {string} [query.from] - First day (YYYY-MM-DD, inclusive)
+ * @param {string} [query.to] - Last day (YYYY-MM-DD, inclusive)
+ * @param {number} [query.page=1] - Page number
+ * @param {number} [query.pageSize=CONFIG.AUDIT_LOG.DEFAULT_PAGE_SIZE] - Entries per page
+ * @returns {APIResponse} Response with `entries`, `total`, `page`, `pageSize`, `totalPages`, `hasMore`
+ */
+function getAuditLog(query = {}) {
+  try {
+    for (const key of ['from', 'to']) {
+      if (!isEmpty(query[key]) && !isValidDateFormat(query[key])) {
+        return createJSONResponse('error', `รูปแบบวันที่ไม่ถูกต้อง (${key}): ใช้ YYYY-MM-DD`);
+      }
+    }
+
+    const pageSize = query.pageSize || CONFIG.AUDIT_LOG.DEFAULT_PAGE_SIZE;
+    if (pageSize > CONFIG.AUDIT_LOG.MAX_PAGE_SIZE) {
+      return createJSONResponse('error', `pageSize must be between 1 and ${CONFIG.AUDIT_LOG.MAX_PAGE_SIZE}`);
+    }
+    const page = query.page || 1;
+
+    const records = getSpreadsheet().getSheetByName(CONFIG.SHEETS.AUDIT_LOG)
+      ? readSheetRecords(CONFIG.SHEETS.AUDIT_LOG).records
+      : [];
+
+    const matches = records.filter(record => {
+      const action = String(record.action);
+      const day = formatDateKey(record.timestamp);
+      return (isEmpty(query.actor) || String(record.actor) === query.actor) &&
+        (isEmpty(query.action) || action === query.action || action.indexOf(query.action + '.') === 0) &&
+        (isEmpty(query.targetId) || String(record.targetId) === query.targetId) &&
+        (isEmpty(query.from) || day >= query.from) &&
+        (isEmpty(query.to) || day <= query.to);
+    }).reverse();
+
+    const entries = matches.slice((page - 1) * pageSize, page * pageSize).map(record => ({
+      timestamp: serializeTimestamp(record.timestamp),
+      actor: String(record.actor),
+      action: String(record.action),
+      targetId: String(record.targetId),
+      before: fromAuditValue(record.before),
+      after: fromAuditValue(record.after),
+      details: fromAuditValue(record.details)
+    }));
+
+    const totalPages = Math.ceil(matches.length / pageSize);
+    return createJSONResponse('success', CONFIG.MESSAGES.DATA_RETRIEVED_SUCCESS, {
+      entries: entries,
+      total: matches.length,
+      page: page,
+      pageSize: pageSize,
+      totalPages: totalPages,
+      hasMore: page < totalPages
+    });
+  } catch (error) {
+    logError('getAuditLog', error, { query });
+    return createJSONResponse('error', `เกิดข้อผิดพลาด: ${error.toString()}`);
+  }
+}
@@ -66,7 +66,7 @@ function createTestUser() {
     }
     
     // เพิ่ม test user ใหม่ (กับ hashed password)
-    const hashedPassword = hashPassword('likit@example.com', 'likit001');
+    const hashedPassword = hashPassword('password123');
     const testUser = [
       'likit001',                    // EmpId
       'Likit Test User',             // FullNameTH
@@ -102,10 +102,11 @@ function createMultipleTestUsers() {
     
     const sheet = getSheet(CONFIG.SHEETS.USER);
     
+    // Each test user gets a random password, reported once in the result
     const testUsers = [
-      ['likit001', 'Likit Admin', 'likit@example.com', 'admin', 1, hashPassword('likit@example.com', 'likit001')],
-      ['user001', 'Test User 1', 'user1@example.com', 'user', 1, hashPassword('user1@example.com', 'user001')], 
-      ['manager001', 'Test Manager', 'manager@example.com', 'manager', 1, hashPassword('manager@example.com', 'manager001')]
+      ['likit001', 'Likit Admin', 'likit@example.com', 'admin', 1, generateTemporaryPassword()],
+      ['user001', 'Test User 1', 'user1@example.com', 'user', 1, generateTemporaryPassword()], 
+      ['manager001', 'Test Manager', 'manager@example.com', 'manager', 1, generateTemporaryPassword()]
     ];
     
     const created = [];
@@ -119,12 +120,13 @@ function createMultipleTestUsers() {
       if (existingIds.includes(user[0])) {
         skipped.push(user[0]);
       } else {
-        sheet.appendRow(user);
+        const password = user[5];
+        sheet.appendRow(user.slice(0, 5).concat(hashPassword(password)));
         created.push({
           empId: user[0],
           email: user[2],
           role: user[3],
-          password: user[5]
+          password: password
         });
       }
     });
@@ -1,62 +1,10 @@
 /**
  * Main Entry Point - Google Apps Script Web App Handler
- * Handles HTTP requests and routes them to appropriate service functions
+ * Handles HTTP requests and dispatches them through the route table in Routes.js
  * @requires Types.js - For type definitions
- * @requires Config.js - For conf    case 'getSystemHealth':
-      // Admin-only endpoint for system health check
-      const systemHealthAuthResult = authenticateRequest(params);
-      if (systemHealthAuthResult.status === 'error') {
-        return ContentService.createTextOutput(JSON.stringify(systemHealthAuthResult))
-                            .setMimeType(ContentService.MimeType.JSON);
-      }
-      
-      const systemHealth = getSystemHealthCheck();
-      return ContentService.createTextOutput(JSON.stringify(systemHealth))
-                          .setMimeType(ContentService.MimeType.JSON);
-
-    case 'generateTradingData':
-      // Admin-only endpoint for generating sample trading data
-      const generateAuthResult = authenticateRequest(params);
-      if (generateAuthResult.status === 'error') {
-        return ContentService.createTextOutput(JSON.stringify(generateAuthResult))
-                            .setMimeType(ContentService.MimeType.JSON);
-      }
-      
-      const accountId = params.accountId;
-      const daysToGenerate = params.days ? parseInt(params.days) : null;
-      
-      if (!accountId) {
-        const errorResponse = createJSONResponse('error', 'Account ID is required');
-        return ContentService.createTextOutput(JSON.stringify(errorResponse))
-                            .setMimeType(ContentService.MimeType.JSON);
-      }
-      
-      const generationResult = generateTradingDataToYesterday(accountId, daysToGenerate);
-      return ContentService.createTextOutput(JSON.stringify(generationResult))
-                          .setMimeType(ContentService.MimeType.JSON);
-
-    case 'generateTradingDataRange':
-      // Admin-only endpoint for generating trading data for specific date range
-      const generateRangeAuthResult = authenticateRequest(params);
-      if (generateRangeAuthResult.status === 'error') {
-        return ContentService.createTextOutput(JSON.stringify(generateRangeAuthResult))
-                            .setMimeType(ContentService.MimeType.JSON);
-      }
-      
-      const rangeAccountId = params.accountId;
-      const startDate = params.startDate;
-      const endDate = params.endDate;
-      const initialBalance = params.initialBalance ? parseFloat(params.initialBalance) : 1000;
-      
-      if (!rangeAccountId || !startDate || !endDate) {
-        const errorResponse = createJSONResponse('error', 'Account ID, start date, and end date are required');
-        return ContentService.createTextOutput(JSON.stringify(errorResponse))
-                            .setMimeType(ContentService.MimeType.JSON);
-      }
-      
-      const rangeGenerationResult = generateTradingDataForDateRange(rangeAccountId, startDate, endDate, initialBalance);
-      return ContentService.createTextOutput(JSON.stringify(rangeGenerationResult))
-                          .setMimeType(ContentService.MimeType.JSON); * @requires All service files - For business logic
+ * @requires Config.js - For configuration constants
+ * @requires Routes.js - For the route table
+ * @requires All service files - For business logic
  * @created 2025-09-27 (refactored)
  */
 
@@ -74,7 +22,7 @@ function doGet(e) {
     return handleGetRequest(e);
   } catch (error) {
     console.error('Error in doGet:', error);
-    return createJSONResponse('error', error.toString());
+    return createJSONOutput(createJSONResponse('error', error.toString()));
   }
 }
 
@@ -88,7 +36,7 @@ function doPost(e) {
     return handlePostRequest(e);
   } catch (error) {
     console.error('Error in doPost:', error);
-    return createJSONResponse('error', error.toString());
+    return createJSONOutput(createJSONResponse('error', error.toString()));
   }
 }
 
@@ -97,501 +45,243 @@ function doPost(e) {
 // ==========================================
 
 /**
- * Handle GET request routing with proper authentication and authorization
+ * Handle GET request routing
  * @param {GoogleAppsScript.Events.DoGet} e - GET request event object
  * @returns {GoogleAppsScript.Content.TextOutput} JSON response
  */
 function handleGetRequest(e) {
-  const params = e.parameter;
-  const action = params.action;
-  
-  // Public endpoints (no authentication required)
-  const publicEndpoints = [
-    'getAccounts', 
-    'getAssets',
-    'testGetUserData',
-    'testFindUser', 
-    'testVerifyPassword',
-    'testLoginStepByStep',
-    'runAllLoginTests',
-    'testConfiguration',
-    'testLoginWithFullDebug',
-    'testDirectAuthentication',
-    'debugPOST',
-    'debugLogin'
-  ];
-  
-  // Check authentication for protected endpoints
-  if (!publicEndpoints.includes(action)) {
-    const authResult = authenticateRequest(params);
-    if (authResult.status === 'error') {
-      return ContentService.createTextOutput(JSON.stringify(authResult))
-                          .setMimeType(ContentService.MimeType.JSON);
-    }
-  }
-  
-  switch (action) {
-    case 'getAccounts':
-      return ContentService.createTextOutput(JSON.stringify(getAccounts()))
-                          .setMimeType(ContentService.MimeType.JSON);
-    
-    case 'getAssets':
-      return ContentService.createTextOutput(JSON.stringify(getAssets()))
-                          .setMimeType(ContentService.MimeType.JSON);
-    
-    case 'getTradingHistory':
-      const accountId = params.accountId;
-      const token = params.token;
-      
-      // Verify user has access to this account
-      const accessResult = verifyAccountAccess(token, accountId);
-      if (accessResult.status === 'error') {
-        return ContentService.createTextOutput(JSON.stringify(accessResult))
-                            .setMimeType(ContentService.MimeType.JSON);
-      }
-      
-      return ContentService.createTextOutput(JSON.stringify(getTradingHistory(accountId)))
-                          .setMimeType(ContentService.MimeType.JSON);
-    
-    case 'getAccountSummary':
-      const summaryAccountId = params.accountId;
-      const summaryToken = params.token;
-      
-      // Verify user has access to this account
-      const summaryAccessResult = verifyAccountAccess(summaryToken, summaryAccountId);
-      if (summaryAccessResult.status === 'error') {
-        return ContentService.createTextOutput(JSON.stringify(summaryAccessResult))
-                            .setMimeType(ContentService.MimeType.JSON);
-      }
-      
-      return ContentService.createTextOutput(JSON.stringify(getAccountSummary(summaryAccountId)))
-                          .setMimeType(ContentService.MimeType.JSON);
-    
-    case 'getUserInfo':
-      const userToken = params.token;
-      const userInfo = getUserInfoFromToken(userToken);
-      return ContentService.createTextOutput(JSON.stringify(userInfo))
-                          .setMimeType(ContentService.MimeType.JSON);
-    
-    case 'validateSheets':
-      // Admin-only endpoint for sheet validation
-      const adminAuthResult = authenticateRequest(params);
-      if (adminAuthResult.status === 'error') {
-        return ContentService.createTextOutput(JSON.stringify(adminAuthResult))
-                            .setMimeType(ContentService.MimeType.JSON);
-      }
-      
-      const validation = validateSheetsStructure();
-      return ContentService.createTextOutput(JSON.stringify(validation))
-                          .setMimeType(ContentService.MimeType.JSON);
-    
-    case 'fixSheets':
-      // Admin-only endpoint for sheet creation/repair
-      const fixAuthResult = authenticateRequest(params);
-      if (fixAuthResult.status === 'error') {
-        return ContentService.createTextOutput(JSON.stringify(fixAuthResult))
-                            .setMimeType(ContentService.MimeType.JSON);
-      }
-      
-      const fixResult = validateAndFixSheets();
-      return ContentService.createTextOutput(JSON.stringify(fixResult))
-                          .setMimeType(ContentService.MimeType.JSON);
-    
-    case 'validateHeaders':
-      // Admin-only endpoint for detailed header validation
-      const headerAuthResult = authenticateRequest(params);
-      if (headerAuthResult.status === 'error') {
-        return ContentService.createTextOutput(JSON.stringify(headerAuthResult))
-                            .setMimeType(ContentService.MimeType.JSON);
-      }
-      
-      const headerValidation = validateSheetHeaders();
-      return ContentService.createTextOutput(JSON.stringify(headerValidation))
-                          .setMimeType(ContentService.MimeType.JSON);
-    
-    case 'validateDataTypes':
-      // Admin-only endpoint for data type validation
-      const dataTypeAuthResult = authenticateRequest(params);
-      if (dataTypeAuthResult.status === 'error') {
-        return ContentService.createTextOutput(JSON.stringify(dataTypeAuthResult))
-                            .setMimeType(ContentService.MimeType.JSON);
-      }
-      
-      const dataTypeValidation = validateSheetDataTypes();
-      return ContentService.createTextOutput(JSON.stringify(dataTypeValidation))
-                          .setMimeType(ContentService.MimeType.JSON);
-    
-    case 'validateComprehensive':
-      // Admin-only endpoint for comprehensive validation
-      const comprehensiveAuthResult = authenticateRequest(params);
-      if (comprehensiveAuthResult.status === 'error') {
-        return ContentService.createTextOutput(JSON.stringify(comprehensiveAuthResult))
-                            .setMimeType(ContentService.MimeType.JSON);
-      }
-      
-      const comprehensiveValidation = validateSheetsComprehensive();
-      return ContentService.createTextOutput(JSON.stringify(comprehensiveValidation))
-                          .setMimeType(ContentService.MimeType.JSON);
-    
-    case 'getAllSheets':
-      // Admin-only endpoint to get all sheet names
-      const allSheetsAuthResult = authenticateRequest(params);
-      if (allSheetsAuthResult.status === 'error') {
-        return ContentService.createTextOutput(JSON.stringify(allSheetsAuthResult))
-                            .setMimeType(ContentService.MimeType.JSON);
-      }
-      
-      const allSheets = getAllSheetNames();
-      return ContentService.createTextOutput(JSON.stringify(allSheets))
-                          .setMimeType(ContentService.MimeType.JSON);
-    
-    case 'getConfiguredSheets':
-      // Admin-only endpoint to get configured sheet names
-      const configSheetsAuthResult = authenticateRequest(params);
-      if (configSheetsAuthResult.status === 'error') {
-        return ContentService.createTextOutput(JSON.stringify(configSheetsAuthResult))
-                            .setMimeType(ContentService.MimeType.JSON);
-      }
-      
-      const configuredSheets = getConfiguredSheetNames();
-      return ContentService.createTextOutput(JSON.stringify(configuredSheets))
-                          .setMimeType(ContentService.MimeType.JSON);
-    
-    case 'compareSheets':
-      // Admin-only endpoint to compare configured vs actual sheets
-      const compareSheetsAuthResult = authenticateRequest(params);
-      if (compareSheetsAuthResult.status === 'error') {
-        return ContentService.createTextOutput(JSON.stringify(compareSheetsAuthResult))
-                            .setMimeType(ContentService.MimeType.JSON);
-      }
-      
-      const sheetComparison = compareConfiguredWithActualSheets();
-      return ContentService.createTextOutput(JSON.stringify(sheetComparison))
-                          .setMimeType(ContentService.MimeType.JSON);
-    
-    case 'getCurrentSpreadsheet':
-      // Admin-only endpoint to get current spreadsheet info
-      const currentSpreadsheetAuthResult = authenticateRequest(params);
-      if (currentSpreadsheetAuthResult.status === 'error') {
-        return ContentService.createTextOutput(JSON.stringify(currentSpreadsheetAuthResult))
-                            .setMimeType(ContentService.MimeType.JSON);
-      }
-      
-      const currentSpreadsheetInfo = getCurrentSpreadsheetInfo();
-      return ContentService.createTextOutput(JSON.stringify(currentSpreadsheetInfo))
-                          .setMimeType(ContentService.MimeType.JSON);
-    
-    case 'getSystemHealth':
-      // Admin-only endpoint to get system health status
-      const systemHealthAuthResult = authenticateRequest(params);
-      if (systemHealthAuthResult.status === 'error') {
-        return ContentService.createTextOutput(JSON.stringify(systemHealthAuthResult))
-                            .setMimeType(ContentService.MimeType.JSON);
-      }
-      
-      const systemHealth = getSystemHealth();
-      return ContentService.createTextOutput(JSON.stringify(systemHealth))
-                          .setMimeType(ContentService.MimeType.JSON);
-    
-    case 'testSpreadsheet':
-      // Admin-only endpoint to test spreadsheet access
-      const testSpreadsheetAuthResult = authenticateRequest(params);
-      if (testSpreadsheetAuthResult.status === 'error') {
-        return ContentService.createTextOutput(JSON.stringify(testSpreadsheetAuthResult))
-                            .setMimeType(ContentService.MimeType.JSON);
-      }
-      
-      const testResult = testSpreadsheetAccess();
-      return ContentService.createTextOutput(JSON.stringify(testResult))
-                          .setMimeType(ContentService.MimeType.JSON);
-    
-    // ==========================================
-    // LOGIN DEBUG ENDPOINTS (ไม่ต้อง Authentication)
-    // ==========================================
-    case 'testGetUserData':
-      const testUserData = testGetUserData();
-      return ContentService.createTextOutput(JSON.stringify(testUserData))
-                          .setMimeType(ContentService.MimeType.JSON);
-    
-    case 'testFindUser':
-      const testUsername = params.username || '4498';
-      const findUserResult = testFindUser(testUsername);
-      return ContentService.createTextOutput(JSON.stringify(findUserResult))
-                          .setMimeType(ContentService.MimeType.JSON);
-    
-    case 'testVerifyPassword':
-      const verifyUsername = params.username || '4498';
-      const verifyPassword = params.password || 'likit.se4498';
-      const verifyResult = testVerifyPassword(verifyUsername, verifyPassword);
-      return ContentService.createTextOutput(JSON.stringify(verifyResult))
-                          .setMimeType(ContentService.MimeType.JSON);
-    
-    case 'testLoginStepByStep':
-      const stepUsername = params.username || '4498';
-      const stepPassword = params.password || 'likit.se4498';
-      const stepResult = testLoginStepByStep(stepUsername, stepPassword);
-      return ContentService.createTextOutput(JSON.stringify(stepResult))
-                          .setMimeType(ContentService.MimeType.JSON);
-    
-    case 'runAllLoginTests':
-      const allTestUsername = params.username || '4498';
-      const allTestPassword = params.password || 'likit.se4498';
-      const allTestResults = runAllLoginTests(allTestUsername, allTestPassword);
-      return ContentService.createTextOutput(JSON.stringify(allTestResults))
-                          .setMimeType(ContentService.MimeType.JSON);
-    
-    case 'testConfiguration':
-      const configResult = testConfiguration();
-      return ContentService.createTextOutput(JSON.stringify(configResult))
-                          .setMimeType(ContentService.MimeType.JSON);
-    
-    case 'testLoginWithFullDebug':
-      const debugUsername = params.username || '4498';
-      const debugPassword = params.password || 'likit.se4498';
-      const fullDebugResult = testLoginWithFullDebug(debugUsername, debugPassword);
-      return ContentService.createTextOutput(JSON.stringify(fullDebugResult))
-                          .setMimeType(ContentService.MimeType.JSON);
-    
-    case 'testDirectAuthentication':
-      const directUsername = params.username || '4498';
-      const directPassword = params.password || 'likit.se4498';
-      const directResult = testDirectAuthentication(directUsername, directPassword);
-      return ContentService.createTextOutput(JSON.stringify(directResult))
-                          .setMimeType(ContentService.MimeType.JSON);
-
-    default:
-      return ContentService.createTextOutput(JSON.stringify({
-        status: "error",
-        message: "Invalid action parameter"
-      })).setMimeType(ContentService.MimeType.JSON);
-  }
+  return createJSONOutput(dispatchRequest('GET', e));
 }
 
 /**
  * Handle POST request routing
+ * @param {GoogleAppsScript.Events.DoPost} e - POST request event object
+ * @returns {GoogleAppsScript.Content.TextOutput} JSON response
  */
 function handlePostRequest(e) {
-  // For POST requests with form data, use e.parameters (plural) and get first value
-  const getParam = (name) => {
-    if (e.parameters && e.parameters[name]) {
-      return e.parameters[name][0]; // Form data comes as arrays
-    }
-    if (e.parameter && e.parameter[name]) {
-      return e.parameter[name]; // URL params (fallback)
+  return createJSONOutput(dispatchRequest('POST', e));
+}
+
+/**
+ * Resolve the route of a request and enforce its declaration:
+ * method → authentication → permission → parameter schema → account access → handler
+ * (inside the script lock for routes flagged `lock`)
+ * @param {string} method - 'GET' or 'POST'
+ * @param {GoogleAppsScript.Events.DoGet|GoogleAppsScript.Events.DoPost} e - Request event object
+ * @returns {APIResponse} Handler result or the error that stopped the request
+ */
+function dispatchRequest(method, e) {
+  resetSheetReadCache();
+  const body = parseRequestBody(e);
+  if (body.error) {
+    return body.error;
+  }
+
+  const rawParams = Object.assign(getRequestParams(e), body.params);
+  const action = rawParams.action || (method === 'POST' ? DEFAULT_POST_ACTION : null);
+  const route = Object.prototype.hasOwnProperty.call(ROUTES, action) ? ROUTES[action] : null;
+
+  if (!route) {
+    return createJSONResponse('error', 'Invalid action parameter');
+  }
+
+  if (route.method !== method) {
+    return createJSONResponse('error', `Action ${action} requires ${route.method}`);
+  }
+
+  const token = rawParams.token || null;
+  let user = null;
+
+  if (route.auth !== false) {
+    const authResult = authenticateRequest({ token: token });
+    if (authResult.status === 'error') {
+      return authResult;
     }
-    return null;
-  };
-  
-  const action = getParam('action');
-  const username = getParam('username');
-  const password = getParam('password');
-  const token = getParam('token');
-  
-  // Log received parameters for debugging
-  console.log('🔍 POST Request Debug:', {
-    action: action,
-    username: username,
-    password: password ? '[HIDDEN]' : null,
-    token: token ? '[HIDDEN]' : null,
-    hasParameters: !!e.parameters,
-    hasParameter: !!e.parameter,
-    parameterKeys: e.parameter ? Object.keys(e.parameter) : [],
-    parametersKeys: e.parameters ? Object.keys(e.parameters) : []
-  });
-  
-  // Handle debug POST request (PUBLIC - no auth needed)
-  if (action === 'debugPOST') {
-    const debugResult = {
-      status: 'debug',
-      message: 'POST Parameter Debug',
-      timestamp: new Date().toISOString(),
-      debug: {
-        hasParameter: !!e.parameter,
-        hasParameters: !!e.parameters,
-        hasPostData: !!e.postData,
-        
-        // Show what we received
-        parameterKeys: e.parameter ? Object.keys(e.parameter) : [],
-        parametersKeys: e.parameters ? Object.keys(e.parameters) : [],
-        
-        // Test parameter extraction
-        extractionTest: {
-          action: getParam('action'),
-          username: getParam('username'),
-          password: getParam('password') ? '[PROVIDED]' : '[MISSING]'
-        },
-        
-        // Show raw data (sanitized)
-        rawParameter: e.parameter || {},
-        rawParameters: e.parameters || {}
+
+    if (route.permission) {
+      const userInfo = getUserInfoFromToken(token);
+      if (userInfo.status === 'error') {
+        return userInfo;
+      }
+
+      user = userInfo.user;
+      if (!checkPermission(user, route.permission)) {
+        return createJSONResponse('error', `Permission denied: ${action} requires ${route.permission}`);
       }
-    };
-    
-    // Sanitize sensitive data
-    if (debugResult.debug.rawParameter.password) {
-      debugResult.debug.rawParameter.password = '[HIDDEN]';
-    }
-    if (debugResult.debug.rawParameters.password) {
-      debugResult.debug.rawParameters.password = ['[HIDDEN]'];
     }
-    
-    return ContentService.createTextOutput(JSON.stringify(debugResult))
-                        .setMimeType(ContentService.MimeType.JSON);
   }
-  
-  // Handle debug login (PUBLIC - step by step authentication debug)
-  if (action === 'debugLogin') {
-    const debugLogs = [];
-    
-    try {
-      debugLogs.push('🔍 Starting debugLogin...');
-      debugLogs.push(`📝 Username: ${username}, Password: ${password ? '[PROVIDED]' : '[MISSING]'}`);
-      
-      if (!username || !password) {
-        return ContentService.createTextOutput(JSON.stringify({
-          status: 'debug',
-          message: 'Missing credentials',
-          logs: debugLogs,
-          error: 'Username or password not provided'
-        })).setMimeType(ContentService.MimeType.JSON);
-      }
-      
-      // Test password verification directly
-      debugLogs.push('🔐 Testing password verification...');
-      const email = 'likit.se' + username + '@company.com'; // Mock email format
-      const empId = username;
-      
-      debugLogs.push(`📧 Email: ${email}, EmpId: ${empId}`);
-      
-      // Get expected hash
-      const expectedHash = hashPassword(email, empId);
-      debugLogs.push(`🔍 Expected hash: ${expectedHash}`);
-      
-      // Test plain password hash
-      const plainHash = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, password)
-                                 .map(b => (b < 0 ? b + 256 : b).toString(16).padStart(2, '0'))
-                                 .join('');
-      debugLogs.push(`📝 Plain password hash: ${plainHash}`);
-      debugLogs.push(`✅ Hash match: ${plainHash === expectedHash}`);
-      
-      // Test full authentication
-      debugLogs.push('🚀 Testing full authentication...');
-      const authResult = authenticateUser(username, password);
-      debugLogs.push(`📊 Auth result: ${JSON.stringify(authResult)}`);
-      
-      return ContentService.createTextOutput(JSON.stringify({
-        status: 'debug',
-        message: 'Debug Login Complete',
-        logs: debugLogs,
-        authResult: authResult,
-        hashComparison: {
-          expected: expectedHash,
-          actual: plainHash,
-          match: plainHash === expectedHash
-        }
-      })).setMimeType(ContentService.MimeType.JSON);
-      
-    } catch (error) {
-      debugLogs.push(`❌ Error: ${error.message}`);
-      return ContentService.createTextOutput(JSON.stringify({
-        status: 'debug',
-        message: 'Debug Login Error',
-        logs: debugLogs,
-        error: error.message
-      })).setMimeType(ContentService.MimeType.JSON);
+
+  const parsed = parseRouteParams(route.params || {}, rawParams);
+  if (parsed.error) {
+    return parsed.error;
+  }
+
+  if (route.account) {
+    const accessResult = verifyAccountAccess(token, parsed.params[route.account], route.accountLevel);
+    if (accessResult.status === 'error') {
+      return accessResult;
     }
   }
-  
-  // Handle login request
-  if (action === 'login') {
-    if (!username || !password) {
-      const errorResponse = {
-        status: 'error',
-        message: 'ต้องระบุชื่อผู้ใช้และรหัสผ่าน',
-        timestamp: new Date().toISOString(),
-        debug: { 
-          username: !!username, 
-          password: !!password,
-          usernameValue: username,
-          passwordValue: password ? '[PROVIDED]' : null,
-          parameterExtraction: {
-            action: action,
-            fromParameters: e.parameters ? Object.keys(e.parameters) : [],
-            fromParameter: e.parameter ? Object.keys(e.parameter) : []
-          }
-        }
-      };
-      return ContentService.createTextOutput(JSON.stringify(errorResponse))
-                          .setMimeType(ContentService.MimeType.JSON);
+
+  setAuditRequestContext({ token: route.auth !== false ? token : null, user: user });
+  try {
+    const handle = () => route.handler(parsed.params, { action: action, token: token, user: user, e: e });
+    return route.lock ? withScriptLock(handle) : handle();
+  } catch (error) {
+    logError(`dispatchRequest:${action}`, error, { method: method });
+    return createJSONResponse('error', error.toString());
+  } finally {
+    setAuditRequestContext(null);
+    publishSheetWrites();
+  }
+}
+
+/**
+ * Collect request parameters into one flat object
+ * Form POSTs deliver every value as an array in e.parameters, so the first value is used.
+ * @param {GoogleAppsScript.Events.DoGet|GoogleAppsScript.Events.DoPost} e - Request event object
+ * @returns {Object<string, string>} Parameter name → value
+ */
+function getRequestParams(e) {
+  const params = {};
+  const parameters = (e && e.parameters) || {};
+  const parameter = (e && e.parameter) || {};
+
+  Object.keys(parameters).forEach(name => {
+    const value = parameters[name];
+    params[name] = Array.isArray(value) ? value[0] : value;
+  });
+  Object.keys(parameter).forEach(name => {
+    if (isEmpty(params[name])) {
+      params[name] = parameter[name];
     }
-    
-    const result = authenticateUser(username, password);
-    return ContentService.createTextOutput(JSON.stringify(result))
-                        .setMimeType(ContentService.MimeType.JSON);
+  });
+
+  return params;
+}
+
+/**
+ * Parse a JSON request body into parameters
+ * Accepts application/json and text/plain bodies; text/plain is what browsers send without
+ * a CORS preflight, which Apps Script web apps cannot answer. Form-encoded bodies are left
+ * to e.parameters. Body fields override query/form parameters of the same name.
+ * @param {GoogleAppsScript.Events.DoPost} e - Request event object
+ * @returns {{params: Object}|{error: APIResponse}} Body parameters or the parse error
+ */
+function parseRequestBody(e) {
+  const postData = e && e.postData;
+  if (!postData || !postData.contents) {
+    return { params: {} };
   }
-  
-  // Handle logout request
-  if (action === 'logout') {
-    const result = revokeToken(token);
-    return ContentService.createTextOutput(JSON.stringify({
-      status: result ? 'success' : 'error',
-      message: result ? 'ออกจากระบบสำเร็จ' : 'เกิดข้อผิดพลาด'
-    })).setMimeType(ContentService.MimeType.JSON);
+
+  const type = String(postData.type || '').toLowerCase();
+  const contents = String(postData.contents).trim();
+  const isJSONType = type.indexOf('application/json') === 0;
+
+  // Plain text that is not a JSON object is not a parameter body
+  if (!isJSONType && !(type.indexOf('text/plain') === 0 && contents.charAt(0) === '{')) {
+    return { params: {} };
   }
-  
-  // Handle password reset request (public endpoint)
-  if (action === 'resetPassword') {
-    const email = getParam('email');
-    const result = requestPasswordReset(email);
-    return ContentService.createTextOutput(JSON.stringify(result))
-                        .setMimeType(ContentService.MimeType.JSON);
+
+  let body;
+  try {
+    body = JSON.parse(contents);
+  } catch (parseError) {
+    return { error: createJSONResponse('error', 'Invalid JSON body: ' + parseError.message) };
   }
-  
-  // Handle batch trading records submission
-  if (action === 'addMultipleTrades') {
-    // Create params object for authentication
-    const authParams = { token: token };
-    const authResult = authenticateRequest(authParams);
-    if (authResult.status === 'error') {
-      return ContentService.createTextOutput(JSON.stringify(authResult))
-                          .setMimeType(ContentService.MimeType.JSON);
-    }
-    
-    const tradesData = getParam('tradesData');
-    const result = addMultipleTrades(tradesData, token);
-    return ContentService.createTextOutput(JSON.stringify(result))
-                        .setMimeType(ContentService.MimeType.JSON);
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: createJSONResponse('error', 'JSON body must be an object') };
   }
-  
-  // Handle single trading record submission (backward compatibility)
-  // Check if token is provided for authentication
-  if (token) {
-    const authParams = { token: token };
-    const authResult = authenticateRequest(authParams);
-    if (authResult.status === 'error') {
-      return ContentService.createTextOutput(JSON.stringify(authResult))
-                          .setMimeType(ContentService.MimeType.JSON);
+
+  return { params: body };
+}
+
+/**
+ * Validate and coerce request parameters against a route's parameter schema
+ * Only declared parameters are passed on; empty strings count as missing.
+ * @param {Object<string, RouteParam>} schema - Route parameter schema
+ * @param {Object<string, *>} rawParams - Request parameters (body values keep their JSON types)
+ * @returns {{params: Object}|{error: APIResponse}} Coerced parameters or the validation error
+ */
+function parseRouteParams(schema, rawParams) {
+  const params = {};
+  const missing = [];
+  const invalid = [];
+
+  Object.keys(schema).forEach(name => {
+    const rule = schema[name];
+    const raw = rawParams[name];
+
+    if (raw === undefined || raw === null || raw === '') {
+      if (rule.required) {
+        missing.push(name);
+      } else if (rule.default !== undefined) {
+        params[name] = rule.default;
+      }
+      return;
     }
-    
-    // Verify access to the account
-    const accountId = getParam('accountId');
-    const accessResult = verifyAccountAccess(token, accountId);
-    if (accessResult.status === 'error') {
-      return ContentService.createTextOutput(JSON.stringify(accessResult))
-                          .setMimeType(ContentService.MimeType.JSON);
+
+    let value = raw;
+    if (rule.type === 'array' || rule.type === 'object') {
+      // Native JSON values from a body, or JSON text from a query/form field
+      if (typeof value === 'string') {
+        try {
+          value = JSON.parse(value);
+        } catch (parseError) {
+          invalid.push(`${name} must be JSON`);
+          return;
+        }
+      }
+      const isArray = Array.isArray(value);
+      if ((rule.type === 'array') !== isArray || !value || typeof value !== 'object') {
+        invalid.push(`${name} must be ${rule.type === 'array' ? 'an array' : 'an object'}`);
+        return;
+      }
+    } else if (typeof raw === 'object') {
+      invalid.push(`${name} must be a ${rule.type}`);
+      return;
+    } else if (rule.type === 'number' || rule.type === 'integer') {
+      value = rule.type === 'integer' ? Number(raw) : parseFloat(raw);
+      if (isNaN(value) || (rule.type === 'integer' && !Number.isInteger(value))) {
+        invalid.push(`${name} must be ${rule.type === 'integer' ? 'an integer' : 'a number'}`);
+        return;
+      }
+      if (rule.min !== undefined && value < rule.min) {
+        invalid.push(`${name} must be at least ${rule.min}`);
+        return;
+      }
+    } else if (rule.type === 'boolean') {
+      value = String(raw).toLowerCase() === 'true';
+    } else {
+      value = String(raw);
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+      invalid.push(`${name} must be one of ${rule.enum.join(', ')}`);
+      return;
     }
+
+    params[name] = value;
+  });
+
+  if (missing.length > 0) {
+    return { error: createJSONResponse('error', `${CONFIG.MESSAGES.MISSING_PARAMETERS}: ${missing.join(', ')}`, { missing: missing }) };
   }
-  
-  const result = addTrade(
-    getParam('accountId'),
-    getParam('assetId'),
-    parseFloat(getParam('startBalance') || '0'),
-    parseFloat(getParam('dailyProfit') || '0'),
-    parseFloat(getParam('lotSize') || '0'),
-    getParam('notes') || '',
-    getParam('tradeDate') || ''
-  );
-  
+
+  if (invalid.length > 0) {
+    return { error: createJSONResponse('error', `Invalid parameters: ${invalid.join('; ')}`, { invalid: invalid }) };
+  }
+
+  return { params: params };
+}
+
+/**
+ * Wrap a response object as JSON text output
+ * @param {Object} result - Response object
+ * @returns {GoogleAppsScript.Content.TextOutput} JSON response
+ */
+function createJSONOutput(result) {
   return ContentService.createTextOutput(JSON.stringify(result))
                       .setMimeType(ContentService.MimeType.JSON);
-}
\ No newline at end of file
+}
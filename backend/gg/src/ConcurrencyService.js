@@ -0,0 +1,224 @@
+/**
+ * Concurrency Service - Serialize journal writes and make retried submissions safe
+ * Routes flagged `lock: true` run inside the script lock (see dispatchRequest()), and
+ * writes that carry a client-supplied idempotency key store their response in the
+ * IdempotencyKeys sheet so a retry returns it instead of writing again.
+ * @requires Config.js - For CONFIG.CONCURRENCY and CONFIG.SHEETS.IDEMPOTENCY_KEYS
+ * @requires SchemaService.js - For field-based sheet access
+ * @requires SheetCacheService.js - For publishSheetWrites
+ * @created 2025-10-19
+ */
+
+/**
+ * How many withScriptLock() calls of this execution hold the lock
+ * Nested calls (addMultipleTrades -> addTrade) reuse the lock instead of waiting on themselves.
+ */
+let scriptLockDepth = 0;
+
+/**
+ * Run a function while holding the script lock
+ * Pending sheet writes are flushed before the lock is released so the next
+ * execution reads them.
+ * @param {function(): APIResponse} fn - Work to do under the lock
+ * @returns {APIResponse} Result of `fn`, or a retryable error when the lock is busy
+ */
+function withScriptLock(fn) {
+  if (scriptLockDepth > 0) {
+    return fn();
+  }
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(CONFIG.CONCURRENCY.LOCK_TIMEOUT_MS)) {
+    console.warn(`Script lock busy for ${CONFIG.CONCURRENCY.LOCK_TIMEOUT_MS} ms`);
+    return createJSONResponse('error', 'ระบบกำลังบันทึกข้อมูลอื่นอยู่ กรุณาลองใหม่อีกครั้ง', { retryable: true });
+  }
+
+  scriptLockDepth++;
+  try {
+    return fn();
+  } finally {
+    scriptLockDepth--;
+    SpreadsheetApp.flush();
+    publishSheetWrites();
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Run a write at most once per idempotency key
+ * Keys belong to the calling user. The first successful response is stored; a retry
+ * with the same key and the same request gets it back with `idempotentReplay: true`,
+ * a retry with a different request is refused. Errors are not stored, so a failed
+ * write can be retried with its key. A response that could not be stored is still
+ * returned (a retry then writes again).
+ * @param {string} [key] - Client-supplied idempotency key (no deduplication when empty)
+ * @param {string} action - Operation the key is used for, e.g. 'addTrade'
+ * @param {*} request - Normalized request; a retry must send the same values
+ * @param {function(): APIResponse} fn - The write
+ * @returns {APIResponse} Stored or fresh response
+ */
+function withIdempotencyKey(key, action, request, fn) {
+  if (isEmpty(key)) {
+    return fn();
+  }
+
+  const idempotencyKey = String(key).trim();
+  const invalid = validateIdempotencyKey(idempotencyKey);
+  if (invalid) {
+    return invalid;
+  }
+
+  const userId = getAuditActor();
+  const requestHash = hashIdempotencyRequest(request);
+
+  return withScriptLock(() => {
+    const stored = readIdempotencyKeys(userId)[idempotencyKey];
+    if (stored) {
+      return replayIdempotencyRecord(stored, action, requestHash);
+    }
+
+    const response = fn();
+    if (response.status !== 'error') {
+      // The write already happened; failing to store its key must not report it as failed
+      try {
+        appendSheetRecord(CONFIG.SHEETS.IDEMPOTENCY_KEYS,
+          toIdempotencyRecord(idempotencyKey, userId, action, requestHash, response));
+      } catch (error) {
+        logError('withIdempotencyKey', error, { idempotencyKey, action });
+      }
+    }
+    return response;
+  });
+}
+
+/**
+ * Check the length of an idempotency key
+ * @param {string} idempotencyKey - Trimmed key
+ * @returns {APIResponse|null} Error response, or null when the key can be used
+ */
+function validateIdempotencyKey(idempotencyKey) {
+  if (idempotencyKey.length > CONFIG.CONCURRENCY.MAX_KEY_LENGTH) {
+    return createJSONResponse('error', `idempotencyKey must be at most ${CONFIG.CONCURRENCY.MAX_KEY_LENGTH} characters`);
+  }
+  return null;
+}
+
+/**
+ * Hash a normalized request so a retry can be compared with the stored one
+ * @param {*} request - Normalized request
+ * @returns {string} SHA-256 hex digest of its JSON
+ */
+function hashIdempotencyRequest(request) {
+  return bytesToHex(Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, JSON.stringify(request)));
+}
+
+/**
+ * Read the unexpired idempotency keys of a user (expired keys are removed first)
+ * Callers must hold the script lock.
+ * @param {string} userId - EmpId the keys belong to
+ * @returns {Object<string, Object>} IdempotencyKeys records keyed by idempotency key
+ */
+function readIdempotencyKeys(userId) {
+  ensureSheet(CONFIG.SHEETS.IDEMPOTENCY_KEYS);
+  cleanupIdempotencyKeys();
+
+  const keys = {};
+  readSheetRecords(CONFIG.SHEETS.IDEMPOTENCY_KEYS).records.forEach(record => {
+    const idempotencyKey = String(record.idempotencyKey);
+    if (String(record.userId) === userId && !keys[idempotencyKey]) {
+      keys[idempotencyKey] = record;
+    }
+  });
+  return keys;
+}
+
+/**
+ * Answer a request whose key is already stored
+ * @param {Object} stored - IdempotencyKeys record of the key
+ * @param {string} action - Operation of the new request
+ * @param {string} requestHash - Hash of the new request (hashIdempotencyRequest)
+ * @returns {APIResponse} Stored response with `idempotentReplay: true`, or an error when the request differs
+ */
+function replayIdempotencyRecord(stored, action, requestHash) {
+  if (stored.action !== action || stored.requestHash !== requestHash) {
+    return createJSONResponse('error', 'idempotencyKey นี้ถูกใช้กับคำขออื่นไปแล้ว', { idempotencyKey: String(stored.idempotencyKey) });
+  }
+  console.log(`Replaying ${action} for idempotency key ${stored.idempotencyKey}`);
+  return Object.assign(JSON.parse(stored.response), { idempotentReplay: true });
+}
+
+/**
+ * Build the IdempotencyKeys record that stores a response
+ * @param {string} idempotencyKey - Trimmed key
+ * @param {string} userId - EmpId the key belongs to
+ * @param {string} action - Operation the key was used for
+ * @param {string} requestHash - Hash of the request (hashIdempotencyRequest)
+ * @param {APIResponse} response - Response to replay on retries
+ * @returns {Object} Record keyed by CONFIG.FIELDS.IDEMPOTENCY_KEYS fields
+ */
+function toIdempotencyRecord(idempotencyKey, userId, action, requestHash, response) {
+  return {
+    idempotencyKey: idempotencyKey,
+    userId: userId,
+    action: action,
+    requestHash: requestHash,
+    response: serializeIdempotencyResponse(response),
+    createdAt: new Date()
+  };
+}
+
+/**
+ * Serialize a response for the Response cell, within CONFIG.CONCURRENCY.MAX_STORED_RESPONSE_LENGTH
+ * A longer response is marked `responseTruncated: true` and keeps its top-level values
+ * that are not arrays or objects (status, message, id, batch counts) plus the index,
+ * status and id of each batch result; when even that is too long the results are dropped.
+ * @param {APIResponse} response - Response to replay on retries
+ * @returns {string} JSON of the response to store
+ */
+function serializeIdempotencyResponse(response) {
+  const maxLength = CONFIG.CONCURRENCY.MAX_STORED_RESPONSE_LENGTH;
+  const json = JSON.stringify(response);
+  if (json.length <= maxLength) {
+    return json;
+  }
+
+  const scalars = { responseTruncated: true };
+  Object.keys(response).forEach(key => {
+    if (response[key] === null || typeof response[key] !== 'object') {
+      scalars[key] = response[key];
+    }
+  });
+
+  if (Array.isArray(response.results)) {
+    const compact = JSON.stringify(Object.assign({}, scalars, {
+      results: response.results.map(result => ({ index: result.index, status: result.status, id: result.id || null }))
+    }));
+    if (compact.length <= maxLength) {
+      return compact;
+    }
+  }
+
+  console.warn(`Stored idempotent response trimmed from ${json.length} characters`);
+  return JSON.stringify(scalars);
+}
+
+/**
+ * Remove idempotency keys older than CONFIG.CONCURRENCY.IDEMPOTENCY_TTL_HOURS
+ * @returns {number} Number of rows removed
+ */
+function cleanupIdempotencyKeys() {
+  const data = readSheetRecords(CONFIG.SHEETS.IDEMPOTENCY_KEYS);
+  const cutoff = Date.now() - minutesToMs(CONFIG.CONCURRENCY.IDEMPOTENCY_TTL_HOURS * 60);
+  let removed = 0;
+
+  // Bottom-up so row numbers stay valid while deleting
+  for (let i = data.records.length - 1; i >= 0; i--) {
+    const createdAt = toSessionDate(data.records[i].createdAt);
+    if (!createdAt || createdAt.getTime() < cutoff) {
+      data.sheet.deleteRow(i + 2);
+      removed++;
+    }
+  }
+
+  return removed;
+}
@@ -26,7 +26,11 @@ const CONFIG = {
     ACCOUNTS: 'Accounts',
     ASSETS: 'Assets',
     USER: 'user',
-    USER_TOKENS: 'UserTokens'
+    USER_TOKENS: 'UserTokens',
+    PASSWORD_RESETS: 'PasswordResets',
+    AUDIT_LOG: 'AuditLog',
+    ACCOUNT_MEMBERS: 'AccountMembers',
+    IDEMPOTENCY_KEYS: 'IdempotencyKeys'
   },
   
   /** 
@@ -41,7 +45,10 @@ const CONFIG = {
     INVALID_ASSET: 'รหัสสินทรัพย์ไม่ถูกต้อง',
     MISSING_PARAMETERS: 'ข้อมูลไม่ครบถ้วน',
     TRADE_ADDED_SUCCESS: 'บันทึกข้อมูลการเทรดเรียบร้อยแล้ว',
-    DATA_RETRIEVED_SUCCESS: 'ดึงข้อมูลเรียบร้อยแล้ว'
+    DATA_RETRIEVED_SUCCESS: 'ดึงข้อมูลเรียบร้อยแล้ว',
+    INVALID_CREDENTIALS: 'ชื่อผู้ใช้หรือรหัสผ่านไม่ถูกต้อง',
+    PASSWORD_CHANGE_REQUIRED: 'กรุณาตั้งรหัสผ่านใหม่ก่อนเข้าสู่ระบบ',
+    PASSWORD_RESET_REQUIRED: 'รหัสผ่านแบบเดิมใช้ไม่ได้แล้ว กรุณาขอลิงก์ตั้งรหัสผ่านใหม่ทางอีเมล'
   },
   
   /** 
@@ -52,46 +59,291 @@ const CONFIG = {
   DEFAULTS: {
     CURRENCY: 'USD',
     TIMEZONE: 'Asia/Bangkok',
-    DECIMAL_PLACES: 2
+    DECIMAL_PLACES: 2,
+    DUPLICATE_DATE_POLICY: 'allow'
   },
   
   /** 
-   * Column Mappings for Google Sheets
-   * Zero-based column indices for programmatic access to sheet data
+   * Duplicate Trade Date Policies
+   * How a new trade is handled when its account already has a trade on that date.
+   * Set per account in the Accounts sheet column 'Duplicate Date Policy'
+   * (empty = DEFAULTS.DUPLICATE_DATE_POLICY)
    * @readonly
    */
-  COLUMNS: {
+  DUPLICATE_DATE_POLICIES: {
+    ALLOW: 'allow',     // Append another row for the same day
+    REJECT: 'reject',   // Refuse the new trade
+    MERGE: 'merge',     // Add profit and lot size into the existing day
+    REPLACE: 'replace'  // Overwrite the existing day with the new values
+  },
+  
+  /** 
+   * Trading History Query Settings
+   * Defaults and limits for getTradingHistory filtering, sorting and paging
+   * @readonly
+   */
+  HISTORY: {
+    DEFAULT_SORT_FIELD: 'tradeDate',
+    DEFAULT_SORT_DIRECTION: 'desc',
+    MAX_PAGE_SIZE: 500,
+    SORT_FIELDS: ['tradeDate', 'timestamp', 'dailyProfit', 'startBalance', 'endBalance', 'lotSize', 'assetId'],
+    PROFIT_FILTERS: ['positive', 'negative', 'zero']
+  },
+  
+  /** 
+   * Session (Token) Lifetime Settings
+   * An access token expires ABSOLUTE_TTL_MINUTES after it was issued ('Created At' at
+   * login, 'Refreshed At' after a refresh) or IDLE_TTL_MINUTES after it was last used
+   * ('Last Seen At'), whichever comes first. Refresh tokens can obtain new pairs until
+   * REFRESH_TTL_MINUTES after login; refreshing does not extend that window.
+   * 'Last Seen At' is written at most every LAST_SEEN_UPDATE_MINUTES.
+   * A user may keep MAX_SESSIONS_PER_USER sessions (devices) at once; logging in
+   * beyond that drops the least recently used one.
+   * @readonly
+   */
+  SESSION: {
+    ABSOLUTE_TTL_MINUTES: 12 * 60,
+    IDLE_TTL_MINUTES: 60,
+    REFRESH_TTL_MINUTES: 7 * 24 * 60,
+    LAST_SEEN_UPDATE_MINUTES: 1,
+    MAX_SESSIONS_PER_USER: 10
+  },
+  
+  /** 
+   * Password Hashing and Policy Settings
+   * Passwords are stored as "sha256$<iterations>$<salt>$<hash>": SHA-256 of salt +
+   * password, re-digested with the password ITERATIONS times. Each hash keeps its own
+   * iteration count, so raising ITERATIONS only affects passwords set afterwards.
+   * Unsalted 64-character hashes from the old emailPrefix+EmpId scheme still verify,
+   * but their owners must set a new password before a session is issued.
+   * @readonly
+   */
+  PASSWORD: {
+    SCHEME: 'sha256',
+    ITERATIONS: 5000,
+    MIN_LENGTH: 8,
+    MAX_LENGTH: 128
+  },
+  
+  /** 
+   * Password Reset Link Settings
+   * A reset link carries a single-use token that expires TOKEN_TTL_MINUTES after it
+   * was requested; only its SHA-256 is stored. Links point at the frontend's
+   * forgot-password.html, set in the script property named by PAGE_URL_PROPERTY
+   * (falls back to PAGE_URL).
+   * @readonly
+   */
+  PASSWORD_RESET: {
+    TOKEN_TTL_MINUTES: 30,
+    PAGE_URL_PROPERTY: 'PASSWORD_RESET_URL',
+    PAGE_URL: ''
+  },
+  
+  /** 
+   * Roles and Permissions
+   * The single place that says what each role may do. Routes declare the permission
+   * they need (`permission` in Routes.js) and the menu is built from getMyPermissions.
+   * Any signed-in user may read the accounts they have access to; permissions cover the rest.
+   * Role names stored in the user sheet are resolved through ROLE_ALIASES first;
+   * unknown or empty roles are treated as DEFAULT_ROLE.
+   * @readonly
+   */
+  ROLES: {
+    viewer: [],
+    trader: ['trade:create', 'trade:delete', 'report:view'],
+    analyst: ['report:view'],
+    admin: ['trade:create', 'trade:delete', 'report:view', 'user:manage', 'system:admin']
+  },
+  ROLE_ALIASES: {
+    user: 'trader' // Role of every non-admin user before roles existed
+  },
+  DEFAULT_ROLE: 'viewer',
+  
+  /** 
+   * Account Access Levels
+   * Rows of the AccountMembers sheet give a user one level on one account. Each level
+   * includes the ones ranked below it: viewers read, editors also add and edit trades,
+   * owners also delete them. Users with 'system:admin' act as owner of every account.
+   * @readonly
+   */
+  ACCOUNT_ACCESS_LEVELS: {
+    viewer: 1,
+    editor: 2,
+    owner: 3
+  },
+  
+  /** 
+   * Login Throttling Settings
+   * Failed password checks are counted per username and per client ID (a random ID
+   * each browser keeps; Apps Script does not see client IPs) in Script Properties.
+   * From BACKOFF_AFTER_FAILURES failures on, the next attempt must wait BACKOFF_BASE_SECONDS,
+   * doubling per failure up to BACKOFF_MAX_SECONDS. MAX_FAILURES (CLIENT_MAX_FAILURES for a client)
+   * locks further attempts for LOCKOUT_MINUTES. Counters start over once
+   * FAILURE_WINDOW_MINUTES pass without a failure, or after a successful login.
+   * At most MAX_ENTRIES counters are kept; a new one first sweeps expired counters
+   * and then drops the oldest unlocked ones.
+   * @readonly
+   */
+  LOGIN_THROTTLE: {
+    PROPERTY_PREFIX: 'LOGIN_THROTTLE:',
+    MAX_FAILURES: 5,
+    CLIENT_MAX_FAILURES: 20,
+    BACKOFF_AFTER_FAILURES: 2,
+    BACKOFF_BASE_SECONDS: 1,
+    BACKOFF_MAX_SECONDS: 30,
+    LOCKOUT_MINUTES: 15,
+    FAILURE_WINDOW_MINUTES: 15,
+    MAX_ENTRIES: 500
+  },
+  
+  /**
+   * Audit Log Settings
+   * Entries are written by writeAuditLog() and read by getAuditLog() a page at a time
+   * @readonly
+   */
+  AUDIT_LOG: {
+    DEFAULT_PAGE_SIZE: 50,
+    MAX_PAGE_SIZE: 500
+  },
+  
+  /**
+   * Concurrency Settings
+   * Journal writes wait up to LOCK_TIMEOUT_MS for the script lock. Responses to
+   * writes sent with an idempotencyKey are kept for IDEMPOTENCY_TTL_HOURS; a stored
+   * response longer than MAX_STORED_RESPONSE_LENGTH is trimmed to what a replay needs
+   * (a sheet cell holds at most 50,000 characters).
+   * @readonly
+   */
+  CONCURRENCY: {
+    LOCK_TIMEOUT_MS: 10000,
+    IDEMPOTENCY_TTL_HOURS: 24,
+    MAX_KEY_LENGTH: 100,
+    MAX_STORED_RESPONSE_LENGTH: 45000
+  },
+  
+  /**
+   * Sheet Read Cache Settings
+   * Reads of the sheets in SHEET_KEYS are memoized per request and kept in the script
+   * cache for TTL_SECONDS. CacheService values are limited to 100 KB, so the values are
+   * stored in CHUNK_SIZE pieces; sheets larger than MAX_CHUNKS pieces are only memoized.
+   * Version stamps (VERSION_TTL_SECONDS) change on every write; see SheetCacheService.js.
+   * @readonly
+   */
+  CACHE: {
+    SHEET_KEYS: ['ACCOUNTS', 'ASSETS', 'TRADING_JOURNAL'],
+    TTL_SECONDS: 600,
+    VERSION_TTL_SECONDS: 21600,
+    CHUNK_SIZE: 90000,
+    MAX_CHUNKS: 50
+  },
+
+  /**
+   * Performance Metrics Settings
+   * RISK_FREE_RATE is the annual rate in percent used by getPerformanceMetrics when the
+   * request does not give one; ratios are annualized over TRADING_DAYS_PER_YEAR.
+   * @readonly
+   */
+  ANALYTICS: {
+    RISK_FREE_RATE: 0,
+    TRADING_DAYS_PER_YEAR: 252
+  },
+  
+  /** 
+   * API Response Formats
+   * Read endpoints return camelCase DTOs (see Types.js) unless the request
+   * asks for the legacy sheet-header shape with `format=raw`
+   * @readonly
+   */
+  RESPONSE_FORMATS: {
+    DTO: 'dto',  // camelCase keys (TradeRecord, Account, Asset)
+    RAW: 'raw'   // Keys are the sheet header names
+  },
+  
+  /** 
+   * Field Mappings for Google Sheets
+   * Maps logical field names to the header text of each sheet. Column positions
+   * are resolved from the live header row at runtime (see SchemaService.js),
+   * so sheet columns may be reordered or extra columns added freely.
+   * @readonly
+   */
+  FIELDS: {
     TRADING_JOURNAL: {
-      TRANSACTION_ID: 0,
-      TIMESTAMP: 1,
-      ACCOUNT_ID: 2,
-      ASSET_ID: 3,
-      START_BALANCE: 4,
-      DAILY_PROFIT: 5,
-      END_BALANCE: 6,
-      LOT_SIZE: 7,
-      NOTES: 8,
-      TRADE_DATE: 9
+      transactionId: 'Transaction_ID',
+      timestamp: 'Timestamp',
+      accountId: 'Account ID',
+      assetId: 'Asset ID',
+      startBalance: 'เงินต้นเริ่มต้นวัน (USD)',
+      dailyProfit: 'กำไร/ขาดทุนรายวัน (USD)',
+      endBalance: 'เงินรวมสิ้นวัน (USD)',
+      lotSize: 'Lot Size',
+      notes: 'หมายเหตุ',
+      tradeDate: 'Trade Date',
+      deletedAt: 'Deleted At',
+      deletedBy: 'Deleted By',
+      deleteReason: 'Delete Reason'
     },
     ACCOUNTS: {
-      ACCOUNT_ID: 0,
-      ACCOUNT_NAME: 1,
-      OWNER_NAME: 2,
-      INITIAL_CAPITAL: 3
+      accountId: 'Account ID',
+      accountName: 'ชื่อบัญชี',
+      ownerName: 'ชื่อผู้ใช้/เจ้าของ',
+      initialCapital: 'เงินต้นเริ่มต้น (USD)',
+      duplicateDatePolicy: 'Duplicate Date Policy'
     },
     ASSETS: {
-      ASSET_ID: 0,
-      ASSET_NAME: 1,
-      ASSET_TYPE: 2,
-      NOTES: 3
+      assetId: 'Asset ID',
+      assetName: 'ชื่อสินทรัพย์',
+      assetType: 'ประเภท',
+      notes: 'หมายเหตุ'
     },
     USER: {
-      EMP_ID: 0,
-      FULL_NAME_TH: 1,
-      EMAIL: 2,
-      ROLE: 3,
-      USER_STATUS: 4,
-      PASSWORD: 5
+      empId: 'EmpId',
+      fullName: 'FullNameTH',
+      email: 'Email',
+      role: 'Role',
+      status: 'Userstatus',
+      password: 'password',
+      mustChangePassword: 'Must Change Password'
+    },
+    USER_TOKENS: {
+      userId: 'User ID',
+      token: 'Token',
+      createdAt: 'Created At',
+      lastSeenAt: 'Last Seen At',
+      refreshToken: 'Refresh Token',
+      refreshedAt: 'Refreshed At',
+      sessionId: 'Session ID',
+      deviceLabel: 'Device',
+      userAgent: 'User Agent'
+    },
+    PASSWORD_RESETS: {
+      tokenHash: 'Token Hash',
+      userId: 'User ID',
+      createdAt: 'Created At',
+      expiresAt: 'Expires At',
+      usedAt: 'Used At'
+    },
+    ACCOUNT_MEMBERS: {
+      accountId: 'Account ID',
+      userId: 'User ID',
+      accessLevel: 'Access Level',
+      addedAt: 'Added At'
+    },
+    AUDIT_LOG: {
+      timestamp: 'Timestamp',
+      actor: 'Actor',
+      action: 'Action',
+      targetId: 'Target ID',
+      before: 'Before',
+      after: 'After',
+      details: 'Details'
+    },
+    IDEMPOTENCY_KEYS: {
+      idempotencyKey: 'Idempotency Key',
+      userId: 'User ID',
+      action: 'Action',
+      requestHash: 'Request Hash',
+      response: 'Response',
+      createdAt: 'Created At'
     }
   }
 };
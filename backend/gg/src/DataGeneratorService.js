@@ -256,7 +256,6 @@ function addGeneratedTradesToSystemDirect(generatedTrades) {
   try {
     console.log(`Adding ${generatedTrades.length} trades directly to sheet...`);
     
-    const sheet = getSheet(CONFIG.SHEETS.TRADING_JOURNAL);
     const results = [];
     let successCount = 0;
     let errorCount = 0;
@@ -272,22 +271,23 @@ function addGeneratedTradesToSystemDirect(generatedTrades) {
         // Calculate ending balance
         const endBalance = trade.startBalance + trade.dailyProfit;
 
-        // Prepare data row - matching the exact format of your existing data
-        const newRow = [
-          transactionId,
-          timestamp,
-          parseFloat(trade.accountId), // Convert to number to match existing data
-          parseFloat(trade.assetId),   // Convert to number to match existing data
-          trade.startBalance,
-          trade.dailyProfit,
-          endBalance,
-          trade.lotSize,
-          trade.notes,
-          trade.tradeDate
-        ];
+        // Prepare record - matching the exact format of your existing data
+        const record = {
+          transactionId: transactionId,
+          timestamp: timestamp,
+          accountId: parseFloat(trade.accountId), // Convert to number to match existing data
+          assetId: parseFloat(trade.assetId),     // Convert to number to match existing data
+          startBalance: trade.startBalance,
+          dailyProfit: trade.dailyProfit,
+          endBalance: endBalance,
+          lotSize: trade.lotSize,
+          notes: trade.notes,
+          tradeDate: trade.tradeDate
+        };
 
         // Add to sheet
-        sheet.appendRow(newRow);
+        appendSheetRecord(CONFIG.SHEETS.TRADING_JOURNAL, record);
+        writeAuditLog({ action: 'trade.create', targetId: transactionId, after: serializeTrade(record), details: { generated: true } });
         console.log(`Added trade ${i + 1}/${generatedTrades.length}: ${transactionId} on ${trade.tradeDate}`);
 
         results.push({
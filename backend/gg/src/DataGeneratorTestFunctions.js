@@ -142,7 +142,7 @@ function showCurrentTradingDataSummary(accountId = '405911362') {
       
       if (trades.length > 0) {
         // Find date range
-        const dates = trades.map(t => new Date(t['Trade Date']));
+        const dates = trades.map(t => new Date(t.tradeDate));
         const minDate = new Date(Math.min(...dates));
         const maxDate = new Date(Math.max(...dates));
         
@@ -154,7 +154,7 @@ function showCurrentTradingDataSummary(accountId = '405911362') {
         let losses = 0;
         
         trades.forEach(trade => {
-          const profit = parseFloat(trade['กำไร/ขาดทุนรายวัน (USD)']);
+          const profit = trade.dailyProfit;
           totalProfit += profit;
           if (profit > 0) wins++;
           else if (profit < 0) losses++;
@@ -168,11 +168,11 @@ function showCurrentTradingDataSummary(accountId = '405911362') {
         // Show last trade
         const lastTrade = trades[0]; // Assuming sorted by newest first
         console.log('Last Trade:', {
-          date: lastTrade['Trade Date'],
-          asset: lastTrade['Asset ID'],
-          profit: lastTrade['กำไร/ขาดทุนรายวัน (USD)'],
-          balance: lastTrade['เงินรวมสิ้นวัน (USD)'],
-          notes: lastTrade['หมายเหตุ']
+          date: lastTrade.tradeDate,
+          asset: lastTrade.assetId,
+          profit: lastTrade.dailyProfit,
+          balance: lastTrade.endBalance,
+          notes: lastTrade.notes
         });
       }
     } else {
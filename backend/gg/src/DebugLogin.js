@@ -24,9 +24,9 @@ function debugPOSTRequest(e) {
       parameterKeys: e.parameter ? Object.keys(e.parameter) : [],
       parametersKeys: e.parameters ? Object.keys(e.parameters) : [],
       
-      // Actual parameter values (sanitized)
-      parameter: e.parameter || {},
-      parameters: e.parameters || {},
+      // Actual parameter values (sanitized below, so copied rather than referenced)
+      parameter: Object.assign({}, e.parameter),
+      parameters: Object.assign({}, e.parameters),
       
       // POST data info
       postData: e.postData ? {
@@ -58,17 +58,78 @@ function debugPOSTRequest(e) {
   };
   
   // Sanitize sensitive data
-  if (result.debug.parameter && result.debug.parameter.password) {
-    result.debug.parameter.password = '[HIDDEN]';
-  }
-  if (result.debug.parameters && result.debug.parameters.password) {
-    result.debug.parameters.password = ['[HIDDEN]'];
-  }
+  ['password', 'currentPassword', 'newPassword', 'token', 'refreshToken', 'resetToken'].forEach(name => {
+    if (result.debug.parameter && result.debug.parameter[name]) {
+      result.debug.parameter[name] = '[HIDDEN]';
+    }
+    if (result.debug.parameters && result.debug.parameters[name]) {
+      result.debug.parameters[name] = ['[HIDDEN]'];
+    }
+  });
   
   console.log('POST Debug Result:', result);
   return result;
 }
 
+/**
+ * Step-by-step authentication debug (debugLogin endpoint)
+ * Checks the password against the stored hash, then runs authenticateUser
+ */
+function debugLoginSteps(username, password) {
+  const debugLogs = [];
+  
+  try {
+    debugLogs.push('🔍 Starting debugLogin...');
+    debugLogs.push(`📝 Username: ${username}, Password: ${password ? '[PROVIDED]' : '[MISSING]'}`);
+    
+    if (!username || !password) {
+      return {
+        status: 'debug',
+        message: 'Missing credentials',
+        logs: debugLogs,
+        error: 'Username or password not provided'
+      };
+    }
+    
+    // Test password verification directly
+    debugLogs.push('🔐 Testing password verification...');
+    const match = findActiveUser(username);
+    const storedHash = match ? parsePasswordHash(match.record.password) : null;
+    const passwordMatch = match ? verifyPassword(password, match.record.password) : false;
+    
+    debugLogs.push(`👤 Active user found: ${!!match}`);
+    debugLogs.push(`🔍 Stored hash scheme: ${storedHash ? storedHash.scheme : 'none'}`);
+    debugLogs.push(`✅ Password match: ${passwordMatch}`);
+    
+    // Test full authentication
+    debugLogs.push('🚀 Testing full authentication...');
+    const authResult = authenticateUser(username, password);
+    debugLogs.push(`📊 Auth result: ${JSON.stringify(authResult)}`);
+    
+    return {
+      status: 'debug',
+      message: 'Debug Login Complete',
+      logs: debugLogs,
+      authResult: authResult,
+      hashComparison: {
+        scheme: storedHash ? storedHash.scheme : null,
+        iterations: storedHash ? storedHash.iterations : null,
+        match: passwordMatch,
+        passwordChangeRequired: match ? requiresPasswordChange(match.record) : false
+      }
+    };
+    
+  } catch (error) {
+    debugLogs.push(`❌ Error: ${error.message}`);
+    return {
+      status: 'debug',
+      message: 'Debug Login Error',
+      logs: debugLogs,
+      error: error.message
+    };
+  }
+}
+
 /**
  * Enhanced Login Test with Full Debug
  * Tests the entire login process with detailed logging
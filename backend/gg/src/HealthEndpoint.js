@@ -1,42 +0,0 @@
-/**
- * Instructions to add Health Check Endpoint to Code.js
- * 
- * 1. In handleGetRequest function, find the publicEndpoints array and update it to:
- */
-
-const publicEndpoints = ['getAccounts', 'getAssets', 'ping', 'status', 'health'];
-
-/**
- * 2. In the switch statement of handleGetRequest, add this case before the default case:
- */
-
-/*
-case 'ping':
-case 'status':
-case 'health':
-  // Public endpoint to test if deployment is working
-  const healthResult = {
-    status: 'success',
-    message: 'GAS deployment is working',
-    timestamp: new Date().toISOString(),
-    deployment: {
-      active: true,
-      version: 'updated',
-      endpoints: [
-        'ping', 'status', 'health',
-        'getAccounts', 'getAssets', 
-        'testGetUserData', 'testFindUser',
-        'testLoginWithFullDebug', 'testDirectAuthentication'
-      ]
-    }
-  };
-  return ContentService.createTextOutput(JSON.stringify(healthResult))
-                      .setMimeType(ContentService.MimeType.JSON);
-*/
-
-/**
- * 3. After adding this, the health endpoint will be available at:
- * https://your-gas-url/exec?action=ping
- * https://your-gas-url/exec?action=status  
- * https://your-gas-url/exec?action=health
- */
\ No newline at end of file
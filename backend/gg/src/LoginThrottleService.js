@@ -0,0 +1,334 @@
+/**
+ * Login Throttle Service - Slow down and lock out repeated failed logins
+ * Failure counters are kept per username and per client ID in Script Properties, at most
+ * CONFIG.LOGIN_THROTTLE.MAX_ENTRIES of them; every failed and blocked attempt is written to the audit log
+ * @requires Config.js - For CONFIG.LOGIN_THROTTLE
+ * @requires AuditService.js - For writeAuditLog
+ * @created 2025-10-19
+ */
+
+/**
+ * @typedef {Object} LoginThrottleEntry - Failure counter stored as JSON in a script property
+ * @property {number} failures - Failed attempts in the current window
+ * @property {number} lastFailureAt - Time of the last failure (ms since epoch)
+ * @property {number} lockedUntil - End of the lockout (ms since epoch), 0 when not locked
+ */
+
+/**
+ * Get the throttle key for a login name
+ * Known users are counted by EmpId so switching between EmpId and email does not reset
+ * the counter; unknown names are counted as typed so they are throttled the same way.
+ * @param {string} username - EmpId or email as entered
+ * @param {{record: Object}|null} match - Active user row from findActiveUser
+ * @returns {string} Counter ID
+ */
+function getLoginThrottleUserKey(username, match) {
+  if (match) return String(match.record.empId);
+  return String(username || '').trim().toLowerCase();
+}
+
+/**
+ * Check whether a login attempt may go ahead
+ * @param {string} userKey - Counter ID from getLoginThrottleUserKey
+ * @param {string} [clientId] - Client ID sent by the browser
+ * @returns {Object|null} Error response to return instead of checking the password, or null
+ */
+function checkLoginThrottle(userKey, clientId) {
+  const now = Date.now();
+  const waits = [
+    getLoginThrottleWait(readLoginThrottleEntry('user', userKey, now), now),
+    getLoginThrottleWait(readLoginThrottleEntry('client', clientId, now), now)
+  ].filter(wait => wait !== null);
+
+  if (waits.length === 0) {
+    return null;
+  }
+
+  const locked = waits.some(wait => wait.locked);
+  const retryAfter = Math.max.apply(null, waits.map(wait => wait.retryAfter));
+
+  writeAuditLog({
+    actor: userKey,
+    action: 'login.blocked',
+    targetId: userKey,
+    details: { clientId: clientId || '', locked: locked, retryAfter: retryAfter }
+  });
+
+  const message = locked
+    ? `เข้าสู่ระบบผิดหลายครั้ง ระงับการเข้าสู่ระบบชั่วคราว กรุณาลองใหม่ในอีก ${Math.ceil(retryAfter / 60)} นาที`
+    : `กรุณารอ ${retryAfter} วินาทีก่อนลองเข้าสู่ระบบอีกครั้ง`;
+
+  return createJSONResponse('error', message, {
+    throttled: true,
+    locked: locked,
+    retryAfter: retryAfter
+  });
+}
+
+/**
+ * Count a failed login for the username and the client
+ * @param {string} userKey - Counter ID from getLoginThrottleUserKey
+ * @param {string} [clientId] - Client ID sent by the browser
+ */
+function recordLoginFailure(userKey, clientId) {
+  const now = Date.now();
+  const settings = CONFIG.LOGIN_THROTTLE;
+  const userEntry = addLoginThrottleFailure('user', userKey, settings.MAX_FAILURES, now);
+  const clientEntry = addLoginThrottleFailure('client', clientId, settings.CLIENT_MAX_FAILURES, now);
+
+  writeAuditLog({
+    actor: userKey,
+    action: 'login.failed',
+    targetId: userKey,
+    details: { clientId: clientId || '', failures: userEntry ? userEntry.failures : 0 }
+  });
+
+  // Locked counters block every attempt until they expire, so a lock seen here is new
+  [['user', userKey, userEntry], ['client', clientId, clientEntry]].forEach(([type, id, entry]) => {
+    if (entry && entry.lockedUntil) {
+      console.warn(`Login locked for ${type} ${id} after ${entry.failures} failures`);
+      writeAuditLog({
+        actor: userKey,
+        action: 'login.lockout',
+        targetId: id,
+        details: { type: type, failures: entry.failures, lockedUntil: new Date(entry.lockedUntil).toISOString() }
+      });
+    }
+  });
+}
+
+/**
+ * Forget the failures of a username after a successful login
+ * The client counter is kept so one client cannot keep guessing by also logging in somewhere.
+ * @param {string} userKey - Counter ID from getLoginThrottleUserKey
+ */
+function clearLoginFailures(userKey) {
+  deleteLoginThrottleEntry('user', userKey);
+}
+
+/**
+ * Lift a lockout (admin)
+ * @param {string} [username] - EmpId or email of the user to unlock
+ * @param {string} [clientId] - Client ID to unlock
+ * @param {string} actor - EmpId of the admin
+ * @returns {Object} API response
+ */
+function unlockLogin(username, clientId, actor) {
+  try {
+    if (!username && !clientId) {
+      return createJSONResponse('error', 'กรุณาระบุ username หรือ clientId ที่ต้องการปลดล็อก');
+    }
+
+    const now = Date.now();
+    const targets = [];
+    if (username) targets.push(['user', getLoginThrottleUserKey(username, findActiveUser(username))]);
+    if (clientId) targets.push(['client', clientId]);
+
+    const cleared = targets.filter(([type, id]) => {
+      const entry = readLoginThrottleEntry(type, id, now);
+      if (!entry) return false;
+
+      deleteLoginThrottleEntry(type, id);
+      writeAuditLog({ actor: actor, action: 'login.unlock', targetId: id, before: entry, details: { type: type } });
+      return true;
+    }).map(([type, id]) => ({ type: type, id: id }));
+
+    return createJSONResponse('success', cleared.length > 0 ? 'ปลดล็อกการเข้าสู่ระบบแล้ว' : 'ไม่พบการระงับการเข้าสู่ระบบ', {
+      cleared: cleared
+    });
+  } catch (error) {
+    logError('unlockLogin', error, { username, clientId });
+    return createJSONResponse('error', `เกิดข้อผิดพลาด: ${error.toString()}`);
+  }
+}
+
+/**
+ * List usernames and clients with failed logins (admin)
+ * Stale counters are removed while listing.
+ * @returns {Object} API response with `lockouts`
+ */
+function getLoginLockouts() {
+  try {
+    const now = Date.now();
+    const prefix = CONFIG.LOGIN_THROTTLE.PROPERTY_PREFIX;
+    const lockouts = PropertiesService.getScriptProperties().getKeys()
+      .filter(key => key.indexOf(prefix) === 0)
+      .map(key => {
+        const type = key.substring(prefix.length).split(':')[0];
+        const id = key.substring(prefix.length + type.length + 1);
+        const entry = readLoginThrottleEntry(type, id, now);
+        if (!entry) return null;
+
+        return {
+          type: type,
+          id: id,
+          failures: entry.failures,
+          lastFailureAt: new Date(entry.lastFailureAt).toISOString(),
+          locked: entry.lockedUntil > now,
+          lockedUntil: entry.lockedUntil > now ? new Date(entry.lockedUntil).toISOString() : null
+        };
+      })
+      .filter(Boolean);
+
+    return createJSONResponse('success', CONFIG.MESSAGES.DATA_RETRIEVED_SUCCESS, { lockouts: lockouts });
+  } catch (error) {
+    logError('getLoginLockouts', error);
+    return createJSONResponse('error', `เกิดข้อผิดพลาด: ${error.toString()}`);
+  }
+}
+
+/**
+ * Work out how long the next attempt has to wait
+ * @param {LoginThrottleEntry|null} entry - Current counter
+ * @param {number} now - Current time (ms since epoch)
+ * @returns {{locked: boolean, retryAfter: number}|null} Wait in whole seconds, or null when allowed
+ */
+function getLoginThrottleWait(entry, now) {
+  if (!entry) return null;
+
+  if (entry.lockedUntil > now) {
+    return { locked: true, retryAfter: Math.ceil((entry.lockedUntil - now) / 1000) };
+  }
+
+  const settings = CONFIG.LOGIN_THROTTLE;
+  if (entry.failures < settings.BACKOFF_AFTER_FAILURES) return null;
+
+  const backoffSeconds = Math.min(
+    settings.BACKOFF_BASE_SECONDS * Math.pow(2, entry.failures - settings.BACKOFF_AFTER_FAILURES),
+    settings.BACKOFF_MAX_SECONDS
+  );
+  const allowedAt = entry.lastFailureAt + backoffSeconds * 1000;
+
+  return allowedAt > now ? { locked: false, retryAfter: Math.ceil((allowedAt - now) / 1000) } : null;
+}
+
+/**
+ * Add a failure to a counter, locking it when it reaches the limit
+ * @param {string} type - 'user' or 'client'
+ * @param {string} id - Counter ID (no counter is kept when empty)
+ * @param {number} maxFailures - Failures that trigger a lockout
+ * @param {number} now - Current time (ms since epoch)
+ * @returns {LoginThrottleEntry|null} Updated counter
+ */
+function addLoginThrottleFailure(type, id, maxFailures, now) {
+  const key = getLoginThrottleKey(type, id);
+  if (!key) return null;
+
+  let entry = readLoginThrottleEntry(type, id, now);
+  if (!entry) {
+    // Anyone can fail a login under a new name, so make room before adding a counter
+    pruneLoginThrottleEntries(now, CONFIG.LOGIN_THROTTLE.MAX_ENTRIES - 1);
+    entry = { failures: 0, lastFailureAt: 0, lockedUntil: 0 };
+  }
+  entry.failures += 1;
+  entry.lastFailureAt = now;
+  if (entry.failures >= maxFailures) {
+    entry.lockedUntil = now + minutesToMs(CONFIG.LOGIN_THROTTLE.LOCKOUT_MINUTES);
+  }
+
+  PropertiesService.getScriptProperties().setProperty(key, JSON.stringify(entry));
+  return entry;
+}
+
+/**
+ * Read a counter, dropping it once its lockout or failure window has passed
+ * @param {string} type - 'user' or 'client'
+ * @param {string} id - Counter ID
+ * @param {number} now - Current time (ms since epoch)
+ * @returns {LoginThrottleEntry|null} Current counter, or null when there is none
+ */
+function readLoginThrottleEntry(type, id, now) {
+  const key = getLoginThrottleKey(type, id);
+  if (!key) return null;
+
+  const properties = PropertiesService.getScriptProperties();
+  const raw = properties.getProperty(key);
+  if (!raw) return null;
+
+  const entry = parseLoginThrottleEntry(raw, now);
+  if (!entry) {
+    properties.deleteProperty(key);
+    return null;
+  }
+
+  return entry;
+}
+
+/**
+ * Parse a stored counter
+ * @param {string} raw - Property value
+ * @param {number} now - Current time (ms since epoch)
+ * @returns {LoginThrottleEntry|null} Counter, or null when it is unreadable or its lockout or failure window has passed
+ */
+function parseLoginThrottleEntry(raw, now) {
+  let entry;
+  try {
+    entry = JSON.parse(raw);
+  } catch (error) {
+    return null;
+  }
+
+  const windowMs = minutesToMs(CONFIG.LOGIN_THROTTLE.FAILURE_WINDOW_MINUTES);
+  const stale = !entry ||
+    (entry.lockedUntil ? entry.lockedUntil <= now : entry.lastFailureAt + windowMs <= now);
+  return stale ? null : entry;
+}
+
+/**
+ * Remove expired counters, then the oldest unlocked ones (oldest locked ones last) beyond a limit
+ * @param {number} now - Current time (ms since epoch)
+ * @param {number} maxEntries - Counters to keep at most
+ * @returns {number} Number of counters removed
+ */
+function pruneLoginThrottleEntries(now, maxEntries) {
+  const properties = PropertiesService.getScriptProperties();
+  const stored = properties.getProperties();
+  const prefix = CONFIG.LOGIN_THROTTLE.PROPERTY_PREFIX;
+  const live = [];
+  let removed = 0;
+
+  Object.keys(stored).filter(key => key.indexOf(prefix) === 0).forEach(key => {
+    const entry = parseLoginThrottleEntry(stored[key], now);
+    if (entry) {
+      live.push({ key: key, entry: entry });
+    } else {
+      properties.deleteProperty(key);
+      removed++;
+    }
+  });
+
+  if (live.length > maxEntries) {
+    live
+      .sort((a, b) => (a.entry.lockedUntil > now) - (b.entry.lockedUntil > now) || a.entry.lastFailureAt - b.entry.lastFailureAt)
+      .slice(0, live.length - Math.max(maxEntries, 0))
+      .forEach(item => {
+        properties.deleteProperty(item.key);
+        removed++;
+      });
+  }
+
+  return removed;
+}
+
+/**
+ * Remove a counter
+ * @param {string} type - 'user' or 'client'
+ * @param {string} id - Counter ID
+ */
+function deleteLoginThrottleEntry(type, id) {
+  const key = getLoginThrottleKey(type, id);
+  if (key) {
+    PropertiesService.getScriptProperties().deleteProperty(key);
+  }
+}
+
+/**
+ * Build the script property key of a counter
+ * @param {string} type - 'user' or 'client'
+ * @param {string} id - Counter ID
+ * @returns {string|null} Property key, or null when there is no usable ID
+ */
+function getLoginThrottleKey(type, id) {
+  const value = String(id || '').trim().substring(0, 100);
+  return value ? `${CONFIG.LOGIN_THROTTLE.PROPERTY_PREFIX}${type}:${value}` : null;
+}
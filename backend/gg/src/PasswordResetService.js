@@ -1,11 +1,17 @@
 /**
  * Password Reset Service - Handle forgot password functionality
- * Integrates with existing project structure and sends emails
+ * Emails single-use, time-limited reset links (CONFIG.PASSWORD_RESET); the new
+ * password is chosen by the user on forgot-password.html and set by confirmPasswordReset
+ * @requires Config.js - For CONFIG.PASSWORD_RESET and CONFIG.SHEETS.PASSWORD_RESETS
+ * @requires PasswordService.js - For password policy and hashing
+ * @requires SchemaService.js - For field-based sheet access
+ * @requires ConcurrencyService.js - For withScriptLock
  * @created 2025-09-27
  */
 
 /**
- * Request password reset - ขอรีเซ็ตรหัสผ่านโดยใช้ email
+ * Request password reset - ขอลิงก์รีเซ็ตรหัสผ่านโดยใช้ email
+ * The response is the same whether or not the email belongs to an active user.
  * @param {string} email - Email address to reset password
  * @returns {Object} Reset request result
  */
@@ -17,41 +23,29 @@ function requestPasswordReset(email) {
       return createJSONResponse('error', 'กรุณาระบุ email ที่ถูกต้อง');
     }
     
-    // ค้นหา user จาก email
-    const userInfo = findUserByEmail(email);
-    if (!userInfo.found) {
-      // ไม่เปิดเผยว่าไม่มี email นี้ในระบบ (security)
-      return createJSONResponse('success', 'หากมี email นี้ในระบบ เราจะส่งรหัสผ่านใหม่ไปให้', {
-        email: email,
-        message: 'Email sent if exists'
-      });
+    const pageUrl = getPasswordResetPageUrl();
+    if (!pageUrl) {
+      return createJSONResponse('error', 'ยังไม่ได้ตั้งค่า URL ของหน้ารีเซ็ตรหัสผ่าน');
     }
     
-    // สร้างรหัสผ่านใหม่สำหรับ user นี้
-    const resetResult = resetUserPassword(userInfo.empId, userInfo.email);
+    // ไม่เปิดเผยว่ามี email นี้ในระบบหรือไม่ (security)
+    const response = createJSONResponse('success', 'หากมี email นี้ในระบบ เราจะส่งลิงก์สำหรับตั้งรหัสผ่านใหม่ไปให้', {
+      email: email
+    });
     
-    if (resetResult.status === 'success') {
-      // ส่ง email แจ้งรหัสผ่านใหม่
-      const emailResult = sendPasswordResetEmail(userInfo, resetResult);
-      
-      if (emailResult.status === 'success') {
-        return createJSONResponse('success', 'ส่งรหัสผ่านใหม่ไปยัง email ของคุณแล้ว', {
-          email: email,
-          empId: userInfo.empId,
-          sentAt: new Date().toISOString()
-        });
-      } else {
-        // Password reset สำเร็จแต่ส่ง email ไม่ได้
-        return createJSONResponse('warning', 'รีเซ็ตรหัสผ่านสำเร็จ แต่ไม่สามารถส่ง email ได้', {
-          email: email,
-          empId: userInfo.empId,
-          emailError: emailResult.message
-        });
-      }
-    } else {
-      return createJSONResponse('error', 'ไม่สามารถรีเซ็ตรหัสผ่านได้: ' + resetResult.message);
+    const userInfo = findUserByEmail(email);
+    if (!userInfo.found || userInfo.status !== 1) {
+      return response;
+    }
+    
+    const link = issuePasswordResetLink(userInfo.empId, pageUrl);
+    const emailResult = sendPasswordResetEmail(userInfo, link);
+    if (emailResult.status !== 'success') {
+      logError('requestPasswordReset', new Error(emailResult.message), { empId: userInfo.empId });
     }
     
+    return response;
+    
   } catch (error) {
     logError('requestPasswordReset', error, { email });
     return createJSONResponse('error', 'เกิดข้อผิดพลาดในการรีเซ็ตรหัสผ่าน');
@@ -65,45 +59,20 @@ function requestPasswordReset(email) {
  */
 function findUserByEmail(email) {
   try {
-    const spreadsheet = getSpreadsheetSafely();
-    const userSheet = spreadsheet.getSheetByName(CONFIG.SHEETS.USER);
-    
-    if (!userSheet) {
-      throw new Error(`ไม่พบชีต "${CONFIG.SHEETS.USER}"`);
+    const match = findSheetRecord(CONFIG.SHEETS.USER, 'email', String(email || '').trim());
+    if (!match) {
+      return { found: false };
     }
     
-    const data = userSheet.getDataRange().getValues();
-    const headers = data[0];
-    
-    // Map headers
-    const headerMap = {};
-    headers.forEach((header, index) => {
-      headerMap[header] = index;
-    });
-    
-    const empIdIndex = headerMap['EmpId'];
-    const emailIndex = headerMap['Email'];
-    const fullNameIndex = headerMap['FullNameTH'];
-    const roleIndex = headerMap['Role'];
-    const statusIndex = headerMap['Userstatus'];
-    
-    // Search for user
-    for (let i = 1; i < data.length; i++) {
-      const row = data[i];
-      if (row[emailIndex] && row[emailIndex].toLowerCase() === email.toLowerCase()) {
-        return {
-          found: true,
-          empId: row[empIdIndex],
-          email: row[emailIndex],
-          fullName: row[fullNameIndex],
-          role: row[roleIndex],
-          status: row[statusIndex],
-          rowIndex: i
-        };
-      }
-    }
-    
-    return { found: false };
+    return {
+      found: true,
+      empId: match.record.empId,
+      email: match.record.email,
+      fullName: match.record.fullName,
+      role: match.record.role,
+      status: match.record.status,
+      rowIndex: match.rowNumber - 1
+    };
     
   } catch (error) {
     console.error('Error finding user by email:', error);
@@ -112,113 +81,175 @@ function findUserByEmail(email) {
 }
 
 /**
- * Reset password for a specific user (adapted from renew_password_safe.js)
- * @param {string} empId - Employee ID
- * @param {string} email - User's email
- * @returns {Object} Reset result with new password details
+ * Create a reset token for a user and build its link
+ * Earlier links of the user stop working, and used or expired rows of every user are removed.
+ * The rows are removed and added under the script lock.
+ * @param {string} userId - EmpId
+ * @param {string} [pageUrl] - forgot-password.html URL (defaults to getPasswordResetPageUrl())
+ * @returns {{token: string, url: string, expiresAt: Date}} Reset link
+ * @throws {Error} When the script lock is busy
  */
-function resetUserPassword(empId, email) {
-  try {
-    console.log(`🔑 Resetting password for user: ${empId}`);
-    
-    if (!empId || !email) {
-      throw new Error('EmpId และ Email จำเป็นต้องระบุ');
-    }
-    
-    const spreadsheet = getSpreadsheetSafely();
-    const userSheet = spreadsheet.getSheetByName(CONFIG.SHEETS.USER);
-    
-    if (!userSheet) {
-      throw new Error(`ไม่พบชีต "${CONFIG.SHEETS.USER}"`);
-    }
-    
-    // Extract email prefix (part before @)
-    if (!email.includes('@')) {
-      throw new Error('รูปแบบ email ไม่ถูกต้อง');
-    }
-    
-    const emailPrefix = email.split('@')[0];
-    
-    // Create password string (same logic as renew_password_safe.js)
-    const passwordString = emailPrefix + empId;
-    
-    // Generate SHA-256 hash
-    const passwordHash = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, passwordString)
-                                  .map(b => (b < 0 ? b + 256 : b).toString(16).padStart(2, '0'))
-                                  .join('');
-    
-    // Update password in sheet
-    const data = userSheet.getDataRange().getValues();
-    const headers = data[0];
-    
-    const headerMap = {};
-    headers.forEach((header, index) => {
-      headerMap[header] = index;
-    });
-    
-    const empIdIndex = headerMap['EmpId'];
-    const passwordIndex = headerMap['password'];
-    
-    // Find and update user row
-    let updated = false;
-    for (let i = 1; i < data.length; i++) {
-      if (data[i][empIdIndex] === empId) {
-        data[i][passwordIndex] = passwordHash;
-        updated = true;
-        break;
-      }
-    }
-    
-    if (!updated) {
-      throw new Error(`ไม่พบผู้ใช้ EmpId: ${empId}`);
-    }
-    
-    // Write back to sheet
-    userSheet.getDataRange().setValues(data);
-    
-    console.log(`✅ Password reset successful for user ${empId}`);
-    
-    return createJSONResponse('success', 'รีเซ็ตรหัสผ่านสำเร็จ', {
-      empId: empId,
-      email: email,
-      emailPrefix: emailPrefix,
-      passwordString: passwordString, // For email notification
-      passwordHash: passwordHash,
-      resetAt: new Date().toISOString()
+function issuePasswordResetLink(userId, pageUrl) {
+  const token = generateRefreshToken();
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + minutesToMs(CONFIG.PASSWORD_RESET.TOKEN_TTL_MINUTES));
+  
+  const result = withScriptLock(() => {
+    ensureSheet(CONFIG.SHEETS.PASSWORD_RESETS);
+    cleanupPasswordResets(userId);
+    appendSheetRecord(CONFIG.SHEETS.PASSWORD_RESETS, {
+      tokenHash: hashResetToken(token),
+      userId: userId,
+      createdAt: now,
+      expiresAt: expiresAt,
+      usedAt: ''
     });
-    
+    return { status: 'success' };
+  });
+  if (result.status === 'error') {
+    throw new Error(result.message);
+  }
+  writeAuditLog({ action: 'password.resetRequest', targetId: userId, details: { expiresAt: expiresAt.toISOString() } });
+  
+  const baseUrl = pageUrl || getPasswordResetPageUrl();
+  const separator = baseUrl.indexOf('?') === -1 ? '?' : '&';
+  
+  return {
+    token: token,
+    url: `${baseUrl}${separator}token=${encodeURIComponent(token)}`,
+    expiresAt: expiresAt
+  };
+}
+
+/**
+ * Set a new password with a reset token from an emailed link
+ * The token is consumed only when the password is accepted, and every session of the
+ * user is revoked. The reset and user rows are found and written under the script lock,
+ * so a concurrent cleanup cannot move `usedAt` onto another row.
+ * @param {string} token - Token from the reset link
+ * @param {string} newPassword - New plain text password
+ * @returns {APIResponse} Result of the reset (a retryable error when the lock is busy)
+ */
+function confirmPasswordReset(token, newPassword) {
+  try {
+    return withScriptLock(() => consumePasswordReset(token, newPassword));
   } catch (error) {
-    console.error('Error resetting user password:', error);
-    return createJSONResponse('error', `เกิดข้อผิดพลาด: ${error.toString()}`);
+    logError('confirmPasswordReset', error);
+    return createJSONResponse('error', 'เกิดข้อผิดพลาดในการตั้งรหัสผ่านใหม่');
+  }
+}
+
+/**
+ * Check a reset token and set the new password (see confirmPasswordReset)
+ * Callers must hold the script lock.
+ * @param {string} token - Token from the reset link
+ * @param {string} newPassword - New plain text password
+ * @returns {APIResponse} Result of the reset
+ */
+function consumePasswordReset(token, newPassword) {
+  const invalidLink = 'ลิงก์รีเซ็ตรหัสผ่านไม่ถูกต้องหรือหมดอายุแล้ว';
+  
+  ensureSheet(CONFIG.SHEETS.PASSWORD_RESETS);
+  
+  const reset = token ? findSheetRecord(CONFIG.SHEETS.PASSWORD_RESETS, 'tokenHash', hashResetToken(token)) : null;
+  if (!reset || !isPasswordResetUsable(reset.record, new Date())) {
+    return createJSONResponse('error', invalidLink);
+  }
+  
+  const user = findSheetRecord(CONFIG.SHEETS.USER, 'empId', reset.record.userId);
+  if (!user || user.record.status !== 1) {
+    return createJSONResponse('error', invalidLink);
+  }
+  
+  const policyError = validateNewPassword(newPassword, user.record);
+  if (policyError) {
+    return createJSONResponse('error', policyError);
+  }
+  
+  setUserPassword(user, newPassword, false);
+  updateSheetRecord(CONFIG.SHEETS.PASSWORD_RESETS, reset.rowNumber,
+    Object.assign({}, reset.record, { usedAt: new Date() }), reset.row);
+  removeTokenByUserId(user.record.empId);
+  writeAuditLog({ actor: user.record.empId, action: 'password.reset', targetId: user.record.empId });
+  
+  console.log(`✅ Password reset completed for user ${user.record.empId}`);
+  return createJSONResponse('success', 'ตั้งรหัสผ่านใหม่สำเร็จ กรุณาเข้าสู่ระบบด้วยรหัสผ่านใหม่');
+}
+
+/**
+ * Check whether a reset row can still be used
+ * @param {Object} record - PasswordResets record
+ * @param {Date} now - Current time
+ * @returns {boolean} True when unused and not expired
+ */
+function isPasswordResetUsable(record, now) {
+  const expiresAt = toSessionDate(record.expiresAt);
+  return !record.usedAt && expiresAt !== null && now.getTime() < expiresAt.getTime();
+}
+
+/**
+ * Remove used and expired reset rows, plus every outstanding row of one user
+ * Callers must hold the script lock (rows are deleted by position).
+ * @param {string} [userId] - User whose outstanding links are revoked
+ * @returns {number} Number of rows removed
+ */
+function cleanupPasswordResets(userId) {
+  const data = readSheetRecords(CONFIG.SHEETS.PASSWORD_RESETS);
+  const now = new Date();
+  let removed = 0;
+  
+  // ลบจากล่างขึ้นบนเพื่อไม่ให้ index เลื่อน
+  for (let i = data.records.length - 1; i >= 0; i--) {
+    const record = data.records[i];
+    if (!isPasswordResetUsable(record, now) || (userId && record.userId === userId)) {
+      data.sheet.deleteRow(i + 2);
+      removed++;
+    }
   }
+  
+  return removed;
+}
+
+/**
+ * Hash a reset token for storage and lookup
+ * @param {string} token - Reset token
+ * @returns {string} Hex SHA-256
+ */
+function hashResetToken(token) {
+  return bytesToHex(Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, String(token)));
+}
+
+/**
+ * URL of the frontend's forgot-password.html that reset links point at
+ * @returns {string} URL, or '' when not configured
+ */
+function getPasswordResetPageUrl() {
+  const property = PropertiesService.getScriptProperties().getProperty(CONFIG.PASSWORD_RESET.PAGE_URL_PROPERTY);
+  return String(property || CONFIG.PASSWORD_RESET.PAGE_URL || '').trim();
 }
 
 /**
  * Send password reset email to user
  * @param {Object} userInfo - User information
- * @param {Object} resetResult - Password reset result
+ * @param {{url: string, expiresAt: Date}} link - Reset link from issuePasswordResetLink
  * @returns {Object} Email sending result
  */
-function sendPasswordResetEmail(userInfo, resetResult) {
+function sendPasswordResetEmail(userInfo, link) {
   try {
     console.log(`📧 Sending password reset email to: ${userInfo.email}`);
     
-    const subject = 'รหัสผ่านใหม่สำหรับระบบ Trading Journal';
+    const subject = 'ลิงก์ตั้งรหัสผ่านใหม่สำหรับระบบ Trading Journal';
     
     // สร้างเนื้อหา email
     const emailBody = `
 เรียน คุณ${userInfo.fullName},
 
-คุณได้ขอรีเซ็ตรหัสผ่านสำหรับระบบ Trading Journal
+มีการขอรีเซ็ตรหัสผ่านสำหรับบัญชี ${userInfo.empId} ในระบบ Trading Journal
 
-รายละเอียดการเข้าสู่ระบบใหม่:
-- รหัสผู้ใช้: ${userInfo.empId}
-- Email: ${userInfo.email}
-- รหัสผ่านใหม่: ${resetResult.data.passwordString}
+กรุณาเปิดลิงก์นี้เพื่อตั้งรหัสผ่านใหม่ (ใช้ได้ครั้งเดียว ภายใน ${CONFIG.PASSWORD_RESET.TOKEN_TTL_MINUTES} นาที):
+${link.url}
 
-กรุณาเข้าสู่ระบบด้วยรหัสผ่านใหม่นี้
-
-หมายเหตุ: รหัสผ่านนี้ถูกสร้างจาก "${resetResult.data.emailPrefix}" + "${userInfo.empId}"
+หากคุณไม่ได้ขอรีเซ็ตรหัสผ่าน ไม่ต้องดำเนินการใดๆ รหัสผ่านเดิมยังใช้งานได้
 
 ---
 ส่งอัตโนมัติจากระบบ Trading Journal
@@ -247,37 +278,24 @@ function sendPasswordResetEmail(userInfo, resetResult) {
 }
 
 /**
- * Bulk password reset - รีเซ็ตรหัสผ่านทุกคนและส่ง email แจ้ง
+ * Bulk password reset - ส่งลิงก์ตั้งรหัสผ่านใหม่ให้ผู้ใช้ที่ใช้งานอยู่ทุกคน
+ * Current passwords keep working until a link is used.
  * @returns {Object} Bulk reset result
  */
 function bulkPasswordReset() {
   try {
     console.log('🔄 Starting bulk password reset...');
     
-    const spreadsheet = getSpreadsheetSafely();
-    const userSheet = spreadsheet.getSheetByName(CONFIG.SHEETS.USER);
-    
-    if (!userSheet) {
-      throw new Error(`ไม่พบชีต "${CONFIG.SHEETS.USER}"`);
+    const pageUrl = getPasswordResetPageUrl();
+    if (!pageUrl) {
+      return createJSONResponse('error', 'ยังไม่ได้ตั้งค่า URL ของหน้ารีเซ็ตรหัสผ่าน');
     }
     
-    const data = userSheet.getDataRange().getValues();
-    if (data.length <= 1) {
+    const users = readSheetRecords(CONFIG.SHEETS.USER).records;
+    if (users.length === 0) {
       return createJSONResponse('warning', 'ไม่พบข้อมูลผู้ใช้');
     }
     
-    const headers = data[0];
-    const headerMap = {};
-    headers.forEach((header, index) => {
-      headerMap[header] = index;
-    });
-    
-    const empIdIndex = headerMap['EmpId'];
-    const emailIndex = headerMap['Email'];
-    const fullNameIndex = headerMap['FullNameTH'];
-    const passwordIndex = headerMap['password'];
-    const statusIndex = headerMap['Userstatus'];
-    
     const results = {
       processed: 0,
       emailsSent: 0,
@@ -285,72 +303,43 @@ function bulkPasswordReset() {
       users: []
     };
     
-    // Process each user
-    for (let i = 1; i < data.length; i++) {
+    users.forEach((user, index) => {
       try {
-        const row = data[i];
-        const empId = row[empIdIndex];
-        const email = row[emailIndex];
-        const fullName = row[fullNameIndex];
-        const status = row[statusIndex];
-        
         // Skip inactive users
-        if (status !== 1) {
-          console.log(`Skipping inactive user: ${empId}`);
-          continue;
+        if (user.status !== 1) {
+          console.log(`Skipping inactive user: ${user.empId}`);
+          return;
         }
         
-        if (!empId || !email) {
-          console.warn(`Missing data for row ${i + 1}: EmpId=${empId}, Email=${email}`);
+        if (!user.empId || !user.email) {
+          console.warn(`Missing data for row ${index + 2}: EmpId=${user.empId}, Email=${user.email}`);
           results.errors++;
-          continue;
+          return;
         }
         
-        // Generate new password
-        const emailPrefix = email.split('@')[0];
-        const passwordString = emailPrefix + empId;
-        const passwordHash = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, passwordString)
-                                      .map(b => (b < 0 ? b + 256 : b).toString(16).padStart(2, '0'))
-                                      .join('');
-        
-        // Update password in data array
-        data[i][passwordIndex] = passwordHash;
+        const link = issuePasswordResetLink(user.empId, pageUrl);
         results.processed++;
         
-        // Send email notification
-        try {
-          const userInfo = { empId, email, fullName };
-          const resetData = { data: { passwordString, emailPrefix } };
-          
-          const emailResult = sendPasswordResetEmail(userInfo, resetData);
-          if (emailResult.status === 'success') {
-            results.emailsSent++;
-          }
-        } catch (emailError) {
-          console.warn(`Failed to send email to ${email}:`, emailError);
+        const emailResult = sendPasswordResetEmail(user, link);
+        if (emailResult.status === 'success') {
+          results.emailsSent++;
         }
         
         results.users.push({
-          empId: empId,
-          email: email,
-          fullName: fullName,
-          passwordString: passwordString
+          empId: user.empId,
+          email: user.email,
+          fullName: user.fullName
         });
         
       } catch (userError) {
-        console.error(`Error processing user at row ${i + 1}:`, userError);
+        console.error(`Error processing user at row ${index + 2}:`, userError);
         results.errors++;
       }
-    }
-    
-    // Write updated passwords back to sheet
-    if (results.processed > 0) {
-      userSheet.getDataRange().setValues(data);
-    }
+    });
     
-    console.log(`✅ Bulk password reset completed: ${results.processed} users processed, ${results.emailsSent} emails sent`);
+    console.log(`✅ Bulk password reset completed: ${results.processed} links created, ${results.emailsSent} emails sent`);
     
-    return createJSONResponse('success', `รีเซ็ตรหัสผ่านสำเร็จ ${results.processed} คน, ส่ง email แจ้ง ${results.emailsSent} คน`, results);
+    return createJSONResponse('success', `สร้างลิงก์รีเซ็ตรหัสผ่าน ${results.processed} คน, ส่ง email แจ้ง ${results.emailsSent} คน`, results);
     
   } catch (error) {
     logError('bulkPasswordReset', error);
@@ -62,8 +62,9 @@ function setupPasswordResetTests() {
         console.log(`User ${user.empId} already exists, skipping...`);
         results.skipped++;
       } else {
-        // Generate initial password hash
-        const passwordHash = hashPassword(user.email, user.empId);
+        // Generate a random initial password
+        const passwordString = generateTemporaryPassword();
+        const passwordHash = hashPassword(passwordString);
         
         const newRow = [
           user.empId,        // EmpId
@@ -82,7 +83,7 @@ function setupPasswordResetTests() {
           email: user.email,
           fullName: user.fullName,
           role: user.role,
-          passwordString: user.email.split('@')[0] + user.empId
+          passwordString: passwordString
         });
         
         console.log(`✅ Created test user: ${user.empId} (${user.email})`);
@@ -228,71 +229,48 @@ function demonstratePasswordResetFlow() {
     }
     
     if (userInfo.found) {
-      // Step 2: Generate new password
-      console.log('\n📍 Step 2: Generating new password...');
-      const resetResult = resetUserPassword(userInfo.empId, userInfo.email);
+      // Step 2: Issue a reset link (the demo uses a placeholder page URL if none is configured)
+      console.log('\n📍 Step 2: Issuing reset link...');
+      const link = issuePasswordResetLink(userInfo.empId, getPasswordResetPageUrl() || 'https://example.com/forgot-password.html');
       
       demoResults.steps.push({
         step: 2,
-        name: 'Password Generation',
-        status: resetResult.status,
-        message: resetResult.message,
-        data: resetResult.data
+        name: 'Reset Link',
+        status: 'success',
+        message: `Link expires at ${link.expiresAt.toISOString()}`,
+        data: { empId: userInfo.empId, expiresAt: link.expiresAt.toISOString() }
       });
       
-      if (resetResult.status === 'success') {
-        console.log(`✅ New password generated: ${resetResult.data.passwordString}`);
-        
-        // Step 3: Send email (simulate)
-        console.log('\n📍 Step 3: Sending email notification...');
-        
-        const emailContent = {
-          to: userInfo.email,
-          subject: 'รหัสผ่านใหม่สำหรับระบบ Trading Journal',
-          body: `
-เรียน คุณ${userInfo.fullName},
-
-รหัสผ่านใหม่ของคุณ: ${resetResult.data.passwordString}
-รหัสผู้ใช้: ${userInfo.empId}
-
-กรุณาเข้าสู่ระบบด้วยรหัสผ่านใหม่นี้
-          `.trim()
-        };
-        
-        // Simulate email sending (not actually sending in demo)
-        demoResults.steps.push({
-          step: 3,
-          name: 'Email Notification',
-          status: 'simulated',
-          message: 'Email content prepared (not actually sent in demo)',
-          data: emailContent
-        });
-        
-        console.log('✅ Email content prepared (demo mode)');
-        console.log('Email preview:', emailContent.body.substring(0, 100) + '...');
-        
-        // Step 4: Test login with new password
-        console.log('\n📍 Step 4: Testing login with new password...');
-        const loginTest = authenticateUser(userInfo.empId, resetResult.data.passwordString);
-        
-        demoResults.steps.push({
-          step: 4,
-          name: 'Login Verification',
-          status: loginTest.status,
-          message: loginTest.message,
-          data: loginTest.data
-        });
-        
-        if (loginTest.status === 'success') {
-          console.log('✅ Login successful with new password');
-        } else {
-          console.log('❌ Login failed with new password');
-          demoResults.overall = 'partial';
-        }
-        
+      // Step 3: Send email (simulate)
+      console.log('\n📍 Step 3: Sending email notification...');
+      demoResults.steps.push({
+        step: 3,
+        name: 'Email Notification',
+        status: 'simulated',
+        message: 'Email content prepared (not actually sent in demo)',
+        data: { to: userInfo.email, link: link.url.replace(link.token, '[TOKEN]') }
+      });
+      
+      // Step 4: Use the link to set a new password, then log in with it
+      console.log('\n📍 Step 4: Confirming reset and logging in...');
+      const newPassword = generateTemporaryPassword();
+      const confirmResult = confirmPasswordReset(link.token, newPassword);
+      const loginTest = confirmResult.status === 'success' ? authenticateUser(userInfo.empId, newPassword) : confirmResult;
+      const reuseTest = confirmPasswordReset(link.token, generateTemporaryPassword());
+      
+      demoResults.steps.push({
+        step: 4,
+        name: 'Confirm and Login',
+        status: loginTest.status === 'success' && reuseTest.status === 'error' ? 'success' : 'failed',
+        message: `${confirmResult.message} / ${loginTest.message} / reuse: ${reuseTest.message}`,
+        data: { newPassword: newPassword }
+      });
+      
+      if (loginTest.status === 'success') {
+        console.log('✅ Login successful with new password');
       } else {
-        console.log('❌ Password generation failed');
-        demoResults.overall = 'failed';
+        console.log('❌ Login failed with new password');
+        demoResults.overall = 'partial';
       }
     }
     
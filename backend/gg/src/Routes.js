@@ -0,0 +1,641 @@
+/**
+ * Route Table - Declarative registry of every web app action
+ * Each route declares its HTTP method, authentication, required permission, parameter schema
+ * and handler; dispatchRequest() in Code.js enforces all of it.
+ * @requires Types.js - For RouteDefinition
+ * @requires Code.js - dispatchRequest() consumes this table
+ * @created 2025-10-19
+ */
+
+/**
+ * Parameter schemas shared by several routes
+ * @readonly
+ */
+const ROUTE_PARAMS = {
+  FORMAT: { type: 'string', enum: ['dto', 'raw'] },
+  DEBUG_USERNAME: { type: 'string', default: '4498' },
+  DEBUG_PASSWORD: { type: 'string', default: 'likit.se4498' }
+};
+
+/**
+ * Route registry keyed by action name
+ * Routes are authenticated unless `auth: false`; `permission` additionally requires a role
+ * granting that permission (CONFIG.ROLES);
+ * `account` names the parameter whose account the token must have access to, at
+ * `accountLevel` (default 'viewer', see CONFIG.ACCOUNT_ACCESS_LEVELS).
+ * @type {Object<string, RouteDefinition>}
+ * @readonly
+ */
+const ROUTES = {
+  // ==========================================
+  // Public Endpoints
+  // ==========================================
+  ping: {
+    method: 'GET',
+    auth: false,
+    description: 'Deployment health check',
+    handler: () => getDeploymentStatus()
+  },
+  status: {
+    method: 'GET',
+    auth: false,
+    description: 'Deployment health check (alias of ping)',
+    handler: () => getDeploymentStatus()
+  },
+  health: {
+    method: 'GET',
+    auth: false,
+    description: 'Deployment health check (alias of ping)',
+    handler: () => getDeploymentStatus()
+  },
+  getAccounts: {
+    method: 'GET',
+    auth: false,
+    description: 'Retrieve all accounts',
+    params: { format: ROUTE_PARAMS.FORMAT },
+    handler: (params) => getAccounts(params.format)
+  },
+  getAssets: {
+    method: 'GET',
+    auth: false,
+    description: 'Retrieve all assets',
+    params: { format: ROUTE_PARAMS.FORMAT },
+    handler: (params) => getAssets(params.format)
+  },
+  login: {
+    method: 'POST',
+    auth: false,
+    description: 'Exchange username and password for a token',
+    params: {
+      username: { type: 'string', required: true },
+      password: { type: 'string', required: true },
+      deviceLabel: { type: 'string' },
+      userAgent: { type: 'string' },
+      clientId: { type: 'string' }
+    },
+    handler: (params) => authenticateUser(params.username, params.password, {
+      deviceLabel: params.deviceLabel,
+      userAgent: params.userAgent,
+      clientId: params.clientId
+    })
+  },
+  refreshToken: {
+    method: 'POST',
+    auth: false,
+    description: 'Exchange a refresh token for a new token pair',
+    params: { refreshToken: { type: 'string', required: true } },
+    handler: (params) => refreshSession(params.refreshToken)
+  },
+  changePassword: {
+    method: 'POST',
+    auth: false,
+    lock: true,
+    description: 'Set a new password after confirming the current one (also migrates legacy passwords)',
+    params: {
+      username: { type: 'string', required: true },
+      currentPassword: { type: 'string', required: true },
+      newPassword: { type: 'string', required: true },
+      deviceLabel: { type: 'string' },
+      userAgent: { type: 'string' },
+      clientId: { type: 'string' }
+    },
+    handler: (params) => changePassword(params.username, params.currentPassword, params.newPassword, {
+      deviceLabel: params.deviceLabel,
+      userAgent: params.userAgent,
+      clientId: params.clientId
+    })
+  },
+  resetPassword: {
+    method: 'POST',
+    auth: false,
+    description: 'Email a single-use password reset link to the owner of an address',
+    params: { email: { type: 'string', required: true } },
+    handler: (params) => requestPasswordReset(params.email)
+  },
+  confirmPasswordReset: {
+    method: 'POST',
+    auth: false,
+    description: 'Set a new password with the token from a reset link',
+    params: {
+      resetToken: { type: 'string', required: true },
+      newPassword: { type: 'string', required: true }
+    },
+    handler: (params) => confirmPasswordReset(params.resetToken, params.newPassword)
+  },
+  debugPOST: {
+    method: 'POST',
+    auth: false,
+    description: 'Echo how POST parameters were received (secrets hidden)',
+    handler: (params, request) => debugPOSTRequest(request.e)
+  },
+
+  // ==========================================
+  // Protected Endpoints
+  // ==========================================
+  logout: {
+    method: 'POST',
+    description: 'Revoke the current token',
+    handler: (params, request) => {
+      const revoked = revokeToken(request.token);
+      return createJSONResponse(revoked ? 'success' : 'error', revoked ? 'ออกจากระบบสำเร็จ' : 'เกิดข้อผิดพลาด');
+    }
+  },
+  listSessions: {
+    method: 'GET',
+    description: 'List the sessions (devices) of the token owner',
+    handler: (params, request) => listSessions(request.token)
+  },
+  revokeSession: {
+    method: 'POST',
+    description: 'Revoke one session of the token owner',
+    params: { sessionId: { type: 'string', required: true } },
+    handler: (params, request) => revokeSession(request.token, params.sessionId)
+  },
+  revokeAllOtherSessions: {
+    method: 'POST',
+    description: 'Revoke every session of the token owner except the current one',
+    handler: (params, request) => revokeAllOtherSessions(request.token)
+  },
+  getUserInfo: {
+    method: 'GET',
+    description: 'Get the user who owns the token',
+    handler: (params, request) => getUserInfoFromToken(request.token)
+  },
+  getMyPermissions: {
+    method: 'GET',
+    description: 'Get the role and permissions of the token owner',
+    handler: (params, request) => getMyPermissions(request.token)
+  },
+  getMyAccounts: {
+    method: 'GET',
+    description: 'List the accounts the token owner may use, with their access level',
+    params: { format: ROUTE_PARAMS.FORMAT },
+    handler: (params, request) => getMyAccounts(request.token, params.format)
+  },
+  getTradingHistory: {
+    method: 'GET',
+    description: 'Get trading history for an account (filtering, sorting, paging)',
+    account: 'accountId',
+    params: {
+      accountId: { type: 'string', required: true },
+      format: ROUTE_PARAMS.FORMAT,
+      from: { type: 'string' },
+      to: { type: 'string' },
+      assetId: { type: 'string' },
+      profit: { type: 'string' },
+      search: { type: 'string' },
+      sortBy: { type: 'string' },
+      sortDir: { type: 'string' },
+      page: { type: 'string' },
+      pageSize: { type: 'string' },
+      cursor: { type: 'string' },
+      includeDeleted: { type: 'boolean', default: false }
+    },
+    handler: (params, request) => {
+      // Deleted trades are only listed to those who may restore them (see restoreTrade)
+      if (params.includeDeleted) {
+        const userInfo = getUserInfoFromToken(request.token);
+        if (userInfo.status === 'error') {
+          return userInfo;
+        }
+        if (!checkPermission(userInfo.user, 'trade:delete')) {
+          return createJSONResponse('error', 'Permission denied: includeDeleted requires trade:delete');
+        }
+        const accessResult = verifyAccountAccess(request.token, params.accountId, 'owner');
+        if (accessResult.status === 'error') {
+          return accessResult;
+        }
+      }
+
+      return getTradingHistory(params.accountId, params.format, {
+        from: params.from,
+        to: params.to,
+        assetId: params.assetId,
+        profit: params.profit,
+        search: params.search,
+        sortBy: params.sortBy,
+        sortDir: params.sortDir,
+        page: params.page,
+        pageSize: params.pageSize,
+        cursor: params.cursor,
+        includeDeleted: params.includeDeleted
+      });
+    }
+  },
+  getAccountSummary: {
+    method: 'GET',
+    description: 'Get account info and statistics',
+    account: 'accountId',
+    params: {
+      accountId: { type: 'string', required: true },
+      format: ROUTE_PARAMS.FORMAT
+    },
+    handler: (params) => getAccountSummary(params.accountId, params.format)
+  },
+  getTradingStatistics: {
+    method: 'GET',
+    permission: 'report:view',
+    description: 'Get trading statistics for an account',
+    account: 'accountId',
+    params: { accountId: { type: 'string', required: true } },
+    handler: (params) => getTradingStatistics(params.accountId)
+  },
+  getEquityCurve: {
+    method: 'GET',
+    permission: 'report:view',
+    description: 'Get the daily balance series of an account with peaks and drawdowns',
+    account: 'accountId',
+    params: { accountId: { type: 'string', required: true } },
+    handler: (params) => getEquityCurve(params.accountId)
+  },
+  getPerformanceMetrics: {
+    method: 'GET',
+    permission: 'report:view',
+    description: 'Get daily returns and risk-adjusted performance metrics of an account',
+    account: 'accountId',
+    params: {
+      accountId: { type: 'string', required: true },
+      riskFreeRate: { type: 'number' }
+    },
+    handler: (params) => getPerformanceMetrics(params.accountId, params.riskFreeRate)
+  },
+  getRecentTrades: {
+    method: 'GET',
+    description: 'Get the most recent trades of an account',
+    account: 'accountId',
+    params: {
+      accountId: { type: 'string', required: true },
+      limit: { type: 'integer', min: 1, default: 10 }
+    },
+    handler: (params) => getRecentTrades(params.limit, params.accountId)
+  },
+  addTrade: {
+    method: 'POST',
+    permission: 'trade:create',
+    lock: true,
+    description: 'Add a single trade (also used when a POST has no action)',
+    account: 'accountId',
+    accountLevel: 'editor',
+    params: {
+      accountId: { type: 'string', required: true },
+      assetId: { type: 'string', required: true },
+      startBalance: { type: 'number', required: true },
+      dailyProfit: { type: 'number', required: true },
+      lotSize: { type: 'number', required: true },
+      notes: { type: 'string', default: '' },
+      tradeDate: { type: 'string', default: '' },
+      idempotencyKey: { type: 'string', default: '' }
+    },
+    handler: (params) => addTrade(
+      params.accountId,
+      params.assetId,
+      params.startBalance,
+      params.dailyProfit,
+      params.lotSize,
+      params.notes,
+      params.tradeDate,
+      params.idempotencyKey
+    )
+  },
+  addMultipleTrades: {
+    method: 'POST',
+    permission: 'trade:create',
+    lock: true,
+    description: 'Add a batch of trades (array, or JSON text of one, in tradesData)',
+    params: {
+      tradesData: { type: 'array', required: true },
+      idempotencyKey: { type: 'string', default: '' },
+      atomic: { type: 'boolean', default: false }
+    },
+    handler: (params, request) => addMultipleTrades(params.tradesData, request.token, params.idempotencyKey, params.atomic)
+  },
+  updateTrade: {
+    method: 'POST',
+    permission: 'trade:create',
+    lock: true,
+    description: 'Edit a trade by Transaction_ID and re-chain later balances',
+    params: {
+      transactionId: { type: 'string', required: true },
+      assetId: { type: 'string' },
+      startBalance: { type: 'number' },
+      dailyProfit: { type: 'number' },
+      lotSize: { type: 'number' },
+      notes: { type: 'string' },
+      tradeDate: { type: 'string' }
+    },
+    handler: (params, request) => {
+      // The account comes from the stored trade, so access is checked here rather than by `account`
+      const existingTrade = findTradeById(params.transactionId);
+      if (!existingTrade) {
+        return createJSONResponse('error', 'ไม่พบรายการเทรดที่ระบุ');
+      }
+
+      const accessResult = verifyAccountAccess(request.token, existingTrade.accountId, 'editor');
+      if (accessResult.status === 'error') {
+        return accessResult;
+      }
+
+      return updateTrade(params.transactionId, {
+        assetId: params.assetId,
+        startBalance: params.startBalance,
+        dailyProfit: params.dailyProfit,
+        lotSize: params.lotSize,
+        notes: params.notes,
+        tradeDate: params.tradeDate
+      });
+    }
+  },
+
+  deleteTrade: {
+    method: 'POST',
+    permission: 'trade:delete',
+    lock: true,
+    description: 'Soft delete a trade by Transaction_ID and re-chain later balances',
+    params: {
+      transactionId: { type: 'string', required: true },
+      reason: { type: 'string', default: '' }
+    },
+    handler: (params, request) => {
+      const existingTrade = findTradeById(params.transactionId);
+      if (!existingTrade) {
+        return createJSONResponse('error', 'ไม่พบรายการเทรดที่ระบุ');
+      }
+
+      const accessResult = verifyAccountAccess(request.token, existingTrade.accountId, 'owner');
+      if (accessResult.status === 'error') {
+        return accessResult;
+      }
+
+      return deleteTrade(params.transactionId, params.reason, request.user.id);
+    }
+  },
+  restoreTrade: {
+    method: 'POST',
+    permission: 'trade:delete',
+    lock: true,
+    description: 'Restore a soft-deleted trade and re-chain later balances',
+    params: { transactionId: { type: 'string', required: true } },
+    handler: (params, request) => {
+      const existingTrade = findTradeById(params.transactionId);
+      if (!existingTrade) {
+        return createJSONResponse('error', 'ไม่พบรายการเทรดที่ระบุ');
+      }
+
+      const accessResult = verifyAccountAccess(request.token, existingTrade.accountId, 'owner');
+      if (accessResult.status === 'error') {
+        return accessResult;
+      }
+
+      return restoreTrade(params.transactionId, request.user.id);
+    }
+  },
+
+  // ==========================================
+  // Admin Endpoints
+  // ==========================================
+  validateSheets: {
+    method: 'GET',
+    permission: 'system:admin',
+    description: 'Validate sheet structure',
+    handler: () => validateSheetsStructure()
+  },
+  fixSheets: {
+    method: 'GET',
+    permission: 'system:admin',
+    description: 'Create missing sheets and fix headers',
+    handler: () => validateAndFixSheets()
+  },
+  validateHeaders: {
+    method: 'GET',
+    permission: 'system:admin',
+    description: 'Detailed header validation',
+    handler: () => validateSheetHeaders()
+  },
+  validateDataTypes: {
+    method: 'GET',
+    permission: 'system:admin',
+    description: 'Data type validation',
+    handler: () => validateSheetDataTypes()
+  },
+  validateComprehensive: {
+    method: 'GET',
+    permission: 'system:admin',
+    description: 'Structure, header and data type validation',
+    handler: () => validateSheetsComprehensive()
+  },
+  validateBalanceChain: {
+    method: 'GET',
+    permission: 'system:admin',
+    description: 'Check start/end balance continuity per account and list the repairs (read-only)',
+    params: {
+      mode: { type: 'string', enum: ['dry-run'], default: 'dry-run' },
+      accountId: { type: 'string', default: null }
+    },
+    handler: (params) => validateBalanceChain(params.mode, params.accountId)
+  },
+  repairBalanceChain: {
+    method: 'POST',
+    permission: 'system:admin',
+    lock: true,
+    description: 'Repair start/end balance continuity per account',
+    params: {
+      accountId: { type: 'string', default: null }
+    },
+    handler: (params) => validateBalanceChain('apply', params.accountId)
+  },
+  purgeDeletedTrades: {
+    method: 'POST',
+    permission: 'system:admin',
+    lock: true,
+    description: 'Permanently remove soft-deleted trades',
+    params: {
+      olderThanDays: { type: 'integer', min: 0, default: 0 },
+      accountId: { type: 'string', default: null }
+    },
+    handler: (params, request) => purgeDeletedTrades(params.olderThanDays, params.accountId, request.user.id)
+  },
+  getAllSheets: {
+    method: 'GET',
+    permission: 'system:admin',
+    description: 'List every sheet in the spreadsheet',
+    handler: () => getAllSheetNames()
+  },
+  getConfiguredSheets: {
+    method: 'GET',
+    permission: 'system:admin',
+    description: 'List sheet names from CONFIG.SHEETS',
+    handler: () => getConfiguredSheetNames()
+  },
+  compareSheets: {
+    method: 'GET',
+    permission: 'system:admin',
+    description: 'Compare configured sheets with the spreadsheet',
+    handler: () => compareConfiguredWithActualSheets()
+  },
+  getCurrentSpreadsheet: {
+    method: 'GET',
+    permission: 'system:admin',
+    description: 'Current spreadsheet information',
+    handler: () => getCurrentSpreadsheetInfo()
+  },
+  getSystemHealth: {
+    method: 'GET',
+    permission: 'system:admin',
+    description: 'System health check',
+    handler: () => getSystemHealth()
+  },
+  getAuditLog: {
+    method: 'GET',
+    permission: 'system:admin',
+    description: 'Read the audit log, newest first, filtered by actor, action, target and day',
+    params: {
+      actor: { type: 'string' },
+      event: { type: 'string' },
+      targetId: { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      page: { type: 'integer', min: 1, default: 1 },
+      pageSize: { type: 'integer', min: 1 }
+    },
+    // `action` names the endpoint, so the action filter travels as `event`
+    handler: (params) => getAuditLog(Object.assign({}, params, { action: params.event }))
+  },
+  getPasswordMigrationStatus: {
+    method: 'GET',
+    permission: 'user:manage',
+    description: 'Count users still on legacy password hashes',
+    handler: () => getPasswordMigrationStatus()
+  },
+  setAccountMember: {
+    method: 'POST',
+    permission: 'user:manage',
+    lock: true,
+    description: 'Give a user viewer, editor or owner access to an account (none removes it)',
+    params: {
+      accountId: { type: 'string', required: true },
+      userId: { type: 'string', required: true },
+      accessLevel: { type: 'string', required: true, enum: ['viewer', 'editor', 'owner', 'none'] }
+    },
+    handler: (params, request) => setAccountMember(params.accountId, params.userId, params.accessLevel, request.user.id)
+  },
+  seedAccountMembers: {
+    method: 'POST',
+    permission: 'user:manage',
+    lock: true,
+    description: 'Make each user the owner of the account whose ID equals their EmpId, for accounts without members',
+    handler: (params, request) => seedAccountMembers(request.user.id)
+  },
+  getLoginLockouts: {
+    method: 'GET',
+    permission: 'user:manage',
+    description: 'List usernames and clients with failed or locked logins',
+    handler: () => getLoginLockouts()
+  },
+  unlockLogin: {
+    method: 'POST',
+    permission: 'user:manage',
+    description: 'Lift a login lockout for a username or client',
+    params: {
+      username: { type: 'string' },
+      clientId: { type: 'string' }
+    },
+    handler: (params, request) => unlockLogin(params.username, params.clientId, request.user.id)
+  },
+  testSpreadsheet: {
+    method: 'GET',
+    permission: 'system:admin',
+    description: 'Test spreadsheet access',
+    handler: () => testSpreadsheetAccess()
+  },
+  generateTradingData: {
+    method: 'GET',
+    permission: 'system:admin',
+    lock: true,
+    description: 'Generate realistic trading data up to yesterday',
+    handler: () => generateTradingDataToYesterday()
+  },
+  generateTradingDataRange: {
+    method: 'GET',
+    permission: 'system:admin',
+    lock: true,
+    description: 'Generate trading data for a date range',
+    params: {
+      accountId: { type: 'string', required: true },
+      startDate: { type: 'string', required: true },
+      endDate: { type: 'string', required: true },
+      initialBalance: { type: 'number', default: 1000 }
+    },
+    handler: (params) => generateTradingDataForDateRange(params.accountId, params.startDate, params.endDate, params.initialBalance)
+  },
+
+  // ==========================================
+  // Login Debug Endpoints (admin only - they expose password hashes)
+  // ==========================================
+  testGetUserData: {
+    method: 'GET',
+    permission: 'system:admin',
+    description: 'Read the user sheet',
+    handler: () => testGetUserData()
+  },
+  testFindUser: {
+    method: 'GET',
+    permission: 'system:admin',
+    description: 'Look up a user',
+    params: { username: ROUTE_PARAMS.DEBUG_USERNAME },
+    handler: (params) => testFindUser(params.username)
+  },
+  testVerifyPassword: {
+    method: 'GET',
+    permission: 'system:admin',
+    description: 'Verify a password against the user sheet',
+    params: { username: ROUTE_PARAMS.DEBUG_USERNAME, password: ROUTE_PARAMS.DEBUG_PASSWORD },
+    handler: (params) => testVerifyPassword(params.username, params.password)
+  },
+  testLoginStepByStep: {
+    method: 'GET',
+    permission: 'system:admin',
+    description: 'Run the login steps one by one',
+    params: { username: ROUTE_PARAMS.DEBUG_USERNAME, password: ROUTE_PARAMS.DEBUG_PASSWORD },
+    handler: (params) => testLoginStepByStep(params.username, params.password)
+  },
+  runAllLoginTests: {
+    method: 'GET',
+    permission: 'system:admin',
+    description: 'Run every login test',
+    params: { username: ROUTE_PARAMS.DEBUG_USERNAME, password: ROUTE_PARAMS.DEBUG_PASSWORD },
+    handler: (params) => runAllLoginTests(params.username, params.password)
+  },
+  testConfiguration: {
+    method: 'GET',
+    permission: 'system:admin',
+    description: 'Show the login configuration',
+    handler: () => testConfiguration()
+  },
+  testLoginWithFullDebug: {
+    method: 'GET',
+    permission: 'system:admin',
+    description: 'Login with full debug output',
+    params: { username: ROUTE_PARAMS.DEBUG_USERNAME, password: ROUTE_PARAMS.DEBUG_PASSWORD },
+    handler: (params) => testLoginWithFullDebug(params.username, params.password)
+  },
+  testDirectAuthentication: {
+    method: 'GET',
+    permission: 'system:admin',
+    description: 'Call authenticateUser directly',
+    params: { username: ROUTE_PARAMS.DEBUG_USERNAME, password: ROUTE_PARAMS.DEBUG_PASSWORD },
+    handler: (params) => testDirectAuthentication(params.username, params.password)
+  },
+  debugLogin: {
+    method: 'POST',
+    permission: 'system:admin',
+    description: 'Step-by-step authentication debug',
+    params: { username: { type: 'string' }, password: { type: 'string' } },
+    handler: (params) => debugLoginSteps(params.username, params.password)
+  }
+};
+
+/**
+ * Action used for POST requests without an action (single trade submission, backward compatibility)
+ * @readonly
+ */
+const DEFAULT_POST_ACTION = 'addTrade';
@@ -0,0 +1,315 @@
+/**
+ * Schema Service - Header-driven column mapping for Google Sheets
+ * Reads each sheet's live header row once per execution and maps the logical
+ * field names in CONFIG.FIELDS to column positions, so services read and write
+ * records by field name instead of hardcoded header arrays or column indices
+ * @requires Types.js - For type definitions
+ * @requires Config.js - For CONFIG.FIELDS and CONFIG.SHEETS
+ * @requires SheetCacheService.js - For cached sheet reads (writes here invalidate them)
+ * @created 2025-10-19
+ */
+
+/**
+ * Per-execution cache of resolved sheet schemas, keyed by sheet name
+ * @type {Object<string, SheetSchema>}
+ */
+const SCHEMA_CACHE = {};
+
+// ==========================================
+// Schema Resolution
+// ==========================================
+
+/**
+ * Get the logical field → header map configured for a sheet
+ * @param {string} sheetName - Sheet name (use CONFIG.SHEETS constants)
+ * @returns {Object<string, string>} Field map from CONFIG.FIELDS
+ * @throws {Error} When no field map is configured for the sheet
+ */
+function getFieldMap(sheetName) {
+  const sheetKey = Object.keys(CONFIG.SHEETS).find(key => CONFIG.SHEETS[key] === sheetName);
+  const fieldMap = sheetKey ? CONFIG.FIELDS[sheetKey] : null;
+
+  if (!fieldMap) {
+    throw new Error(`No field mapping configured for sheet: ${sheetName}`);
+  }
+
+  return fieldMap;
+}
+
+/**
+ * Get the configured header names of a sheet in field order
+ * @param {string} sheetName - Sheet name (use CONFIG.SHEETS constants)
+ * @returns {string[]} Expected header names
+ */
+function getExpectedHeaders(sheetName) {
+  return Object.values(getFieldMap(sheetName));
+}
+
+/**
+ * Build (and cache) a schema from a header row
+ * @param {string} sheetName - Sheet name the headers belong to
+ * @param {Array} headerRow - First row of the sheet
+ * @returns {SheetSchema} Resolved schema
+ */
+function buildSheetSchema(sheetName, headerRow) {
+  const headers = (headerRow || []).map(header => String(header).trim());
+  const columns = {};
+  const missingFields = [];
+
+  Object.entries(getFieldMap(sheetName)).forEach(([field, header]) => {
+    const index = headers.indexOf(header);
+    if (index === -1) {
+      missingFields.push(field);
+    } else {
+      columns[field] = index;
+    }
+  });
+
+  const schema = {
+    sheetName: sheetName,
+    headers: headers,
+    columns: columns,
+    missingFields: missingFields
+  };
+
+  SCHEMA_CACHE[sheetName] = schema;
+  return schema;
+}
+
+/**
+ * Get the schema of a sheet, reading its header row on first use
+ * @param {string} sheetName - Sheet name (use CONFIG.SHEETS constants)
+ * @param {boolean} [forceReload=false] - Re-read the header row even if cached
+ * @returns {SheetSchema} Resolved schema
+ */
+function getSheetSchema(sheetName, forceReload = false) {
+  if (!forceReload && SCHEMA_CACHE[sheetName]) {
+    return SCHEMA_CACHE[sheetName];
+  }
+
+  const sheet = getSheet(sheetName);
+  const lastColumn = sheet.getLastColumn();
+  const headerRow = lastColumn > 0 ? sheet.getRange(1, 1, 1, lastColumn).getValues()[0] : [];
+
+  return buildSheetSchema(sheetName, headerRow);
+}
+
+/**
+ * Get the zero-based column index of a field
+ * @param {string} sheetName - Sheet name (use CONFIG.SHEETS constants)
+ * @param {string} field - Logical field name
+ * @returns {number} Column index, or -1 when the sheet has no such column
+ */
+function getColumnIndex(sheetName, field) {
+  const index = getSheetSchema(sheetName).columns[field];
+  return index === undefined ? -1 : index;
+}
+
+/**
+ * Clear cached schemas (e.g. after the header row was changed)
+ * @param {string} [sheetName] - Sheet to clear; clears all when omitted
+ */
+function resetSchemaCache(sheetName) {
+  Object.keys(SCHEMA_CACHE).forEach(name => {
+    if (!sheetName || name === sheetName) {
+      delete SCHEMA_CACHE[name];
+    }
+  });
+}
+
+/**
+ * Append any configured headers that are missing from a sheet's header row
+ * @param {string} sheetName - Sheet name (use CONFIG.SHEETS constants)
+ * @returns {string[]} Headers that were added
+ */
+function ensureSheetFields(sheetName) {
+  const schema = getSheetSchema(sheetName);
+  if (schema.missingFields.length === 0) {
+    return [];
+  }
+
+  const fieldMap = getFieldMap(sheetName);
+  const addedHeaders = schema.missingFields.map(field => fieldMap[field]);
+  const sheet = getSheet(sheetName);
+
+  sheet.getRange(1, schema.headers.length + 1, 1, addedHeaders.length).setValues([addedHeaders]);
+  buildSheetSchema(sheetName, schema.headers.concat(addedHeaders));
+  invalidateSheetCache(sheetName);
+
+  console.log(`Added missing headers to ${sheetName}: ${addedHeaders.join(', ')}`);
+  return addedHeaders;
+}
+
+/**
+ * Get a sheet, creating it with its configured headers when it does not exist yet
+ * Existing sheets get any missing configured headers appended.
+ * @param {string} sheetName - Sheet name (use CONFIG.SHEETS constants)
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The sheet
+ */
+function ensureSheet(sheetName) {
+  const spreadsheet = getSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(sheetName);
+
+  if (!sheet) {
+    const headers = getExpectedHeaders(sheetName);
+    sheet = spreadsheet.insertSheet(sheetName);
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+    resetSchemaCache(sheetName);
+    invalidateSheetCache(sheetName);
+    console.log(`Created sheet ${sheetName}`);
+    return sheet;
+  }
+
+  ensureSheetFields(sheetName);
+  return sheet;
+}
+
+// ==========================================
+// Record Conversion
+// ==========================================
+
+/**
+ * Convert a sheet row into a record keyed by logical field name
+ * @param {SheetSchema} schema - Schema of the sheet
+ * @param {Array} row - Row values
+ * @returns {Object} Record with one property per configured field ('' when absent)
+ */
+function rowToRecord(schema, row) {
+  const record = {};
+
+  Object.keys(getFieldMap(schema.sheetName)).forEach(field => {
+    const index = schema.columns[field];
+    const value = index === undefined ? undefined : row[index];
+    record[field] = value === undefined || value === null ? '' : value;
+  });
+
+  return record;
+}
+
+/**
+ * Convert a record into a sheet row
+ * Columns without a matching field keep their value from `baseRow` (or stay empty)
+ * @param {SheetSchema} schema - Schema of the sheet
+ * @param {Object} record - Record keyed by logical field name
+ * @param {Array} [baseRow] - Existing row to merge into
+ * @returns {Array} Row values ready for setValues/appendRow
+ */
+function recordToRow(schema, record, baseRow) {
+  const row = [];
+  for (let i = 0; i < schema.headers.length; i++) {
+    row.push(baseRow && baseRow[i] !== undefined ? baseRow[i] : '');
+  }
+
+  Object.entries(schema.columns).forEach(([field, index]) => {
+    if (record[field] !== undefined) {
+      row[index] = record[field];
+    }
+  });
+
+  return row;
+}
+
+/**
+ * Convert a record into the legacy object keyed by sheet header names
+ * @param {string} sheetName - Sheet name the record belongs to
+ * @param {Object} record - Record keyed by logical field name
+ * @returns {Object} Object keyed by configured header names
+ */
+function toHeaderRecord(sheetName, record) {
+  const result = {};
+
+  Object.entries(getFieldMap(sheetName)).forEach(([field, header]) => {
+    const value = record[field];
+    result[header] = value === undefined || value === null ? '' : value;
+  });
+
+  return result;
+}
+
+// ==========================================
+// Sheet Read/Write by Field Name
+// ==========================================
+
+/**
+ * Read every data row of a sheet as field-keyed records
+ * records[i] corresponds to sheet row i + 2 (header is row 1)
+ * @param {string} sheetName - Sheet name (use CONFIG.SHEETS constants)
+ * @param {boolean} [fromSheet=false] - Bypass the read cache; pass it (under the script lock)
+ *   when row numbers of the result are written to
+ * @returns {{sheet: GoogleAppsScript.Spreadsheet.Sheet, schema: SheetSchema, values: Array<Array>, records: Object[]}}
+ */
+function readSheetRecords(sheetName, fromSheet = false) {
+  const sheet = getSheet(sheetName);
+  const values = readSheetValues(sheetName, fromSheet);
+  const schema = SCHEMA_CACHE[sheetName] || buildSheetSchema(sheetName, values.length > 0 ? values[0] : []);
+  const records = values.slice(1).map(row => rowToRecord(schema, row));
+
+  return { sheet: sheet, schema: schema, values: values, records: records };
+}
+
+/**
+ * Find the first record whose field equals a value
+ * @param {string} sheetName - Sheet name (use CONFIG.SHEETS constants)
+ * @param {string} field - Logical field name to match
+ * @param {any} value - Value to look for
+ * @returns {{rowNumber: number, record: Object, row: Array}|null} Match or null
+ */
+function findSheetRecord(sheetName, field, value) {
+  const data = readSheetRecords(sheetName);
+  const index = data.records.findIndex(record => record[field] === value);
+
+  if (index === -1) {
+    return null;
+  }
+
+  return { rowNumber: index + 2, record: data.records[index], row: data.values[index + 1] };
+}
+
+/**
+ * Append a record as a new row
+ * @param {string} sheetName - Sheet name (use CONFIG.SHEETS constants)
+ * @param {Object} record - Record keyed by logical field name
+ * @returns {Array} Row that was appended
+ */
+function appendSheetRecord(sheetName, record) {
+  const row = recordToRow(getSheetSchema(sheetName), record);
+  getSheet(sheetName).appendRow(row);
+  invalidateSheetCache(sheetName);
+  return row;
+}
+
+/**
+ * Append records below the last row with a single range write
+ * The target rows come from getLastRow(), so callers must hold the script lock (withScriptLock).
+ * @param {string} sheetName - Sheet name (use CONFIG.SHEETS constants)
+ * @param {Object[]} records - Records keyed by logical field name
+ * @returns {Array[]} Rows that were appended
+ */
+function appendSheetRecords(sheetName, records) {
+  if (records.length === 0) {
+    return [];
+  }
+
+  const schema = getSheetSchema(sheetName);
+  const rows = records.map(record => recordToRow(schema, record));
+  const sheet = getSheet(sheetName);
+  sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+  invalidateSheetCache(sheetName);
+  return rows;
+}
+
+/**
+ * Overwrite an existing row with a record
+ * @param {string} sheetName - Sheet name (use CONFIG.SHEETS constants)
+ * @param {number} rowNumber - One-based sheet row number
+ * @param {Object} record - Record keyed by logical field name
+ * @param {Array} [baseRow] - Current row values, so unmapped columns are preserved
+ * @returns {Array} Row that was written
+ */
+function updateSheetRecord(sheetName, rowNumber, record, baseRow) {
+  const schema = getSheetSchema(sheetName);
+  const row = recordToRow(schema, record, baseRow);
+  getSheet(sheetName).getRange(rowNumber, 1, 1, row.length).setValues([row]);
+  invalidateSheetCache(sheetName);
+  return row;
+}
@@ -0,0 +1,115 @@
+/**
+ * Serializer Service - Convert sheet records into API response DTOs
+ * Read endpoints expose stable camelCase field names (TradeRecord, Account, Asset)
+ * instead of the Thai sheet headers; `format=raw` keeps the legacy header-keyed shape
+ * @requires Types.js - For type definitions
+ * @requires Config.js - For CONFIG.RESPONSE_FORMATS
+ * @requires SchemaService.js - For toHeaderRecord
+ * @created 2025-10-19
+ */
+
+/**
+ * Check whether a request asked for the legacy header-keyed shape
+ * @param {string} [format] - Requested response format
+ * @returns {boolean} True when format is 'raw'
+ */
+function isRawFormat(format) {
+  return String(format || '').trim().toLowerCase() === CONFIG.RESPONSE_FORMATS.RAW;
+}
+
+/**
+ * Convert a timestamp cell to an ISO string
+ * @param {Date|string} value - Cell value
+ * @returns {string} ISO timestamp or the original string
+ */
+function serializeTimestamp(value) {
+  return value instanceof Date ? value.toISOString() : String(value || '');
+}
+
+/**
+ * Serialize a trading journal record
+ * @param {JournalRecord} record - Field-keyed trade record
+ * @returns {TradeRecord} Trade DTO
+ */
+function serializeTrade(record) {
+  return {
+    transactionId: String(record.transactionId || ''),
+    timestamp: serializeTimestamp(record.timestamp),
+    accountId: String(record.accountId || ''),
+    assetId: String(record.assetId || ''),
+    startBalance: safeParseFloat(record.startBalance),
+    dailyProfit: safeParseFloat(record.dailyProfit),
+    endBalance: safeParseFloat(record.endBalance),
+    lotSize: safeParseFloat(record.lotSize),
+    notes: String(record.notes || ''),
+    tradeDate: record.tradeDate ? formatDateKey(record.tradeDate) : '',
+    deletedAt: record.deletedAt ? serializeTimestamp(record.deletedAt) : null,
+    deletedBy: String(record.deletedBy || ''),
+    deleteReason: String(record.deleteReason || '')
+  };
+}
+
+/**
+ * Serialize an account record
+ * @param {AccountRecord} record - Field-keyed account record
+ * @returns {Account} Account DTO
+ */
+function serializeAccount(record) {
+  return {
+    accountId: String(record.accountId || ''),
+    accountName: String(record.accountName || ''),
+    ownerName: String(record.ownerName || ''),
+    initialCapital: safeParseFloat(record.initialCapital),
+    duplicateDatePolicy: String(record.duplicateDatePolicy || '')
+  };
+}
+
+/**
+ * Serialize an asset record
+ * @param {AssetRecord} record - Field-keyed asset record
+ * @returns {Asset} Asset DTO
+ */
+function serializeAsset(record) {
+  return {
+    assetId: String(record.assetId || ''),
+    assetName: String(record.assetName || ''),
+    assetType: String(record.assetType || ''),
+    notes: String(record.notes || '')
+  };
+}
+
+/**
+ * Serialize a record of any sheet in the requested format
+ * @param {string} sheetName - Sheet the record belongs to (use CONFIG.SHEETS constants)
+ * @param {Object} record - Field-keyed record
+ * @param {string} [format] - 'raw' for header-keyed output, otherwise DTO
+ * @returns {Object} Serialized record
+ * @throws {Error} When no DTO serializer exists for the sheet
+ */
+function serializeRecord(sheetName, record, format) {
+  if (isRawFormat(format)) {
+    return toHeaderRecord(sheetName, record);
+  }
+
+  switch (sheetName) {
+    case CONFIG.SHEETS.TRADING_JOURNAL:
+      return serializeTrade(record);
+    case CONFIG.SHEETS.ACCOUNTS:
+      return serializeAccount(record);
+    case CONFIG.SHEETS.ASSETS:
+      return serializeAsset(record);
+    default:
+      throw new Error(`No serializer configured for sheet: ${sheetName}`);
+  }
+}
+
+/**
+ * Serialize a list of records in the requested format
+ * @param {string} sheetName - Sheet the records belong to (use CONFIG.SHEETS constants)
+ * @param {Object[]} records - Field-keyed records
+ * @param {string} [format] - 'raw' for header-keyed output, otherwise DTO
+ * @returns {Object[]} Serialized records
+ */
+function serializeRecords(sheetName, records, format) {
+  return records.map(record => serializeRecord(sheetName, record, format));
+}
@@ -4,61 +4,49 @@
  * @requires Types.js - For type definitions
  * @requires Config.js - For configuration constants
  * @requires PasswordService.js - For password verification
+ * @requires LoginThrottleService.js - For failed login throttling
+ * @requires AccountMembershipService.js - For per-account access levels
+ * @requires SchemaService.js - For field-based sheet access
+ * @requires ConcurrencyService.js - For withScriptLock (UserTokens rows are changed under the lock)
  * @created 2025-09-27 (refactored)
  */
 
 /**
  * Authenticate user with username/email and password
+ * Users whose password is flagged 'Must Change Password' get no session; the response
+ * carries `passwordChangeRequired` so the client can call changePassword. Users on a
+ * legacy hash get `passwordResetRequired` instead and must use a reset link.
  * @param {string} username - Username or email address
- * @param {string} password - Plain text password or password hash
+ * @param {string} password - Plain text password
+ * @param {SessionDevice} [device] - Device the session is opened from
  * @returns {AuthResult} Authentication result with user data and token
  */
-function authenticateUser(username, password) {
+function authenticateUser(username, password, device) {
   try {
-    // ดึงข้อมูล user จาก USER sheet
-    const sheet = getSheet(CONFIG.SHEETS.USER);
-    const values = sheet.getDataRange().getValues();
+    // ตรวจสอบ username/password (มีการจำกัดจำนวนครั้งที่ผิด)
+    const attempt = verifyLoginAttempt(username, password, device && device.clientId);
+    if (attempt.error) {
+      return attempt.error;
+    }
+    const match = attempt.match;
     
-    if (values.length <= 1) {
-      return createJSONResponse('error', 'ไม่พบข้อมูลผู้ใช้ในระบบ');
+    if (isLegacyPasswordHash(match.record.password)) {
+      return createPasswordResetRequiredResponse(match.record);
     }
     
-    // หา user ที่ตรงกับ username หรือ email
-    for (let i = 1; i < values.length; i++) {
-      const row = values[i];
-      const empId = row[0];
-      const fullName = row[1];
-      const email = row[2];
-      const role = row[3];
-      const userStatus = row[4];
-      const storedPassword = row[5];
-      
-      // ตรวจสอบ username (EmpId หรือ Email)
-      if ((empId === username || email === username) && userStatus === 1) {
-        // ตรวจสอบ password ด้วย secure hashing
-        const isPasswordValid = verifyPassword(password, email, empId);
-        if (isPasswordValid) {
-          // สร้าง user object
-          const user = {
-            id: empId,
-            fullName: fullName,
-            email: email,
-            role: role,
-            status: userStatus
-          };
-          
-          // สร้าง token
-          const token = generateToken(user);
-          
-          return createJSONResponse('success', 'เข้าสู่ระบบสำเร็จ', {
-            user: user,
-            token: token
-          });
-        }
-      }
+    if (requiresPasswordChange(match.record)) {
+      return createJSONResponse('error', CONFIG.MESSAGES.PASSWORD_CHANGE_REQUIRED, {
+        passwordChangeRequired: true,
+        userId: match.record.empId
+      });
     }
     
-    return createJSONResponse('error', 'ชื่อผู้ใช้หรือรหัสผ่านไม่ถูกต้อง');
+    // สร้าง session (access token + refresh token)
+    const user = toAuthUser(match.record);
+    const session = createSession(user.id, device);
+    writeAuditLog({ actor: user.id, action: 'login.success', targetId: user.id, details: { sessionId: session.sessionId } });
+    
+    return createJSONResponse('success', 'เข้าสู่ระบบสำเร็จ', Object.assign({ user: user }, session));
     
   } catch (error) {
     logError('authenticateUser', error, { username });
@@ -66,6 +54,64 @@ function authenticateUser(username, password) {
   }
 }
 
+/**
+ * Check a username and password, applying login throttling (CONFIG.LOGIN_THROTTLE)
+ * Blocked attempts are refused before the password is checked; failures are counted
+ * for the username and the client, and a correct password clears the username's count.
+ * @param {string} username - EmpId or email address
+ * @param {string} password - Plain text password
+ * @param {string} [clientId] - Client ID sent by the browser
+ * @returns {{match: Object}|{error: Object}} The user row, or the error response to return
+ */
+function verifyLoginAttempt(username, password, clientId) {
+  const match = findActiveUser(username);
+  const userKey = getLoginThrottleUserKey(username, match);
+  
+  const blocked = checkLoginThrottle(userKey, clientId);
+  if (blocked) {
+    return { error: blocked };
+  }
+  
+  if (!match || !verifyPassword(password, match.record.password)) {
+    recordLoginFailure(userKey, clientId);
+    return { error: createJSONResponse('error', CONFIG.MESSAGES.INVALID_CREDENTIALS) };
+  }
+  
+  clearLoginFailures(userKey);
+  return { match: match };
+}
+
+/**
+ * Find an active user by EmpId or email
+ * @param {string} username - EmpId or email address
+ * @returns {{rowNumber: number, record: Object, row: Array}|null} User row or null
+ */
+function findActiveUser(username) {
+  if (!username) return null;
+  
+  const data = readSheetRecords(CONFIG.SHEETS.USER);
+  const index = data.records.findIndex(record =>
+    (record.empId === username || record.email === username) && record.status === 1);
+  
+  if (index === -1) return null;
+  return { rowNumber: index + 2, record: data.records[index], row: data.values[index + 1] };
+}
+
+/**
+ * Build the user object returned by login
+ * @param {Object} userRecord - Record of the user sheet
+ * @returns {User} User without the password hash
+ */
+function toAuthUser(userRecord) {
+  return {
+    id: userRecord.empId,
+    fullName: userRecord.fullName,
+    email: userRecord.email,
+    role: userRecord.role,
+    status: userRecord.status
+  };
+}
+
 /**
  * Generate authentication token for user after successful login
  * Uses UUID-based token generation for security
@@ -74,39 +120,443 @@ function authenticateUser(username, password) {
  * @throws {Error} When token generation fails
  */
 function generateToken(user) {
+  return createSession(user.id).token;
+}
+
+/**
+ * Start a new session for a user alongside their other sessions
+ * Expired sessions of every user are cleaned up at the same time, and the user's
+ * oldest sessions are dropped beyond CONFIG.SESSION.MAX_SESSIONS_PER_USER.
+ * @param {string} userId - User ID (EmpId)
+ * @param {SessionDevice} [device] - Device the session is opened from
+ * @returns {SessionTokens} New access/refresh token pair with expiry times
+ * @throws {Error} When the token cannot be saved
+ */
+function createSession(userId, device) {
   try {
-    // ตรวจสอบว่า user มี token อยู่แล้วหรือไม่
-    var existingToken = getTokenByUserId(user.id);
-    if (existingToken) {
-      // หาก user มี token อยู่แล้ว ให้ลบ token เก่าก่อน
-      removeTokenByUserId(user.id);
-    }
+    cleanupExpiredTokens();
+    trimUserSessions(userId, CONFIG.SESSION.MAX_SESSIONS_PER_USER - 1);
     
     // สร้าง token ใหม่
-    var token = Utilities.getUuid() + '-' + user.id;
+    var now = new Date();
+    var userAgent = sanitizeString((device && device.userAgent) || '').substring(0, 300);
+    var record = {
+      sessionId: Utilities.getUuid(),
+      userId: userId,
+      token: Utilities.getUuid() + '-' + userId,
+      refreshToken: generateRefreshToken(),
+      createdAt: now,
+      lastSeenAt: now,
+      deviceLabel: sanitizeString((device && device.deviceLabel) || describeUserAgent(userAgent)).substring(0, 100),
+      userAgent: userAgent
+    };
     
     // บันทึก token ใหม่
-    saveTokenForUser(user.id, token);
+    saveTokenRecord(record);
     
-    console.log(`Generated new token for user: ${user.id}`);
-    return token;
+    console.log(`Generated new token for user: ${userId}`);
+    return toSessionTokens(record);
   } catch (error) {
     console.error('Error generating token:', error);
     throw error;
   }
 }
 
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * The refresh token is rotated, so each one can be used only once. The session keeps
+ * its 'Created At' (login time), so refreshing never extends the refresh window; the
+ * new access token's lifetime counts from 'Refreshed At'. Users who were deactivated
+ * or must change their password lose the session instead.
+ * @param {string} refreshToken - Refresh token from login or a previous refresh
+ * @returns {APIResponse} Response with the new SessionTokens fields
+ */
+function refreshSession(refreshToken) {
+  try {
+    if (!refreshToken) {
+      return createJSONResponse('error', 'Invalid or expired refresh token');
+    }
+    
+    // Found and rotated under the lock, so the same refresh token cannot be used twice at once
+    return withScriptLock(() => {
+      var match = findSheetRecord(CONFIG.SHEETS.USER_TOKENS, 'refreshToken', refreshToken);
+      if (!match) {
+        return createJSONResponse('error', 'Invalid or expired refresh token');
+      }
+      
+      if (getSessionExpiry(match.record).refreshExpired) {
+        getSheet(CONFIG.SHEETS.USER_TOKENS).deleteRow(match.rowNumber);
+        return createJSONResponse('error', 'Invalid or expired refresh token');
+      }
+      
+      var user = findSheetRecord(CONFIG.SHEETS.USER, 'empId', match.record.userId);
+      if (!user || user.record.status !== 1) {
+        getSheet(CONFIG.SHEETS.USER_TOKENS).deleteRow(match.rowNumber);
+        return createJSONResponse('error', 'Invalid or expired refresh token');
+      }
+      if (requiresPasswordChange(user.record)) {
+        getSheet(CONFIG.SHEETS.USER_TOKENS).deleteRow(match.rowNumber);
+        return createJSONResponse('error', CONFIG.MESSAGES.PASSWORD_CHANGE_REQUIRED, {
+          passwordChangeRequired: true,
+          userId: user.record.empId
+        });
+      }
+      
+      // Sheets created before 'Refreshed At' existed get the new column
+      ensureSheetFields(CONFIG.SHEETS.USER_TOKENS);
+      var now = new Date();
+      var record = Object.assign({}, match.record, {
+        token: Utilities.getUuid() + '-' + match.record.userId,
+        refreshToken: generateRefreshToken(),
+        refreshedAt: now,
+        lastSeenAt: now
+      });
+      updateSheetRecord(CONFIG.SHEETS.USER_TOKENS, match.rowNumber, record, match.row);
+      
+      return createJSONResponse('success', 'ต่ออายุ session สำเร็จ', Object.assign({ userId: record.userId }, toSessionTokens(record)));
+    });
+  } catch (error) {
+    logError('refreshSession', error);
+    return createJSONResponse('error', 'ไม่สามารถต่ออายุ session ได้');
+  }
+}
+
 /**
  * Verify if authentication token is valid and active
+ * Expired tokens are rejected; a valid token slides its idle expiry forward.
  * @param {string} token - Authentication token to verify
  * @returns {boolean} True if token is valid and active
  */
 function verifyToken(token) {
-  // ตัวอย่าง: ดึง token จาก sheet หรือ cache แล้วตรวจสอบ
-  var tokenInfo = getTokenInfo(token);
-  if (!tokenInfo) return false;
-  // ตรวจสอบวันหมดอายุ, user status ฯลฯ
-  return true;
+  if (!token) return false;
+  
+  try {
+    var match = findSheetRecord(CONFIG.SHEETS.USER_TOKENS, 'token', token);
+    if (!match) return false;
+    
+    var expiry = getSessionExpiry(match.record);
+    if (expiry.expired) {
+      // Keep the row while its refresh token can still renew the session
+      if (expiry.refreshExpired) {
+        writeTokenRow(token, null);
+      }
+      return false;
+    }
+    
+    var now = new Date();
+    var lastSeen = toSessionDate(match.record.lastSeenAt) || toSessionDate(match.record.createdAt);
+    if (now.getTime() - lastSeen.getTime() >= minutesToMs(CONFIG.SESSION.LAST_SEEN_UPDATE_MINUTES)) {
+      writeTokenRow(token, { lastSeenAt: now });
+    }
+    
+    return true;
+  } catch (error) {
+    console.error('Error verifying token:', error);
+    return false;
+  }
+}
+
+/**
+ * Delete token rows whose session can no longer be used or refreshed
+ * Called on every login; can also run from a time-driven trigger.
+ * @returns {number} Number of rows deleted
+ */
+function cleanupExpiredTokens() {
+  try {
+    var now = new Date();
+    var removed = deleteTokenRows(record => getSessionExpiry(record, now).refreshExpired);
+    
+    if (removed > 0) {
+      console.log(`Removed ${removed} expired token(s)`);
+    }
+    return removed;
+  } catch (error) {
+    console.error('Error cleaning up tokens:', error);
+    return 0;
+  }
+}
+
+/**
+ * Work out when a token row expires
+ * The access token counts its absolute lifetime from the last refresh ('Refreshed At',
+ * 'Created At' before the first one); the refresh token always counts from 'Created At'.
+ * @param {Object} tokenRecord - UserTokens record (createdAt, refreshedAt, lastSeenAt, refreshToken)
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {{expiresAt: Date|null, refreshExpiresAt: Date|null, expired: boolean, refreshExpired: boolean}}
+ *   Rows with an unreadable 'Created At' count as expired
+ */
+function getSessionExpiry(tokenRecord, now) {
+  var reference = (now || new Date()).getTime();
+  var createdAt = toSessionDate(tokenRecord.createdAt);
+  
+  if (!createdAt) {
+    return { expiresAt: null, refreshExpiresAt: null, expired: true, refreshExpired: true };
+  }
+  
+  var issuedAt = toSessionDate(tokenRecord.refreshedAt) || createdAt;
+  var lastSeenAt = toSessionDate(tokenRecord.lastSeenAt) || issuedAt;
+  var expiresAt = new Date(Math.min(
+    issuedAt.getTime() + minutesToMs(CONFIG.SESSION.ABSOLUTE_TTL_MINUTES),
+    lastSeenAt.getTime() + minutesToMs(CONFIG.SESSION.IDLE_TTL_MINUTES)
+  ));
+  var refreshExpiresAt = tokenRecord.refreshToken
+    ? new Date(createdAt.getTime() + minutesToMs(CONFIG.SESSION.REFRESH_TTL_MINUTES))
+    : null;
+  var expired = expiresAt.getTime() <= reference;
+  
+  return {
+    expiresAt: expiresAt,
+    refreshExpiresAt: refreshExpiresAt,
+    expired: expired,
+    // Rows without a refresh token (issued before refresh tokens existed) die with their access token
+    refreshExpired: refreshExpiresAt ? refreshExpiresAt.getTime() <= reference : expired
+  };
+}
+
+/**
+ * Session fields returned to the client
+ * @param {Object} tokenRecord - UserTokens record
+ * @returns {SessionTokens} Tokens with ISO expiry timestamps
+ */
+function toSessionTokens(tokenRecord) {
+  var expiry = getSessionExpiry(tokenRecord);
+  return {
+    sessionId: tokenRecord.sessionId,
+    token: tokenRecord.token,
+    refreshToken: tokenRecord.refreshToken,
+    expiresAt: expiry.expiresAt ? expiry.expiresAt.toISOString() : null,
+    refreshExpiresAt: expiry.refreshExpiresAt ? expiry.refreshExpiresAt.toISOString() : null
+  };
+}
+
+/**
+ * Generate an opaque refresh token
+ * @returns {string} 64 hex characters
+ */
+function generateRefreshToken() {
+  return (Utilities.getUuid() + Utilities.getUuid()).replace(/-/g, '');
+}
+
+/**
+ * Read a session timestamp cell
+ * @param {any} value - Date cell or date string
+ * @returns {Date|null} Date or null when empty/unreadable
+ */
+function toSessionDate(value) {
+  if (value === '' || value === null || value === undefined) return null;
+  var date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * @param {number} minutes - Minutes
+ * @returns {number} Milliseconds
+ */
+function minutesToMs(minutes) {
+  return minutes * 60 * 1000;
+}
+
+/**
+ * Short device description from a browser user agent, e.g. 'Chrome on Windows'
+ * @param {string} userAgent - User agent string
+ * @returns {string} Device label ('Unknown device' when nothing is recognised)
+ */
+function describeUserAgent(userAgent) {
+  if (!userAgent) return 'Unknown device';
+  
+  var browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+  var systems = [['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Android', 'Android'], ['Windows', 'Windows'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+  var find = list => (list.find(entry => userAgent.indexOf(entry[0]) !== -1) || [])[1];
+  var browser = find(browsers);
+  var system = find(systems);
+  
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || userAgent.substring(0, 50);
+}
+
+// ==========================================
+// Session Management (multiple devices per user)
+// ==========================================
+
+/**
+ * List the live sessions of the token owner
+ * @param {string} token - Access token of the current session
+ * @returns {APIResponse} Response with sessions (newest activity first)
+ *   - sessions: SessionInfo[] - Sessions without their tokens
+ */
+function listSessions(token) {
+  try {
+    var current = findSheetRecord(CONFIG.SHEETS.USER_TOKENS, 'token', token);
+    if (!current) {
+      return createJSONResponse('error', 'Invalid token');
+    }
+    
+    var now = new Date();
+    var sessions = readSheetRecords(CONFIG.SHEETS.USER_TOKENS).records
+      .filter(record => record.userId === current.record.userId && !getSessionExpiry(record, now).refreshExpired)
+      .map(record => toSessionInfo(record, token, now));
+    
+    sessions.sort((a, b) => String(b.lastSeenAt).localeCompare(String(a.lastSeenAt)));
+    
+    return createJSONResponse('success', CONFIG.MESSAGES.DATA_RETRIEVED_SUCCESS, {
+      sessions: sessions,
+      count: sessions.length
+    });
+  } catch (error) {
+    logError('listSessions', error);
+    return createJSONResponse('error', 'ไม่สามารถดึงรายการ session ได้');
+  }
+}
+
+/**
+ * Revoke one session of the token owner (may be the current one)
+ * @param {string} token - Access token of the current session
+ * @param {string} sessionId - Session to revoke
+ * @returns {APIResponse} Response with the revoked session ID
+ */
+function revokeSession(token, sessionId) {
+  try {
+    var current = findSheetRecord(CONFIG.SHEETS.USER_TOKENS, 'token', token);
+    if (!current) {
+      return createJSONResponse('error', 'Invalid token');
+    }
+    
+    // Rows are found and deleted under the lock so a concurrent delete cannot shift them
+    return withScriptLock(() => {
+      var data = readSheetRecords(CONFIG.SHEETS.USER_TOKENS);
+      var index = data.records.findIndex(record => record.sessionId === sessionId && record.userId === current.record.userId);
+      if (index === -1) {
+        return createJSONResponse('error', 'ไม่พบ session ที่ระบุ');
+      }
+      
+      data.sheet.deleteRow(index + 2);
+      writeAuditLog({ action: 'session.revoke', targetId: sessionId, before: { deviceLabel: data.records[index].deviceLabel } });
+      return createJSONResponse('success', 'ยกเลิก session สำเร็จ', {
+        sessionId: sessionId,
+        current: data.records[index].token === token
+      });
+    });
+  } catch (error) {
+    logError('revokeSession', error, { sessionId });
+    return createJSONResponse('error', 'ไม่สามารถยกเลิก session ได้');
+  }
+}
+
+/**
+ * Revoke every session of the token owner except the current one
+ * @param {string} token - Access token of the current session
+ * @returns {APIResponse} Response with the number of sessions revoked
+ */
+function revokeAllOtherSessions(token) {
+  try {
+    var current = findSheetRecord(CONFIG.SHEETS.USER_TOKENS, 'token', token);
+    if (!current) {
+      return createJSONResponse('error', 'Invalid token');
+    }
+    
+    var removed = deleteTokenRows(record => record.userId === current.record.userId && record.token !== token);
+    writeAuditLog({ action: 'session.revokeOthers', targetId: current.record.userId, details: { revoked: removed } });
+    return createJSONResponse('success', 'ออกจากระบบอุปกรณ์อื่นทั้งหมดแล้ว', { revoked: removed });
+  } catch (error) {
+    logError('revokeAllOtherSessions', error);
+    return createJSONResponse('error', 'ไม่สามารถยกเลิก session ได้');
+  }
+}
+
+/**
+ * Keep at most `keep` sessions of a user, dropping the least recently used
+ * @param {string} userId - User ID
+ * @param {number} keep - Number of sessions to keep
+ * @returns {number} Number of sessions removed
+ */
+function trimUserSessions(userId, keep) {
+  var records = readSheetRecords(CONFIG.SHEETS.USER_TOKENS).records.filter(record => record.userId === userId);
+  if (records.length <= keep) {
+    return 0;
+  }
+  
+  var lastUsed = record => (toSessionDate(record.lastSeenAt) || toSessionDate(record.createdAt) || new Date(0)).getTime();
+  var dropped = records.sort((a, b) => lastUsed(a) - lastUsed(b)).slice(0, records.length - keep).map(record => record.token);
+  return deleteTokenRows(record => dropped.indexOf(record.token) !== -1);
+}
+
+/**
+ * Delete every UserTokens row matching a predicate
+ * The rows are read and deleted under the script lock, so a concurrent request
+ * cannot shift them onto another user's session.
+ * @param {function(Object): boolean} predicate - Receives the token record
+ * @returns {number} Number of rows deleted
+ * @throws {Error} When the script lock is busy
+ */
+function deleteTokenRows(predicate) {
+  var result = withScriptLock(() => {
+    var data = readSheetRecords(CONFIG.SHEETS.USER_TOKENS);
+    var removed = 0;
+    
+    // Delete from the bottom so earlier row numbers stay valid
+    for (var i = data.records.length - 1; i >= 0; i--) {
+      if (predicate(data.records[i])) {
+        data.sheet.deleteRow(i + 2);
+        removed++;
+      }
+    }
+    
+    return { status: 'success', removed: removed };
+  });
+  
+  if (result.status === 'error') {
+    throw new Error(result.message);
+  }
+  return result.removed;
+}
+
+/**
+ * Update or delete the UserTokens row of an access token
+ * The row is found again under the script lock right before the write; a row number
+ * read earlier may point at another session once a concurrent request deleted rows.
+ * @param {string} token - Access token of the row
+ * @param {Object|null} updates - Fields to write; null deletes the row
+ * @returns {boolean} True when the row was written (false when it is gone or the lock is busy)
+ */
+function writeTokenRow(token, updates) {
+  var result = withScriptLock(() => {
+    var match = findSheetRecord(CONFIG.SHEETS.USER_TOKENS, 'token', token);
+    if (!match) {
+      return { status: 'error' };
+    }
+    
+    if (updates) {
+      updateSheetRecord(CONFIG.SHEETS.USER_TOKENS, match.rowNumber, updates, match.row);
+    } else {
+      getSheet(CONFIG.SHEETS.USER_TOKENS).deleteRow(match.rowNumber);
+    }
+    return { status: 'success' };
+  });
+  
+  return result.status === 'success';
+}
+
+/**
+ * Session fields safe to show the user (no tokens)
+ * @param {Object} tokenRecord - UserTokens record
+ * @param {string} currentToken - Token of the requesting session
+ * @param {Date} now - Reference time
+ * @returns {SessionInfo} Session summary
+ */
+function toSessionInfo(tokenRecord, currentToken, now) {
+  var expiry = getSessionExpiry(tokenRecord, now);
+  var lastSeenAt = toSessionDate(tokenRecord.lastSeenAt) || toSessionDate(tokenRecord.createdAt);
+  
+  return {
+    sessionId: tokenRecord.sessionId,
+    deviceLabel: tokenRecord.deviceLabel || 'Unknown device',
+    userAgent: tokenRecord.userAgent,
+    createdAt: toSessionDate(tokenRecord.createdAt).toISOString(),
+    lastSeenAt: lastSeenAt.toISOString(),
+    expiresAt: expiry.expiresAt.toISOString(),
+    expired: expiry.expired,
+    current: tokenRecord.token === currentToken
+  };
 }
 
 /**
@@ -114,9 +564,11 @@ function verifyToken(token) {
  */
 function revokeToken(token) {
   try {
+    var tokenInfo = getTokenInfo(token);
     var result = removeToken(token);
     if (result) {
       console.log(`Token revoked successfully: ${token}`);
+      writeAuditLog({ actor: tokenInfo.userId, action: 'session.logout', targetId: tokenInfo.sessionId });
     }
     return result;
   } catch (error) {
@@ -143,37 +595,81 @@ function revokeTokenByUserId(userId) {
 
 /**
  * ตรวจสอบสิทธิ์การเข้าถึง (authorization)
+ * @param {User} user - User whose role is checked
+ * @param {string} permission - Named permission, e.g. 'trade:create' (see CONFIG.ROLES)
+ * @returns {boolean} True when the user's role grants the permission
+ */
+function checkPermission(user, permission) {
+  return Boolean(user) && getRolePermissions(user.role).includes(permission);
+}
+
+/**
+ * Resolve a role stored in the user sheet to a role of CONFIG.ROLES
+ * @param {string} role - Role value of the user sheet
+ * @returns {string} Role name; CONFIG.DEFAULT_ROLE for unknown roles
+ */
+function resolveRole(role) {
+  const name = String(role || '').trim().toLowerCase();
+  const resolved = CONFIG.ROLE_ALIASES[name] || name;
+  return Object.prototype.hasOwnProperty.call(CONFIG.ROLES, resolved) ? resolved : CONFIG.DEFAULT_ROLE;
+}
+
+/**
+ * List the permissions a role grants
+ * @param {string} role - Role value of the user sheet
+ * @returns {string[]} Permission names
+ */
+function getRolePermissions(role) {
+  return CONFIG.ROLES[resolveRole(role)].slice();
+}
+
+/**
+ * Get the role and permissions of the token owner
+ * @param {string} token - User token
+ * @returns {APIResponse} Response with `role` and `permissions`
  */
-function checkPermission(user, action) {
-  // ตัวอย่าง: ตรวจสอบ role หรือสิทธิ์ใน user object
-  if (user.role === 'admin') return true;
-  if (action === 'CRUD' && user.permissions === 'CRUD') return true;
-  return false;
+function getMyPermissions(token) {
+  const userInfo = getUserInfoFromToken(token);
+  if (userInfo.status === 'error') {
+    return userInfo;
+  }
+  
+  return createJSONResponse('success', CONFIG.MESSAGES.DATA_RETRIEVED_SUCCESS, {
+    role: resolveRole(userInfo.user.role),
+    permissions: getRolePermissions(userInfo.user.role)
+  });
 }
 
 /**
- * ฟังก์ชันช่วยเหลือสำหรับการจัดการ token (ตัวอย่าง)
+ * ฟังก์ชันช่วยเหลือสำหรับการจัดการ token
+ * บันทึกแถว token ใหม่ลง UserTokens
+ * @param {Object} record - UserTokens record (userId, token, refreshToken, createdAt, lastSeenAt)
  */
-function saveTokenForUser(userId, token) {
+function saveTokenRecord(record) {
   try {
-    var sheet = getSheet(CONFIG.SHEETS.USER_TOKENS);
-    sheet.appendRow([userId, token, new Date()]);
+    // Sheets created before 'Last Seen At' / 'Refresh Token' existed get the new columns
+    ensureSheetFields(CONFIG.SHEETS.USER_TOKENS);
+    appendSheetRecord(CONFIG.SHEETS.USER_TOKENS, record);
   } catch (error) {
     console.error('Error saving token:', error);
     throw error;
   }
 }
 
+/**
+ * Get the stored token row with its expiry
+ * @param {string} token - Access token
+ * @returns {TokenInfo|null} Token info or null when not found
+ */
 function getTokenInfo(token) {
   try {
-    var sheet = getSheet(CONFIG.SHEETS.USER_TOKENS);
-    var data = sheet.getDataRange().getValues();
-    for (var i = 1; i < data.length; i++) {
-      if (data[i][1] === token) {
-        return { userId: data[i][0], token: data[i][1], createdAt: data[i][2] };
-      }
-    }
-    return null;
+    var match = findSheetRecord(CONFIG.SHEETS.USER_TOKENS, 'token', token);
+    if (!match) return null;
+    
+    var expiry = getSessionExpiry(match.record);
+    return Object.assign({}, match.record, {
+      expiresAt: expiry.expiresAt ? expiry.expiresAt.toISOString() : null
+    });
   } catch (error) {
     console.error('Error getting token info:', error);
     return null;
@@ -182,15 +678,7 @@ function getTokenInfo(token) {
 
 function removeToken(token) {
   try {
-    var sheet = getSheet(CONFIG.SHEETS.USER_TOKENS);
-    var data = sheet.getDataRange().getValues();
-    for (var i = 1; i < data.length; i++) {
-      if (data[i][1] === token) {
-        sheet.deleteRow(i + 1);
-        return true;
-      }
-    }
-    return false;
+    return writeTokenRow(token, null);
   } catch (error) {
     console.error('Error removing token:', error);
     return false;
@@ -224,11 +712,13 @@ function authenticateRequest(params) {
 
 /**
  * Verify if user has access to specific account
+ * Access comes from the AccountMembers sheet; users with 'system:admin' may use every account.
  * @param {string} token - User token
  * @param {string} accountId - Account ID to check
- * @returns {Object} Access verification result
+ * @param {string} [requiredLevel='viewer'] - Level needed: 'viewer', 'editor' or 'owner'
+ * @returns {APIResponse} Access verification result with the user's `accessLevel`
  */
-function verifyAccountAccess(token, accountId) {
+function verifyAccountAccess(token, accountId, requiredLevel) {
   try {
     if (!token || !accountId) {
       return createJSONResponse('error', 'Token and Account ID are required');
@@ -241,37 +731,28 @@ function verifyAccountAccess(token, accountId) {
     }
     
     // Get user details from USER sheet
-    const userSheet = getSheet(CONFIG.SHEETS.USER);
-    const userData = userSheet.getDataRange().getValues();
-    
-    let userAccount = null;
-    for (let i = 1; i < userData.length; i++) {
-      if (userData[i][0] === tokenInfo.userId) { // EmpId matches
-        userAccount = userData[i];
-        break;
-      }
-    }
+    const userMatch = findSheetRecord(CONFIG.SHEETS.USER, 'empId', tokenInfo.userId);
     
-    if (!userAccount) {
+    if (!userMatch) {
       return createJSONResponse('error', 'User not found');
     }
     
-    const userRole = userAccount[3]; // Role column
+    const required = requiredLevel || 'viewer';
+    const level = getAccountAccessLevel(userMatch.record, accountId);
     
-    // Admin can access all accounts
-    if (userRole === 'admin') {
-      return createJSONResponse('success', 'Admin access granted');
+    if (!level) {
+      return createJSONResponse('error', 'Access denied to this account');
     }
-    
-    // Regular user can only access their own account
-    if (tokenInfo.userId === accountId) {
-      return createJSONResponse('success', 'User access granted');
+    if (!hasAccessLevel(level, required)) {
+      return createJSONResponse('error', `Access denied: ${required} access to this account is required`, {
+        accessLevel: level
+      });
     }
     
-    return createJSONResponse('error', 'Access denied to this account');
+    return createJSONResponse('success', 'Account access granted', { accessLevel: level });
     
   } catch (error) {
-    logError('verifyAccountAccess', error, { token, accountId });
+    logError('verifyAccountAccess', error, { accountId, requiredLevel });
     return createJSONResponse('error', 'Access verification failed');
   }
 }
@@ -293,21 +774,18 @@ function getUserInfoFromToken(token) {
     }
     
     // Get user details from USER sheet
-    const userSheet = getSheet(CONFIG.SHEETS.USER);
-    const userData = userSheet.getDataRange().getValues();
-    
-    for (let i = 1; i < userData.length; i++) {
-      if (userData[i][0] === tokenInfo.userId) {
-        const user = {
-          id: userData[i][0],
-          fullName: userData[i][1],
-          email: userData[i][2],
-          role: userData[i][3],
-          status: userData[i][4]
-        };
-        
-        return createJSONResponse('success', 'User information retrieved', { user });
-      }
+    const userMatch = findSheetRecord(CONFIG.SHEETS.USER, 'empId', tokenInfo.userId);
+    
+    if (userMatch) {
+      const user = {
+        id: userMatch.record.empId,
+        fullName: userMatch.record.fullName,
+        email: userMatch.record.email,
+        role: userMatch.record.role,
+        status: userMatch.record.status
+      };
+      
+      return createJSONResponse('success', 'User information retrieved', { user });
     }
     
     return createJSONResponse('error', 'User not found');
@@ -327,14 +805,8 @@ function getUserInfoFromToken(token) {
  */
 function getTokenByUserId(userId) {
   try {
-    var sheet = getSheet(CONFIG.SHEETS.USER_TOKENS);
-    var data = sheet.getDataRange().getValues();
-    for (var i = 1; i < data.length; i++) {
-      if (data[i][0] === userId) {
-        return data[i][1]; // return token
-      }
-    }
-    return null;
+    var match = findSheetRecord(CONFIG.SHEETS.USER_TOKENS, 'userId', userId);
+    return match ? match.record.token : null;
   } catch (error) {
     console.error('Error getting token by user ID:', error);
     return null;
@@ -342,20 +814,16 @@ function getTokenByUserId(userId) {
 }
 
 /**
- * ลบ token ของ user โดยใช้ user ID
+ * ลบ token ทุก session ของ user โดยใช้ user ID
  * @param {string} userId - User ID
  * @returns {boolean} สำเร็จหรือไม่
  */
 function removeTokenByUserId(userId) {
   try {
-    var sheet = getSheet(CONFIG.SHEETS.USER_TOKENS);
-    var data = sheet.getDataRange().getValues();
-    for (var i = 1; i < data.length; i++) {
-      if (data[i][0] === userId) {
-        sheet.deleteRow(i + 1);
-        console.log(`Removed existing token for user: ${userId}`);
-        return true;
-      }
+    var removed = deleteTokenRows(record => record.userId === userId);
+    if (removed > 0) {
+      console.log(`Removed ${removed} token(s) for user: ${userId}`);
+      return true;
     }
     return false;
   } catch (error) {
@@ -346,6 +346,32 @@ function getSystemHealth() {
   }
 }
 
+/**
+ * Public deployment check (ping/status/health endpoints)
+ * Does not touch the spreadsheet, so it only proves the web app deployment answers
+ * @returns {Object} Deployment status with the public endpoints of the route table
+ */
+function getDeploymentStatus() {
+  return createJSONResponse('success', 'GAS deployment is working', {
+    deployment: {
+      active: true,
+      endpoints: Object.keys(ROUTES).filter(action => ROUTES[action].auth === false)
+    }
+  });
+}
+
+/**
+ * Expected header row of every configured sheet, derived from CONFIG.FIELDS
+ * @returns {Object<string, string[]>} Sheet name → expected headers
+ */
+function getExpectedSheetStructures() {
+  const structures = {};
+  Object.values(CONFIG.SHEETS).forEach(sheetName => {
+    structures[sheetName] = getExpectedHeaders(sheetName);
+  });
+  return structures;
+}
+
 /**
  * ตรวจสอบโครงสร้าง sheets และ headers พื้นฐาน
  * @returns {Object} ผลการตรวจสอบ structure
@@ -365,25 +391,7 @@ function validateSheetsStructure() {
   };
   
   // Expected sheet structures
-  const expectedStructures = {
-    [CONFIG.SHEETS.TRADING_JOURNAL]: [
-      'Transaction_ID', 'Timestamp', 'Account ID', 'Asset ID',
-      'เงินต้นเริ่มต้นวัน (USD)', 'กำไร/ขาดทุนรายวัน (USD)',
-      'เงินรวมสิ้นวัน (USD)', 'Lot Size', 'หมายเหตุ'
-    ],
-    [CONFIG.SHEETS.ACCOUNTS]: [
-      'Account ID', 'ชื่อบัญชี', 'ชื่อผู้ใช้/เจ้าของ', 'เงินต้นเริ่มต้น (USD)'
-    ],
-    [CONFIG.SHEETS.ASSETS]: [
-      'Asset ID', 'ชื่อสินทรัพย์', 'ประเภท', 'หมายเหตุ'
-    ],
-    [CONFIG.SHEETS.USER]: [
-      'EmpId', 'FullNameTH', 'Email', 'Role', 'Userstatus', 'password'
-    ],
-    [CONFIG.SHEETS.USER_TOKENS]: [
-      'User ID', 'Token', 'Created At'
-    ]
-  };
+  const expectedStructures = getExpectedSheetStructures();
   
   try {
     const spreadsheet = getSpreadsheetSafely();
@@ -503,25 +511,7 @@ function validateSheetHeaders() {
     sheets: {}
   };
   
-  const expectedHeaders = {
-    [CONFIG.SHEETS.TRADING_JOURNAL]: [
-      'Transaction_ID', 'Timestamp', 'Account ID', 'Asset ID',
-      'เงินต้นเริ่มต้นวัน (USD)', 'กำไร/ขาดทุนรายวัน (USD)',
-      'เงินรวมสิ้นวัน (USD)', 'Lot Size', 'หมายเหตุ'
-    ],
-    [CONFIG.SHEETS.ACCOUNTS]: [
-      'Account ID', 'ชื่อบัญชี', 'ชื่อผู้ใช้/เจ้าของ', 'เงินต้นเริ่มต้น (USD)'
-    ],
-    [CONFIG.SHEETS.ASSETS]: [
-      'Asset ID', 'ชื่อสินทรัพย์', 'ประเภท', 'หมายเหตุ'
-    ],
-    [CONFIG.SHEETS.USER]: [
-      'EmpId', 'FullNameTH', 'Email', 'Role', 'Userstatus', 'password'
-    ],
-    [CONFIG.SHEETS.USER_TOKENS]: [
-      'User ID', 'Token', 'Created At'
-    ]
-  };
+  const expectedHeaders = getExpectedSheetStructures();
   
   try {
     const spreadsheet = getSpreadsheetSafely();
@@ -661,13 +651,15 @@ function validateSheetDataTypes() {
       'กำไร/ขาดทุนรายวัน (USD)': 'number',
       'เงินรวมสิ้นวัน (USD)': 'number',
       'Lot Size': 'number',
-      'หมายเหตุ': 'string'
+      'หมายเหตุ': 'string',
+      'Trade Date': 'date'
     },
     [CONFIG.SHEETS.ACCOUNTS]: {
       'Account ID': 'string',
       'ชื่อบัญชี': 'string',
       'ชื่อผู้ใช้/เจ้าของ': 'string',
-      'เงินต้นเริ่มต้น (USD)': 'number'
+      'เงินต้นเริ่มต้น (USD)': 'number',
+      'Duplicate Date Policy': 'string'
     },
     [CONFIG.SHEETS.ASSETS]: {
       'Asset ID': 'string',
@@ -909,6 +901,210 @@ function validateSheetsComprehensive() {
   }
 }
 
+/**
+ * ตรวจสอบความต่อเนื่องของยอดเงิน (balance chain) ใน Trading_Journal แยกตามบัญชี
+ * เรียงตาม Trade Date แล้วรายงาน gaps, overlaps และยอดเงินที่ไม่ต่อเนื่อง
+ * พร้อมโหมดซ่อมแซม (dry-run = แสดงสิ่งที่จะแก้, apply = เขียนลง sheet)
+ * @param {string} [mode='dry-run'] - 'dry-run' หรือ 'apply'
+ * @param {string|null} [accountId=null] - ตรวจเฉพาะบัญชีนี้ (ไม่ระบุ = ทุกบัญชี)
+ * @returns {Object} ผลการตรวจสอบและการซ่อมแซม
+ * @created 2025-10-19
+ */
+function validateBalanceChain(mode = 'dry-run', accountId = null) {
+  console.log(`🔗 Validating balance chain (mode: ${mode})...`);
+  
+  const report = {
+    timestamp: new Date().toISOString(),
+    overallStatus: 'success',
+    mode: mode,
+    accounts: {},
+    summary: {
+      accountsChecked: 0,
+      tradesChecked: 0,
+      gaps: 0,
+      overlaps: 0,
+      chainMismatches: 0,
+      calculationMismatches: 0,
+      rowsToRepair: 0,
+      rowsRepaired: 0
+    }
+  };
+  
+  if (mode !== 'dry-run' && mode !== 'apply') {
+    report.overallStatus = 'error';
+    report.message = `❌ mode ต้องเป็น 'dry-run' หรือ 'apply' (ได้รับ: ${mode})`;
+    return report;
+  }
+  
+  try {
+    // Repairs write to the row numbers read here, so apply mode reads the sheet itself
+    const data = readSheetRecords(CONFIG.SHEETS.TRADING_JOURNAL, mode === 'apply');
+    
+    const accountIds = accountId
+      ? [accountId]
+      : [...new Set(data.records.map(record => record.accountId).filter(id => !isEmpty(id)))];
+    
+    const repairEntries = [];
+    
+    accountIds.forEach(id => {
+      const entries = getAccountJournalEntries(data, id);
+      const accountReport = {
+        accountId: id,
+        trades: entries.length,
+        gaps: [],
+        overlaps: [],
+        chainMismatches: [],
+        calculationMismatches: [],
+        repairs: []
+      };
+      
+      entries.forEach((entry, index) => {
+        const trade = entry.trade;
+        const dateKey = formatDateKey(trade.tradeDate);
+        const start = safeParseFloat(trade.startBalance);
+        const profit = safeParseFloat(trade.dailyProfit);
+        const end = safeParseFloat(trade.endBalance);
+        
+        // 1. ยอดสิ้นวันต้องเท่ากับ ยอดต้นวัน + กำไร/ขาดทุน
+        if (!validateBalanceCalculation(start, profit, end)) {
+          accountReport.calculationMismatches.push({
+            id: trade.transactionId,
+            row: entry.rowNumber,
+            tradeDate: dateKey,
+            startBalance: start,
+            dailyProfit: profit,
+            endBalance: end,
+            expectedEndBalance: start + profit
+          });
+        }
+        
+        if (index === 0) return;
+        
+        const previous = entries[index - 1].trade;
+        const previousDateKey = formatDateKey(previous.tradeDate);
+        const previousEnd = safeParseFloat(previous.endBalance);
+        
+        // 2. วันเดียวกันมีมากกว่า 1 รายการ
+        if (dateKey === previousDateKey) {
+          accountReport.overlaps.push({
+            tradeDate: dateKey,
+            ids: [previous.transactionId, trade.transactionId]
+          });
+        } else {
+          // 3. วันทำการ (จันทร์-ศุกร์) ที่ขาดหายไประหว่างสองรายการ
+          const missingDays = countMissingWeekdays(previousDateKey, dateKey);
+          if (missingDays > 0) {
+            accountReport.gaps.push({
+              from: previousDateKey,
+              to: dateKey,
+              missingWeekdays: missingDays
+            });
+          }
+        }
+        
+        // 4. ยอดต้นวันต้องเท่ากับยอดสิ้นวันของรายการก่อนหน้า
+        if (!validateBalanceCalculation(previousEnd, 0, start)) {
+          accountReport.chainMismatches.push({
+            id: trade.transactionId,
+            row: entry.rowNumber,
+            tradeDate: dateKey,
+            startBalance: start,
+            previousId: previous.transactionId,
+            previousEndBalance: previousEnd,
+            difference: start - previousEnd
+          });
+        }
+      });
+      
+      // Plan repairs: first trade keeps its start balance, every later trade follows the chain
+      if (entries.length > 0) {
+        const first = entries[0];
+        const firstStart = safeParseFloat(first.trade.startBalance);
+        const firstEnd = safeParseFloat(first.trade.endBalance);
+        const changes = [];
+        
+        first.trade.endBalance = firstStart + safeParseFloat(first.trade.dailyProfit);
+        if (!validateBalanceCalculation(firstEnd, 0, first.trade.endBalance)) {
+          changes.push({ entry: first, previousStartBalance: firstStart, previousEndBalance: firstEnd });
+        }
+        changes.push(...rechainJournalEntries(entries, 1));
+        
+        accountReport.repairs = summarizeBalanceChanges(changes);
+        repairEntries.push(...changes.map(change => change.entry));
+      }
+      
+      accountReport.status = accountReport.chainMismatches.length > 0 || accountReport.calculationMismatches.length > 0
+        ? 'invalid'
+        : (accountReport.overlaps.length > 0 || accountReport.gaps.length > 0 ? 'warning' : 'valid');
+      
+      report.accounts[id] = accountReport;
+      report.summary.accountsChecked++;
+      report.summary.tradesChecked += entries.length;
+      report.summary.gaps += accountReport.gaps.length;
+      report.summary.overlaps += accountReport.overlaps.length;
+      report.summary.chainMismatches += accountReport.chainMismatches.length;
+      report.summary.calculationMismatches += accountReport.calculationMismatches.length;
+      report.summary.rowsToRepair += accountReport.repairs.length;
+    });
+    
+    if (mode === 'apply' && repairEntries.length > 0) {
+      writeJournalBalances(repairEntries);
+      report.summary.rowsRepaired = repairEntries.length;
+      console.log(`Repaired balance chain for ${repairEntries.length} rows`);
+      writeAuditLog({
+        action: 'trade.rechain',
+        targetId: accountId || '',
+        after: Object.values(report.accounts).reduce((repairs, account) => repairs.concat(account.repairs), [])
+      });
+    }
+    
+    // สรุปสถานะรวม
+    const statuses = Object.values(report.accounts).map(account => account.status);
+    if (statuses.includes('invalid') && report.summary.rowsRepaired === 0) {
+      report.overallStatus = 'error';
+      report.message = `❌ พบยอดเงินไม่ต่อเนื่อง ${report.summary.rowsToRepair} แถว (ใช้ mode=apply เพื่อซ่อมแซม)`;
+    } else if (statuses.includes('invalid')) {
+      report.overallStatus = 'success';
+      report.message = `✅ ซ่อมแซม balance chain เรียบร้อย ${report.summary.rowsRepaired} แถว`;
+    } else if (statuses.includes('warning')) {
+      report.overallStatus = 'warning';
+      report.message = `⚠️ Balance chain ถูกต้อง แต่พบวันซ้ำ ${report.summary.overlaps} จุด และวันขาดหาย ${report.summary.gaps} ช่วง`;
+    } else {
+      report.message = `✅ Balance chain ถูกต้องทุกบัญชี (${report.summary.accountsChecked} บัญชี)`;
+    }
+    
+    return report;
+    
+  } catch (error) {
+    report.overallStatus = 'error';
+    report.message = `❌ เกิดข้อผิดพลาดในการตรวจสอบ balance chain: ${error.toString()}`;
+    return report;
+  }
+}
+
+/**
+ * นับจำนวนวันทำการ (จันทร์-ศุกร์) ที่อยู่ระหว่างสองวันที่ (ไม่รวมวันต้นและวันปลาย)
+ * @param {string} fromDateKey - วันที่เริ่ม (YYYY-MM-DD)
+ * @param {string} toDateKey - วันที่สิ้นสุด (YYYY-MM-DD)
+ * @returns {number} จำนวนวันทำการที่ขาดหาย
+ */
+function countMissingWeekdays(fromDateKey, toDateKey) {
+  const current = new Date(fromDateKey + 'T00:00:00Z');
+  const end = new Date(toDateKey + 'T00:00:00Z');
+  let missing = 0;
+  
+  if (isNaN(current) || isNaN(end)) return 0;
+  
+  current.setUTCDate(current.getUTCDate() + 1);
+  while (current < end) {
+    const day = current.getUTCDay();
+    if (day !== 0 && day !== 6) missing++;
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+  
+  return missing;
+}
+
 /**
  * รันการตรวจสอบและซ่อมแซม sheet structure แบบครบวงจร
  * @returns {Object} ผลรวมการดำเนินการ
@@ -934,9 +1130,23 @@ function validateAndFixSheets() {
       report.creation = createMissingSheets();
     }
     
-    // 3. ตรวจสอบอีกครั้งหลังการซ่อมแซม
-    if (report.creation && report.creation.created.length > 0) {
+    // 3. เพิ่ม headers ที่ขาดหายไปใน sheets ที่มีอยู่แล้ว
+    report.addedHeaders = {};
+    report.validation.invalidStructures.forEach(sheetName => {
+      if (report.validation.missingSheets.includes(sheetName)) return;
+      const added = ensureSheetFields(sheetName);
+      if (added.length > 0) {
+        report.addedHeaders[sheetName] = added;
+      }
+    });
+    
+    // 4. ตรวจสอบอีกครั้งหลังการซ่อมแซม
+    if ((report.creation && report.creation.created.length > 0) || Object.keys(report.addedHeaders).length > 0) {
       report.finalValidation = validateSheetsStructure();
+      writeAuditLog({
+        action: 'system.fixSheets',
+        details: { created: report.creation ? report.creation.created : [], addedHeaders: report.addedHeaders }
+      });
     }
     
     // สรุปผลรวม
@@ -944,7 +1154,7 @@ function validateAndFixSheets() {
         (!report.creation || report.creation.overallStatus === 'error')) {
       report.overallStatus = 'error';
       report.message = '❌ ไม่สามารถแก้ไขปัญหา sheet structure ได้';
-    } else if (report.validation.invalidStructures.length > 0) {
+    } else if ((report.finalValidation || report.validation).invalidStructures.length > 0) {
       report.overallStatus = 'warning';
       report.message = '⚠️ Sheet structure มีปัญหาบางส่วนที่ต้องแก้ไขด้วยตนเอง';
     } else {
@@ -1138,25 +1348,7 @@ function createMissingSheets() {
     overallStatus: 'success'
   };
   
-  const expectedStructures = {
-    [CONFIG.SHEETS.TRADING_JOURNAL]: [
-      'Transaction_ID', 'Timestamp', 'Account ID', 'Asset ID',
-      'เงินต้นเริ่มต้นวัน (USD)', 'กำไร/ขาดทุนรายวัน (USD)',
-      'เงินรวมสิ้นวัน (USD)', 'Lot Size', 'หมายเหตุ'
-    ],
-    [CONFIG.SHEETS.ACCOUNTS]: [
-      'Account ID', 'ชื่อบัญชี', 'ชื่อผู้ใช้/เจ้าของ', 'เงินต้นเริ่มต้น (USD)'
-    ],
-    [CONFIG.SHEETS.ASSETS]: [
-      'Asset ID', 'ชื่อสินทรัพย์', 'ประเภท', 'หมายเหตุ'
-    ],
-    [CONFIG.SHEETS.USER]: [
-      'EmpId', 'FullNameTH', 'Email', 'Role', 'Userstatus', 'password'
-    ],
-    [CONFIG.SHEETS.USER_TOKENS]: [
-      'User ID', 'Token', 'Created At'
-    ]
-  };
+  const expectedStructures = getExpectedSheetStructures();
   
   try {
     const spreadsheet = getSpreadsheetSafely();
@@ -0,0 +1,229 @@
+/**
+ * Sheet Cache Service - Read-through cache for sheet values
+ * Reads of the sheets listed in CONFIG.CACHE.SHEET_KEYS are memoized for the rest of the
+ * request and kept in the script cache, so a dashboard that summarizes many accounts
+ * reads the journal once, and the next request usually not at all.
+ * Each cached sheet has a version stamp in the cache; writes through SchemaService (and
+ * edits made in the spreadsheet, see onEdit) replace the stamp, which orphans the old values.
+ * Other executions only see writes once they are flushed, so the stamps of written sheets
+ * are replaced again after the flush (publishSheetWrites) — otherwise a concurrent read
+ * could store the old values under the new stamp.
+ * @requires Config.js - For CONFIG.CACHE
+ * @created 2025-10-19
+ */
+
+/**
+ * Per-request memo of sheet values, keyed by sheet name
+ * Cleared by dispatchRequest() at the start of every request.
+ * @type {Object<string, Array[]>}
+ */
+const SHEET_READ_MEMO = {};
+
+/**
+ * Cached sheets written during this execution and not yet published
+ * @type {Object<string, boolean>}
+ */
+const UNPUBLISHED_SHEET_WRITES = {};
+
+/**
+ * Check whether reads of a sheet are cached
+ * @param {string} sheetName - Sheet name (use CONFIG.SHEETS constants)
+ * @returns {boolean} True for the sheets in CONFIG.CACHE.SHEET_KEYS
+ */
+function isCachedSheet(sheetName) {
+  return CONFIG.CACHE.SHEET_KEYS.some(key => CONFIG.SHEETS[key] === sheetName);
+}
+
+/**
+ * Read every value of a sheet, from the request memo or the script cache when possible
+ * Callers must not modify the returned rows; they are shared by every read of the request.
+ * Reads whose row positions are written back (updates, deletes, re-chaining) must pass
+ * `fromSheet` while holding the script lock: rows inserted, deleted or sorted by hand do
+ * not fire onEdit, so cached values may place a record on the wrong row. The values read
+ * then replace the memo and the cached copy.
+ * @param {string} sheetName - Sheet name (use CONFIG.SHEETS constants)
+ * @param {boolean} [fromSheet=false] - Skip the memo and the script cache
+ * @returns {Array[]} Values of the data range, header row first
+ */
+function readSheetValues(sheetName, fromSheet = false) {
+  if (!isCachedSheet(sheetName)) {
+    return getSheet(sheetName).getDataRange().getValues();
+  }
+  if (SHEET_READ_MEMO[sheetName] && !fromSheet) {
+    return SHEET_READ_MEMO[sheetName];
+  }
+
+  // The stamp is read before the sheet: values that miss a concurrent write end up under
+  // a stamp that the write replaces when it is published
+  const cacheKey = `sheet:${sheetName}:${getSheetCacheVersion(sheetName)}`;
+  let values = fromSheet ? null : getCachedSheetValues(cacheKey);
+
+  if (!values) {
+    values = getSheet(sheetName).getDataRange().getValues();
+    putCachedSheetValues(cacheKey, values);
+  }
+
+  SHEET_READ_MEMO[sheetName] = values;
+  return values;
+}
+
+/**
+ * Forget cached values of a sheet after it was written
+ * @param {string} sheetName - Sheet name (use CONFIG.SHEETS constants)
+ */
+function invalidateSheetCache(sheetName) {
+  delete SHEET_READ_MEMO[sheetName];
+  if (!isCachedSheet(sheetName)) {
+    return;
+  }
+
+  UNPUBLISHED_SHEET_WRITES[sheetName] = true;
+  renewSheetCacheVersion(sheetName);
+}
+
+/**
+ * Flush pending writes and replace the version stamps of the sheets written since the last call
+ * Called when the script lock is released and at the end of every request.
+ */
+function publishSheetWrites() {
+  const sheetNames = Object.keys(UNPUBLISHED_SHEET_WRITES);
+  if (sheetNames.length === 0) {
+    return;
+  }
+
+  SpreadsheetApp.flush();
+  sheetNames.forEach(sheetName => {
+    delete UNPUBLISHED_SHEET_WRITES[sheetName];
+    renewSheetCacheVersion(sheetName);
+  });
+}
+
+/**
+ * Give a cached sheet a new version stamp
+ * @param {string} sheetName - Sheet name
+ */
+function renewSheetCacheVersion(sheetName) {
+  try {
+    CacheService.getScriptCache().put(`sheetVersion:${sheetName}`, Utilities.getUuid(), CONFIG.CACHE.VERSION_TTL_SECONDS);
+  } catch (error) {
+    logError('renewSheetCacheVersion', error, { sheetName });
+  }
+}
+
+/**
+ * Clear the per-request memo (the script cache is kept)
+ */
+function resetSheetReadCache() {
+  Object.keys(SHEET_READ_MEMO).forEach(name => delete SHEET_READ_MEMO[name]);
+}
+
+/**
+ * Simple trigger: forget cached values of a sheet edited in the spreadsheet
+ * Row deletions and other structural changes do not fire onEdit; reads show them
+ * once CONFIG.CACHE.TTL_SECONDS has passed, writes read the sheet itself (see readSheetValues).
+ * @param {GoogleAppsScript.Events.SheetsOnEdit} e - Edit event
+ */
+function onEdit(e) {
+  if (e && e.range) {
+    invalidateSheetCache(e.range.getSheet().getName());
+    publishSheetWrites();
+  }
+}
+
+/**
+ * Get the current version stamp of a cached sheet, creating one when there is none
+ * @param {string} sheetName - Sheet name
+ * @returns {string} Version stamp ('uncached' when CacheService is unavailable)
+ */
+function getSheetCacheVersion(sheetName) {
+  try {
+    const cache = CacheService.getScriptCache();
+    const key = `sheetVersion:${sheetName}`;
+    let version = cache.get(key);
+    if (!version) {
+      version = Utilities.getUuid();
+      cache.put(key, version, CONFIG.CACHE.VERSION_TTL_SECONDS);
+    }
+    return version;
+  } catch (error) {
+    logError('getSheetCacheVersion', error, { sheetName });
+    return 'uncached';
+  }
+}
+
+/**
+ * Read sheet values stored by putCachedSheetValues()
+ * @param {string} cacheKey - Key of the sheet and version
+ * @returns {Array[]|null} Values, or null when any piece is missing
+ */
+function getCachedSheetValues(cacheKey) {
+  try {
+    const cache = CacheService.getScriptCache();
+    const chunkCount = parseInt(cache.get(`${cacheKey}:chunks`), 10);
+    if (!chunkCount) {
+      return null;
+    }
+
+    const keys = [];
+    for (let i = 0; i < chunkCount; i++) {
+      keys.push(`${cacheKey}:${i}`);
+    }
+    const chunks = cache.getAll(keys);
+    if (keys.some(key => typeof chunks[key] !== 'string')) {
+      return null;
+    }
+
+    return JSON.parse(keys.map(key => chunks[key]).join('')).map(row => row.map(fromCachedCell));
+  } catch (error) {
+    logError('getCachedSheetValues', error, { cacheKey });
+    return null;
+  }
+}
+
+/**
+ * Store sheet values in the script cache, split into CONFIG.CACHE.CHUNK_SIZE pieces
+ * @param {string} cacheKey - Key of the sheet and version
+ * @param {Array[]} values - Sheet values
+ * @returns {boolean} True when the values were stored
+ */
+function putCachedSheetValues(cacheKey, values) {
+  try {
+    const json = JSON.stringify(values.map(row => row.map(toCachedCell)));
+    const chunkCount = Math.ceil(json.length / CONFIG.CACHE.CHUNK_SIZE) || 1;
+    if (chunkCount > CONFIG.CACHE.MAX_CHUNKS) {
+      console.log(`${cacheKey} is too large for the script cache (${chunkCount} chunks)`);
+      return false;
+    }
+
+    const entries = {};
+    for (let i = 0; i < chunkCount; i++) {
+      entries[`${cacheKey}:${i}`] = json.substring(i * CONFIG.CACHE.CHUNK_SIZE, (i + 1) * CONFIG.CACHE.CHUNK_SIZE);
+    }
+    const cache = CacheService.getScriptCache();
+    cache.putAll(entries, CONFIG.CACHE.TTL_SECONDS);
+    // Written last, so a reader never sees the count without its pieces
+    cache.put(`${cacheKey}:chunks`, String(chunkCount), CONFIG.CACHE.TTL_SECONDS);
+    return true;
+  } catch (error) {
+    logError('putCachedSheetValues', error, { cacheKey });
+    return false;
+  }
+}
+
+/**
+ * Encode a cell for JSON so dates come back as Date objects
+ * @param {*} value - Cell value
+ * @returns {*} JSON-safe value
+ */
+function toCachedCell(value) {
+  return value instanceof Date ? { date: value.getTime() } : value;
+}
+
+/**
+ * Decode a cell written by toCachedCell()
+ * @param {*} value - Cached value
+ * @returns {*} Cell value
+ */
+function fromCachedCell(value) {
+  return value !== null && typeof value === 'object' ? new Date(value.date) : value;
+}
@@ -226,7 +226,7 @@ function testAccountFunctions() {
   try {
     const accounts = getAccounts();
     if (accounts.status === 'success' && accounts.accounts.length > 0) {
-      testAccountId = accounts.accounts[0]['Account ID'];
+      testAccountId = accounts.accounts[0].accountId;
     }
   } catch (error) {
     console.log('Could not get test account ID');
@@ -299,7 +299,7 @@ function testAssetFunctions() {
   try {
     const assets = getAssets();
     if (assets.status === 'success' && assets.assets.length > 0) {
-      testAssetId = assets.assets[0]['Asset ID'];
+      testAssetId = assets.assets[0].assetId;
     }
   } catch (error) {
     console.log('Could not get test asset ID');
@@ -372,7 +372,7 @@ function testTradingFunctions() {
   try {
     const accounts = getAccounts();
     if (accounts.status === 'success' && accounts.accounts.length > 0) {
-      testAccountId = accounts.accounts[0]['Account ID'];
+      testAccountId = accounts.accounts[0].accountId;
     }
   } catch (error) {
     console.log('Could not get test account ID');
@@ -447,12 +447,12 @@ function testDoPost() {
   try {
     const accounts = getAccounts();
     if (accounts.status === 'success' && accounts.accounts.length > 0) {
-      testAccountId = accounts.accounts[0]['Account ID'];
+      testAccountId = accounts.accounts[0].accountId;
     }
     
     const assets = getAssets();
     if (assets.status === 'success' && assets.assets.length > 0) {
-      testAssetId = assets.assets[0]['Asset ID'];
+      testAssetId = assets.assets[0].assetId;
     }
   } catch (error) {
     console.log('Could not get test data for POST test');
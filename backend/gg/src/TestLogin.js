@@ -55,7 +55,7 @@ function testGetUserData() {
       totalRows: values.length,
       userCount: users.length,
       users: users,
-      columnMapping: CONFIG.COLUMNS.USER
+      fieldMapping: CONFIG.FIELDS.USER
     };
     
   } catch (error) {
@@ -171,39 +171,21 @@ function testVerifyPassword(username = '4498', password = 'likit.se4498') {
       };
     }
     
-    // ทดสอบการสร้าง hash
-    const emailPrefix = targetUser.email.split('@')[0];
-    const expectedPasswordString = emailPrefix + targetUser.empId;
-    
-    console.log('📝 Password string should be:', expectedPasswordString);
-    
-    // สร้าง hash ที่คาดหวัง
-    const expectedHash = hashPassword(targetUser.email, targetUser.empId);
-    
-    // ทดสอบ verifyPassword function
-    const verifyResult = verifyPassword(password, targetUser.email, targetUser.empId);
-    
-    // ทดสอบการ hash password ที่ส่งเข้ามา
-    const inputHash = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, password)
-                               .map(b => (b < 0 ? b + 256 : b).toString(16).padStart(2, '0'))
-                               .join('');
+    // ทดสอบ verifyPassword กับ hash ที่เก็บไว้
+    const storedHash = parsePasswordHash(targetUser.storedHash);
+    const verifyResult = verifyPassword(password, targetUser.storedHash);
     
     return {
       success: true,
       targetUser: {
         empId: targetUser.empId,
         email: targetUser.email,
-        status: targetUser.status,
-        storedHashPreview: targetUser.storedHash ? targetUser.storedHash.substring(0, 20) + '...' : 'ไม่มี'
+        status: targetUser.status
       },
       passwordTests: {
-        inputPassword: password,
-        expectedPasswordString: expectedPasswordString,
-        expectedHash: expectedHash,
-        storedHash: targetUser.storedHash,
-        inputPasswordHash: inputHash,
-        hashesMatch: expectedHash === targetUser.storedHash,
-        inputHashMatch: inputHash === targetUser.storedHash,
+        storedHashScheme: storedHash ? storedHash.scheme : 'ไม่มี',
+        storedHashIterations: storedHash ? storedHash.iterations : null,
+        legacyHash: isLegacyPasswordHash(targetUser.storedHash),
         verifyPasswordResult: verifyResult
       }
     };
@@ -295,7 +277,7 @@ function testLoginStepByStep(username = '4498', password = 'likit.se4498') {
     
     // Step 5: ตรวจสอบรหัสผ่าน
     steps.push('Step 5: ตรวจสอบรหัสผ่าน');
-    const passwordValid = verifyPassword(password, foundUser.email, foundUser.empId);
+    const passwordValid = verifyPassword(password, foundUser.password);
     
     if (!passwordValid) {
       return { 
@@ -375,7 +357,7 @@ function testConfiguration() {
       success: true,
       config: {
         SHEETS: CONFIG.SHEETS,
-        COLUMNS: CONFIG.COLUMNS,
+        FIELDS: CONFIG.FIELDS,
         spreadsheetId: CONFIG.SPREADSHEET_ID
       },
       spreadsheetAccess: {
@@ -2,44 +2,48 @@
  * Trading Service - Handle all trading-related operations
  * Provides functionality for trade management, statistics, and history
  * @requires Types.js - For JSDoc type definitions
+ * @requires SchemaService.js - For field-based sheet access
+ * @requires SerializerService.js - For response DTOs
+ * @requires AuditService.js - For writeAuditLog
+ * @requires ConcurrencyService.js - For withScriptLock and withIdempotencyKey
  * @created 2025-09-27 (refactored)
  */
 
-// Trading Journal Headers - Constants for better maintainability
-const TRADING_HEADERS = [
-  'Transaction_ID', 'Timestamp', 'Account ID', 'Asset ID',
-  'เงินต้นเริ่มต้นวัน (USD)', 'กำไร/ขาดทุนรายวัน (USD)',
-  'เงินรวมสิ้นวัน (USD)', 'Lot Size', 'หมายเหตุ', 'Trade Date'
-];
+/**
+ * Check whether a trade has been soft deleted (see deleteTrade)
+ * @param {JournalRecord} trade - Journal record
+ * @returns {boolean} True when the trade carries a Deleted At time
+ */
+function isTradeDeleted(trade) {
+  return !isEmpty(trade.deletedAt);
+}
+
+/**
+ * Get all journal records of one account (unsorted)
+ * @param {string} accountId - Account ID to filter by
+ * @param {boolean} [includeDeleted=false] - Also return soft-deleted trades
+ * @returns {JournalRecord[]} Field-keyed journal records of the account
+ */
+function getAccountTradeRecords(accountId, includeDeleted = false) {
+  const data = readSheetRecords(CONFIG.SHEETS.TRADING_JOURNAL);
+  return data.records.filter(trade => trade.accountId === accountId && (includeDeleted || !isTradeDeleted(trade)));
+}
 
 /**
  * Find the last row for a specific account ID
  * @param {string} accountId - Account ID to search for
- * @returns {TradeRecord|null} Last row data or null if not found
+ * @returns {JournalRecord|null} Last row data or null if not found
  */
 function findLastRowByAccountId(accountId) {
   try {
-    const sheet = getSheet(CONFIG.SHEETS.TRADING_JOURNAL);
-    const values = sheet.getDataRange().getValues();
-
-    if (values.length <= 1) {
-      return null; // No data found
-    }
-
-    const headers = ['Transaction_ID', 'Timestamp', 'Account ID', 'Asset ID',
-      'เงินต้นเริ่มต้นวัน (USD)', 'กำไร/ขาดทุนรายวัน (USD)',
-      'เงินรวมสิ้นวัน (USD)', 'Lot Size', 'หมายเหตุ', 'Trade Date'];
-    const allTrades = convertSheetDataToJSON(values, headers);
-
-    // Filter trades for specific account
-    const accountTrades = allTrades.filter(trade => trade['Account ID'] === accountId);
+    const accountTrades = getAccountTradeRecords(accountId);
 
     if (accountTrades.length === 0) {
       return null; // No data found for this account
     }
 
     // Sort by Trade Date (newest first)
-    accountTrades.sort((a, b) => new Date(b['Trade Date']) - new Date(a['Trade Date']));
+    accountTrades.sort((a, b) => new Date(b.tradeDate) - new Date(a.tradeDate));
 
     // Return the last row (newest trade)
     return accountTrades[0];
@@ -50,15 +54,60 @@ function findLastRowByAccountId(accountId) {
   }
 }
 
+/**
+ * Find a single trade by its transaction ID
+ * @param {string} transactionId - Transaction ID to search for
+ * @returns {JournalRecord|null} Trade record or null if not found
+ */
+function findTradeById(transactionId) {
+  try {
+    if (isEmpty(transactionId)) {
+      return null;
+    }
+
+    const match = findSheetRecord(CONFIG.SHEETS.TRADING_JOURNAL, 'transactionId', transactionId);
+    return match ? match.record : null;
+
+  } catch (error) {
+    logError('findTradeById', error, { transactionId });
+    return null;
+  }
+}
+
+/**
+ * Find an existing trade of an account on a given trade date
+ * @param {string} accountId - Account ID to search for
+ * @param {string} tradeDate - Trade date in YYYY-MM-DD format
+ * @returns {JournalRecord|null} First matching trade or null if the date is free
+ */
+function findTradeByAccountAndDate(accountId, tradeDate) {
+  try {
+    const dateKey = formatDateKey(tradeDate);
+
+    return getAccountTradeRecords(accountId).find(trade =>
+      formatDateKey(trade.tradeDate) === dateKey
+    ) || null;
+
+  } catch (error) {
+    logError('findTradeByAccountAndDate', error, { accountId, tradeDate });
+    return null;
+  }
+}
+
 /**
  * Get trading history for a specific account
+ * Without a query every trade is returned, newest Trade Date first
  * @param {string} accountId - Account ID to get history for
+ * @param {string} [format] - 'raw' for sheet-header keys, otherwise camelCase DTOs
+ * @param {HistoryQuery} [query={}] - Filter, sort and paging options
  * @returns {APIResponse} Response with trading history data
- *   - data.trades: TradeRecord[] - Array of trade records
+ *   - data.trades: TradeRecord[] - Trades of the requested page
  *   - data.accountId: string - Account ID
- *   - data.count: number - Number of trades found
+ *   - data.count: number - Number of trades in this response
+ *   - data.total: number - Number of trades matching the filters
+ *   - data.page / pageSize / totalPages / hasMore / nextCursor - Paging info
  */
-function getTradingHistory(accountId) {
+function getTradingHistory(accountId, format, query = {}) {
   try {
     if (isEmpty(accountId)) {
       return createJSONResponse('error', 'Account ID is required');
@@ -69,38 +118,171 @@ function getTradingHistory(accountId) {
       return createJSONResponse('error', CONFIG.MESSAGES.INVALID_ACCOUNT);
     }
 
-    const sheet = getSheet(CONFIG.SHEETS.TRADING_JOURNAL);
-    const values = sheet.getDataRange().getValues();
-
-    if (values.length <= 1) {
-      return createJSONResponse('success', 'ไม่พบประวัติการเทรด', {
-        trades: [],
-        accountId: accountId,
-        count: 0
-      });
+    const options = parseHistoryQuery(query);
+    if (options.error) {
+      return createJSONResponse('error', options.error);
     }
 
-    const allTrades = convertSheetDataToJSON(values, TRADING_HEADERS);
-
-    // Filter trades for specific account
-    const accountTrades = allTrades.filter(trade => trade['Account ID'] === accountId);
+    const result = queryTradeRecords(getAccountTradeRecords(accountId, query.includeDeleted === true), options);
+    const message = result.total === 0 ? 'ไม่พบประวัติการเทรด' : CONFIG.MESSAGES.DATA_RETRIEVED_SUCCESS;
 
-    // Sort by timestamp (newest first)
-    accountTrades.sort((a, b) => new Date(b.Timestamp) - new Date(a.Timestamp));
-
-    console.log(`Retrieved ${accountTrades.length} trades for account ${accountId}`);
-    return createJSONResponse('success', CONFIG.MESSAGES.DATA_RETRIEVED_SUCCESS, {
-      trades: accountTrades,
+    console.log(`Retrieved ${result.trades.length}/${result.total} trades for account ${accountId}`);
+    return createJSONResponse('success', message, {
+      trades: serializeRecords(CONFIG.SHEETS.TRADING_JOURNAL, result.trades, format),
       accountId: accountId,
-      count: accountTrades.length
+      count: result.trades.length,
+      total: result.total,
+      page: result.page,
+      pageSize: result.pageSize,
+      totalPages: result.totalPages,
+      hasMore: result.hasMore,
+      nextCursor: result.nextCursor,
+      filters: options.filters,
+      sort: { field: options.sortBy, direction: options.sortDir }
     });
 
   } catch (error) {
-    logError('getTradingHistory', error, { accountId });
+    logError('getTradingHistory', error, { accountId, query });
     return createJSONResponse('error', error.toString());
   }
 }
 
+/**
+ * Validate and normalize getTradingHistory query parameters
+ * @param {HistoryQuery} [query={}] - Raw query (request parameters)
+ * @returns {Object} Normalized options, or { error } when a parameter is invalid
+ */
+function parseHistoryQuery(query = {}) {
+  const filters = {};
+
+  ['from', 'to'].forEach(key => {
+    if (!isEmpty(query[key])) {
+      filters[key] = String(query[key]).trim();
+    }
+  });
+
+  for (const key of Object.keys(filters)) {
+    if (!isValidDateFormat(filters[key])) {
+      return { error: `รูปแบบวันที่ไม่ถูกต้อง (${key}): ใช้ YYYY-MM-DD` };
+    }
+  }
+
+  if (filters.from && filters.to && filters.from > filters.to) {
+    return { error: 'วันที่เริ่มต้น (from) ต้องไม่มากกว่าวันที่สิ้นสุด (to)' };
+  }
+
+  if (!isEmpty(query.assetId)) {
+    filters.assetId = String(query.assetId).trim();
+  }
+
+  if (!isEmpty(query.profit)) {
+    filters.profit = String(query.profit).trim().toLowerCase();
+    if (!CONFIG.HISTORY.PROFIT_FILTERS.includes(filters.profit)) {
+      return { error: `profit must be one of: ${CONFIG.HISTORY.PROFIT_FILTERS.join(', ')}` };
+    }
+  }
+
+  if (!isEmpty(query.search)) {
+    filters.search = String(query.search).trim().toLowerCase();
+  }
+
+  const sortBy = isEmpty(query.sortBy) ? CONFIG.HISTORY.DEFAULT_SORT_FIELD : String(query.sortBy).trim();
+  if (!CONFIG.HISTORY.SORT_FIELDS.includes(sortBy)) {
+    return { error: `sortBy must be one of: ${CONFIG.HISTORY.SORT_FIELDS.join(', ')}` };
+  }
+
+  const sortDir = isEmpty(query.sortDir) ? CONFIG.HISTORY.DEFAULT_SORT_DIRECTION : String(query.sortDir).trim().toLowerCase();
+  if (sortDir !== 'asc' && sortDir !== 'desc') {
+    return { error: 'sortDir must be asc or desc' };
+  }
+
+  // No pageSize means "everything" so existing callers keep receiving the full history
+  let pageSize = null;
+  if (!isEmpty(query.pageSize)) {
+    pageSize = safeParseInt(query.pageSize);
+    if (pageSize < 1 || pageSize > CONFIG.HISTORY.MAX_PAGE_SIZE) {
+      return { error: `pageSize must be between 1 and ${CONFIG.HISTORY.MAX_PAGE_SIZE}` };
+    }
+  }
+
+  let offset = 0;
+  if (!isEmpty(query.cursor)) {
+    offset = safeParseInt(query.cursor, -1);
+    if (offset < 0) {
+      return { error: 'Invalid cursor' };
+    }
+  } else if (!isEmpty(query.page)) {
+    const page = safeParseInt(query.page);
+    if (page < 1) {
+      return { error: 'page must be 1 or greater' };
+    }
+    offset = pageSize ? (page - 1) * pageSize : 0;
+  }
+
+  return { filters, sortBy, sortDir, pageSize, offset };
+}
+
+/**
+ * Filter, sort and page trade records
+ * Ties on the sort field are broken by Timestamp in the same direction
+ * @param {JournalRecord[]} trades - Trade records of one account
+ * @param {Object} options - Options from parseHistoryQuery
+ * @returns {{trades: JournalRecord[], total: number, page: number, pageSize: number, totalPages: number, hasMore: boolean, nextCursor: string|null}}
+ */
+function queryTradeRecords(trades, options) {
+  const filters = options.filters;
+
+  const matched = trades.filter(trade => {
+    const tradeDate = formatDateKey(trade.tradeDate);
+    const profit = safeParseFloat(trade.dailyProfit);
+
+    if (filters.from && tradeDate < filters.from) return false;
+    if (filters.to && tradeDate > filters.to) return false;
+    if (filters.assetId && String(trade.assetId) !== filters.assetId) return false;
+    if (filters.profit === 'positive' && profit <= 0) return false;
+    if (filters.profit === 'negative' && profit >= 0) return false;
+    if (filters.profit === 'zero' && profit !== 0) return false;
+    if (filters.search && String(trade.notes).toLowerCase().indexOf(filters.search) === -1) return false;
+    return true;
+  });
+
+  const direction = options.sortDir === 'asc' ? 1 : -1;
+  const sortValue = (trade, field) => {
+    switch (field) {
+      case 'tradeDate':
+        return formatDateKey(trade.tradeDate);
+      case 'timestamp':
+        return new Date(trade.timestamp).getTime() || 0;
+      case 'assetId':
+        return String(trade.assetId);
+      default:
+        return safeParseFloat(trade[field]);
+    }
+  };
+  const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+  matched.sort((a, b) =>
+    direction * (compare(sortValue(a, options.sortBy), sortValue(b, options.sortBy)) ||
+                 compare(sortValue(a, 'timestamp'), sortValue(b, 'timestamp')))
+  );
+
+  const total = matched.length;
+  const pageSize = options.pageSize || Math.max(total, 1);
+  const offset = Math.min(options.offset, total);
+  const pageTrades = matched.slice(offset, offset + pageSize);
+  const nextOffset = offset + pageTrades.length;
+
+  return {
+    trades: pageTrades,
+    total: total,
+    page: Math.floor(offset / pageSize) + 1,
+    pageSize: pageSize,
+    totalPages: Math.ceil(total / pageSize),
+    hasMore: nextOffset < total,
+    nextCursor: nextOffset < total ? String(nextOffset) : null
+  };
+}
+
 /**
  * Add a new trade record with backdate support
  * @param {string} accountId - Account ID
@@ -110,14 +292,21 @@ function getTradingHistory(accountId) {
  * @param {number} lotSize - Lot size used in trading
  * @param {string} [notes=''] - Optional notes for the trade
  * @param {string} [tradeDate=''] - Trade date in YYYY-MM-DD format (defaults to current date)
+ * @param {string} [idempotencyKey] - Client key; a retry with the same key returns the first response
  * @returns {APIResponse} Response with operation result
  *   - data.id: string - Transaction ID
  *   - data.accountId: string - Account ID
  *   - data.endBalance: number - Calculated end balance
  *   - data.timestamp: string - Creation timestamp
  *   - data.tradeDate: string - Trade date
+ *   - data.idempotentReplay: boolean - Present when the response is the stored one of an earlier call
  */
-function addTrade(accountId, assetId, startBalance, dailyProfit, lotSize, notes = '', tradeDate = '') {
+function addTrade(accountId, assetId, startBalance, dailyProfit, lotSize, notes = '', tradeDate = '', idempotencyKey = '') {
+  if (!isEmpty(idempotencyKey)) {
+    return withIdempotencyKey(idempotencyKey, 'addTrade', toTradeFingerprint({ accountId, assetId, startBalance, dailyProfit, lotSize, notes, tradeDate }),
+      () => addTrade(accountId, assetId, startBalance, dailyProfit, lotSize, notes, tradeDate));
+  }
+
   try {
     // Validate required parameters
     const validation = validateRequiredParams(
@@ -150,67 +339,81 @@ function addTrade(accountId, assetId, startBalance, dailyProfit, lotSize, notes
     // Use provided trade date or current date
     const finalTradeDate = tradeDate || getCurrentDate();
     
-    // Find last row for this account to check for existing data
-    const lastRow = findLastRowByAccountId(accountId);
-    
-    // Check if trade date already exists
-    if (lastRow) {
-      const sheet = getSheet(CONFIG.SHEETS.TRADING_JOURNAL);
-      const values = sheet.getDataRange().getValues();
-      
-      // Convert sheet data to check for duplicate dates
-      const allTrades = convertSheetDataToJSON(values, TRADING_HEADERS);
-      
-      // Filter trades for specific account and date
-      const existingTrade = allTrades.find(trade => 
-        trade['Account ID'] === accountId && 
-        new Date(trade['Trade Date']).getTime() === new Date(finalTradeDate).getTime()
-      );
-      
-      if (existingTrade) {
-        console.log(`Warning: Trade date ${finalTradeDate} already exists for account ${accountId}. Adding new record anyway.`);
-        // Note: We're allowing duplicate dates as per user requirement
+    // Check if trade date already exists and apply the account's duplicate date policy
+    const existingTrade = findTradeByAccountAndDate(accountId, finalTradeDate);
+    let duplicatePolicy = null;
+
+    if (existingTrade) {
+      duplicatePolicy = getDuplicateDatePolicy(accountId);
+      const existingId = existingTrade.transactionId;
+      const duplicateInfo = { duplicateDate: true, duplicatePolicy: duplicatePolicy, existingId: existingId };
+
+      switch (duplicatePolicy) {
+        case CONFIG.DUPLICATE_DATE_POLICIES.REJECT:
+          return createJSONResponse('error',
+            `Trade date ${finalTradeDate} already exists for account ${accountId}`, duplicateInfo);
+
+        case CONFIG.DUPLICATE_DATE_POLICIES.MERGE:
+        case CONFIG.DUPLICATE_DATE_POLICIES.REPLACE: {
+          const isMerge = duplicatePolicy === CONFIG.DUPLICATE_DATE_POLICIES.MERGE;
+          const updateResult = updateTrade(existingId, toDuplicateDateUpdates(existingTrade, duplicatePolicy, {
+            assetId, startBalance: numericStartBalance, dailyProfit: numericDailyProfit, lotSize: numericLotSize, notes
+          }));
+
+          if (updateResult.status === 'error') {
+            return updateResult;
+          }
+
+          const merged = findTradeById(existingId);
+          console.log(`Trade date ${finalTradeDate} already exists for account ${accountId}: ${duplicatePolicy}d into ${existingId}`);
+          return createJSONResponse('success',
+            `Trade date ${finalTradeDate} already exists - ${isMerge ? 'merged into' : 'replaced'} existing record`,
+            Object.assign(duplicateInfo, {
+              id: existingId,
+              accountId: accountId,
+              assetId: merged.assetId,
+              startBalance: safeParseFloat(merged.startBalance),
+              dailyProfit: safeParseFloat(merged.dailyProfit),
+              endBalance: safeParseFloat(merged.endBalance),
+              lotSize: safeParseFloat(merged.lotSize),
+              timestamp: merged.timestamp,
+              tradeDate: finalTradeDate,
+              changedRows: updateResult.changedRows
+            }));
+        }
+
+        default:
+          console.log(`Warning: Trade date ${finalTradeDate} already exists for account ${accountId}. Adding new record anyway as per policy.`);
       }
     }
 
     // Calculate ending balance
     const endBalance = numericStartBalance + numericDailyProfit;
 
-      // Generate UUID and timestamp
-      const transactionId = createUUID();
-      const timestamp = getCurrentTimestamp();
-
-      // Prepare data row
-    // Prepare data row
-    const newRow = [
-      transactionId,
-      timestamp,
-      accountId,
-      assetId,
-      numericStartBalance,
-      numericDailyProfit,
-      endBalance,
-      numericLotSize,
-      sanitizeString(notes),
-      finalTradeDate
-    ];
-
-    // Add to sheet
-    const sheet = getSheet(CONFIG.SHEETS.TRADING_JOURNAL);
-    sheet.appendRow(newRow);
+    // Generate UUID and timestamp
+    const transactionId = createUUID();
+    const timestamp = getCurrentTimestamp();
 
-    console.log(`Added new trade: ${transactionId} for account ${accountId} on ${finalTradeDate}`);
-    return createJSONResponse('success', CONFIG.MESSAGES.TRADE_ADDED_SUCCESS, {
-      id: transactionId,
+    // Add to sheet (columns are resolved from the live header row)
+    const record = {
+      transactionId: transactionId,
+      timestamp: timestamp,
       accountId: accountId,
       assetId: assetId,
       startBalance: numericStartBalance,
       dailyProfit: numericDailyProfit,
       endBalance: endBalance,
       lotSize: numericLotSize,
-      timestamp: timestamp,
+      notes: sanitizeString(notes),
       tradeDate: finalTradeDate
-    });
+    };
+    appendSheetRecord(CONFIG.SHEETS.TRADING_JOURNAL, record);
+    writeAuditLog({ action: 'trade.create', targetId: transactionId, after: serializeTrade(record) });
+
+    console.log(`Added new trade: ${transactionId} for account ${accountId} on ${finalTradeDate}`);
+    return createTradeAddedResponse(record, existingTrade
+      ? { duplicateDate: true, duplicatePolicy: duplicatePolicy, existingId: existingTrade.transactionId }
+      : null);
 
   } catch (error) {
     logError('addTrade', error, {
@@ -220,6 +423,62 @@ function addTrade(accountId, assetId, startBalance, dailyProfit, lotSize, notes
   }
 }
 
+/**
+ * Build the updateTrade() changes that merge a new trade into, or let it replace, the
+ * trade already on its date
+ * @param {JournalRecord} existingTrade - Trade on the same account and date
+ * @param {string} duplicatePolicy - CONFIG.DUPLICATE_DATE_POLICIES.MERGE or REPLACE
+ * @param {TradeData} trade - New trade
+ * @returns {Object} Updates for updateTrade()
+ */
+function toDuplicateDateUpdates(existingTrade, duplicatePolicy, trade) {
+  const newNotes = sanitizeString(trade.notes || '');
+
+  if (duplicatePolicy === CONFIG.DUPLICATE_DATE_POLICIES.MERGE) {
+    return {
+      dailyProfit: safeParseFloat(existingTrade.dailyProfit) + safeParseFloat(trade.dailyProfit),
+      lotSize: safeParseFloat(existingTrade.lotSize) + safeParseFloat(trade.lotSize),
+      notes: [String(existingTrade.notes || ''), newNotes].filter(note => note).join(' | ')
+    };
+  }
+
+  return {
+    assetId: trade.assetId,
+    startBalance: safeParseFloat(trade.startBalance),
+    dailyProfit: safeParseFloat(trade.dailyProfit),
+    lotSize: safeParseFloat(trade.lotSize),
+    notes: newNotes
+  };
+}
+
+/**
+ * Build the response for a newly added trade
+ * @param {JournalRecord} record - Record that was appended
+ * @param {{duplicateDate: boolean, duplicatePolicy: string, existingId: string}|null} [duplicateInfo] - Set when
+ *   the date was already taken and the 'allow' policy added the trade anyway
+ * @returns {APIResponse} Response in the shape addTrade() returns
+ */
+function createTradeAddedResponse(record, duplicateInfo = null) {
+  const response = createJSONResponse('success', CONFIG.MESSAGES.TRADE_ADDED_SUCCESS, {
+    id: record.transactionId,
+    accountId: record.accountId,
+    assetId: record.assetId,
+    startBalance: record.startBalance,
+    dailyProfit: record.dailyProfit,
+    endBalance: record.endBalance,
+    lotSize: record.lotSize,
+    timestamp: record.timestamp,
+    tradeDate: record.tradeDate
+  });
+
+  if (duplicateInfo) {
+    response.message = `Trade date ${record.tradeDate} already exists - added new record as per policy`;
+    Object.assign(response, duplicateInfo);
+  }
+
+  return response;
+}
+
 /**
  * Get comprehensive trading statistics for an account
  * @param {string} accountId - Account ID to get statistics for
@@ -229,12 +488,15 @@ function addTrade(accountId, assetId, startBalance, dailyProfit, lotSize, notes
  */
 function getTradingStatistics(accountId) {
     try {
-      const historyResponse = getTradingHistory(accountId);
-      if (historyResponse.status === 'error') {
-        return historyResponse;
+      if (isEmpty(accountId)) {
+        return createJSONResponse('error', 'Account ID is required');
+      }
+
+      if (!validateAccountExists(accountId)) {
+        return createJSONResponse('error', CONFIG.MESSAGES.INVALID_ACCOUNT);
       }
 
-      const trades = historyResponse.trades;
+      const trades = getAccountTradeRecords(accountId);
 
       if (trades.length === 0) {
         return createJSONResponse('success', 'ไม่พบข้อมูลการเทรด', {
@@ -265,8 +527,8 @@ function getTradingStatistics(accountId) {
       let largestLoss = 0;
 
       trades.forEach(trade => {
-        const profit = safeParseFloat(trade['กำไร/ขาดทุนรายวัน (USD)']);
-        const lotSize = safeParseFloat(trade['Lot Size']);
+        const profit = safeParseFloat(trade.dailyProfit);
+        const lotSize = safeParseFloat(trade.lotSize);
 
         totalProfit += profit;
         totalLotSize += lotSize;
@@ -319,24 +581,22 @@ function getTradingStatistics(accountId) {
  */
 function getRecentTrades(limit = 10, accountId = null) {
     try {
-      const sheet = getSheet(CONFIG.SHEETS.TRADING_JOURNAL);
-      const values = sheet.getDataRange().getValues();
+      let allTrades = readSheetRecords(CONFIG.SHEETS.TRADING_JOURNAL).records.filter(trade => !isTradeDeleted(trade));
 
-      if (values.length <= 1) {
+      if (allTrades.length === 0) {
         return createJSONResponse('success', 'ไม่พบข้อมูลการเทรด', { trades: [], count: 0 });
       }
 
-      let allTrades = convertSheetDataToJSON(values, TRADING_HEADERS);
-
       // Filter by account if specified
       if (accountId) {
-        allTrades = allTrades.filter(trade => trade['Account ID'] === accountId);
+        allTrades = allTrades.filter(trade => trade.accountId === accountId);
       }
 
       // Sort by timestamp (newest first) and limit results
       const recentTrades = allTrades
-        .sort((a, b) => new Date(b.Timestamp) - new Date(a.Timestamp))
-        .slice(0, limit);
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+        .slice(0, limit)
+        .map(trade => toHeaderRecord(CONFIG.SHEETS.TRADING_JOURNAL, trade));
 
       return createJSONResponse('success', `ดึงข้อมูลการเทรดล่าสุด ${recentTrades.length} รายการ`, {
         trades: recentTrades,
@@ -351,10 +611,163 @@ function getRecentTrades(limit = 10, accountId = null) {
     }
   }
 
+/**
+ * Normalize trade input for idempotency checks, so a retry matches whether it
+ * arrives as form text, JSON numbers or an item of a batch
+ * @param {TradeData} trade - Trade input
+ * @returns {Object} Comparable trade values
+ */
+function toTradeFingerprint(trade) {
+  return {
+    accountId: String(trade.accountId || ''),
+    assetId: String(trade.assetId || ''),
+    startBalance: safeParseFloat(trade.startBalance),
+    dailyProfit: safeParseFloat(trade.dailyProfit),
+    lotSize: safeParseFloat(trade.lotSize),
+    notes: String(trade.notes || ''),
+    tradeDate: String(trade.tradeDate || '')
+  };
+}
+
+/**
+ * Key of the trade date index built by loadTradeBatchContext()
+ * @param {string} accountId - Account ID
+ * @param {*} tradeDate - Trade date (YYYY-MM-DD or a sheet date)
+ * @returns {string} Key of the account and day
+ */
+function toTradeDateKey(accountId, tradeDate) {
+  return `${accountId}|${formatDateKey(tradeDate)}`;
+}
+
+/**
+ * Load everything a batch of new trades is checked against, reading each sheet once
+ * @param {string} [token] - Token of the caller; without one account access is not checked
+ * @returns {Object} Batch context
+ *   - accounts: Object[] - Accounts records
+ *   - assets: Object[] - Assets records
+ *   - tradesByDate: Object<string, JournalRecord> - First live trade per toTradeDateKey()
+ *   - getAccessLevel: function(string): (string|null) - Access level of the caller (null without a token)
+ *   - userId: string - EmpId the idempotency keys belong to
+ *   - getIdempotencyKeys: function(): Object<string, Object> - Stored keys of the caller, read on first use
+ */
+function loadTradeBatchContext(token) {
+  const tradesByDate = {};
+  readSheetRecords(CONFIG.SHEETS.TRADING_JOURNAL).records.forEach(trade => {
+    const key = toTradeDateKey(trade.accountId, trade.tradeDate);
+    if (!isTradeDeleted(trade) && !tradesByDate[key]) {
+      tradesByDate[key] = trade;
+    }
+  });
+
+  // Same outcome as verifyAccountAccess(), without reading the user and member sheets per item
+  let getAccessLevel = null;
+  if (token) {
+    const tokenInfo = getTokenInfo(token);
+    const userMatch = tokenInfo ? findSheetRecord(CONFIG.SHEETS.USER, 'empId', tokenInfo.userId) : null;
+    const isAdmin = Boolean(userMatch) && checkPermission(userMatch.record, 'system:admin');
+    const levels = userMatch && !isAdmin ? getUserAccountLevels(userMatch.record) : {};
+    getAccessLevel = accountId => (isAdmin ? 'owner' : levels[String(accountId)] || null);
+  }
+
+  const userId = getAuditActor();
+  let idempotencyKeys = null;
+
+  return {
+    accounts: readSheetRecords(CONFIG.SHEETS.ACCOUNTS).records,
+    assets: readSheetRecords(CONFIG.SHEETS.ASSETS).records,
+    tradesByDate: tradesByDate,
+    getAccessLevel: getAccessLevel,
+    userId: userId,
+    getIdempotencyKeys: () => idempotencyKeys || (idempotencyKeys = readIdempotencyKeys(userId))
+  };
+}
+
+/**
+ * Check one batch item the way addTrade() does, against the loaded batch context
+ * A new trade claims its date in `batch.tradesByDate`, so later items of the same
+ * batch see it as a duplicate.
+ * @param {TradeData} trade - Batch item (required fields and access already checked)
+ * @param {Object} batch - Context from loadTradeBatchContext()
+ * @returns {{response: (APIResponse|undefined), record: (JournalRecord|undefined), deferred: (boolean|undefined)}}
+ *   `record` to append with its `response`, an error `response`, or `deferred` when the
+ *   item merges into or replaces an existing trade and has to go through addTrade().
+ *   Deferred items are checked here the way updateTrade() will check them, so they
+ *   cannot fail after the rest of the batch was written.
+ */
+function prepareBatchTrade(trade, batch) {
+  const account = batch.accounts.find(record => record.accountId === trade.accountId);
+  if (!account) {
+    return { response: createJSONResponse('error', CONFIG.MESSAGES.INVALID_ACCOUNT) };
+  }
+
+  if (!batch.assets.some(record => record.assetId === trade.assetId)) {
+    return { response: createJSONResponse('error', CONFIG.MESSAGES.INVALID_ASSET) };
+  }
+
+  const startBalance = safeParseFloat(trade.startBalance);
+  const dailyProfit = safeParseFloat(trade.dailyProfit);
+  if (startBalance <= 0) {
+    return { response: createJSONResponse('error', 'เงินต้นเริ่มต้นต้องมากกว่า 0') };
+  }
+
+  const tradeDate = trade.tradeDate || getCurrentDate();
+  const dateKey = toTradeDateKey(trade.accountId, tradeDate);
+  const existingTrade = batch.tradesByDate[dateKey];
+  let duplicateInfo = null;
+
+  if (existingTrade) {
+    const duplicatePolicy = getAccountDuplicateDatePolicy(account);
+    duplicateInfo = { duplicateDate: true, duplicatePolicy: duplicatePolicy, existingId: existingTrade.transactionId };
+
+    if (duplicatePolicy === CONFIG.DUPLICATE_DATE_POLICIES.REJECT) {
+      return {
+        response: createJSONResponse('error',
+          `Trade date ${tradeDate} already exists for account ${trade.accountId}`, duplicateInfo)
+      };
+    }
+    if (duplicatePolicy !== CONFIG.DUPLICATE_DATE_POLICIES.ALLOW) {
+      const invalid = validateTradeUpdates(toDuplicateDateUpdates(existingTrade, duplicatePolicy, trade));
+      return invalid ? { response: invalid } : { deferred: true };
+    }
+    console.log(`Warning: Trade date ${tradeDate} already exists for account ${trade.accountId}. Adding new record anyway as per policy.`);
+  }
+
+  const record = {
+    transactionId: createUUID(),
+    timestamp: getCurrentTimestamp(),
+    accountId: trade.accountId,
+    assetId: trade.assetId,
+    startBalance: startBalance,
+    dailyProfit: dailyProfit,
+    endBalance: startBalance + dailyProfit,
+    lotSize: safeParseFloat(trade.lotSize),
+    notes: sanitizeString(trade.notes || ''),
+    tradeDate: tradeDate
+  };
+
+  if (!existingTrade) {
+    batch.tradesByDate[dateKey] = record;
+  }
+
+  return { record: record, response: createTradeAddedResponse(record, duplicateInfo) };
+}
+
 /**
  * Add multiple trade records in batch
- * @param {string} tradesDataJSON - JSON string containing array of TradeData objects
+ * The journal, accounts, assets and the caller's memberships are read once, every item
+ * is checked in memory and the new rows are written with one range write, so a month
+ * of entries fits easily in the execution time limit. Items that merge into or replace
+ * an existing trade (duplicate date policy) re-chain balances and go through addTrade()
+ * after the new rows are written.
+ * Each item may carry its own `idempotencyKey` (see addTrade), so items saved by an
+ * interrupted batch are not written again when resent alone or in another batch.
+ * With `atomic` the batch is all-or-nothing: when any item fails its checks nothing is
+ * written, the failing items carry their errors and the others are reported as 'skipped'.
+ * Merge and replace items are checked in the same pass, before any write.
+ * @param {TradeData[]|string} tradesDataJSON - Array of TradeData objects, or its JSON string
  * @param {string} [token] - User authentication token for access control
+ * @param {string} [idempotencyKey] - Client key for the whole batch; a retry returns the first response
+ * @param {boolean} [atomic=false] - Write nothing unless every item passes
  * @returns {APIResponse} Response with batch operation results
  *   - data: BatchOperationSummary - Summary of batch operation results
  * 
@@ -372,166 +785,297 @@ function getRecentTrades(limit = 10, accountId = null) {
  *   }
  * ]
  */
-function addMultipleTrades(tradesDataJSON, token) {
+function addMultipleTrades(tradesDataJSON, token, idempotencyKey = '', atomic = false) {
+  try {
+    // Parse JSON data (JSON request bodies deliver the array already parsed)
+    let tradesArray;
     try {
-      // Parse JSON data
-      let tradesArray;
+      tradesArray = typeof tradesDataJSON === 'string' ? JSON.parse(tradesDataJSON) : tradesDataJSON;
+    } catch (parseError) {
+      return createJSONResponse('error', 'ข้อมูล JSON ไม่ถูกต้อง: ' + parseError.toString());
+    }
+
+    if (!Array.isArray(tradesArray) || tradesArray.length === 0) {
+      return createJSONResponse('error', 'ข้อมูลต้องเป็น array และมีรายการอย่างน้อย 1 รายการ');
+    }
+
+    if (!isEmpty(idempotencyKey)) {
+      const fingerprint = tradesArray.map(trade => Object.assign(toTradeFingerprint(trade || {}), {
+        idempotencyKey: String((trade && trade.idempotencyKey) || '')
+      }));
+      return withIdempotencyKey(idempotencyKey, 'addMultipleTrades', atomic ? { atomic: true, items: fingerprint } : fingerprint,
+        () => addMultipleTrades(tradesArray, token, '', atomic));
+    }
+
+    const batch = loadTradeBatchContext(token);
+    const results = [];
+    const newRecords = [];
+    const newKeys = [];
+    const deferred = [];
+
+    const reportError = (i, trade, message) => {
+      results[i] = {
+        index: i + 1,
+        status: 'error',
+        message: message,
+        id: null,
+        tradeDate: trade.tradeDate || 'N/A',
+        accountId: trade.accountId || 'N/A'
+      };
+    };
+    const reportResponse = (i, trade, response) => {
+      results[i] = {
+        index: i + 1,
+        status: response.status,
+        message: response.message,
+        id: response.id || null,
+        tradeDate: trade.tradeDate || getCurrentDate(),
+        accountId: trade.accountId,
+        duplicateDate: !!response.duplicateDate,
+        duplicatePolicy: response.duplicatePolicy || null,
+        idempotentReplay: !!response.idempotentReplay
+      };
+    };
+
+    // Check every item in memory; new rows are collected and written together below
+    for (let i = 0; i < tradesArray.length; i++) {
+      const trade = tradesArray[i] || {};
+
       try {
-        tradesArray = JSON.parse(tradesDataJSON);
-      } catch (parseError) {
-        return createJSONResponse('error', 'ข้อมูล JSON ไม่ถูกต้อง: ' + parseError.toString());
-      }
+        // Validate required fields for each trade
+        if (!trade.accountId || !trade.assetId || 
+            trade.startBalance === undefined || trade.dailyProfit === undefined || 
+            trade.lotSize === undefined) {
+          reportError(i, trade, 'Missing required fields in trade data');
+          continue;
+        }
 
-      if (!Array.isArray(tradesArray) || tradesArray.length === 0) {
-        return createJSONResponse('error', 'ข้อมูลต้องเป็น array และมีรายการอย่างน้อย 1 รายการ');
-      }
+        // Verify user has access to this account (if token provided)
+        if (batch.getAccessLevel && !hasAccessLevel(batch.getAccessLevel(trade.accountId), 'editor')) {
+          reportError(i, trade, `Access denied to account ${trade.accountId}`);
+          continue;
+        }
 
-      const results = [];
-      let successCount = 0;
-      let errorCount = 0;
-
-      // Process each trade
-      for (let i = 0; i < tradesArray.length; i++) {
-        const trade = tradesArray[i];
-
-        try {
-          // Validate required fields for each trade
-          if (!trade.accountId || !trade.assetId || 
-              trade.startBalance === undefined || trade.dailyProfit === undefined || 
-              trade.lotSize === undefined) {
-            results.push({
-              index: i + 1,
-              status: 'error',
-              message: 'Missing required fields in trade data',
-              id: null,
-              tradeDate: trade.tradeDate || 'N/A',
-              accountId: trade.accountId || 'N/A'
-            });
-            errorCount++;
+        // Items saved earlier under their key are replayed, like addTrade() does
+        const itemKey = isEmpty(trade.idempotencyKey) ? '' : String(trade.idempotencyKey).trim();
+        let requestHash = null;
+        if (itemKey) {
+          const invalid = validateIdempotencyKey(itemKey);
+          if (invalid) {
+            reportResponse(i, trade, invalid);
             continue;
           }
-
-          // Verify user has access to this account (if token provided)
-          if (token) {
-            const accessResult = verifyAccountAccess(token, trade.accountId);
-            if (accessResult.status === 'error') {
-              results.push({
-                index: i + 1,
-                status: 'error',
-                message: `Access denied to account ${trade.accountId}`,
-                id: null,
-                tradeDate: trade.tradeDate || 'N/A',
-                accountId: trade.accountId
-              });
-              errorCount++;
-              continue;
-            }
+          requestHash = hashIdempotencyRequest(toTradeFingerprint(trade));
+          const stored = batch.getIdempotencyKeys()[itemKey];
+          if (stored && stored.deferred && stored.requestHash === requestHash) {
+            // Resent within the batch: addTrade() replays the first one after it ran
+            deferred.push(i);
+            continue;
+          }
+          if (stored) {
+            reportResponse(i, trade, replayIdempotencyRecord(stored, 'addTrade', requestHash));
+            continue;
           }
+        }
 
-          // Call addTrade with all parameters including tradeDate
-          const tradeResult = addTrade(
-            trade.accountId,
-            trade.assetId,
-            parseFloat(trade.startBalance || 0),
-            parseFloat(trade.dailyProfit || 0),
-            parseFloat(trade.lotSize || 0),
-            trade.notes || '',
-            trade.tradeDate || ''
-          );
-
-          results.push({
-            index: i + 1,
-            status: tradeResult.status,
-            message: tradeResult.message,
-            id: tradeResult.data?.id || tradeResult.id || null,
-            tradeDate: trade.tradeDate || getCurrentDate(),
-            accountId: trade.accountId
-          });
-
-          if (tradeResult.status === 'success') {
-            successCount++;
-          } else {
-            errorCount++;
+        const prepared = prepareBatchTrade(trade, batch);
+        if (prepared.deferred) {
+          if (itemKey) {
+            // Claims the key so later items of the batch cannot reuse it for another trade
+            batch.getIdempotencyKeys()[itemKey] = { idempotencyKey: itemKey, action: 'addTrade', requestHash: requestHash, deferred: true };
           }
+          deferred.push(i);
+          continue;
+        }
 
-        } catch (error) {
-          results.push({
-            index: i + 1,
-            status: 'error',
-            message: error.toString(),
-            id: null,
-            tradeDate: trade.tradeDate || 'N/A',
-            accountId: trade.accountId || 'N/A'
-          });
-          errorCount++;
+        if (prepared.record) {
+          newRecords.push(prepared.record);
+          if (itemKey) {
+            const keyRecord = toIdempotencyRecord(itemKey, batch.userId, 'addTrade', requestHash, prepared.response);
+            batch.getIdempotencyKeys()[itemKey] = keyRecord;
+            newKeys.push(keyRecord);
+          }
         }
+        reportResponse(i, trade, prepared.response);
+
+      } catch (error) {
+        reportError(i, trade, error.toString());
       }
+    }
 
-      // Prepare summary response
-      const summary = {
-        total: tradesArray.length,
-        success: successCount,
-        errors: errorCount,
-        results: results
-      };
+    if (atomic && results.some(result => result && result.status === 'error')) {
+      deferred.forEach(i => reportResponse(i, tradesArray[i], { status: 'skipped' }));
+      return rejectAtomicBatch(tradesArray, results);
+    }
 
-      const overallStatus = errorCount === 0 ? 'success' : (successCount > 0 ? 'partial' : 'error');
-      const message = errorCount === 0
-        ? `บันทึกสำเร็จทั้งหมด ${successCount} รายการ`
-        : `บันทึกสำเร็จ ${successCount} รายการ, ผิดพลาด ${errorCount} รายการ`;
-
-      console.log(`Batch trade submission completed: ${successCount}/${tradesArray.length} successful`);
-      
-      // Add summary information about duplicate dates if any
-      const duplicateDates = results.filter(r => r.status === 'success' && r.message && r.message.includes('already exists'));
-      if (duplicateDates.length > 0) {
-        summary.duplicateDatesCount = duplicateDates.length;
-        summary.duplicateDatesMessage = `Found ${duplicateDates.length} trades with existing dates - added anyway as per policy`;
-      }
-      
-      return createJSONResponse(overallStatus, message, summary);
+    if (newRecords.length > 0) {
+      appendSheetRecords(CONFIG.SHEETS.TRADING_JOURNAL, newRecords);
+      appendSheetRecords(CONFIG.SHEETS.IDEMPOTENCY_KEYS, newKeys);
+      writeAuditLogs(newRecords.map(record => ({
+        action: 'trade.create',
+        targetId: record.transactionId,
+        after: serializeTrade(record)
+      })));
+    }
 
-    } catch (error) {
-      logError('addMultipleTrades', error, { tradesDataJSON });
-      return createJSONResponse('error', 'เกิดข้อผิดพลาดในการบันทึกข้อมูลแบบ batch: ' + error.toString());
+    // Merged and replaced dates update existing rows and re-chain the account
+    deferred.forEach(i => {
+      const trade = tradesArray[i];
+      reportResponse(i, trade, addTrade(
+        trade.accountId,
+        trade.assetId,
+        safeParseFloat(trade.startBalance),
+        safeParseFloat(trade.dailyProfit),
+        safeParseFloat(trade.lotSize),
+        trade.notes || '',
+        trade.tradeDate || '',
+        trade.idempotencyKey || ''
+      ));
+    });
+
+    const successCount = results.filter(r => r.status === 'success').length;
+    const errorCount = results.length - successCount;
+
+    // Prepare summary response
+    const summary = {
+      total: tradesArray.length,
+      success: successCount,
+      errors: errorCount,
+      results: results
+    };
+    if (atomic) {
+      summary.atomic = true;
+    }
+
+    const overallStatus = errorCount === 0 ? 'success' : (successCount > 0 ? 'partial' : 'error');
+    const message = errorCount === 0
+      ? `บันทึกสำเร็จทั้งหมด ${successCount} รายการ`
+      : `บันทึกสำเร็จ ${successCount} รายการ, ผิดพลาด ${errorCount} รายการ`;
+
+    console.log(`Batch trade submission completed: ${successCount}/${tradesArray.length} successful (${newRecords.length} rows in one write)`);
+    
+    // Add summary information about duplicate dates if any
+    const duplicateDates = results.filter(r => r.duplicateDate);
+    if (duplicateDates.length > 0) {
+      const countByPolicy = {};
+      duplicateDates.forEach(r => {
+        countByPolicy[r.duplicatePolicy] = (countByPolicy[r.duplicatePolicy] || 0) + 1;
+      });
+      summary.duplicateDatesCount = duplicateDates.length;
+      summary.duplicateDatesByPolicy = countByPolicy;
+      summary.duplicateDatesMessage = `Found ${duplicateDates.length} trades with existing dates - handled as per policy (` +
+        Object.entries(countByPolicy).map(([policy, count]) => `${policy}: ${count}`).join(', ') + ')';
     }
+    
+    return createJSONResponse(overallStatus, message, summary);
+
+  } catch (error) {
+    logError('addMultipleTrades', error, { tradesDataJSON });
+    return createJSONResponse('error', 'เกิดข้อผิดพลาดในการบันทึกข้อมูลแบบ batch: ' + error.toString());
   }
+}
+
+/**
+ * Build the response of an atomic batch that had failing items (nothing was written)
+ * Items that would have been saved are reported as 'skipped'; replays of items saved
+ * by an earlier call keep their result.
+ * @param {Array} tradesArray - Batch items
+ * @param {BatchTradeResult[]} results - Per-item results of the checks
+ * @returns {APIResponse} Error response with the BatchOperationSummary fields
+ */
+function rejectAtomicBatch(tradesArray, results) {
+  const skippedMessage = 'ไม่ได้บันทึก เนื่องจากมีรายการอื่นในชุดนี้ผิดพลาด';
+  results.forEach(result => {
+    if (result.status === 'skipped' || (result.status === 'success' && !result.idempotentReplay)) {
+      Object.assign(result, { status: 'skipped', message: skippedMessage, id: null });
+    }
+  });
+
+  const count = (status) => results.filter(result => result.status === status).length;
+  const errorCount = count('error');
+  console.log(`Atomic batch rejected: ${errorCount}/${tradesArray.length} items failed, nothing written`);
+
+  return createJSONResponse('error', `ไม่ได้บันทึกรายการใด: ผิดพลาด ${errorCount} จาก ${tradesArray.length} รายการ`, {
+    total: tradesArray.length,
+    success: count('success'),
+    errors: errorCount,
+    skipped: count('skipped'),
+    atomic: true,
+    results: results
+  });
+}
 
 /**
- * Delete a trade by transaction ID (admin function)
+ * Soft delete a trade and re-chain the balances of the account
+ * The row stays in the sheet with Deleted At/By and a reason; deleted trades are left
+ * out of history, statistics and the balance chain until restoreTrade() brings them back.
+ * Callers must hold the script lock (the route is flagged `lock: true`).
  * @param {string} transactionId - Transaction ID to delete
+ * @param {string} [reason=''] - Why the trade was deleted
+ * @param {string} [actor] - EmpId of the user deleting the trade (defaults to the caller)
  * @returns {APIResponse} Response with operation result
  *   - data.deletedId: string - ID of deleted transaction
- * @security Admin access required
+ *   - data.accountId: string - Account ID of the deleted trade
+ *   - data.changedRows: Object[] - Later rows whose balances changed
+ *   - data.changedCount: number - Number of rows whose balances changed
+ * @security Requires the 'trade:delete' permission (checked by the deleteTrade route)
  */
-function deleteTrade(transactionId) {
+function deleteTrade(transactionId, reason = '', actor = getAuditActor()) {
     try {
       if (isEmpty(transactionId)) {
         return createJSONResponse('error', 'Transaction ID is required');
       }
 
-      const sheet = getSheet(CONFIG.SHEETS.TRADING_JOURNAL);
-      const values = sheet.getDataRange().getValues();
+      // Journals created before soft delete get the Deleted At/By/Reason columns
+      ensureSheetFields(CONFIG.SHEETS.TRADING_JOURNAL);
 
-      // Find the row with matching transaction ID
-      let rowToDelete = -1;
-      for (let i = 1; i < values.length; i++) { // Skip header row
-        if (values[i][0] === transactionId) { // Transaction_ID is in column 0
-          rowToDelete = i + 1; // Sheet rows are 1-indexed
-          break;
-        }
-      }
+      const data = readSheetRecords(CONFIG.SHEETS.TRADING_JOURNAL, true);
+      const index = data.records.findIndex(record => record.transactionId === transactionId);
 
-      if (rowToDelete === -1) {
+      if (index === -1) {
         return createJSONResponse('error', 'ไม่พบรายการเทรดที่ระบุ');
       }
 
-      // Delete the row
-      sheet.deleteRow(rowToDelete);
+      const trade = data.records[index];
+      if (isTradeDeleted(trade)) {
+        return createJSONResponse('error', 'รายการเทรดนี้ถูกลบไปแล้ว');
+      }
 
-      console.log(`Deleted trade: ${transactionId} from row ${rowToDelete}`);
+      const before = serializeTrade(trade);
+      const entries = getAccountJournalEntries(data, trade.accountId);
+      const position = entries.findIndex(entry => entry.rowNumber === index + 2);
+      entries.splice(position, 1);
+
+      // Later trades follow the previous trade; when the first trade goes, the next one
+      // starts from the deleted trade's start balance instead
+      const rechained = position === 0
+        ? rechainJournalEntries([{ trade: { endBalance: trade.startBalance } }].concat(entries), 1)
+        : rechainJournalEntries(entries, position);
+
+      Object.assign(trade, { deletedAt: new Date(), deletedBy: actor, deleteReason: sanitizeString(reason) });
+      updateSheetRecord(CONFIG.SHEETS.TRADING_JOURNAL, index + 2, {
+        deletedAt: trade.deletedAt,
+        deletedBy: trade.deletedBy,
+        deleteReason: trade.deleteReason
+      }, data.values[index + 1]);
+      writeJournalBalances(rechained.map(change => change.entry));
+
+      const changedSummary = summarizeBalanceChanges(rechained);
+      writeAuditLog({
+        actor: actor,
+        action: 'trade.delete',
+        targetId: transactionId,
+        before: before,
+        after: serializeTrade(trade),
+        details: { reason: trade.deleteReason, changedRows: changedSummary }
+      });
+
+      console.log(`Deleted trade: ${transactionId} (row ${index + 2}), re-chained ${changedSummary.length} rows`);
       return createJSONResponse('success', 'ลบรายการเทรดเรียบร้อยแล้ว', {
-        deletedId: transactionId
+        deletedId: transactionId,
+        accountId: trade.accountId,
+        changedRows: changedSummary,
+        changedCount: changedSummary.length
       });
 
     } catch (error) {
@@ -539,3 +1083,433 @@ function deleteTrade(transactionId) {
       return createJSONResponse('error', error.toString());
     }
   }
+
+/**
+ * Bring back a soft-deleted trade and re-chain the balances of the account
+ * The restored trade starts from the end balance of the trade before it (the first
+ * trade of the account keeps its own start balance).
+ * Callers must hold the script lock (the route is flagged `lock: true`).
+ * @param {string} transactionId - Transaction ID to restore
+ * @param {string} [actor] - EmpId of the user restoring the trade (defaults to the caller)
+ * @returns {APIResponse} Response with operation result
+ *   - data.id: string - Transaction ID of the restored trade
+ *   - data.accountId: string - Account ID of the restored trade
+ *   - data.trade: TradeRecord - Restored trade after re-chaining
+ *   - data.changedRows: Object[] - Every row whose balances changed
+ *   - data.changedCount: number - Number of rows whose balances changed
+ * @security Requires the 'trade:delete' permission (checked by the restoreTrade route)
+ */
+function restoreTrade(transactionId, actor = getAuditActor()) {
+  try {
+    if (isEmpty(transactionId)) {
+      return createJSONResponse('error', 'Transaction ID is required');
+    }
+
+    const data = readSheetRecords(CONFIG.SHEETS.TRADING_JOURNAL, true);
+    const index = data.records.findIndex(record => record.transactionId === transactionId);
+
+    if (index === -1) {
+      return createJSONResponse('error', 'ไม่พบรายการเทรดที่ระบุ');
+    }
+
+    const trade = data.records[index];
+    if (!isTradeDeleted(trade)) {
+      return createJSONResponse('error', 'รายการเทรดนี้ไม่ได้ถูกลบ');
+    }
+
+    const before = serializeTrade(trade);
+    Object.assign(trade, { deletedAt: '', deletedBy: '', deleteReason: '' });
+
+    const entries = getAccountJournalEntries(data, trade.accountId);
+    const target = entries.find(entry => entry.rowNumber === index + 2);
+    const rechained = rechainJournalEntries(entries, entries.indexOf(target));
+
+    target.row = updateSheetRecord(CONFIG.SHEETS.TRADING_JOURNAL, target.rowNumber, trade, target.row);
+    writeJournalBalances(rechained.map(change => change.entry).filter(entry => entry !== target));
+
+    const changedSummary = summarizeBalanceChanges(rechained);
+    writeAuditLog({
+      actor: actor,
+      action: 'trade.restore',
+      targetId: transactionId,
+      before: before,
+      after: serializeTrade(trade),
+      details: { changedRows: changedSummary }
+    });
+
+    console.log(`Restored trade: ${transactionId} (row ${target.rowNumber}), re-chained ${changedSummary.length} rows`);
+    return createJSONResponse('success', 'กู้คืนรายการเทรดเรียบร้อยแล้ว', {
+      id: transactionId,
+      accountId: trade.accountId,
+      trade: serializeTrade(trade),
+      changedRows: changedSummary,
+      changedCount: changedSummary.length
+    });
+
+  } catch (error) {
+    logError('restoreTrade', error, { transactionId });
+    return createJSONResponse('error', error.toString());
+  }
+}
+
+/**
+ * Permanently remove soft-deleted trades (admin)
+ * Balances need no re-chaining: deleted trades are already out of the chain.
+ * Callers must hold the script lock (the route is flagged `lock: true`).
+ * @param {number} [olderThanDays=0] - Only purge trades deleted at least this many days ago
+ * @param {string|null} [accountId=null] - Only purge trades of this account
+ * @param {string} [actor] - EmpId of the admin (defaults to the caller)
+ * @returns {APIResponse} Response with `purged` (count), `purgedIds`, and `skippedIds` for
+ *   deleted trades kept because their Deleted At cannot be read
+ */
+function purgeDeletedTrades(olderThanDays = 0, accountId = null, actor = getAuditActor()) {
+  try {
+    const data = readSheetRecords(CONFIG.SHEETS.TRADING_JOURNAL, true);
+    const cutoff = Date.now() - minutesToMs(olderThanDays * 24 * 60);
+    const purged = [];
+    const skippedIds = [];
+
+    // Bottom-up so row numbers stay valid while deleting
+    for (let i = data.records.length - 1; i >= 0; i--) {
+      const trade = data.records[i];
+      if (!isTradeDeleted(trade) || (accountId && trade.accountId !== accountId)) continue;
+
+      // A deletion time that cannot be read is never taken as old enough
+      const deletedAt = new Date(trade.deletedAt).getTime();
+      if (isNaN(deletedAt)) {
+        skippedIds.unshift(String(trade.transactionId));
+        continue;
+      }
+      if (deletedAt > cutoff) continue;
+
+      data.sheet.deleteRow(i + 2);
+      purged.unshift(serializeTrade(trade));
+    }
+    invalidateSheetCache(CONFIG.SHEETS.TRADING_JOURNAL);
+
+    if (purged.length > 0) {
+      writeAuditLog({
+        actor: actor,
+        action: 'trade.purge',
+        targetId: accountId || '',
+        before: purged,
+        details: { olderThanDays: olderThanDays }
+      });
+    }
+
+    if (skippedIds.length > 0) {
+      console.warn(`Not purged, unreadable Deleted At: ${skippedIds.join(', ')}`);
+    }
+    console.log(`Purged ${purged.length} deleted trades`);
+    return createJSONResponse('success', `ลบรายการเทรดที่ถูกลบออกถาวร ${purged.length} รายการ`, {
+      purged: purged.length,
+      purgedIds: purged.map(trade => trade.transactionId),
+      skippedIds: skippedIds
+    });
+
+  } catch (error) {
+    logError('purgeDeletedTrades', error, { olderThanDays, accountId });
+    return createJSONResponse('error', error.toString());
+  }
+}
+
+// ==========================================
+// Trade Editing and Balance Re-chaining
+// ==========================================
+
+/**
+ * Sort comparator for journal entries: Trade Date ascending, then Timestamp
+ * @param {Object} a - Journal entry ({ trade: JournalRecord })
+ * @param {Object} b - Journal entry ({ trade: JournalRecord })
+ * @returns {number} Negative, zero or positive for Array.prototype.sort
+ */
+function compareTradesChronologically(a, b) {
+  // Date keys, since sheet cells hold Dates at local midnight and edits bring 'YYYY-MM-DD' strings
+  const aDate = formatDateKey(a.trade.tradeDate);
+  const bDate = formatDateKey(b.trade.tradeDate);
+  if (aDate !== bDate) {
+    return aDate < bDate ? -1 : 1;
+  }
+  return new Date(a.trade.timestamp) - new Date(b.trade.timestamp);
+}
+
+/**
+ * Collect the live (not deleted) journal entries of one account with their
+ * sheet row numbers, ordered by Trade Date (oldest first)
+ * @param {Object} data - Result of readSheetRecords(CONFIG.SHEETS.TRADING_JOURNAL)
+ * @param {string} accountId - Account ID to collect
+ * @returns {Object[]} Entries of shape { rowNumber: number, trade: JournalRecord, row: Array }
+ */
+function getAccountJournalEntries(data, accountId) {
+  const entries = [];
+
+  data.records.forEach((trade, index) => {
+    if (trade.accountId === accountId && !isTradeDeleted(trade)) {
+      // +1 for the header row, +1 because sheet rows are one-based
+      entries.push({ rowNumber: index + 2, trade: trade, row: data.values[index + 1] });
+    }
+  });
+
+  return entries.sort(compareTradesChronologically);
+}
+
+/**
+ * Recompute start/end balances so that every entry from `fromIndex` onwards
+ * starts with the previous entry's end balance. Entries are modified in place.
+ * @param {Object[]} entries - Chronologically sorted journal entries
+ * @param {number} fromIndex - First entry whose start balance is re-chained
+ * @param {Object|null} [pinned=null] - Entry whose start balance must be kept as-is
+ * @returns {Object[]} Entries whose balances changed, with previous values
+ */
+function rechainJournalEntries(entries, fromIndex, pinned = null) {
+  const changed = [];
+
+  for (let i = Math.max(fromIndex, 1); i < entries.length; i++) {
+    if (entries[i] === pinned) {
+      continue;
+    }
+
+    const trade = entries[i].trade;
+    const previousStart = safeParseFloat(trade.startBalance);
+    const previousEnd = safeParseFloat(trade.endBalance);
+
+    const newStart = safeParseFloat(entries[i - 1].trade.endBalance);
+    const newEnd = newStart + safeParseFloat(trade.dailyProfit);
+
+    trade.startBalance = newStart;
+    trade.endBalance = newEnd;
+
+    if (!validateBalanceCalculation(previousStart, 0, newStart) ||
+        !validateBalanceCalculation(previousEnd, 0, newEnd)) {
+      changed.push({
+        entry: entries[i],
+        previousStartBalance: previousStart,
+        previousEndBalance: previousEnd
+      });
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Write the balance fields (start, profit, end) of journal entries back to the sheet
+ * @param {Object[]} entries - Journal entries to persist
+ */
+function writeJournalBalances(entries) {
+  entries.forEach(entry => {
+    entry.row = updateSheetRecord(CONFIG.SHEETS.TRADING_JOURNAL, entry.rowNumber, {
+      startBalance: safeParseFloat(entry.trade.startBalance),
+      dailyProfit: safeParseFloat(entry.trade.dailyProfit),
+      endBalance: safeParseFloat(entry.trade.endBalance)
+    }, entry.row);
+  });
+}
+
+/**
+ * Summarise re-chained entries for API responses
+ * @param {Object[]} changes - Result items of rechainJournalEntries
+ * @returns {Object[]} One item per changed row with previous and new balances
+ */
+function summarizeBalanceChanges(changes) {
+  return changes.map(change => ({
+    id: change.entry.trade.transactionId,
+    row: change.entry.rowNumber,
+    tradeDate: formatDateKey(change.entry.trade.tradeDate),
+    previousStartBalance: change.previousStartBalance,
+    previousEndBalance: change.previousEndBalance,
+    startBalance: safeParseFloat(change.entry.trade.startBalance),
+    endBalance: safeParseFloat(change.entry.trade.endBalance)
+  }));
+}
+
+/**
+ * Check the changes of a trade edit before anything is read or written
+ * @param {Object} updates - Changes as given to updateTrade()
+ * @returns {APIResponse|null} Error response, or null when the changes are valid
+ */
+function validateTradeUpdates(updates) {
+  if (!isEmpty(updates.assetId) && !validateAssetExists(updates.assetId)) {
+    return createJSONResponse('error', CONFIG.MESSAGES.INVALID_ASSET);
+  }
+
+  if (!isEmpty(updates.tradeDate) && !isValidDateFormat(updates.tradeDate)) {
+    return createJSONResponse('error', 'tradeDate must be in YYYY-MM-DD format');
+  }
+
+  if (!isEmpty(updates.startBalance) && safeParseFloat(updates.startBalance) <= 0) {
+    return createJSONResponse('error', 'เงินต้นเริ่มต้นต้องมากกว่า 0');
+  }
+
+  return null;
+}
+
+/**
+ * Update an existing trade and re-chain the balances of every later trade
+ * of the same account so the equity chain stays consistent
+ * Callers must hold the script lock (the route is flagged `lock: true`).
+ * @param {string} transactionId - Transaction ID of the trade to edit
+ * @param {Object} updates - Fields to change (any subset of TradeData except accountId)
+ * @param {string} [updates.assetId] - New asset ID
+ * @param {number} [updates.startBalance] - New starting balance (USD); without it a trade
+ *   moved to another date starts from the end balance of the trade now before it
+ * @param {number} [updates.dailyProfit] - New daily profit/loss (USD)
+ * @param {number} [updates.lotSize] - New lot size
+ * @param {string} [updates.notes] - New notes
+ * @param {string} [updates.tradeDate] - New trade date in YYYY-MM-DD format; a date the
+ *   account already uses follows its duplicate date policy (reject, or merge into / replace
+ *   the trade on that date, soft deleting the one that gives way)
+ * @returns {APIResponse} Response with operation result
+ *   - data.id: string - Transaction ID of the edited trade (of the trade merged into for 'merge')
+ *   - data.accountId: string - Account ID of the edited trade
+ *   - data.trade: TradeRecord - Edited trade after re-chaining
+ *   - data.deletedId: string|null - Trade soft deleted by a merge or replace
+ *   - data.duplicateDate / duplicatePolicy / existingId - Present when the new date was taken
+ *   - data.changedRows: Object[] - Every row whose balances changed
+ *   - data.changedCount: number - Number of rows whose balances changed
+ */
+function updateTrade(transactionId, updates = {}) {
+  try {
+    if (isEmpty(transactionId)) {
+      return createJSONResponse('error', 'Transaction ID is required');
+    }
+
+    const invalid = validateTradeUpdates(updates);
+    if (invalid) {
+      return invalid;
+    }
+
+    const data = readSheetRecords(CONFIG.SHEETS.TRADING_JOURNAL, true);
+    const targetIndex = data.records.findIndex(record => record.transactionId === transactionId);
+
+    if (targetIndex === -1) {
+      return createJSONResponse('error', 'ไม่พบรายการเทรดที่ระบุ');
+    }
+
+    if (isTradeDeleted(data.records[targetIndex])) {
+      return createJSONResponse('error', 'รายการเทรดนี้ถูกลบแล้ว กรุณากู้คืนก่อนแก้ไข');
+    }
+
+    const targetRow = targetIndex + 2; // Sheet rows are 1-indexed, plus header row
+    const accountId = data.records[targetIndex].accountId;
+    const entries = getAccountJournalEntries(data, accountId);
+    const oldIndex = entries.findIndex(entry => entry.rowNumber === targetRow);
+    const target = entries[oldIndex];
+    const trade = target.trade;
+    const before = serializeTrade(trade);
+
+    const previousStart = safeParseFloat(trade.startBalance);
+    const previousEnd = safeParseFloat(trade.endBalance);
+
+    // Moving the trade onto a date the account already uses follows its duplicate date policy
+    const occupant = !isEmpty(updates.tradeDate) && formatDateKey(updates.tradeDate) !== formatDateKey(trade.tradeDate)
+      ? entries.find(entry => entry !== target && formatDateKey(entry.trade.tradeDate) === formatDateKey(updates.tradeDate))
+      : null;
+    let duplicateInfo = null;
+
+    if (occupant) {
+      const duplicatePolicy = getDuplicateDatePolicy(accountId);
+      duplicateInfo = { duplicateDate: true, duplicatePolicy: duplicatePolicy, existingId: occupant.trade.transactionId };
+
+      if (duplicatePolicy === CONFIG.DUPLICATE_DATE_POLICIES.REJECT) {
+        return createJSONResponse('error',
+          `Trade date ${updates.tradeDate} already exists for account ${accountId}`, duplicateInfo);
+      }
+    }
+
+    // Apply edits (numeric fields are normalised since empty cells read back as '')
+    if (!isEmpty(updates.assetId)) trade.assetId = updates.assetId;
+    if (updates.notes !== undefined && updates.notes !== null) trade.notes = sanitizeString(updates.notes);
+    if (!isEmpty(updates.tradeDate)) trade.tradeDate = updates.tradeDate;
+
+    trade.startBalance = safeParseFloat(isEmpty(updates.startBalance) ? trade.startBalance : updates.startBalance);
+    trade.dailyProfit = safeParseFloat(isEmpty(updates.dailyProfit) ? trade.dailyProfit : updates.dailyProfit);
+    trade.lotSize = safeParseFloat(isEmpty(updates.lotSize) ? trade.lotSize : updates.lotSize);
+    trade.endBalance = trade.startBalance + trade.dailyProfit;
+
+    // 'merge' folds the edited trade into the one on its new date, 'replace' lets it take
+    // that date; either way the trade that gives way is soft deleted (see deleteTrade)
+    let survivor = target;
+    let removed = null;
+    let fromIndex = oldIndex;
+
+    if (duplicateInfo && duplicateInfo.duplicatePolicy !== CONFIG.DUPLICATE_DATE_POLICIES.ALLOW) {
+      const isMerge = duplicateInfo.duplicatePolicy === CONFIG.DUPLICATE_DATE_POLICIES.MERGE;
+      survivor = isMerge ? occupant : target;
+      removed = isMerge ? target : occupant;
+      fromIndex = Math.min(oldIndex, entries.indexOf(occupant));
+
+      if (isMerge) {
+        Object.assign(occupant.trade, toDuplicateDateUpdates(occupant.trade, duplicateInfo.duplicatePolicy, trade));
+        occupant.trade.endBalance = safeParseFloat(occupant.trade.startBalance) + occupant.trade.dailyProfit;
+      }
+
+      ensureSheetFields(CONFIG.SHEETS.TRADING_JOURNAL);
+      Object.assign(removed.trade, {
+        deletedAt: new Date(),
+        deletedBy: getAuditActor(),
+        deleteReason: isMerge ? `merged into ${occupant.trade.transactionId}` : `replaced by ${transactionId}`
+      });
+      entries.splice(entries.indexOf(removed), 1);
+    }
+
+    // Re-sort in case the trade date moved, then re-chain from the earliest affected position.
+    // A trade moved to another date starts from the end balance of the trade now before it,
+    // unless the caller gave its start balance; otherwise the edited trade keeps its own
+    // start balance and only the trades after it follow.
+    entries.sort(compareTradesChronologically);
+    const moved = formatDateKey(trade.tradeDate) !== before.tradeDate;
+    const keepStart = !moved || !isEmpty(updates.startBalance);
+    const newIndex = entries.indexOf(target);
+    if (newIndex !== -1) {
+      fromIndex = Math.min(fromIndex, keepStart ? newIndex + 1 : newIndex);
+    }
+    const rechained = rechainJournalEntries(entries, fromIndex, keepStart ? target : null);
+
+    // Persist the edited rows in full, then the balance fields of re-chained rows
+    target.row = updateSheetRecord(CONFIG.SHEETS.TRADING_JOURNAL, targetRow, trade, target.row);
+    if (removed) {
+      const other = removed === target ? survivor : removed;
+      other.row = updateSheetRecord(CONFIG.SHEETS.TRADING_JOURNAL, other.rowNumber, other.trade, other.row);
+    }
+    writeJournalBalances(rechained.map(change => change.entry));
+
+    // The edited trade is reported against its balances from before the edit
+    const changedRows = rechained.filter(change => change.entry !== target);
+    if (removed !== target && (!validateBalanceCalculation(previousStart, 0, trade.startBalance) ||
+        !validateBalanceCalculation(previousEnd, 0, trade.endBalance))) {
+      changedRows.unshift({ entry: target, previousStartBalance: previousStart, previousEndBalance: previousEnd });
+    }
+
+    const changedSummary = summarizeBalanceChanges(changedRows);
+    writeAuditLog({
+      action: 'trade.update',
+      targetId: transactionId,
+      before: before,
+      after: serializeTrade(trade),
+      details: Object.assign({ changedRows: changedSummary }, duplicateInfo)
+    });
+    if (removed) {
+      writeAuditLog({
+        action: 'trade.delete',
+        targetId: removed.trade.transactionId,
+        after: serializeTrade(removed.trade),
+        details: { reason: removed.trade.deleteReason }
+      });
+    }
+
+    console.log(`Updated trade: ${transactionId} (row ${targetRow}), re-chained ${changedSummary.length} rows for account ${accountId}`);
+    return createJSONResponse('success', 'แก้ไขรายการเทรดเรียบร้อยแล้ว', Object.assign({}, duplicateInfo, {
+      id: survivor.trade.transactionId,
+      accountId: accountId,
+      trade: serializeTrade(survivor.trade),
+      deletedId: removed ? removed.trade.transactionId : null,
+      changedRows: changedSummary,
+      changedCount: changedSummary.length
+    }));
+
+  } catch (error) {
+    logError('updateTrade', error, { transactionId, updates });
+    return createJSONResponse('error', error.toString());
+  }
+}
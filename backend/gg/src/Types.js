@@ -13,36 +13,99 @@
  * @property {number} lotSize - Lot size used in trading
  * @property {string} [notes=''] - Optional notes for the trade
  * @property {string} [tradeDate=''] - Trade date in YYYY-MM-DD format (defaults to current date)
+ * @property {string} [idempotencyKey] - Client key that makes resending this trade safe
  */
 
 /**
- * @typedef {Object} TradeRecord - Complete trade record from database
- * @property {string} Transaction_ID - Unique transaction identifier
- * @property {string} Timestamp - ISO timestamp when record was created
- * @property {string} Account_ID - Account ID
- * @property {string} Asset_ID - Asset ID
- * @property {number} เงินต้นเริ่มต้นวัน_USD - Starting balance in USD
- * @property {number} กำไร_ขาดทุนรายวัน_USD - Daily profit/loss in USD
- * @property {number} เงินรวมสิ้นวัน_USD - End balance in USD
- * @property {number} Lot_Size - Lot size
- * @property {string} หมายเหตุ - Notes
- * @property {string} Trade_Date - Trade date
+ * @typedef {Object} TradeRecord - Trade DTO returned by the API (see SerializerService.js)
+ * Requests with format=raw receive the sheet headers as keys instead
+ * @property {string} transactionId - Unique transaction identifier
+ * @property {string} timestamp - ISO timestamp when record was created
+ * @property {string} accountId - Account ID
+ * @property {string} assetId - Asset ID
+ * @property {number} startBalance - Starting balance in USD (เงินต้นเริ่มต้นวัน)
+ * @property {number} dailyProfit - Daily profit/loss in USD (กำไร/ขาดทุนรายวัน)
+ * @property {number} endBalance - End balance in USD (เงินรวมสิ้นวัน)
+ * @property {number} lotSize - Lot size
+ * @property {string} notes - Notes (หมายเหตุ)
+ * @property {string} tradeDate - Trade date in YYYY-MM-DD format
+ * @property {string|null} deletedAt - ISO timestamp of a soft delete, null for live trades
+ * @property {string} deletedBy - EmpId of the user who deleted the trade
+ * @property {string} deleteReason - Reason given for the delete
+ */
+
+/**
+ * @typedef {Object} JournalRecord - Trade row keyed by CONFIG.FIELDS.TRADING_JOURNAL field names
+ * @property {string} transactionId - Unique transaction identifier
+ * @property {string} timestamp - Timestamp when record was created
+ * @property {string} accountId - Account ID
+ * @property {string} assetId - Asset ID
+ * @property {number} startBalance - Starting balance in USD
+ * @property {number} dailyProfit - Daily profit/loss in USD
+ * @property {number} endBalance - End balance in USD
+ * @property {number} lotSize - Lot size
+ * @property {string} notes - Notes
+ * @property {string|Date} tradeDate - Trade date
+ * @property {string|Date} deletedAt - Soft delete time ('' for live trades)
+ * @property {string} deletedBy - EmpId of the user who deleted the trade
+ * @property {string} deleteReason - Reason given for the delete
+ */
+
+/**
+ * @typedef {Object} AccountRecord - Account row keyed by CONFIG.FIELDS.ACCOUNTS field names
+ * @property {string} accountId - Unique account identifier
+ * @property {string} accountName - Account name
+ * @property {string} ownerName - Owner/username
+ * @property {number} initialCapital - Initial capital in USD
+ * @property {string} duplicateDatePolicy - Duplicate date policy (empty = config default)
+ */
+
+/**
+ * @typedef {Object} AssetRecord - Asset row keyed by CONFIG.FIELDS.ASSETS field names
+ * @property {string} assetId - Unique asset identifier
+ * @property {string} assetName - Asset name
+ * @property {string} assetType - Asset type (Crypto, Forex, etc.)
+ * @property {string} notes - Notes about the asset
  */
 
 /**
- * @typedef {Object} Account - Account data structure
- * @property {string} Account_ID - Unique account identifier
- * @property {string} ชื่อบัญชี - Account name
- * @property {string} ชื่อผู้ใช้_เจ้าของ - Owner/username
- * @property {number} เงินต้นเริ่มต้น_USD - Initial capital in USD
+ * @typedef {Object} SheetSchema - Header-driven column mapping of a sheet
+ * @property {string} sheetName - Sheet name
+ * @property {string[]} headers - Live header row of the sheet
+ * @property {Object<string, number>} columns - Field name → zero-based column index
+ * @property {string[]} missingFields - Configured fields with no matching header
  */
 
 /**
- * @typedef {Object} Asset - Asset data structure
- * @property {string} Asset_ID - Unique asset identifier
- * @property {string} ชื่อสินทรัพย์ - Asset name
- * @property {string} ประเภท - Asset type (Crypto, Forex, etc.)
- * @property {string} หมายเหตุ - Notes about the asset
+ * @typedef {Object} HistoryQuery - getTradingHistory filter, sort and paging options
+ * @property {string} [from] - Earliest Trade Date (YYYY-MM-DD, inclusive)
+ * @property {string} [to] - Latest Trade Date (YYYY-MM-DD, inclusive)
+ * @property {string} [assetId] - Only trades of this asset
+ * @property {string} [profit] - 'positive' | 'negative' | 'zero'
+ * @property {string} [search] - Case-insensitive text to find in notes
+ * @property {string} [sortBy='tradeDate'] - One of CONFIG.HISTORY.SORT_FIELDS
+ * @property {string} [sortDir='desc'] - 'asc' | 'desc'
+ * @property {number} [page=1] - One-based page number (used with pageSize)
+ * @property {number} [pageSize] - Trades per page (omit for all trades)
+ * @property {string} [cursor] - nextCursor from a previous response (overrides page)
+ * @property {boolean} [includeDeleted=false] - Also list soft-deleted trades
+ */
+
+/**
+ * @typedef {Object} Account - Account DTO returned by the API (see SerializerService.js)
+ * @property {string} accountId - Unique account identifier
+ * @property {string} accountName - Account name (ชื่อบัญชี)
+ * @property {string} ownerName - Owner/username (ชื่อผู้ใช้/เจ้าของ)
+ * @property {number} initialCapital - Initial capital in USD (เงินต้นเริ่มต้น)
+ * @property {string} duplicateDatePolicy - 'allow' | 'reject' | 'merge' | 'replace' (empty = config default)
+ */
+
+/**
+ * @typedef {Object} Asset - Asset DTO returned by the API (see SerializerService.js)
+ * @property {string} assetId - Unique asset identifier
+ * @property {string} assetName - Asset name (ชื่อสินทรัพย์)
+ * @property {string} assetType - Asset type (Crypto, Forex, etc.) (ประเภท)
+ * @property {string} notes - Notes about the asset (หมายเหตุ)
  */
 
 /**
@@ -74,14 +137,54 @@
  * @property {string} message - Authentication message
  * @property {User} [user] - User object if authentication successful
  * @property {string} [token] - Authentication token if successful
+ * @property {string} [refreshToken] - Refresh token if successful
+ * @property {string} [expiresAt] - Access token expiry (ISO timestamp)
+ * @property {string} [refreshExpiresAt] - Refresh token expiry (ISO timestamp)
+ * @property {boolean} [passwordChangeRequired] - Password is correct but must be changed before a session is issued
+ * @property {boolean} [passwordResetRequired] - Password is a legacy one; only a reset link can replace it
+ * @property {string} [userId] - EmpId of the user when passwordChangeRequired or passwordResetRequired is set
  */
 
 /**
  * @typedef {Object} TokenInfo - Token information structure
  * @property {string} token - Token string
  * @property {string} userId - Associated user ID
- * @property {string} createdAt - Token creation timestamp
- * @property {string} [expiresAt] - Token expiration timestamp
+ * @property {Date} createdAt - Login time of the session (kept across refreshes)
+ * @property {Date|string} refreshedAt - Time of the last refresh ('' before the first one)
+ * @property {Date|string} lastSeenAt - Last authenticated request ('' for rows issued before the column existed)
+ * @property {string} refreshToken - Refresh token issued with the token
+ * @property {string} sessionId - Session ID
+ * @property {string} deviceLabel - Device label
+ * @property {string} userAgent - Browser user agent
+ * @property {string|null} expiresAt - Token expiration timestamp (ISO; earlier of absolute and idle expiry)
+ */
+
+/**
+ * @typedef {Object} SessionTokens - Token pair returned by login and refreshToken
+ * @property {string} sessionId - Session (device) the tokens belong to
+ * @property {string} token - Access token
+ * @property {string} refreshToken - Single-use refresh token
+ * @property {string} expiresAt - Access token expiry (ISO timestamp)
+ * @property {string} refreshExpiresAt - Refresh token expiry (ISO timestamp)
+ */
+
+/**
+ * @typedef {Object} SessionDevice - Device details sent with login
+ * @property {string} [deviceLabel] - User-chosen name, e.g. 'Work laptop' (derived from userAgent when empty)
+ * @property {string} [userAgent] - Browser user agent (Apps Script cannot read request headers)
+ * @property {string} [clientId] - Random ID the browser keeps, used for login throttling
+ */
+
+/**
+ * @typedef {Object} SessionInfo - Session returned by listSessions (tokens are never included)
+ * @property {string} sessionId - Session ID
+ * @property {string} deviceLabel - Device label
+ * @property {string} userAgent - Browser user agent
+ * @property {string} createdAt - Login or last refresh (ISO timestamp)
+ * @property {string} lastSeenAt - Last authenticated request (ISO timestamp)
+ * @property {string} expiresAt - Access token expiry (ISO timestamp)
+ * @property {boolean} expired - Access token expired (the session can still be refreshed)
+ * @property {boolean} current - Session of the requesting token
  */
 
 /**
@@ -99,14 +202,71 @@
  * @property {number} averageLotSize - Average lot size per trade
  */
 
+/**
+ * @typedef {Object} EquityPoint - One trade date of an equity curve (see getEquityCurve)
+ * @property {string} date - Trade date (YYYY-MM-DD)
+ * @property {number} endBalance - End balance of the last trade of the day
+ * @property {number} dailyProfit - Profit/loss of all trades of the day
+ * @property {number} trades - Number of trades on the day
+ * @property {number} peak - Highest balance up to this day
+ * @property {number} drawdown - Distance below the peak
+ * @property {number} drawdownPercent - Drawdown as a percentage of the peak
+ */
+
+/**
+ * @typedef {Object} DrawdownPeriod - A fall below a peak until the balance is back at it
+ * @property {string} peakDate - Day of the peak the drawdown started from
+ * @property {number} peakBalance - Balance at the peak
+ * @property {string} troughDate - Day of the lowest balance
+ * @property {number} troughBalance - Lowest balance
+ * @property {number} amount - Depth (peakBalance - troughBalance)
+ * @property {number} percent - Depth as a percentage of the peak
+ * @property {string|null} recoveryDate - First day back at or above the peak; null while open
+ * @property {number} durationDays - Days from the peak to the recovery (or to the last day while open)
+ */
+
+/**
+ * @typedef {Object} MaxDrawdown - Drawdown period with the largest percentage fall of an equity curve
+ * @property {number} amount - Depth of the deepest period
+ * @property {number} percent - Depth of the deepest period as a percentage of its peak
+ * @property {string|null} peakDate - Peak of the deepest period
+ * @property {string|null} troughDate - Trough of the deepest period
+ * @property {string|null} recoveryDate - Recovery of the deepest period; null while open
+ * @property {number} durationDays - Duration of the deepest period
+ */
+
+/**
+ * @typedef {Object} PerformanceMetrics - Risk-adjusted performance of an account (see getPerformanceMetrics)
+ * @property {number} tradingDays - Number of trade dates (length of the return series)
+ * @property {number} totalTrades - Number of trades
+ * @property {number} meanDailyReturn - Average daily return in percent
+ * @property {number} stdDevReturns - Sample standard deviation of daily returns in percent
+ * @property {number} downsideDeviation - Sample deviation of daily returns below the risk-free rate in percent
+ * @property {number} annualizedReturn - Daily returns compounded and scaled to the trading days per year, in percent
+ * @property {number|null} sharpeRatio - Annualized excess return over the standard deviation
+ * @property {number|null} sortinoRatio - Annualized excess return over the downside deviation
+ * @property {number|null} calmarRatio - Annualized return over the maximum drawdown percentage
+ * @property {number} maxDrawdownPercent - Deepest drawdown of the equity curve in percent
+ * @property {number} grossProfit - Sum of winning trades
+ * @property {number} grossLoss - Sum of losing trades, as a positive amount
+ * @property {number|null} profitFactor - Gross profit over gross loss
+ * @property {number} averageWin - Average winning trade
+ * @property {number} averageLoss - Average losing trade (negative)
+ * @property {number|null} payoffRatio - Average win over the size of the average loss
+ * @property {number} expectancy - Expected profit per trade
+ */
+
 /**
  * @typedef {Object} BatchTradeResult - Result of batch trade operation
  * @property {number} index - Index of trade in batch (1-based)
- * @property {string} status - Result status ('success' or 'error')
+ * @property {string} status - Result status ('success', 'error', or 'skipped' when an atomic batch was not written)
  * @property {string} message - Result message
  * @property {string} [id] - Transaction ID if successful
  * @property {string} tradeDate - Trade date
  * @property {string} accountId - Account ID
+ * @property {boolean} duplicateDate - Whether the account already had a trade on this date
+ * @property {string|null} duplicatePolicy - Duplicate date policy applied (when duplicateDate)
+ * @property {boolean} idempotentReplay - Whether the item was saved earlier under its idempotencyKey
  */
 
 /**
@@ -115,7 +275,10 @@
  * @property {number} success - Number of successful operations
  * @property {number} errors - Number of failed operations
  * @property {BatchTradeResult[]} results - Detailed results for each item
+ * @property {boolean} [atomic] - Whether the batch was submitted all-or-nothing
+ * @property {number} [skipped] - Items not written because an atomic batch had errors
  * @property {number} [duplicateDatesCount] - Number of duplicate dates found
+ * @property {Object<string, number>} [duplicateDatesByPolicy] - Duplicate dates counted per applied policy
  * @property {string} [duplicateDatesMessage] - Message about duplicate dates
  */
 
@@ -139,5 +302,27 @@
  * @property {string} overallStatus - Overall system status
  */
 
+/**
+ * @typedef {Object} RouteParam - Declared request parameter of a route (see Routes.js)
+ * @property {string} type - 'string', 'number', 'integer', 'boolean', 'array' or 'object' (arrays/objects also accept JSON text)
+ * @property {boolean} [required] - Reject the request when missing or empty
+ * @property {any} [default] - Value used when the parameter is missing
+ * @property {Array} [enum] - Allowed values
+ * @property {number} [min] - Minimum value of a number/integer parameter
+ */
+
+/**
+ * @typedef {Object} RouteDefinition - Entry of the ROUTES table
+ * @property {string} method - 'GET' or 'POST'
+ * @property {boolean} [auth=true] - Whether a valid token is required
+ * @property {string} [permission] - Permission the token owner's role must grant (see CONFIG.ROLES)
+ * @property {Object<string, RouteParam>} [params] - Parameter schema; only declared parameters reach the handler
+ * @property {string} [account] - Parameter holding an account ID the token must have access to
+ * @property {string} [accountLevel='viewer'] - Access level needed on that account: 'viewer', 'editor' or 'owner'
+ * @property {boolean} [lock=false] - Run the handler inside the script lock (journal writes)
+ * @property {string} description - Short description of the action
+ * @property {function(Object, {action: string, token: string|null, user: User|null, e: Object}): APIResponse} handler - Action implementation
+ */
+
 // Export types for use in other files (GAS doesn't have modules, but this documents the types)
 // These typedefs can be used with @param {TradeData} and @returns {APIResponse} in JSDoc comments
\ No newline at end of file
@@ -207,6 +207,18 @@ function getCurrentDate() {
   return `${year}-${month}-${day}`;
 }
 
+/**
+ * Normalise a sheet date cell (Date object or string) to a YYYY-MM-DD key
+ * @param {Date|string} value - Date value read from a sheet
+ * @returns {string} Date string in YYYY-MM-DD format, or '' when empty
+ */
+function formatDateKey(value) {
+  if (value instanceof Date) {
+    return Utilities.formatDate(value, CONFIG.DEFAULTS.TIMEZONE, 'yyyy-MM-dd');
+  }
+  return value ? String(value).substring(0, 10) : '';
+}
+
 // ==========================================
 // Mathematical Utilities
 // ==========================================
@@ -220,35 +220,6 @@ function validateLotSize(lotSize, assetType) {
   };
 }
 
-// ==========================================
-// Access Control Validation
-// ==========================================
-
-/**
- * Validate user access to specific account
- * @param {string} token - User authentication token
- * @param {string} accountId - Account ID to check access for
- * @returns {APIResponse} Access validation result
- */
-function verifyAccountAccess(token, accountId) {
-  try {
-    // Get user info from token
-    const userInfo = getUserInfoFromToken(token);
-    
-    if (userInfo.status === 'error') {
-      return createJSONResponse('error', 'Invalid authentication token');
-    }
-    
-    // For now, allow access to all accounts for valid users
-    // In a real implementation, you might check specific permissions
-    return createJSONResponse('success', 'Access granted');
-    
-  } catch (error) {
-    logError('verifyAccountAccess', error, { token, accountId });
-    return createJSONResponse('error', 'Access verification failed');
-  }
-}
-
 /**
  * Validate API request parameters completeness
  * @param {Object} params - Request parameters
@@ -0,0 +1,117 @@
+/**
+ * Audit log tests - entries written by data-changing calls and the admin getAuditLog endpoint
+ * @created 2025-10-19
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { USERS, ACCOUNTS, createBackend, login } = require('./helpers');
+
+describe('audit log', () => {
+  let backend;
+  let adminToken;
+  let token;
+
+  beforeEach(() => {
+    backend = createBackend();
+    adminToken = login(backend, USERS.admin);
+    token = login(backend, USERS.likit);
+  });
+
+  const auditLog = (query = {}) => backend.get(Object.assign({ action: 'getAuditLog', token: adminToken }, query));
+  const addTrade = () => backend.post({
+    action: 'addTrade', token, accountId: ACCOUNTS.likit, assetId: '1',
+    startBalance: 20, dailyProfit: 1, lotSize: 0.01, tradeDate: '2025-10-04'
+  });
+
+  it('records trade changes with the acting user and before/after snapshots', () => {
+    const added = addTrade();
+    assert.equal(backend.post({ action: 'updateTrade', token, transactionId: added.id, dailyProfit: 3 }).status, 'success');
+    assert.equal(backend.post({ action: 'deleteTrade', token, transactionId: added.id }).status, 'success');
+
+    const result = auditLog({ targetId: added.id });
+    assert.equal(result.status, 'success');
+    assert.deepEqual(result.entries.map(entry => entry.action), ['trade.delete', 'trade.update', 'trade.create']);
+    assert.ok(result.entries.every(entry => entry.actor === USERS.likit.username));
+
+    const [deleted, updated, created] = result.entries;
+    assert.equal(created.before, null);
+    assert.equal(created.after.transactionId, added.id);
+    assert.equal(created.after.endBalance, 21);
+    assert.equal(updated.before.dailyProfit, 1);
+    assert.equal(updated.after.dailyProfit, 3);
+    assert.equal(updated.after.endBalance, 23);
+    assert.equal(deleted.before.endBalance, 23);
+    assert.equal(deleted.after.deletedBy, USERS.likit.username);
+    assert.ok(!isNaN(Date.parse(deleted.timestamp)));
+  });
+
+  it('records password, session and membership changes', () => {
+    backend.post({ action: 'changePassword', username: USERS.mega.username, currentPassword: USERS.mega.password, newPassword: 'correct horse battery' });
+    backend.post({ action: 'logout', token });
+    backend.post({ action: 'setAccountMember', token: adminToken, accountId: ACCOUNTS.likit, userId: USERS.mega.username, accessLevel: 'viewer' });
+
+    const password = auditLog({ event: 'password.change' }).entries;
+    assert.equal(password.length, 1);
+    assert.equal(password[0].actor, USERS.mega.username);
+    assert.equal(password[0].targetId, USERS.mega.username);
+
+    const logout = auditLog({ event: 'session.logout' }).entries;
+    assert.equal(logout.length, 1);
+    assert.equal(logout[0].actor, USERS.likit.username);
+
+    const member = auditLog({ event: 'account.member' }).entries[0];
+    assert.equal(member.actor, USERS.admin.username);
+    assert.deepEqual(member.after, { userId: USERS.mega.username, accessLevel: 'viewer' });
+  });
+
+  it('never records password values', () => {
+    backend.post({ action: 'changePassword', username: USERS.mega.username, currentPassword: USERS.mega.password, newPassword: 'correct horse battery' });
+    const cells = JSON.stringify(backend.records('AuditLog'));
+    assert.ok(!cells.includes(USERS.mega.password));
+    assert.ok(!cells.includes('correct horse battery'));
+  });
+
+  it('filters by actor, action area and day', () => {
+    addTrade();
+    backend.post({ action: 'logout', token });
+
+    assert.ok(auditLog({ actor: USERS.likit.username }).entries.length >= 3);
+    assert.deepEqual(auditLog({ event: 'trade' }).entries.map(entry => entry.action), ['trade.create']);
+    assert.equal(auditLog({ event: 'trade.create', actor: USERS.admin.username }).total, 0);
+
+    const today = new Date().toISOString().substring(0, 10);
+    assert.equal(auditLog({ event: 'trade', from: today, to: today }).total, 1);
+    assert.equal(auditLog({ event: 'trade', to: '2000-01-01' }).total, 0);
+    assert.match(auditLog({ from: '19-10-2025' }).message, /YYYY-MM-DD/);
+  });
+
+  it('pages newest first', () => {
+    for (let i = 0; i < 3; i++) addTrade();
+
+    const first = auditLog({ event: 'trade', pageSize: 2 });
+    assert.equal(first.total, 3);
+    assert.equal(first.totalPages, 2);
+    assert.equal(first.hasMore, true);
+    assert.equal(first.entries.length, 2);
+
+    const second = auditLog({ event: 'trade', pageSize: 2, page: 2 });
+    assert.equal(second.entries.length, 1);
+    assert.equal(second.hasMore, false);
+    assert.ok(second.entries[0].timestamp <= first.entries[1].timestamp);
+
+    assert.equal(auditLog({ pageSize: 501 }).status, 'error');
+  });
+
+  it('is only available to admins', () => {
+    const result = backend.get({ action: 'getAuditLog', token });
+    assert.equal(result.message, 'Permission denied: getAuditLog requires system:admin');
+  });
+
+  it('works before the AuditLog sheet exists', () => {
+    backend.spreadsheet.deleteSheet(backend.sheet('AuditLog'));
+    assert.equal(auditLog().total, 0);
+    addTrade();
+    assert.equal(auditLog({ event: 'trade.create' }).total, 1);
+  });
+});
@@ -0,0 +1,734 @@
+/**
+ * Authentication tests - login, throttling, token verification, permissions and account access/membership
+ * @created 2025-10-19
+ */
+
+const vm = require('node:vm');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { USERS, ACCOUNTS, createBackend, login } = require('./helpers');
+
+const newTrade = (accountId, tradeDate = '2025-10-04') => ({
+  accountId, assetId: '1', startBalance: 20, dailyProfit: 1, lotSize: 0.01, tradeDate
+});
+
+describe('authenticateUser', () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = createBackend();
+  });
+
+  it('accepts EmpId and plain password', () => {
+    const result = backend.context.authenticateUser(USERS.likit.username, USERS.likit.password);
+    assert.equal(result.status, 'success');
+    assert.equal(result.user.id, USERS.likit.username);
+    assert.equal(result.user.role, 'user');
+    assert.match(result.token, new RegExp(`-${USERS.likit.username}$`));
+  });
+
+  it('accepts email as username', () => {
+    const result = backend.context.authenticateUser('likit@example.com', USERS.likit.password);
+    assert.equal(result.status, 'success');
+    assert.equal(result.user.id, USERS.likit.username);
+  });
+
+  it('rejects the stored hash as a password', () => {
+    const hash = backend.records('user')[1]['password'];
+    const result = backend.context.authenticateUser(USERS.likit.username, hash);
+    assert.equal(result.status, 'error');
+  });
+
+  it('rejects the old generated password once it is changed', () => {
+    backend.post({ action: 'changePassword', username: USERS.likit.username, currentPassword: USERS.likit.password, newPassword: 'a-much-better-secret' });
+    assert.equal(backend.context.authenticateUser(USERS.likit.username, USERS.likit.password).status, 'error');
+    assert.equal(backend.context.authenticateUser(USERS.likit.username, 'a-much-better-secret').status, 'success');
+  });
+
+  it('rejects a wrong password', () => {
+    const result = backend.context.authenticateUser(USERS.likit.username, 'wrong');
+    assert.equal(result.status, 'error');
+    assert.equal(result.message, 'ชื่อผู้ใช้หรือรหัสผ่านไม่ถูกต้อง');
+    assert.equal(backend.records('UserTokens').length, 0);
+  });
+
+  it('rejects an inactive user', () => {
+    const result = backend.context.authenticateUser(USERS.disabled.username, USERS.disabled.password);
+    assert.equal(result.status, 'error');
+  });
+
+  it('stores the token in UserTokens', () => {
+    const token = login(backend, USERS.likit);
+    const tokens = backend.records('UserTokens');
+    assert.equal(tokens.length, 1);
+    assert.equal(tokens[0]['User ID'], USERS.likit.username);
+    assert.equal(tokens[0]['Token'], token);
+  });
+
+  it('keeps the previous session on a new login', () => {
+    const first = login(backend, USERS.likit);
+    const second = login(backend, USERS.likit);
+    assert.notEqual(first, second);
+    assert.equal(backend.context.verifyToken(first), true);
+    assert.equal(backend.context.verifyToken(second), true);
+    assert.equal(backend.records('UserTokens').length, 2);
+  });
+});
+
+describe('token verification', () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = createBackend();
+  });
+
+  it('verifyToken accepts issued tokens only', () => {
+    const token = login(backend, USERS.mega);
+    assert.equal(backend.context.verifyToken(token), true);
+    assert.equal(backend.context.verifyToken('unknown'), false);
+    assert.equal(backend.context.verifyToken(''), false);
+  });
+
+  it('authenticateRequest requires a token', () => {
+    const result = backend.context.authenticateRequest({});
+    assert.equal(result.status, 'error');
+    assert.equal(result.message, 'Token is required for this endpoint');
+  });
+
+  it('logout revokes the token', () => {
+    const token = login(backend, USERS.mega);
+    assert.equal(backend.post({ action: 'logout', token }).status, 'success');
+    assert.equal(backend.context.verifyToken(token), false);
+    assert.equal(backend.get({ action: 'getUserInfo', token }).status, 'error');
+  });
+
+  it('logout of an unknown token fails', () => {
+    assert.equal(backend.post({ action: 'logout', token: 'unknown' }).status, 'error');
+  });
+
+  it('getUserInfoFromToken returns the user without the password', () => {
+    const token = login(backend, USERS.mega);
+    const result = backend.context.getUserInfoFromToken(token);
+    assert.equal(result.status, 'success');
+    assert.deepEqual(Object.keys(result.user).sort(), ['email', 'fullName', 'id', 'role', 'status']);
+    assert.equal(result.user.email, 'mega@example.com');
+  });
+});
+
+describe('session expiry', () => {
+  const MINUTE = 60 * 1000;
+  let backend;
+
+  beforeEach(() => {
+    backend = createBackend();
+  });
+
+  /**
+   * Move a session back in time by rewriting its UserTokens timestamps
+   */
+  function age(token, { createdMinutesAgo, lastSeenMinutesAgo = createdMinutesAgo }) {
+    const sheet = backend.sheet('UserTokens');
+    const rows = sheet.getDataRange().getValues();
+    const header = rows[0];
+    const rowIndex = rows.findIndex(row => row[header.indexOf('Token')] === token);
+    const now = Date.now();
+    sheet.getRange(rowIndex + 1, header.indexOf('Created At') + 1).setValue(new Date(now - createdMinutesAgo * MINUTE));
+    sheet.getRange(rowIndex + 1, header.indexOf('Last Seen At') + 1).setValue(new Date(now - lastSeenMinutesAgo * MINUTE));
+  }
+
+  function loginResult(user) {
+    return backend.post({ action: 'login', username: user.username, password: user.password });
+  }
+
+  it('returns expiry times and a refresh token on login', () => {
+    const before = Date.now();
+    const result = loginResult(USERS.likit);
+    const expiresAt = Date.parse(result.expiresAt);
+    const refreshExpiresAt = Date.parse(result.refreshExpiresAt);
+
+    assert.match(result.refreshToken, /^[0-9a-f]{64}$/);
+    // Idle expiry (60 minutes) comes before absolute expiry (12 hours)
+    assert.ok(Math.abs(expiresAt - before - 60 * MINUTE) < MINUTE);
+    assert.ok(Math.abs(refreshExpiresAt - before - 7 * 24 * 60 * MINUTE) < MINUTE);
+
+    const tokenInfo = backend.context.getTokenInfo(result.token);
+    assert.equal(tokenInfo.expiresAt, result.expiresAt);
+  });
+
+  it('expires idle tokens', () => {
+    const token = login(backend, USERS.likit);
+    age(token, { createdMinutesAgo: 61 });
+    assert.equal(backend.context.verifyToken(token), false);
+    assert.equal(backend.get({ action: 'getUserInfo', token }).message, 'Invalid or expired token');
+  });
+
+  it('expires tokens after the absolute lifetime even when active', () => {
+    const token = login(backend, USERS.likit);
+    age(token, { createdMinutesAgo: 12 * 60 + 1, lastSeenMinutesAgo: 0 });
+    assert.equal(backend.context.verifyToken(token), false);
+  });
+
+  it('slides the idle expiry on use', () => {
+    const token = login(backend, USERS.likit);
+    age(token, { createdMinutesAgo: 50 });
+    assert.equal(backend.context.verifyToken(token), true);
+
+    const lastSeen = backend.records('UserTokens')[0]['Last Seen At'];
+    assert.ok(Date.now() - lastSeen.getTime() < MINUTE);
+    assert.ok(Date.parse(backend.context.getTokenInfo(token).expiresAt) > Date.now() + 59 * MINUTE);
+  });
+
+  it('refreshes an expired token and rotates the refresh token', () => {
+    const first = loginResult(USERS.likit);
+    age(first.token, { createdMinutesAgo: 90 });
+    assert.equal(backend.context.verifyToken(first.token), false);
+
+    const refreshed = backend.post({ action: 'refreshToken', refreshToken: first.refreshToken });
+    assert.equal(refreshed.status, 'success');
+    assert.equal(refreshed.userId, USERS.likit.username);
+    assert.notEqual(refreshed.token, first.token);
+    assert.notEqual(refreshed.refreshToken, first.refreshToken);
+    assert.equal(backend.context.verifyToken(refreshed.token), true);
+
+    const reused = backend.post({ action: 'refreshToken', refreshToken: first.refreshToken });
+    assert.equal(reused.status, 'error');
+    assert.equal(reused.message, 'Invalid or expired refresh token');
+  });
+
+  it('rejects an expired refresh token and removes the session', () => {
+    const result = loginResult(USERS.likit);
+    age(result.token, { createdMinutesAgo: 7 * 24 * 60 + 1 });
+
+    assert.equal(backend.post({ action: 'refreshToken', refreshToken: result.refreshToken }).status, 'error');
+    assert.equal(backend.records('UserTokens').length, 0);
+  });
+
+  it('cleans up dead sessions on login', () => {
+    const likit = loginResult(USERS.likit);
+    const mega = loginResult(USERS.mega);
+    age(likit.token, { createdMinutesAgo: 7 * 24 * 60 + 1 });
+    age(mega.token, { createdMinutesAgo: 90 });
+
+    login(backend, USERS.admin);
+    const userIds = backend.records('UserTokens').map(row => row['User ID']).sort();
+    // mega's token expired but can still be refreshed, so the row stays
+    assert.deepEqual(userIds, [USERS.mega.username, USERS.admin.username].sort());
+  });
+
+  it('keeps the login time across refreshes so the refresh window ends', () => {
+    const first = loginResult(USERS.likit);
+    age(first.token, { createdMinutesAgo: 7 * 24 * 60 - 10 });
+    const refreshed = backend.post({ action: 'refreshToken', refreshToken: first.refreshToken });
+    assert.equal(refreshed.status, 'success');
+    assert.ok(Date.parse(refreshed.refreshExpiresAt) - Date.now() < 11 * MINUTE);
+
+    const row = backend.records('UserTokens')[0];
+    assert.ok(Date.now() - row['Created At'].getTime() >= (7 * 24 * 60 - 10) * MINUTE);
+    assert.ok(Date.now() - row['Refreshed At'].getTime() < MINUTE);
+    assert.equal(backend.context.verifyToken(refreshed.token), true);
+
+    age(refreshed.token, { createdMinutesAgo: 7 * 24 * 60 + 1, lastSeenMinutesAgo: 0 });
+    assert.equal(backend.post({ action: 'refreshToken', refreshToken: refreshed.refreshToken }).status, 'error');
+  });
+
+  it('refuses refreshes for inactive users and users who must change their password', () => {
+    const likit = loginResult(USERS.likit);
+    const mega = loginResult(USERS.mega);
+    const users = backend.sheet('user');
+    const header = users.getDataRange().getValues()[0];
+    const rowOf = (user) => backend.values('user').findIndex(row => row[0] === user.username) + 1;
+    users.getRange(rowOf(USERS.likit), header.indexOf('Userstatus') + 1).setValue(0);
+    users.getRange(rowOf(USERS.mega), header.indexOf('Must Change Password') + 1).setValue(true);
+
+    assert.equal(backend.post({ action: 'refreshToken', refreshToken: likit.refreshToken }).status, 'error');
+    const megaResult = backend.post({ action: 'refreshToken', refreshToken: mega.refreshToken });
+    assert.equal(megaResult.status, 'error');
+    assert.equal(megaResult.passwordChangeRequired, true);
+    assert.equal(backend.records('UserTokens').length, 0);
+  });
+
+  it('drops legacy rows without a refresh token once expired', () => {
+    const sheet = backend.sheet('UserTokens');
+    sheet.appendRow([USERS.mega.username, 'legacy-token', new Date(Date.now() - 90 * MINUTE), '', '']);
+    assert.equal(backend.context.verifyToken('legacy-token'), false);
+    assert.equal(backend.records('UserTokens').length, 0);
+  });
+});
+
+describe('multi-device sessions', () => {
+  const PHONE_UA = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Version/17.0 Mobile/15E148 Safari/604.1';
+  const DESKTOP_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/126.0 Safari/537.36';
+  let backend;
+
+  beforeEach(() => {
+    backend = createBackend();
+  });
+
+  function loginFrom(user, device) {
+    return backend.post({}, { action: 'login', username: user.username, password: user.password, ...device });
+  }
+
+  it('stores device details per session', () => {
+    const desktop = loginFrom(USERS.likit, { userAgent: DESKTOP_UA });
+    const phone = loginFrom(USERS.likit, { userAgent: PHONE_UA, deviceLabel: 'My phone' });
+    assert.ok(desktop.sessionId);
+    assert.notEqual(desktop.sessionId, phone.sessionId);
+
+    const rows = backend.records('UserTokens');
+    assert.deepEqual(rows.map(row => row['Device']), ['Chrome on Windows', 'My phone']);
+    assert.equal(rows[1]['User Agent'], PHONE_UA);
+  });
+
+  it('lists only the owner sessions without tokens', () => {
+    const desktop = loginFrom(USERS.likit, { userAgent: DESKTOP_UA });
+    loginFrom(USERS.likit, { userAgent: PHONE_UA });
+    loginFrom(USERS.mega, { userAgent: PHONE_UA });
+
+    const result = backend.get({ action: 'listSessions', token: desktop.token });
+    assert.equal(result.status, 'success');
+    assert.equal(result.count, 2);
+    assert.deepEqual(result.sessions.map(session => session.deviceLabel).sort(), ['Chrome on Windows', 'Safari on iPhone']);
+    assert.equal(result.sessions.find(session => session.current).sessionId, desktop.sessionId);
+    for (const session of result.sessions) {
+      assert.equal(session.token, undefined);
+      assert.equal(session.refreshToken, undefined);
+      assert.equal(session.expired, false);
+    }
+  });
+
+  it('revokes a single session of the owner', () => {
+    const desktop = loginFrom(USERS.likit, { userAgent: DESKTOP_UA });
+    const phone = loginFrom(USERS.likit, { userAgent: PHONE_UA });
+
+    const result = backend.post({ action: 'revokeSession', token: desktop.token, sessionId: phone.sessionId });
+    assert.equal(result.status, 'success');
+    assert.equal(result.current, false);
+    assert.equal(backend.context.verifyToken(phone.token), false);
+    assert.equal(backend.context.verifyToken(desktop.token), true);
+  });
+
+  it('does not revoke sessions of other users', () => {
+    const likit = loginFrom(USERS.likit, {});
+    const mega = loginFrom(USERS.mega, {});
+
+    const result = backend.post({ action: 'revokeSession', token: likit.token, sessionId: mega.sessionId });
+    assert.equal(result.status, 'error');
+    assert.equal(backend.context.verifyToken(mega.token), true);
+  });
+
+  it('revokes all other sessions', () => {
+    const desktop = loginFrom(USERS.likit, { userAgent: DESKTOP_UA });
+    const phone = loginFrom(USERS.likit, { userAgent: PHONE_UA });
+    const tablet = loginFrom(USERS.likit, {});
+    const mega = loginFrom(USERS.mega, {});
+
+    const result = backend.post({ action: 'revokeAllOtherSessions', token: desktop.token });
+    assert.equal(result.revoked, 2);
+    assert.equal(backend.context.verifyToken(desktop.token), true);
+    assert.equal(backend.context.verifyToken(phone.token), false);
+    assert.equal(backend.context.verifyToken(tablet.token), false);
+    assert.equal(backend.context.verifyToken(mega.token), true);
+  });
+
+  it('deletes token rows only under the script lock', () => {
+    const desktop = loginFrom(USERS.likit, { userAgent: DESKTOP_UA });
+    const phone = loginFrom(USERS.likit, { userAgent: PHONE_UA });
+    const mega = loginFrom(USERS.mega, {});
+
+    backend.lock.heldElsewhere = true;
+    assert.equal(backend.post({ action: 'revokeSession', token: desktop.token, sessionId: phone.sessionId }).retryable, true);
+    assert.equal(backend.post({ action: 'refreshToken', refreshToken: phone.refreshToken }).retryable, true);
+    assert.equal(backend.context.revokeToken(mega.token), false);
+    assert.equal(backend.records('UserTokens').length, 3);
+
+    backend.lock.heldElsewhere = false;
+    assert.equal(backend.context.revokeToken(mega.token), true);
+    assert.equal(backend.post({ action: 'revokeSession', token: desktop.token, sessionId: phone.sessionId }).status, 'success');
+    assert.deepEqual(backend.records('UserTokens').map(row => row['Session ID']), [desktop.sessionId]);
+  });
+
+  it('keeps the session ID and device across refreshes', () => {
+    const phone = loginFrom(USERS.likit, { userAgent: PHONE_UA });
+    const refreshed = backend.post({ action: 'refreshToken', refreshToken: phone.refreshToken });
+    assert.equal(refreshed.sessionId, phone.sessionId);
+    assert.equal(backend.records('UserTokens')[0]['Device'], 'Safari on iPhone');
+  });
+
+  it('drops the least recently used session beyond the limit', () => {
+    const tokens = [];
+    for (let i = 0; i < 11; i++) {
+      tokens.push(login(backend, USERS.likit));
+    }
+    assert.equal(backend.records('UserTokens').length, 10);
+    assert.equal(backend.context.verifyToken(tokens[0]), false);
+    assert.equal(backend.context.verifyToken(tokens[10]), true);
+  });
+});
+
+describe('login throttling', () => {
+  const CLIENT = 'browser-1';
+  let backend;
+
+  beforeEach(() => {
+    backend = createBackend();
+  });
+
+  const attempt = (username, password, clientId = CLIENT) =>
+    backend.post({ action: 'login', username, password, clientId });
+  const properties = () => backend.context.PropertiesService.getScriptProperties();
+  const auditActions = () => backend.records('AuditLog').map(row => row['Action']);
+
+  /**
+   * Move a stored counter back in time instead of waiting
+   * @param {string} key - 'user:<id>' or 'client:<id>'
+   * @param {number} ms - Milliseconds to move back
+   */
+  function age(key, ms) {
+    const entry = JSON.parse(properties().getProperty(`LOGIN_THROTTLE:${key}`));
+    entry.lastFailureAt -= ms;
+    if (entry.lockedUntil) entry.lockedUntil -= ms;
+    properties().setProperty(`LOGIN_THROTTLE:${key}`, JSON.stringify(entry));
+  }
+
+  function failUntilLocked(user) {
+    for (let i = 0; i < 5; i++) {
+      if (i > 0) {
+        age(`user:${user.username}`, 60 * 1000);
+        age(`client:${CLIENT}`, 60 * 1000);
+      }
+      assert.equal(attempt(user.username, 'wrong').message, 'ชื่อผู้ใช้หรือรหัสผ่านไม่ถูกต้อง');
+    }
+  }
+
+  it('makes the next attempt wait after repeated failures', () => {
+    attempt(USERS.likit.username, 'wrong');
+    attempt(USERS.likit.username, 'wrong');
+    const blocked = attempt(USERS.likit.username, USERS.likit.password);
+    assert.equal(blocked.status, 'error');
+    assert.equal(blocked.throttled, true);
+    assert.equal(blocked.locked, false);
+    assert.equal(blocked.retryAfter, 1);
+
+    age(`user:${USERS.likit.username}`, 2000);
+    age(`client:${CLIENT}`, 2000);
+    assert.equal(attempt(USERS.likit.username, USERS.likit.password).status, 'success');
+    assert.equal(properties().getProperty(`LOGIN_THROTTLE:user:${USERS.likit.username}`), null);
+  });
+
+  it('doubles the wait per failure up to the maximum', () => {
+    const wait = (failures) => {
+      const result = backend.context.getLoginThrottleWait({ failures, lastFailureAt: 0, lockedUntil: 0 }, 0);
+      return result && result.retryAfter;
+    };
+    assert.deepEqual([1, 2, 3, 4, 5, 6, 7, 9].map(wait), [null, 1, 2, 4, 8, 16, 30, 30]);
+  });
+
+  it('locks the user after repeated failures', () => {
+    failUntilLocked(USERS.likit);
+    const blocked = attempt(USERS.likit.username, USERS.likit.password);
+    assert.equal(blocked.locked, true);
+    assert.ok(blocked.retryAfter > 14 * 60);
+    assert.equal(backend.post({ action: 'login', username: 'likit@example.com', password: USERS.likit.password }).locked, true);
+    assert.equal(login(backend, USERS.mega).length > 0, true);
+
+    age(`user:${USERS.likit.username}`, 15 * 60 * 1000);
+    assert.equal(backend.post({ action: 'login', username: USERS.likit.username, password: USERS.likit.password }).status, 'success');
+  });
+
+  it('records failed, locked and blocked attempts in the audit log', () => {
+    failUntilLocked(USERS.likit);
+    attempt(USERS.likit.username, USERS.likit.password);
+
+    const actions = auditActions();
+    assert.equal(actions.filter(action => action === 'login.failed').length, 5);
+    assert.equal(actions.filter(action => action === 'login.lockout').length, 1);
+    assert.equal(actions[actions.length - 1], 'login.blocked');
+    assert.equal(backend.records('AuditLog')[0]['Target ID'], USERS.likit.username);
+    assert.ok(!JSON.stringify(backend.records('AuditLog')).includes('wrong'));
+  });
+
+  it('throttles unknown usernames the same way', () => {
+    const known = attempt(USERS.likit.username, 'wrong', 'browser-2');
+    const unknown = attempt('nobody', 'wrong');
+    assert.equal(unknown.message, known.message);
+    attempt('nobody', 'wrong');
+    assert.equal(attempt('nobody', 'wrong', 'browser-3').throttled, true);
+  });
+
+  it('locks a client that fails across many usernames', () => {
+    properties().setProperty(`LOGIN_THROTTLE:client:${CLIENT}`,
+      JSON.stringify({ failures: 19, lastFailureAt: Date.now() - 60 * 1000, lockedUntil: 0 }));
+    attempt('someone-else', 'wrong');
+
+    assert.equal(attempt(USERS.likit.username, USERS.likit.password).locked, true);
+    assert.equal(attempt(USERS.likit.username, USERS.likit.password, 'browser-2').status, 'success');
+  });
+
+  it('throttles the current password check of changePassword', () => {
+    const change = (currentPassword) => backend.post({
+      action: 'changePassword', username: USERS.likit.username, currentPassword, newPassword: 'correct horse battery', clientId: CLIENT
+    });
+    change('wrong');
+    change('wrong');
+    assert.equal(change(USERS.likit.password).throttled, true);
+  });
+
+  it('keeps a bounded number of counters however many names fail', () => {
+    vm.runInContext('CONFIG.LOGIN_THROTTLE.MAX_ENTRIES = 10', backend.context);
+    failUntilLocked(USERS.likit);
+    properties().setProperty('LOGIN_THROTTLE:user:expired',
+      JSON.stringify({ failures: 1, lastFailureAt: Date.now() - 16 * 60 * 1000, lockedUntil: 0 }));
+
+    for (let i = 0; i < 30; i++) {
+      attempt(`random-${i}`, 'wrong', `client-${i}`);
+    }
+
+    const keys = properties().getKeys().filter(key => key.startsWith('LOGIN_THROTTLE:'));
+    assert.equal(keys.length, 10);
+    assert.ok(!keys.includes('LOGIN_THROTTLE:user:expired'));
+    assert.ok(keys.includes('LOGIN_THROTTLE:client:client-29'));
+    assert.equal(attempt(USERS.likit.username, USERS.likit.password).locked, true);
+  });
+
+  it('lets admins list and lift lockouts', () => {
+    failUntilLocked(USERS.likit);
+    const adminToken = login(backend, USERS.admin);
+
+    const lockouts = backend.get({ action: 'getLoginLockouts', token: adminToken }).lockouts;
+    const user = lockouts.find(entry => entry.type === 'user');
+    assert.equal(user.id, USERS.likit.username);
+    assert.equal(user.failures, 5);
+    assert.equal(user.locked, true);
+
+    const userToken = login(backend, USERS.mega);
+    assert.equal(backend.post({ action: 'unlockLogin', token: userToken, username: USERS.likit.username }).status, 'error');
+
+    const result = backend.post({ action: 'unlockLogin', token: adminToken, username: 'likit@example.com' });
+    assert.equal(result.status, 'success');
+    assert.deepEqual(Array.from(result.cleared, entry => entry.id), [USERS.likit.username]);
+    assert.equal(attempt(USERS.likit.username, USERS.likit.password, 'browser-2').status, 'success');
+
+    const unlock = backend.records('AuditLog').find(row => row['Action'] === 'login.unlock');
+    assert.equal(unlock['Actor'], USERS.admin.username);
+  });
+});
+
+describe('roles and permissions', () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = createBackend();
+  });
+
+  /**
+   * Change the Role cell of a fixture user
+   * @param {string} empId - User EmpId
+   * @param {string} role - New role
+   */
+  function setRole(empId, role) {
+    const values = backend.sheet('user').getDataRange().getValues();
+    const column = values[0].indexOf('Role') + 1;
+    const row = values.findIndex(row => String(row[0]) === empId) + 1;
+    backend.sheet('user').getRange(row, column).setValue(role);
+  }
+
+  const permissionsOf = (user) => backend.get({ action: 'getMyPermissions', token: login(backend, user) });
+  const trade = (token) => backend.post({
+    action: 'addTrade', token, accountId: ACCOUNTS.mega, assetId: '1', startBalance: 1000, dailyProfit: 10, lotSize: 0.1
+  });
+
+  it('reports the role and permissions of the caller', () => {
+    const admin = permissionsOf(USERS.admin);
+    assert.equal(admin.role, 'admin');
+    assert.deepEqual(Array.from(admin.permissions), ['trade:create', 'trade:delete', 'report:view', 'user:manage', 'system:admin']);
+
+    const trader = permissionsOf(USERS.likit);
+    assert.equal(trader.role, 'trader');
+    assert.deepEqual(Array.from(trader.permissions), ['trade:create', 'trade:delete', 'report:view']);
+  });
+
+  it('treats unknown roles as viewers', () => {
+    setRole(USERS.mega.username, 'superuser');
+    const result = permissionsOf(USERS.mega);
+    assert.equal(result.role, 'viewer');
+    assert.deepEqual(Array.from(result.permissions), []);
+  });
+
+  it('lets viewers read but not trade or see reports', () => {
+    setRole(USERS.mega.username, 'viewer');
+    const token = login(backend, USERS.mega);
+
+    assert.equal(backend.get({ action: 'getTradingHistory', token, accountId: ACCOUNTS.mega }).status, 'success');
+    assert.equal(trade(token).message, 'Permission denied: addTrade requires trade:create');
+    assert.equal(backend.get({ action: 'getTradingStatistics', token, accountId: ACCOUNTS.mega }).message,
+      'Permission denied: getTradingStatistics requires report:view');
+    assert.equal(backend.post({ action: 'deleteTrade', token, transactionId: 'tx-0001' }).message,
+      'Permission denied: deleteTrade requires trade:delete');
+  });
+
+  it('lets analysts see reports but not trade', () => {
+    setRole(USERS.mega.username, 'Analyst');
+    const token = login(backend, USERS.mega);
+
+    assert.equal(backend.get({ action: 'getTradingStatistics', token, accountId: ACCOUNTS.mega }).status, 'success');
+    assert.equal(trade(token).status, 'error');
+  });
+
+  it('lets traders add and delete trades', () => {
+    const token = login(backend, USERS.mega);
+    const added = trade(token);
+    assert.equal(added.status, 'success');
+
+    const deleted = backend.post({ action: 'deleteTrade', token, transactionId: added.id });
+    assert.equal(deleted.status, 'success');
+    assert.equal(deleted.deletedId, added.id);
+  });
+
+  it('checkPermission follows the role matrix', () => {
+    const { checkPermission } = backend.context;
+    assert.equal(checkPermission({ role: 'admin' }, 'system:admin'), true);
+    assert.equal(checkPermission({ role: 'user' }, 'trade:create'), true);
+    assert.equal(checkPermission({ role: 'user' }, 'user:manage'), false);
+    assert.equal(checkPermission({ role: 'analyst' }, 'trade:delete'), false);
+    assert.equal(checkPermission(null, 'report:view'), false);
+  });
+});
+
+describe('account access', () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = createBackend();
+  });
+
+  it('rejects an invalid token', () => {
+    const result = backend.context.verifyAccountAccess('unknown', ACCOUNTS.likit);
+    assert.equal(result.status, 'error');
+  });
+
+  it('lets admins access any account', () => {
+    const token = login(backend, USERS.admin);
+    assert.equal(backend.context.verifyAccountAccess(token, ACCOUNTS.likit).status, 'success');
+    assert.equal(backend.context.verifyAccountAccess(token, ACCOUNTS.mega).status, 'success');
+  });
+
+  it('lets users access their own account', () => {
+    const token = login(backend, USERS.likit);
+    assert.equal(backend.context.verifyAccountAccess(token, ACCOUNTS.likit).status, 'success');
+    const history = backend.get({ action: 'getTradingHistory', token, accountId: ACCOUNTS.likit });
+    assert.equal(history.status, 'success');
+  });
+
+  it('keeps users out of other accounts', () => {
+    const token = login(backend, USERS.likit);
+    assert.equal(backend.context.verifyAccountAccess(token, ACCOUNTS.mega).status, 'error');
+    for (const action of ['getTradingHistory', 'getAccountSummary', 'getTradingStatistics', 'getRecentTrades']) {
+      assert.equal(backend.get({ action, token, accountId: ACCOUNTS.mega }).message, 'Access denied to this account', action);
+    }
+    assert.equal(backend.post({ action: 'addTrade', token, ...newTrade(ACCOUNTS.mega) }).message, 'Access denied to this account');
+    assert.equal(backend.post({ action: 'deleteTrade', token, transactionId: 'tx-0101' }).message, 'Access denied to this account');
+    assert.equal(backend.records('Trading_Journal').length, 5);
+  });
+});
+
+describe('account membership', () => {
+  let backend;
+  let adminToken;
+
+  beforeEach(() => {
+    backend = createBackend();
+    adminToken = login(backend, USERS.admin);
+  });
+
+  const share = (accessLevel, token = adminToken) => backend.post({
+    action: 'setAccountMember', token, accountId: ACCOUNTS.mega, userId: USERS.likit.username, accessLevel
+  });
+
+  it('lists the accounts of the caller with their access level', () => {
+    const mine = backend.get({ action: 'getMyAccounts', token: login(backend, USERS.likit) });
+    assert.deepEqual(Array.from(mine.accounts, account => [account.accountId, account.accessLevel]), [[ACCOUNTS.likit, 'owner']]);
+
+    share('viewer');
+    const shared = backend.get({ action: 'getMyAccounts', token: login(backend, USERS.likit) });
+    assert.deepEqual(Array.from(shared.accounts, account => account.accessLevel), ['owner', 'viewer']);
+
+    const all = backend.get({ action: 'getMyAccounts', token: adminToken });
+    assert.equal(all.count, 2);
+  });
+
+  it('lets viewers read but not change an account', () => {
+    share('viewer');
+    const token = login(backend, USERS.likit);
+    assert.equal(backend.get({ action: 'getTradingHistory', token, accountId: ACCOUNTS.mega }).count, 2);
+    assert.equal(backend.get({ action: 'getAccountSummary', token, accountId: ACCOUNTS.mega }).status, 'success');
+    assert.equal(backend.post({ action: 'addTrade', token, ...newTrade(ACCOUNTS.mega) }).message,
+      'Access denied: editor access to this account is required');
+  });
+
+  it('lists deleted trades only to owners', () => {
+    const history = (token) => backend.get({ action: 'getTradingHistory', token, accountId: ACCOUNTS.mega, includeDeleted: 'true' });
+    assert.equal(backend.post({ action: 'deleteTrade', token: adminToken, transactionId: 'tx-0101' }).status, 'success');
+
+    share('editor');
+    const token = login(backend, USERS.likit);
+    assert.equal(history(token).message, 'Access denied: owner access to this account is required');
+    assert.equal(backend.get({ action: 'getTradingHistory', token, accountId: ACCOUNTS.mega }).count, 1);
+
+    share('owner');
+    assert.equal(history(token).count, 2);
+  });
+
+  it('lets editors add trades but only owners delete them', () => {
+    share('editor');
+    const token = login(backend, USERS.likit);
+    assert.equal(backend.post({ action: 'addTrade', token, ...newTrade(ACCOUNTS.mega) }).status, 'success');
+    assert.equal(backend.post({ action: 'addMultipleTrades', token, tradesData: JSON.stringify([newTrade(ACCOUNTS.mega, '2025-10-05')]) }).status, 'success');
+    assert.equal(backend.post({ action: 'deleteTrade', token, transactionId: 'tx-0101' }).message,
+      'Access denied: owner access to this account is required');
+
+    share('owner');
+    assert.equal(backend.post({ action: 'deleteTrade', token, transactionId: 'tx-0101' }).status, 'success');
+  });
+
+  it('removes members and audits every change', () => {
+    share('editor');
+    assert.equal(share('none').accessLevel, null);
+    assert.equal(backend.records('AccountMembers').length, 2);
+
+    const entries = backend.records('AuditLog').filter(row => row['Action'] === 'account.member');
+    assert.equal(entries.length, 2);
+    assert.equal(entries[1]['Actor'], USERS.admin.username);
+    assert.deepEqual(JSON.parse(entries[1]['Before']), { userId: USERS.likit.username, accessLevel: 'editor' });
+  });
+
+  it('only lets user managers share accounts', () => {
+    const result = share('owner', login(backend, USERS.mega));
+    assert.equal(result.message, 'Permission denied: setAccountMember requires user:manage');
+    assert.equal(share('admin').status, 'error');
+  });
+
+  it('seeds owners from matching EmpIds when the sheet is missing', () => {
+    backend.spreadsheet.deleteSheet(backend.sheet('AccountMembers'));
+    const token = login(backend, USERS.likit);
+    assert.equal(backend.get({ action: 'getTradingHistory', token, accountId: ACCOUNTS.likit }).status, 'error');
+
+    const result = backend.post({ action: 'seedAccountMembers', token: adminToken });
+    assert.equal(result.status, 'success');
+    assert.equal(result.added.length, 2);
+    assert.deepEqual(Array.from(result.unassigned), []);
+    assert.equal(backend.get({ action: 'getTradingHistory', token, accountId: ACCOUNTS.likit }).status, 'success');
+    assert.equal(backend.post({ action: 'seedAccountMembers', token: adminToken }).added.length, 0);
+  });
+
+  it('changes memberships under the script lock', () => {
+    backend.lock.heldElsewhere = true;
+    assert.equal(share('viewer').retryable, true);
+    assert.equal(backend.post({ action: 'seedAccountMembers', token: adminToken }).retryable, true);
+    assert.equal(backend.records('AccountMembers').length, 2);
+
+    backend.lock.heldElsewhere = false;
+    const before = backend.lock.acquired;
+    assert.equal(share('viewer').status, 'success');
+    assert.equal(backend.lock.acquired, before + 1);
+  });
+});
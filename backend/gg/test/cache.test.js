@@ -0,0 +1,99 @@
+/**
+ * Sheet read cache tests - per-request memo, script cache and invalidation on writes
+ * @created 2025-10-19
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { USERS, ACCOUNTS, createBackend, login } = require('./helpers');
+
+describe('sheet read cache', () => {
+  let backend;
+  let reads;
+
+  beforeEach(() => {
+    backend = createBackend();
+    reads = {};
+    ['Accounts', 'Trading_Journal'].forEach(name => {
+      const sheet = backend.sheet(name);
+      const getDataRange = sheet.getDataRange.bind(sheet);
+      reads[name] = 0;
+      sheet.getDataRange = () => { reads[name]++; return getDataRange(); };
+    });
+  });
+
+  const newRequest = () => backend.context.resetSheetReadCache();
+  const summary = (accountId) => backend.get({ action: 'getAccountSummary', token: login(backend, USERS.admin), accountId });
+
+  it('reads each sheet once for a dashboard of every account', () => {
+    newRequest();
+    const result = backend.context.getAccountsWithStats();
+
+    assert.equal(result.status, 'success');
+    assert.ok(result.count >= 2);
+    assert.deepEqual(reads, { Accounts: 1, Trading_Journal: 1 });
+  });
+
+  it('serves later requests from the script cache', () => {
+    newRequest();
+    const first = backend.context.getAccountsWithStats();
+    newRequest();
+    const second = backend.context.getAccountsWithStats();
+
+    assert.deepEqual(reads, { Accounts: 1, Trading_Journal: 1 });
+    assert.equal(JSON.stringify(second.accounts), JSON.stringify(first.accounts));
+  });
+
+  it('keeps dates as dates in the script cache', () => {
+    const sheetValue = backend.values('Trading_Journal')[1][9];
+    newRequest();
+    backend.context.readSheetValues('Trading_Journal');
+    newRequest();
+    const cachedValue = backend.context.readSheetValues('Trading_Journal')[1][9];
+
+    assert.equal(Object.prototype.toString.call(cachedValue), '[object Date]');
+    assert.equal(cachedValue.getTime(), sheetValue.getTime());
+  });
+
+  it('reads the sheet again after a write', () => {
+    const before = summary(ACCOUNTS.likit).statistics.totalTrades;
+    const token = login(backend, USERS.likit);
+    backend.post({ action: 'addTrade', token, accountId: ACCOUNTS.likit, assetId: '1', startBalance: 1025, dailyProfit: 5, lotSize: 0.1, tradeDate: '2025-10-06' });
+
+    assert.equal(summary(ACCOUNTS.likit).statistics.totalTrades, before + 1);
+  });
+
+  it('reads the sheet again after an edit in the spreadsheet', () => {
+    assert.ok(summary(ACCOUNTS.likit).accountInfo);
+    const accounts = backend.sheet('Accounts');
+    const values = accounts.getDataRange().getValues();
+    const range = accounts.getRange(values.findIndex(row => row[0] === ACCOUNTS.likit) + 1, 2);
+    range.setValue('Renamed');
+    backend.context.onEdit({ range: range });
+
+    assert.equal(summary(ACCOUNTS.likit).accountInfo.accountName, 'Renamed');
+  });
+
+  it('edits the right row after a row was deleted by hand under a warm cache', () => {
+    assert.equal(summary(ACCOUNTS.likit).statistics.totalTrades, 3);
+    backend.sheet('Trading_Journal').deleteRows(2, 1);
+
+    const token = login(backend, USERS.likit);
+    const result = backend.post({ action: 'updateTrade', token, transactionId: 'tx-0003', notes: 'edited' });
+    const rows = backend.records('Trading_Journal');
+
+    assert.equal(result.status, 'success');
+    assert.equal(rows.find(row => row.Transaction_ID === 'tx-0003')['หมายเหตุ'], 'edited');
+    assert.deepEqual(Array.from(rows, row => row.Transaction_ID), ['tx-0002', 'tx-0003', 'tx-0101', 'tx-0102']);
+    assert.equal(rows.find(row => row.Transaction_ID === 'tx-0101')['หมายเหตุ'], '');
+  });
+
+  it('does not cache sheets outside CONFIG.CACHE.SHEET_KEYS', () => {
+    const token = login(backend, USERS.likit);
+    backend.get({ action: 'getTradingHistory', token, accountId: ACCOUNTS.likit });
+
+    const cachedSheets = Object.keys(backend.cache.store).map(key => key.split(':')[1]);
+    assert.ok(cachedSheets.includes('Trading_Journal'));
+    assert.ok(cachedSheets.every(name => ['Accounts', 'Assets', 'Trading_Journal'].includes(name)));
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Shared helpers for the backend test suite
+ * Every test gets a fresh emulated project loaded with emulator/fixtures/default.json.
+ * @created 2025-10-19
+ */
+
+const { loadBackend } = require('../emulator');
+
+/**
+ * Users in the default fixture (stored as salted hashes; the passwords are the old emailPrefix + EmpId values)
+ */
+const USERS = {
+  admin: { username: 'A0001', password: 'adminA0001', role: 'admin' },
+  likit: { username: '405911362', password: 'likit405911362', role: 'user', accountId: '405911362' },
+  mega: { username: '107338990', password: 'mega107338990', role: 'user', accountId: '107338990' },
+  disabled: { username: '999999999', password: 'disabled999999999', role: 'user' }
+};
+
+/**
+ * Accounts in the default fixture
+ */
+const ACCOUNTS = {
+  likit: '405911362',
+  mega: '107338990'
+};
+
+/**
+ * Create a fresh backend
+ * @param {Object} [options] - loadBackend options
+ * @returns {Object} Emulated backend
+ */
+function createBackend(options) {
+  return loadBackend(options);
+}
+
+/**
+ * Log in through doPost and return the token
+ * @param {Object} backend - Emulated backend
+ * @param {{username: string, password: string}} user - Fixture user
+ * @returns {string} Token
+ */
+function login(backend, user) {
+  const result = backend.post({ action: 'login', username: user.username, password: user.password });
+  if (result.status !== 'success') {
+    throw new Error(`Login failed for ${user.username}: ${result.message}`);
+  }
+  return result.token;
+}
+
+/**
+ * Trading_Journal rows of one account, keyed by header
+ * @param {Object} backend - Emulated backend
+ * @param {string} accountId - Account ID
+ * @returns {Object[]} Rows
+ */
+function journalRows(backend, accountId) {
+  return backend.records('Trading_Journal').filter(row => row['Account ID'] === accountId);
+}
+
+module.exports = { USERS, ACCOUNTS, createBackend, login, journalRows };
@@ -0,0 +1,298 @@
+/**
+ * Password tests - salted hashing, changePassword, the legacy hash migration and reset links
+ * @created 2025-10-19
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { USERS, createBackend, login } = require('./helpers');
+
+const NEW_PASSWORD = 'correct horse battery';
+const LIKIT_ROW = 3;
+const PASSWORD_COLUMN = 6;
+
+/**
+ * Put a user back on an unsalted SHA-256 hash of the old generated password
+ * @param {Object} backend - Emulated backend
+ */
+function useLegacyHash(backend) {
+  const legacy = crypto.createHash('sha256').update(USERS.likit.password).digest('hex');
+  backend.sheet('user').getRange(LIKIT_ROW, PASSWORD_COLUMN).setValue(legacy);
+}
+
+describe('password hashing', () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = createBackend();
+  });
+
+  it('stores the scheme, iterations and a random salt', () => {
+    const first = backend.context.hashPassword(NEW_PASSWORD);
+    const second = backend.context.hashPassword(NEW_PASSWORD);
+    assert.match(first, /^sha256\$5000\$[0-9a-f]{32}\$[0-9a-f]{64}$/);
+    assert.notEqual(first, second);
+    assert.equal(backend.context.verifyPassword(NEW_PASSWORD, first), true);
+    assert.equal(backend.context.verifyPassword(NEW_PASSWORD, second), true);
+    assert.equal(backend.context.verifyPassword('wrong', first), false);
+  });
+
+  it('honours the iteration count stored with the hash', () => {
+    const hash = backend.context.hashPassword(NEW_PASSWORD, 3);
+    assert.match(hash, /^sha256\$3\$/);
+    assert.equal(backend.context.verifyPassword(NEW_PASSWORD, hash), true);
+    assert.equal(backend.context.verifyPassword(NEW_PASSWORD, hash.replace('$3$', '$4$')), false);
+  });
+
+  it('never accepts a hash as the password', () => {
+    const hash = backend.context.hashPassword(NEW_PASSWORD);
+    const legacy = crypto.createHash('sha256').update(NEW_PASSWORD).digest('hex');
+    assert.equal(backend.context.verifyPassword(hash, hash), false);
+    assert.equal(backend.context.verifyPassword(legacy, legacy), false);
+    assert.equal(backend.context.verifyPassword(NEW_PASSWORD, legacy), true);
+  });
+
+  it('rejects empty and malformed stored hashes', () => {
+    assert.equal(backend.context.verifyPassword('', ''), false);
+    assert.equal(backend.context.verifyPassword(NEW_PASSWORD, 'sha256$0$ab$cd'), false);
+    assert.equal(backend.context.verifyPassword(NEW_PASSWORD, 'md5$1$ab$cd'), false);
+  });
+});
+
+describe('changePassword', () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = createBackend();
+  });
+
+  const change = (currentPassword, newPassword, username = USERS.likit.username) =>
+    backend.post({ action: 'changePassword', username, currentPassword, newPassword });
+
+  it('stores a salted hash and returns a new session', () => {
+    const result = change(USERS.likit.password, NEW_PASSWORD);
+    assert.equal(result.status, 'success');
+    assert.equal(result.user.id, USERS.likit.username);
+    assert.equal(backend.context.verifyToken(result.token), true);
+
+    const stored = backend.records('user')[1];
+    assert.match(stored['password'], /^sha256\$/);
+    assert.equal(stored['Must Change Password'], false);
+    assert.equal(login(backend, { username: USERS.likit.username, password: NEW_PASSWORD }).length > 0, true);
+  });
+
+  it('writes the hash to the user row found under the script lock', () => {
+    const match = backend.context.findSheetRecord('user', 'empId', USERS.likit.username);
+    const users = () => backend.records('user');
+    const others = users().filter(user => user['EmpId'] !== USERS.likit.username).slice(1).map(user => user['password']);
+    backend.sheet('user').deleteRow(2);
+
+    backend.context.setUserPassword(match, NEW_PASSWORD, false);
+    assert.deepEqual(users().filter(user => user['EmpId'] !== USERS.likit.username).map(user => user['password']), others);
+    assert.equal(backend.context.authenticateUser(USERS.likit.username, NEW_PASSWORD).status, 'success');
+
+    backend.lock.heldElsewhere = true;
+    assert.equal(change(NEW_PASSWORD, 'another good secret').retryable, true);
+  });
+
+  it('revokes the sessions opened with the old password', () => {
+    const oldToken = login(backend, USERS.likit);
+    const otherUser = login(backend, USERS.mega);
+    change(USERS.likit.password, NEW_PASSWORD);
+    assert.equal(backend.context.verifyToken(oldToken), false);
+    assert.equal(backend.context.verifyToken(otherUser), true);
+  });
+
+  it('requires the current password', () => {
+    const result = change('wrong', NEW_PASSWORD);
+    assert.equal(result.status, 'error');
+    assert.equal(result.message, 'ชื่อผู้ใช้หรือรหัสผ่านไม่ถูกต้อง');
+    assert.equal(change(USERS.disabled.password, NEW_PASSWORD, USERS.disabled.username).status, 'error');
+  });
+
+  it('enforces the password policy', () => {
+    assert.match(change(USERS.likit.password, 'short').message, /อย่างน้อย 8/);
+    assert.match(change(USERS.likit.password, 'x'.repeat(129)).message, /ไม่เกิน 128/);
+    assert.equal(change(USERS.likit.password, USERS.likit.password).status, 'error');
+    assert.equal(change(USERS.likit.password, 'likit@example.com').status, 'error');
+    assert.equal(backend.context.authenticateUser(USERS.likit.username, USERS.likit.password).status, 'success');
+  });
+
+  it('requires all three parameters', () => {
+    const result = backend.post({ action: 'changePassword', username: USERS.likit.username });
+    assert.deepEqual(result.missing, ['currentPassword', 'newPassword']);
+  });
+});
+
+describe('legacy password migration', () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = createBackend({ properties: { script: { PASSWORD_RESET_URL: 'https://journal.example.com/forgot-password.html' } } });
+    useLegacyHash(backend);
+  });
+
+  it('asks for a reset link instead of issuing a session', () => {
+    const result = backend.post({ action: 'login', username: USERS.likit.username, password: USERS.likit.password });
+    assert.equal(result.status, 'error');
+    assert.equal(result.passwordResetRequired, true);
+    assert.equal(result.passwordChangeRequired, undefined);
+    assert.equal(result.userId, USERS.likit.username);
+    assert.equal(result.token, undefined);
+    assert.equal(backend.records('UserTokens').length, 0);
+  });
+
+  it('does not reveal the migration state for a wrong password', () => {
+    const result = backend.context.authenticateUser(USERS.likit.username, 'wrong');
+    assert.equal(result.passwordChangeRequired, undefined);
+    assert.equal(result.passwordResetRequired, undefined);
+  });
+
+  it('does not let the guessable legacy password choose a new one', () => {
+    const result = backend.post({ action: 'changePassword', username: USERS.likit.username, currentPassword: USERS.likit.password, newPassword: NEW_PASSWORD });
+    assert.equal(result.status, 'error');
+    assert.equal(result.passwordResetRequired, true);
+    assert.equal(backend.context.isLegacyPasswordHash(backend.records('user')[1]['password']), true);
+    assert.equal(backend.records('UserTokens').length, 0);
+  });
+
+  it('migrates through a reset link', () => {
+    backend.post({ action: 'resetPassword', email: 'likit@example.com' });
+    const resetToken = new URL(/https:\/\/\S+/.exec(backend.outbox[0].body)[0]).searchParams.get('token');
+
+    assert.equal(backend.post({ action: 'confirmPasswordReset', resetToken, newPassword: NEW_PASSWORD }).status, 'success');
+    assert.equal(backend.context.isLegacyPasswordHash(backend.records('user')[1]['password']), false);
+    assert.equal(backend.context.authenticateUser(USERS.likit.username, NEW_PASSWORD).status, 'success');
+  });
+
+  it('migrates through a temporary password from an admin', () => {
+    const users = backend.sheet('user');
+    const header = users.getDataRange().getValues()[0];
+    users.getRange(LIKIT_ROW, PASSWORD_COLUMN).setValue(backend.context.hashPassword('temporary-123'));
+    users.getRange(LIKIT_ROW, header.indexOf('Must Change Password') + 1).setValue(true);
+
+    const result = backend.post({ action: 'changePassword', username: USERS.likit.username, currentPassword: 'temporary-123', newPassword: NEW_PASSWORD });
+    assert.equal(result.status, 'success');
+    assert.equal(backend.context.authenticateUser(USERS.likit.username, NEW_PASSWORD).status, 'success');
+  });
+
+  it('reports migration progress to admins', () => {
+    const adminToken = login(backend, USERS.admin);
+    const result = backend.get({ action: 'getPasswordMigrationStatus', token: adminToken });
+    assert.equal(result.status, 'success');
+    assert.equal(result.totalUsers, 4);
+    assert.equal(result.migrated, 2);
+    assert.equal(result.legacy, 1);
+    assert.equal(result.withoutPassword, 1);
+    assert.deepEqual(result.legacyUsers, [USERS.likit.username]);
+  });
+});
+
+describe('password reset links', () => {
+  const RESET_URL = 'https://journal.example.com/forgot-password.html';
+  let backend;
+
+  beforeEach(() => {
+    backend = createBackend({ properties: { script: { PASSWORD_RESET_URL: RESET_URL } } });
+  });
+
+  const request = (email = 'likit@example.com') => backend.post({ action: 'resetPassword', email });
+  const confirm = (resetToken, newPassword = NEW_PASSWORD) => backend.post({ action: 'confirmPasswordReset', resetToken, newPassword });
+  const tokenFromMail = (mail) => new URL(/https:\/\/\S+/.exec(mail.body)[0]).searchParams.get('token');
+
+  it('emails a link instead of a password', () => {
+    const result = request();
+    assert.equal(result.status, 'success');
+    assert.equal(backend.outbox.length, 1);
+
+    const body = backend.outbox[0].body;
+    assert.ok(body.includes(`${RESET_URL}?token=`));
+    assert.ok(!body.includes(USERS.likit.password));
+    assert.equal(backend.context.authenticateUser(USERS.likit.username, USERS.likit.password).status, 'success');
+  });
+
+  it('stores only a hash of the token', () => {
+    request();
+    const token = tokenFromMail(backend.outbox[0]);
+    const rows = backend.records('PasswordResets');
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0]['User ID'], USERS.likit.username);
+    assert.equal(rows[0]['Token Hash'], crypto.createHash('sha256').update(token).digest('hex'));
+  });
+
+  it('sets the new password and revokes sessions', () => {
+    const session = login(backend, USERS.likit);
+    request();
+    const result = confirm(tokenFromMail(backend.outbox[0]));
+
+    assert.equal(result.status, 'success');
+    assert.equal(backend.context.verifyToken(session), false);
+    assert.equal(backend.context.authenticateUser(USERS.likit.username, USERS.likit.password).status, 'error');
+    assert.equal(backend.context.authenticateUser(USERS.likit.username, NEW_PASSWORD).status, 'success');
+  });
+
+  it('accepts each token once', () => {
+    request();
+    const token = tokenFromMail(backend.outbox[0]);
+    assert.equal(confirm(token).status, 'success');
+    assert.equal(confirm(token, 'another good secret').message, 'ลิงก์รีเซ็ตรหัสผ่านไม่ถูกต้องหรือหมดอายุแล้ว');
+  });
+
+  it('keeps the token usable after a rejected password', () => {
+    request();
+    const token = tokenFromMail(backend.outbox[0]);
+    assert.match(confirm(token, 'short').message, /อย่างน้อย 8/);
+    assert.equal(confirm(token).status, 'success');
+  });
+
+  it('issues and consumes tokens under the script lock', () => {
+    request();
+    const token = tokenFromMail(backend.outbox[0]);
+
+    backend.lock.heldElsewhere = true;
+    assert.equal(request().status, 'error');
+    assert.equal(confirm(token).retryable, true);
+    assert.equal(backend.records('PasswordResets').length, 1);
+
+    backend.lock.heldElsewhere = false;
+    const before = backend.lock.acquired;
+    assert.equal(confirm(token).status, 'success');
+    assert.equal(backend.lock.acquired, before + 1);
+  });
+
+  it('rejects expired and superseded tokens', () => {
+    request();
+    const first = tokenFromMail(backend.outbox[0]);
+    request();
+    const second = tokenFromMail(backend.outbox[1]);
+    assert.equal(confirm(first).status, 'error');
+    assert.equal(backend.records('PasswordResets').length, 1);
+
+    backend.sheet('PasswordResets').getRange(2, 4).setValue(new Date(Date.now() - 1000));
+    assert.equal(confirm(second).status, 'error');
+    assert.equal(confirm('not-a-token').status, 'error');
+  });
+
+  it('answers unknown and inactive addresses the same way without mail', () => {
+    const known = request();
+    const unknown = request('nobody@example.com');
+    const inactive = request('disabled@example.com');
+    assert.equal(unknown.message, known.message);
+    assert.equal(inactive.message, known.message);
+    assert.equal(backend.outbox.length, 1);
+  });
+
+  it('requires the reset page URL to be configured', () => {
+    const unconfigured = createBackend();
+    assert.equal(unconfigured.post({ action: 'resetPassword', email: 'likit@example.com' }).status, 'error');
+    assert.equal(unconfigured.outbox.length, 0);
+  });
+
+  it('creates the PasswordResets sheet when missing', () => {
+    backend.spreadsheet.deleteSheet(backend.sheet('PasswordResets'));
+    request();
+    assert.equal(backend.records('PasswordResets').length, 1);
+    assert.equal(confirm(tokenFromMail(backend.outbox[0])).status, 'success');
+  });
+});
@@ -0,0 +1,427 @@
+/**
+ * Routing tests - every action of the route table in Routes.js
+ * @created 2025-10-19
+ */
+
+const vm = require('node:vm');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { USERS, ACCOUNTS, createBackend, login } = require('./helpers');
+
+const PUBLIC_GET_ACTIONS = ['ping', 'status', 'health', 'getAccounts', 'getAssets'];
+
+const DEBUG_GET_ACTIONS = [
+  'testGetUserData',
+  'testFindUser',
+  'testVerifyPassword',
+  'testLoginStepByStep',
+  'runAllLoginTests',
+  'testConfiguration',
+  'testLoginWithFullDebug',
+  'testDirectAuthentication'
+];
+
+const PROTECTED_GET_ACTIONS = [
+  'getTradingHistory',
+  'getAccountSummary',
+  'getTradingStatistics',
+  'getEquityCurve',
+  'getPerformanceMetrics',
+  'getRecentTrades',
+  'getUserInfo',
+  'getMyPermissions',
+  'getMyAccounts',
+  'listSessions'
+];
+
+const ADMIN_GET_ACTIONS = [
+  'validateSheets',
+  'fixSheets',
+  'validateHeaders',
+  'validateDataTypes',
+  'validateComprehensive',
+  'validateBalanceChain',
+  'getAllSheets',
+  'getConfiguredSheets',
+  'compareSheets',
+  'getCurrentSpreadsheet',
+  'getSystemHealth',
+  'getPasswordMigrationStatus',
+  'getLoginLockouts',
+  'getAuditLog',
+  'testSpreadsheet'
+];
+
+describe('GET routing', () => {
+  let backend;
+  let adminToken;
+
+  beforeEach(() => {
+    backend = createBackend();
+    adminToken = login(backend, USERS.admin);
+  });
+
+  for (const action of PUBLIC_GET_ACTIONS) {
+    it(`${action} is public`, () => {
+      const result = backend.get({ action });
+      assert.equal(result.status, 'success');
+    });
+  }
+
+  for (const action of [...PROTECTED_GET_ACTIONS, ...ADMIN_GET_ACTIONS, ...DEBUG_GET_ACTIONS]) {
+    it(`${action} requires a token`, () => {
+      const result = backend.get({ action, accountId: ACCOUNTS.likit });
+      assert.equal(result.status, 'error');
+      assert.equal(result.message, 'Token is required for this endpoint');
+    });
+
+    it(`${action} rejects an unknown token`, () => {
+      const result = backend.get({ action, accountId: ACCOUNTS.likit, token: 'not-a-token' });
+      assert.equal(result.status, 'error');
+      assert.equal(result.message, 'Invalid or expired token');
+    });
+
+    it(`${action} is routed for an authenticated admin`, () => {
+      const result = backend.get({ action, accountId: ACCOUNTS.likit, token: adminToken });
+      assert.equal(typeof result, 'object');
+      assert.notEqual(result.message, 'Invalid action parameter');
+      assert.notEqual(result.message, 'Invalid or expired token');
+    });
+  }
+
+  for (const action of [...ADMIN_GET_ACTIONS, ...DEBUG_GET_ACTIONS]) {
+    it(`${action} is admin only`, () => {
+      const token = login(backend, USERS.likit);
+      const result = backend.get({ action, token, username: USERS.likit.username, password: USERS.likit.password });
+      assert.equal(result.status, 'error');
+      assert.match(result.message, new RegExp(`^Permission denied: ${action} requires (system:admin|user:manage)$`));
+    });
+  }
+
+  it('ping lists the public endpoints', () => {
+    const result = backend.get({ action: 'ping' });
+    assert.equal(result.deployment.active, true);
+    assert.deepEqual(result.deployment.endpoints, ['ping', 'status', 'health', 'getAccounts', 'getAssets', 'login', 'refreshToken', 'changePassword', 'resetPassword', 'confirmPasswordReset', 'debugPOST']);
+  });
+
+  it('getTradingHistory returns the account trades', () => {
+    const result = backend.get({ action: 'getTradingHistory', accountId: ACCOUNTS.likit, token: adminToken });
+    assert.equal(result.status, 'success');
+    assert.equal(result.count, 3);
+    assert.deepEqual(result.trades.map(trade => trade.transactionId), ['tx-0003', 'tx-0002', 'tx-0001']);
+  });
+
+  it('getAccountSummary returns account info and statistics', () => {
+    const result = backend.get({ action: 'getAccountSummary', accountId: ACCOUNTS.likit, token: adminToken });
+    assert.equal(result.status, 'success');
+    assert.equal(result.accountInfo.accountId, ACCOUNTS.likit);
+    assert.equal(result.statistics.totalTrades, 3);
+  });
+
+  it('getUserInfo returns the token owner', () => {
+    const result = backend.get({ action: 'getUserInfo', token: adminToken });
+    assert.equal(result.status, 'success');
+    assert.equal(result.user.id, USERS.admin.username);
+    assert.equal(result.user.role, 'admin');
+  });
+
+  it('validateSheets reports the fixture as valid', () => {
+    const result = backend.get({ action: 'validateSheets', token: adminToken });
+    assert.deepEqual(result.missingSheets, []);
+    assert.deepEqual(result.invalidStructures, []);
+  });
+
+  it('validateBalanceChain finds no problems in the fixture', () => {
+    const result = backend.get({ action: 'validateBalanceChain', token: adminToken });
+    assert.equal(result.summary.chainMismatches, 0);
+    assert.equal(result.summary.calculationMismatches, 0);
+  });
+
+  it('getAllSheets lists every fixture sheet', () => {
+    const result = backend.get({ action: 'getAllSheets', token: adminToken });
+    assert.equal(result.status, 'success');
+    assert.equal(result.totalSheets, 9);
+  });
+
+  it('unknown actions are rejected', () => {
+    const result = backend.get({ action: 'doesNotExist', token: adminToken });
+    assert.equal(result.status, 'error');
+    assert.equal(result.message, 'Invalid action parameter');
+  });
+
+  it('requests without an action are rejected', () => {
+    assert.equal(backend.get({}).message, 'Invalid action parameter');
+  });
+
+  it('actions are bound to their method', () => {
+    assert.equal(backend.get({ action: 'login' }).message, 'Action login requires POST');
+    assert.equal(backend.post({ action: 'getAccounts' }).message, 'Action getAccounts requires GET');
+  });
+
+  it('reports missing required parameters', () => {
+    const result = backend.get({ action: 'getTradingHistory', token: adminToken });
+    assert.equal(result.status, 'error');
+    assert.deepEqual(result.missing, ['accountId']);
+  });
+
+  it('rejects parameters outside their schema', () => {
+    const format = backend.get({ action: 'getAccounts', format: 'xml' });
+    assert.equal(format.status, 'error');
+    assert.match(format.message, /format must be one of dto, raw/);
+
+    const limit = backend.get({ action: 'getRecentTrades', accountId: ACCOUNTS.likit, limit: 'ten', token: adminToken });
+    assert.equal(limit.status, 'error');
+    assert.match(limit.message, /limit must be an integer/);
+
+    const mode = backend.get({ action: 'validateBalanceChain', mode: 'force', token: adminToken });
+    assert.equal(mode.status, 'error');
+  });
+
+  it('applies parameter defaults', () => {
+    const result = backend.get({ action: 'getRecentTrades', accountId: ACCOUNTS.likit, token: adminToken });
+    assert.equal(result.status, 'success');
+    assert.equal(result.limit, 10);
+  });
+});
+
+describe('route table', () => {
+  it('declares a method and handler for every action', () => {
+    // Top-level consts of src files are not properties of the context object
+    const ROUTES = vm.runInContext('ROUTES', createBackend().context);
+    for (const [action, route] of Object.entries(ROUTES)) {
+      assert.ok(['GET', 'POST'].includes(route.method), `${action} method`);
+      assert.equal(typeof route.handler, 'function', `${action} handler`);
+      assert.ok(route.description, `${action} description`);
+    }
+  });
+
+  it('only requires permissions some role grants', () => {
+    const backend = createBackend();
+    const ROUTES = vm.runInContext('ROUTES', backend.context);
+    const granted = Object.values(vm.runInContext('CONFIG.ROLES', backend.context)).flat();
+    for (const [action, route] of Object.entries(ROUTES)) {
+      assert.equal(route.role, undefined, `${action} uses permission instead of role`);
+      if (route.permission) assert.ok(granted.includes(route.permission), `${action} permission`);
+    }
+  });
+});
+
+describe('POST routing', () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = createBackend();
+  });
+
+  it('debugPOST echoes parameters and hides secrets', () => {
+    const result = backend.post({ action: 'debugPOST', username: 'someone', password: 'secret', token: 'abc' });
+    assert.equal(result.status, 'debug');
+    assert.equal(result.debug.extractionTest.username, 'someone');
+    assert.equal(result.debug.parameter.password, '[HIDDEN]');
+    assert.equal(result.debug.parameter.token, '[HIDDEN]');
+  });
+
+  it('debugLogin is admin only', () => {
+    assert.equal(backend.post({ action: 'debugLogin' }).message, 'Token is required for this endpoint');
+
+    const token = login(backend, USERS.likit);
+    const result = backend.post({ action: 'debugLogin', token, username: USERS.likit.username, password: USERS.likit.password });
+    assert.equal(result.message, 'Permission denied: debugLogin requires system:admin');
+  });
+
+  it('repairs the balance chain only through the POST route', () => {
+    const token = login(backend, USERS.admin);
+    backend.sheet('Trading_Journal').getRange(3, 5).setValue(1000);
+
+    assert.equal(backend.get({ action: 'validateBalanceChain', mode: 'apply', token }).status, 'error');
+    assert.equal(backend.get({ action: 'validateBalanceChain', token }).summary.rowsToRepair, 1);
+    assert.equal(backend.records('Trading_Journal')[1]['เงินต้นเริ่มต้นวัน (USD)'], 1000);
+
+    const result = backend.post({ action: 'repairBalanceChain', token, accountId: ACCOUNTS.likit });
+    assert.equal(result.summary.rowsRepaired, 1);
+    assert.equal(backend.records('Trading_Journal')[1]['เงินต้นเริ่มต้นวัน (USD)'], 1010);
+  });
+
+  it('debugLogin requires credentials', () => {
+    const token = login(backend, USERS.admin);
+    const result = backend.post({ action: 'debugLogin', token });
+    assert.equal(result.status, 'debug');
+    assert.equal(result.message, 'Missing credentials');
+  });
+
+  it('debugLogin runs the authentication steps', () => {
+    const token = login(backend, USERS.admin);
+    const result = backend.post({ action: 'debugLogin', token, username: USERS.admin.username, password: USERS.admin.password });
+    assert.equal(result.status, 'debug');
+    assert.equal(result.authResult.status, 'success');
+  });
+
+  it('login requires username and password', () => {
+    const result = backend.post({ action: 'login', username: USERS.likit.username });
+    assert.equal(result.status, 'error');
+  });
+
+  it('login returns a token', () => {
+    const result = backend.post({ action: 'login', username: USERS.likit.username, password: USERS.likit.password });
+    assert.equal(result.status, 'success');
+    assert.ok(result.token);
+  });
+
+  it('logout revokes the token', () => {
+    const token = login(backend, USERS.likit);
+    const result = backend.post({ action: 'logout', token });
+    assert.equal(result.status, 'success');
+  });
+
+  it('resetPassword emails a known user', () => {
+    const backend = createBackend({ properties: { script: { PASSWORD_RESET_URL: 'https://journal.example.com/forgot-password.html' } } });
+    const result = backend.post({ action: 'resetPassword', email: 'likit@example.com' });
+    assert.equal(result.status, 'success');
+    assert.equal(backend.outbox.length, 1);
+    assert.equal(backend.outbox[0].to, 'likit@example.com');
+  });
+
+  it('addMultipleTrades requires a token', () => {
+    const result = backend.post({ action: 'addMultipleTrades', tradesData: '[]' });
+    assert.equal(result.status, 'error');
+    assert.equal(result.message, 'Token is required for this endpoint');
+  });
+
+  it('addMultipleTrades records trades', () => {
+    const token = login(backend, USERS.likit);
+    const tradesData = JSON.stringify([
+      { accountId: ACCOUNTS.likit, assetId: '1', startBalance: 1025, dailyProfit: 5, lotSize: 0.1, tradeDate: '2025-10-06' }
+    ]);
+    const result = backend.post({ action: 'addMultipleTrades', token, tradesData });
+    assert.equal(result.status, 'success');
+    assert.equal(result.success, 1);
+  });
+
+  it('updateTrade requires a token', () => {
+    const result = backend.post({ action: 'updateTrade', transactionId: 'tx-0001', dailyProfit: '1' });
+    assert.equal(result.status, 'error');
+  });
+
+  it('updateTrade reports unknown transactions', () => {
+    const token = login(backend, USERS.likit);
+    const result = backend.post({ action: 'updateTrade', token, transactionId: 'missing', dailyProfit: '1' });
+    assert.equal(result.status, 'error');
+    assert.equal(result.message, 'ไม่พบรายการเทรดที่ระบุ');
+  });
+
+  it('updateTrade edits a trade', () => {
+    const token = login(backend, USERS.likit);
+    const result = backend.post({ action: 'updateTrade', token, transactionId: 'tx-0003', notes: 'edited' });
+    assert.equal(result.status, 'success');
+    assert.equal(result.trade.notes, 'edited');
+  });
+
+  it('falls back to single trade submission', () => {
+    const token = login(backend, USERS.likit);
+    const result = backend.post({
+      token,
+      accountId: ACCOUNTS.likit,
+      assetId: '1',
+      startBalance: '1025',
+      dailyProfit: '12.5',
+      lotSize: '0.1',
+      tradeDate: '2025-10-06'
+    });
+    assert.equal(result.status, 'success');
+  });
+
+  it('single trade submission requires a token', () => {
+    const result = backend.post({ accountId: ACCOUNTS.likit, assetId: '1', startBalance: '1', dailyProfit: '1', lotSize: '1' });
+    assert.equal(result.status, 'error');
+    assert.equal(result.message, 'Token is required for this endpoint');
+  });
+
+  it('single trade submission validates numbers', () => {
+    const token = login(backend, USERS.likit);
+    const result = backend.post({ token, accountId: ACCOUNTS.likit, assetId: '1', startBalance: 'abc', dailyProfit: '1', lotSize: '1' });
+    assert.equal(result.status, 'error');
+    assert.match(result.message, /startBalance must be a number/);
+  });
+
+  it('single trade submission rejects an invalid token', () => {
+    const result = backend.post({ token: 'not-a-token', accountId: ACCOUNTS.likit, assetId: '1', startBalance: '1', dailyProfit: '1', lotSize: '1' });
+    assert.equal(result.status, 'error');
+    assert.equal(result.message, 'Invalid or expired token');
+  });
+});
+
+describe('JSON request bodies', () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = createBackend();
+  });
+
+  it('accepts a text/plain JSON body', () => {
+    const result = backend.post({}, { action: 'login', username: USERS.likit.username, password: USERS.likit.password });
+    assert.equal(result.status, 'success');
+    assert.ok(result.token);
+  });
+
+  it('accepts an application/json body', () => {
+    const result = backend.post({}, { action: 'login', username: USERS.likit.username, password: USERS.likit.password }, 'application/json');
+    assert.equal(result.status, 'success');
+  });
+
+  it('merges the body with query parameters', () => {
+    const token = login(backend, USERS.likit);
+    const result = backend.post({ action: 'updateTrade', token }, { transactionId: 'tx-0003', notes: 'from body' });
+    assert.equal(result.status, 'success');
+    assert.equal(result.trade.notes, 'from body');
+  });
+
+  it('lets body fields override query parameters', () => {
+    const result = backend.post({ action: 'login', username: 'nobody', password: 'wrong' }, { username: USERS.likit.username, password: USERS.likit.password });
+    assert.equal(result.status, 'success');
+  });
+
+  it('passes nested arrays natively', () => {
+    const token = login(backend, USERS.likit);
+    const result = backend.post({}, {
+      action: 'addMultipleTrades',
+      token,
+      tradesData: [
+        { accountId: ACCOUNTS.likit, assetId: '1', startBalance: 1025, dailyProfit: 5, lotSize: 0.1, tradeDate: '2025-10-06' },
+        { accountId: ACCOUNTS.likit, assetId: '2', startBalance: 1030, dailyProfit: -2, lotSize: 0.1, tradeDate: '2025-10-07' }
+      ]
+    });
+    assert.equal(result.status, 'success');
+    assert.equal(result.success, 2);
+  });
+
+  it('accepts JSON numbers for numeric and string parameters', () => {
+    const token = login(backend, USERS.likit);
+    const result = backend.post({}, { token, accountId: Number(ACCOUNTS.likit), assetId: 1, startBalance: 1025, dailyProfit: 0, lotSize: 0.1, tradeDate: '2025-10-06' });
+    assert.equal(result.status, 'success');
+    assert.equal(result.endBalance, 1025);
+  });
+
+  it('rejects objects where a scalar is expected', () => {
+    const result = backend.post({}, { action: 'login', username: { $ne: '' }, password: 'x' });
+    assert.equal(result.status, 'error');
+    assert.match(result.message, /username must be a string/);
+  });
+
+  it('rejects malformed JSON bodies', () => {
+    const result = backend.post({}, '{"action": "login",', 'application/json');
+    assert.equal(result.status, 'error');
+    assert.match(result.message, /^Invalid JSON body/);
+  });
+
+  it('rejects JSON bodies that are not objects', () => {
+    assert.equal(backend.post({}, '[1, 2]', 'application/json').message, 'JSON body must be an object');
+  });
+
+  it('ignores form-encoded and plain text bodies', () => {
+    const form = backend.post({ action: 'login', username: USERS.likit.username, password: USERS.likit.password }, 'action=login', 'application/x-www-form-urlencoded');
+    assert.equal(form.status, 'success');
+
+    const text = backend.post({ action: 'ping' }, 'hello');
+    assert.equal(text.message, 'Action ping requires GET');
+  });
+});
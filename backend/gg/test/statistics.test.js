@@ -0,0 +1,278 @@
+/**
+ * Statistics tests - trading, account and asset statistics math
+ * Fixture trades: 405911362 → +10, -5, +20 (lots 0.1, 0.2, 0.1); 107338990 → +1, 0 (lots 0.01, 0.01)
+ * @created 2025-10-19
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { USERS, ACCOUNTS, createBackend, login } = require('./helpers');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≉ ${expected}`);
+
+describe('getTradingStatistics', () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = createBackend();
+  });
+
+  it('computes totals, averages and win rate', () => {
+    const { statistics } = backend.context.getTradingStatistics(ACCOUNTS.likit);
+    assert.equal(statistics.totalTrades, 3);
+    assert.equal(statistics.totalProfit, 25);
+    close(statistics.averageProfit, 25 / 3);
+    close(statistics.winRate, 200 / 3);
+    assert.equal(statistics.profitableTrades, 2);
+    assert.equal(statistics.lossTrades, 1);
+    assert.equal(statistics.breakEvenTrades, 0);
+    assert.equal(statistics.largestWin, 20);
+    assert.equal(statistics.largestLoss, -5);
+    close(statistics.totalLotSize, 0.4);
+    close(statistics.averageLotSize, 0.4 / 3);
+  });
+
+  it('counts break-even trades separately', () => {
+    const { statistics } = backend.context.getTradingStatistics(ACCOUNTS.mega);
+    assert.equal(statistics.totalTrades, 2);
+    assert.equal(statistics.profitableTrades, 1);
+    assert.equal(statistics.lossTrades, 0);
+    assert.equal(statistics.breakEvenTrades, 1);
+    assert.equal(statistics.winRate, 50);
+  });
+
+  it('reflects newly added trades', () => {
+    backend.context.addTrade(ACCOUNTS.likit, '1', 1025, -15, 0.3, '', '2025-10-06');
+    const { statistics } = backend.context.getTradingStatistics(ACCOUNTS.likit);
+    assert.equal(statistics.totalTrades, 4);
+    assert.equal(statistics.totalProfit, 10);
+    assert.equal(statistics.largestLoss, -15);
+    assert.equal(statistics.winRate, 50);
+  });
+
+  it('rejects unknown accounts', () => {
+    assert.equal(backend.context.getTradingStatistics('missing').status, 'error');
+  });
+});
+
+describe('getAccountSummary', () => {
+  it('uses the latest end balance as current balance', () => {
+    const backend = createBackend();
+    const { statistics } = backend.context.getAccountSummary(ACCOUNTS.likit);
+    assert.equal(statistics.currentBalance, 1025);
+    assert.equal(statistics.totalProfit, 25);
+    close(statistics.winRate, 200 / 3);
+  });
+
+  it('falls back to initial capital without trades', () => {
+    const backend = createBackend();
+    backend.sheet('Trading_Journal').deleteRows(2, 5);
+    const { statistics } = backend.context.getAccountSummary(ACCOUNTS.likit);
+    assert.equal(statistics.totalTrades, 0);
+    assert.equal(statistics.currentBalance, 1000);
+  });
+});
+
+describe('getAssetStatistics', () => {
+  it('aggregates every account per asset', () => {
+    const backend = createBackend();
+    const { statistics } = backend.context.getAssetStatistics();
+    const byAsset = Object.fromEntries(statistics.map(stats => [stats.assetId, stats]));
+
+    assert.equal(byAsset['1'].totalTrades, 2);
+    assert.equal(byAsset['1'].totalProfit, 30);
+    assert.equal(byAsset['1'].winRate, 100);
+    assert.equal(byAsset['1'].assetName, 'BTC');
+
+    assert.equal(byAsset['2'].totalTrades, 3);
+    assert.equal(byAsset['2'].totalProfit, -4);
+    close(byAsset['2'].winRate, 100 / 3);
+    close(byAsset['2'].averageProfit, -4 / 3);
+  });
+
+  it('filters by asset', () => {
+    const backend = createBackend();
+    const { statistics } = backend.context.getAssetStatistics('1');
+    assert.equal(statistics.length, 1);
+    assert.equal(statistics[0].assetId, '1');
+  });
+});
+
+describe('getEquityCurve', () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = createBackend();
+  });
+
+  it('tracks the running peak and a recovered drawdown', () => {
+    const curve = backend.context.getEquityCurve(ACCOUNTS.likit);
+
+    assert.equal(curve.startBalance, 1000);
+    assert.equal(curve.currentBalance, 1025);
+    assert.equal(curve.peakBalance, 1025);
+    assert.deepEqual(Array.from(curve.points, point => point.date), ['2025-10-01', '2025-10-02', '2025-10-03']);
+    assert.deepEqual(Array.from(curve.points, point => point.peak), [1010, 1010, 1025]);
+    assert.deepEqual(Array.from(curve.points, point => point.drawdown), [0, 5, 0]);
+    close(curve.points[1].drawdownPercent, 500 / 1010);
+
+    assert.equal(curve.currentDrawdown, null);
+    assert.equal(curve.drawdowns.length, 1);
+    assert.equal(curve.maxDrawdown.amount, 5);
+    close(curve.maxDrawdown.percent, 500 / 1010);
+    assert.equal(curve.maxDrawdown.peakDate, '2025-10-01');
+    assert.equal(curve.maxDrawdown.troughDate, '2025-10-02');
+    assert.equal(curve.maxDrawdown.recoveryDate, '2025-10-03');
+    assert.equal(curve.maxDrawdown.durationDays, 2);
+  });
+
+  it('reports a drawdown that has not recovered yet', () => {
+    backend.context.addTrade(ACCOUNTS.likit, '1', 1025, -30, 0.1, '', '2025-10-04');
+    backend.context.addTrade(ACCOUNTS.likit, '1', 995, 10, 0.1, '', '2025-10-06');
+    const curve = backend.context.getEquityCurve(ACCOUNTS.likit);
+
+    assert.equal(curve.drawdowns.length, 2);
+    assert.equal(curve.currentDrawdown.peakDate, '2025-10-03');
+    assert.equal(curve.currentDrawdown.troughDate, '2025-10-04');
+    assert.equal(curve.currentDrawdown.amount, 30);
+    assert.equal(curve.currentDrawdown.recoveryDate, null);
+    assert.equal(curve.currentDrawdown.durationDays, 3);
+    assert.equal(curve.maxDrawdown.amount, 30);
+    close(curve.maxDrawdown.percent, 3000 / 1025);
+    assert.equal(curve.points[curve.points.length - 1].drawdown, 20);
+  });
+
+  it('takes every max drawdown field from the period with the largest percentage fall', () => {
+    backend.context.addTrade(ACCOUNTS.mega, '2', 21, -10, 0.01, '', '2025-10-03');
+    backend.context.addTrade(ACCOUNTS.mega, '2', 11, 1000, 0.01, '', '2025-10-04');
+    backend.context.addTrade(ACCOUNTS.mega, '2', 1011, -50, 0.01, '', '2025-10-05');
+    const curve = backend.context.getEquityCurve(ACCOUNTS.mega);
+
+    assert.equal(curve.drawdowns.length, 2);
+    assert.equal(curve.drawdowns[1].amount, 50);
+    assert.equal(curve.maxDrawdown.amount, 10);
+    close(curve.maxDrawdown.percent, 1000 / 21);
+    assert.equal(curve.maxDrawdown.peakDate, '2025-10-02');
+    assert.equal(curve.maxDrawdown.troughDate, '2025-10-03');
+    assert.equal(curve.maxDrawdown.recoveryDate, '2025-10-04');
+    assert.equal(curve.maxDrawdown.durationDays, 2);
+  });
+
+  it('measures a drawdown on the first day from the start balance', () => {
+    backend.context.updateTrade('tx-0001', { dailyProfit: -10 });
+    const curve = backend.context.getEquityCurve(ACCOUNTS.likit);
+
+    assert.deepEqual(Array.from(curve.points, point => point.peak), [1000, 1000, 1005]);
+    assert.equal(curve.maxDrawdown.amount, 15);
+    assert.equal(curve.maxDrawdown.peakDate, '2025-09-30');
+    assert.equal(curve.maxDrawdown.troughDate, '2025-10-02');
+    assert.equal(curve.maxDrawdown.recoveryDate, '2025-10-03');
+    assert.equal(curve.maxDrawdown.durationDays, 3);
+  });
+
+  it('closes a day with several trades at the last one', () => {
+    backend.context.addTrade(ACCOUNTS.likit, '1', 1025, -5, 0.1, '', '2025-10-03');
+    const curve = backend.context.getEquityCurve(ACCOUNTS.likit);
+    const lastDay = curve.points[curve.points.length - 1];
+
+    assert.equal(curve.points.length, 3);
+    assert.equal(lastDay.trades, 2);
+    assert.equal(lastDay.dailyProfit, 15);
+    assert.equal(lastDay.endBalance, 1020);
+    assert.equal(lastDay.peak, 1020);
+  });
+
+  it('starts from the initial capital without trades', () => {
+    backend.sheet('Trading_Journal').deleteRows(2, 5);
+    const curve = backend.context.getEquityCurve(ACCOUNTS.likit);
+
+    assert.equal(curve.points.length, 0);
+    assert.equal(curve.currentBalance, 1000);
+    assert.equal(curve.maxDrawdown.amount, 0);
+    assert.equal(curve.currentDrawdown, null);
+  });
+
+  it('is served to members of the account', () => {
+    const token = login(backend, USERS.likit);
+    assert.equal(backend.get({ action: 'getEquityCurve', token, accountId: ACCOUNTS.likit }).status, 'success');
+    assert.equal(backend.get({ action: 'getEquityCurve', token, accountId: ACCOUNTS.mega }).status, 'error');
+  });
+});
+
+describe('getPerformanceMetrics', () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = createBackend();
+  });
+
+  it('derives daily returns, Sharpe, Sortino and Calmar ratios', () => {
+    const { returns, metrics, riskFreeRate } = backend.context.getPerformanceMetrics(ACCOUNTS.likit);
+    const daily = [10 / 1000, -5 / 1010, 20 / 1005];
+    const mean = daily.reduce((sum, value) => sum + value, 0) / 3;
+    const stdDev = Math.sqrt(daily.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / 2);
+    const downside = Math.sqrt(Math.pow(daily[1], 2) / 2);
+    const annualized = (Math.pow(daily.reduce((product, value) => product * (1 + value), 1), 252 / 3) - 1) * 100;
+
+    assert.equal(riskFreeRate, 0);
+    assert.deepEqual(Array.from(returns, item => item.date), ['2025-10-01', '2025-10-02', '2025-10-03']);
+    close(returns[1].returnPercent, -500 / 1010);
+    close(metrics.meanDailyReturn, mean * 100);
+    close(metrics.stdDevReturns, stdDev * 100);
+    close(metrics.sharpeRatio, (mean / stdDev) * Math.sqrt(252));
+    close(metrics.sortinoRatio, (mean / downside) * Math.sqrt(252));
+    close(metrics.downsideDeviation, downside * 100);
+    close(metrics.annualizedReturn, annualized);
+    close(metrics.calmarRatio, annualized / (500 / 1010));
+  });
+
+  it('computes profit factor, payoff ratio and expectancy per trade', () => {
+    const { metrics } = backend.context.getPerformanceMetrics(ACCOUNTS.likit);
+
+    assert.equal(metrics.totalTrades, 3);
+    assert.equal(metrics.grossProfit, 30);
+    assert.equal(metrics.grossLoss, 5);
+    assert.equal(metrics.profitFactor, 6);
+    assert.equal(metrics.averageWin, 15);
+    assert.equal(metrics.averageLoss, -5);
+    assert.equal(metrics.payoffRatio, 3);
+    close(metrics.expectancy, 25 / 3);
+  });
+
+  it('subtracts the risk-free rate from the daily returns', () => {
+    const base = backend.context.getPerformanceMetrics(ACCOUNTS.likit).metrics;
+    const result = backend.context.getPerformanceMetrics(ACCOUNTS.likit, 5);
+
+    assert.equal(result.riskFreeRate, 5);
+    close(result.metrics.sharpeRatio, base.sharpeRatio - (0.05 / 252 / (base.stdDevReturns / 100)) * Math.sqrt(252));
+    assert.ok(result.metrics.sortinoRatio < base.sortinoRatio);
+    assert.equal(result.metrics.profitFactor, base.profitFactor);
+  });
+
+  it('leaves ratios null without losses or drawdowns', () => {
+    const { metrics } = backend.context.getPerformanceMetrics(ACCOUNTS.mega);
+    assert.equal(metrics.profitFactor, null);
+    assert.equal(metrics.payoffRatio, null);
+    assert.equal(metrics.sortinoRatio, null);
+    assert.equal(metrics.calmarRatio, null);
+  });
+
+  it('returns an empty series without trades', () => {
+    backend.sheet('Trading_Journal').deleteRows(2, 5);
+    const result = backend.context.getPerformanceMetrics(ACCOUNTS.likit);
+
+    assert.equal(result.status, 'success');
+    assert.equal(result.returns.length, 0);
+    assert.equal(result.metrics.sharpeRatio, null);
+    assert.equal(result.metrics.expectancy, 0);
+  });
+
+  it('is served to members of the account with an optional risk-free rate', () => {
+    const token = login(backend, USERS.likit);
+    const result = backend.get({ action: 'getPerformanceMetrics', token, accountId: ACCOUNTS.likit, riskFreeRate: '2.5' });
+
+    assert.equal(result.status, 'success');
+    assert.equal(result.riskFreeRate, 2.5);
+    assert.equal(backend.get({ action: 'getPerformanceMetrics', token, accountId: ACCOUNTS.mega }).status, 'error');
+  });
+});
@@ -0,0 +1,583 @@
+/**
+ * Trading service tests - single and batch submission, idempotent retries, editing, soft delete and history queries
+ * @created 2025-10-19
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { USERS, ACCOUNTS, createBackend, login, journalRows } = require('./helpers');
+
+describe('addTrade', () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = createBackend();
+  });
+
+  it('appends a row with the calculated end balance', () => {
+    const result = backend.context.addTrade(ACCOUNTS.likit, '1', 1025, 12.5, 0.1, 'note', '2025-10-06');
+    assert.equal(result.status, 'success');
+    assert.equal(result.endBalance, 1037.5);
+
+    const row = journalRows(backend, ACCOUNTS.likit).find(trade => trade['Transaction_ID'] === result.id);
+    assert.equal(row['เงินรวมสิ้นวัน (USD)'], 1037.5);
+    assert.equal(row['Trade Date'], '2025-10-06');
+    assert.equal(row['หมายเหตุ'], 'note');
+  });
+
+  it('reports missing parameters', () => {
+    const result = backend.context.addTrade(ACCOUNTS.likit, '', 1000, 1, 0.1);
+    assert.equal(result.status, 'error');
+    assert.match(result.message, /assetId/);
+  });
+
+  it('rejects unknown accounts and assets', () => {
+    assert.equal(backend.context.addTrade('missing', '1', 1000, 1, 0.1).message, 'รหัสบัญชีไม่ถูกต้อง');
+    assert.equal(backend.context.addTrade(ACCOUNTS.likit, '99', 1000, 1, 0.1).message, 'รหัสสินทรัพย์ไม่ถูกต้อง');
+  });
+
+  it('rejects a non-positive start balance', () => {
+    const result = backend.context.addTrade(ACCOUNTS.likit, '1', -1, 1, 0.1, '', '2025-10-06');
+    assert.equal(result.status, 'error');
+  });
+
+  it('applies the account duplicate date policy', () => {
+    const before = journalRows(backend, ACCOUNTS.mega).length;
+    const result = backend.context.addTrade(ACCOUNTS.mega, '2', 21, 1, 0.01, '', '2025-10-02');
+    assert.equal(result.status, 'error');
+    assert.equal(result.duplicatePolicy, 'reject');
+    assert.equal(result.existingId, 'tx-0102');
+    assert.equal(journalRows(backend, ACCOUNTS.mega).length, before);
+  });
+});
+
+describe('addMultipleTrades', () => {
+  let backend;
+  let token;
+
+  beforeEach(() => {
+    backend = createBackend();
+    token = login(backend, USERS.likit);
+  });
+
+  const submit = (trades) => backend.post({ action: 'addMultipleTrades', token, tradesData: JSON.stringify(trades) });
+
+  it('reports partial failure per item', () => {
+    const result = submit([
+      { accountId: ACCOUNTS.likit, assetId: '1', startBalance: 1025, dailyProfit: 5, lotSize: 0.1, tradeDate: '2025-10-06' },
+      { accountId: ACCOUNTS.likit, assetId: '1' },
+      { accountId: 'missing', assetId: '1', startBalance: 1, dailyProfit: 1, lotSize: 1, tradeDate: '2025-10-07' }
+    ]);
+
+    assert.equal(result.status, 'partial');
+    assert.equal(result.total, 3);
+    assert.equal(result.success, 1);
+    assert.equal(result.errors, 2);
+    assert.deepEqual(Array.from(result.results, item => item.status), ['success', 'error', 'error']);
+    assert.deepEqual(Array.from(result.results, item => item.index), [1, 2, 3]);
+    assert.ok(result.results[0].id);
+    assert.equal(result.results[1].message, 'Missing required fields in trade data');
+    assert.equal(result.results[2].message, 'Access denied to account missing');
+    assert.equal(journalRows(backend, ACCOUNTS.likit).length, 4);
+  });
+
+  it('reports success when every item is saved', () => {
+    const result = submit([
+      { accountId: ACCOUNTS.likit, assetId: '1', startBalance: 1025, dailyProfit: 5, lotSize: 0.1, tradeDate: '2025-10-06' },
+      { accountId: ACCOUNTS.likit, assetId: '2', startBalance: 1030, dailyProfit: -2, lotSize: 0.1, tradeDate: '2025-10-07' }
+    ]);
+    assert.equal(result.status, 'success');
+    assert.equal(result.success, 2);
+    assert.equal(result.errors, 0);
+  });
+
+  it('reports error when every item fails', () => {
+    const result = submit([{ accountId: ACCOUNTS.likit }, { assetId: '1' }]);
+    assert.equal(result.status, 'error');
+    assert.equal(result.success, 0);
+    assert.equal(result.errors, 2);
+  });
+
+  it('counts duplicate dates by policy', () => {
+    const result = submit([
+      { accountId: ACCOUNTS.likit, assetId: '1', startBalance: 1025, dailyProfit: 5, lotSize: 0.1, tradeDate: '2025-10-03' }
+    ]);
+    assert.equal(result.status, 'success');
+    assert.equal(result.duplicateDatesCount, 1);
+    assert.deepEqual(result.duplicateDatesByPolicy, { allow: 1 });
+  });
+
+  it('saves a month of entries with one journal read and one write', () => {
+    const journal = backend.sheet('Trading_Journal');
+    const calls = { reads: 0, appends: 0 };
+    const getDataRange = journal.getDataRange.bind(journal);
+    const appendRow = journal.appendRow.bind(journal);
+    journal.getDataRange = () => { calls.reads++; return getDataRange(); };
+    journal.appendRow = (row) => { calls.appends++; return appendRow(row); };
+
+    const trades = [];
+    for (let day = 1; day <= 30; day++) {
+      trades.push({
+        accountId: ACCOUNTS.likit, assetId: '1', startBalance: 1025 + day, dailyProfit: 1, lotSize: 0.1,
+        tradeDate: `2025-11-${String(day).padStart(2, '0')}`
+      });
+    }
+    const result = submit(trades);
+
+    assert.equal(result.status, 'success');
+    assert.equal(result.success, 30);
+    assert.equal(calls.reads, 1);
+    assert.equal(calls.appends, 0);
+    assert.equal(journalRows(backend, ACCOUNTS.likit).length, 33);
+    assert.equal(backend.records('AuditLog').filter(entry => entry['Action'] === 'trade.create').length, 30);
+  });
+
+  it('treats earlier items of the batch as existing dates', () => {
+    const megaToken = login(backend, USERS.mega);
+    const item = { accountId: ACCOUNTS.mega, assetId: '2', startBalance: 21, dailyProfit: 1, lotSize: 0.01, tradeDate: '2025-10-06' };
+    const result = backend.post({ action: 'addMultipleTrades', token: megaToken, tradesData: JSON.stringify([item, item]) });
+
+    assert.equal(result.status, 'partial');
+    assert.equal(result.results[1].duplicatePolicy, 'reject');
+    assert.match(result.results[1].message, /already exists/);
+    assert.equal(journalRows(backend, ACCOUNTS.mega).filter(row => row['Trade Date'] === '2025-10-06').length, 1);
+  });
+
+  it('merges into rows written by the same batch', () => {
+    const accounts = backend.sheet('Accounts');
+    const values = accounts.getDataRange().getValues();
+    const row = values.findIndex(account => account[0] === ACCOUNTS.likit) + 1;
+    accounts.getRange(row, values[0].indexOf('Duplicate Date Policy') + 1).setValue('merge');
+
+    const result = submit([
+      { accountId: ACCOUNTS.likit, assetId: '1', startBalance: 1025, dailyProfit: 5, lotSize: 0.1, tradeDate: '2025-10-06' },
+      { accountId: ACCOUNTS.likit, assetId: '1', startBalance: 1025, dailyProfit: 3, lotSize: 0.1, tradeDate: '2025-10-06' }
+    ]);
+
+    assert.equal(result.status, 'success');
+    assert.deepEqual(result.duplicateDatesByPolicy, { merge: 1 });
+    assert.equal(result.results[1].id, result.results[0].id);
+    const saved = journalRows(backend, ACCOUNTS.likit).filter(trade => trade['Trade Date'] === '2025-10-06');
+    assert.equal(saved.length, 1);
+    assert.equal(saved[0]['เงินรวมสิ้นวัน (USD)'], 1033);
+  });
+
+  it('writes nothing from an atomic batch with a failing item', () => {
+    const result = backend.post({ action: 'addMultipleTrades', token, atomic: 'true', tradesData: JSON.stringify([
+      { accountId: ACCOUNTS.likit, assetId: '1', startBalance: 1025, dailyProfit: 5, lotSize: 0.1, tradeDate: '2025-10-06' },
+      { accountId: ACCOUNTS.likit, assetId: '99', startBalance: 1030, dailyProfit: 1, lotSize: 0.1, tradeDate: '2025-10-07' }
+    ]) });
+
+    assert.equal(result.status, 'error');
+    assert.equal(result.atomic, true);
+    assert.equal(result.errors, 1);
+    assert.equal(result.skipped, 1);
+    assert.deepEqual(Array.from(result.results, item => item.status), ['skipped', 'error']);
+    assert.equal(result.results[0].id, null);
+    assert.equal(result.results[1].message, 'รหัสสินทรัพย์ไม่ถูกต้อง');
+    assert.equal(journalRows(backend, ACCOUNTS.likit).length, 3);
+    assert.equal(backend.records('AuditLog').filter(entry => entry['Action'] === 'trade.create').length, 0);
+  });
+
+  it('writes nothing from an atomic batch with a failing merge item', () => {
+    const accounts = backend.sheet('Accounts');
+    const values = accounts.getDataRange().getValues();
+    const row = values.findIndex(account => account[0] === ACCOUNTS.likit) + 1;
+    accounts.getRange(row, values[0].indexOf('Duplicate Date Policy') + 1).setValue('merge');
+
+    const result = backend.post({ action: 'addMultipleTrades', token, atomic: 'true', tradesData: JSON.stringify([
+      { accountId: ACCOUNTS.likit, assetId: '1', startBalance: 1025, dailyProfit: 5, lotSize: 0.1, tradeDate: '2025-10-06' },
+      { accountId: ACCOUNTS.likit, assetId: '1', startBalance: 1005, dailyProfit: 1, lotSize: 0.1, tradeDate: '2025-10-03', idempotencyKey: 'merge-1' },
+      { accountId: ACCOUNTS.likit, assetId: '1', startBalance: 1010, dailyProfit: 2, lotSize: 0.1, tradeDate: '2025-10-02', idempotencyKey: 'merge-1' }
+    ]) });
+
+    assert.equal(result.status, 'error');
+    assert.deepEqual(Array.from(result.results, item => item.status), ['skipped', 'skipped', 'error']);
+    assert.match(result.results[2].message, /idempotencyKey/);
+    assert.deepEqual(Array.from(journalRows(backend, ACCOUNTS.likit), trade => trade['เงินรวมสิ้นวัน (USD)']), [1010, 1005, 1025]);
+    assert.equal(backend.records('AuditLog').filter(entry => entry['Action'].startsWith('trade.')).length, 0);
+  });
+
+  it('writes every item of an atomic batch that passes', () => {
+    const result = backend.post({ action: 'addMultipleTrades', token, atomic: 'true', tradesData: JSON.stringify([
+      { accountId: ACCOUNTS.likit, assetId: '1', startBalance: 1025, dailyProfit: 5, lotSize: 0.1, tradeDate: '2025-10-06' },
+      { accountId: ACCOUNTS.likit, assetId: '2', startBalance: 1030, dailyProfit: 1, lotSize: 0.1, tradeDate: '2025-10-07' }
+    ]) });
+
+    assert.equal(result.status, 'success');
+    assert.equal(result.atomic, true);
+    assert.equal(result.success, 2);
+    assert.equal(journalRows(backend, ACCOUNTS.likit).length, 5);
+  });
+
+  it('rejects invalid JSON and empty batches', () => {
+    assert.equal(backend.post({ action: 'addMultipleTrades', token, tradesData: '{not json' }).status, 'error');
+    assert.equal(submit([]).status, 'error');
+  });
+});
+
+describe('concurrent and retried submissions', () => {
+  let backend;
+  let token;
+
+  beforeEach(() => {
+    backend = createBackend();
+    token = login(backend, USERS.likit);
+  });
+
+  const trade = (overrides = {}) => Object.assign({
+    accountId: ACCOUNTS.likit, assetId: '1', startBalance: 1025, dailyProfit: 5, lotSize: 0.1, tradeDate: '2025-10-06'
+  }, overrides);
+  const add = (fields) => backend.post(Object.assign({ action: 'addTrade', token }, fields));
+  const submit = (trades, idempotencyKey) => backend.post({ action: 'addMultipleTrades', token, tradesData: JSON.stringify(trades), idempotencyKey });
+  const rowCount = () => journalRows(backend, ACCOUNTS.likit).length;
+
+  it('returns the first response when a trade is resent with its key', () => {
+    const first = add(trade({ idempotencyKey: 'trade-1' }));
+    const retry = add(trade({ idempotencyKey: 'trade-1', startBalance: '1025.0' }));
+
+    assert.equal(first.status, 'success');
+    assert.equal(first.idempotentReplay, undefined);
+    assert.equal(retry.status, 'success');
+    assert.equal(retry.idempotentReplay, true);
+    assert.equal(retry.id, first.id);
+    assert.equal(rowCount(), 4);
+  });
+
+  it('refuses a key reused for a different trade', () => {
+    add(trade({ idempotencyKey: 'trade-1' }));
+    const result = add(trade({ idempotencyKey: 'trade-1', dailyProfit: 6 }));
+    assert.equal(result.status, 'error');
+    assert.equal(rowCount(), 4);
+  });
+
+  it('keeps keys per user', () => {
+    add(trade({ idempotencyKey: 'shared' }));
+    const megaToken = login(backend, USERS.mega);
+    const result = backend.post(Object.assign({ action: 'addTrade', token: megaToken },
+      trade({ accountId: ACCOUNTS.mega, startBalance: 21, idempotencyKey: 'shared' })));
+    assert.equal(result.status, 'success');
+    assert.equal(result.idempotentReplay, undefined);
+  });
+
+  it('does not keep failed attempts', () => {
+    assert.equal(add(trade({ idempotencyKey: 'trade-1', assetId: '99' })).status, 'error');
+    assert.equal(add(trade({ idempotencyKey: 'trade-1' })).idempotentReplay, undefined);
+    assert.equal(rowCount(), 4);
+  });
+
+  it('skips batch items that were already saved under their key', () => {
+    const first = add(trade({ idempotencyKey: 'item-1' }));
+    const result = submit([
+      trade({ idempotencyKey: 'item-1' }),
+      trade({ idempotencyKey: 'item-2', startBalance: 1030, tradeDate: '2025-10-07' })
+    ]);
+
+    assert.equal(result.success, 2);
+    assert.equal(result.results[0].id, first.id);
+    assert.equal(result.results[0].idempotentReplay, true);
+    assert.equal(result.results[1].idempotentReplay, false);
+    assert.equal(rowCount(), 5);
+
+    // The individual fallback after an interrupted batch
+    assert.equal(add(trade({ idempotencyKey: 'item-2', startBalance: 1030, tradeDate: '2025-10-07' })).idempotentReplay, true);
+    assert.equal(rowCount(), 5);
+  });
+
+  it('replays a whole batch by its key', () => {
+    const trades = [trade(), trade({ startBalance: 1030, tradeDate: '2025-10-07' })];
+    const first = submit(trades, 'batch-1');
+    const retry = submit(trades, 'batch-1');
+
+    assert.equal(first.success, 2);
+    assert.equal(retry.idempotentReplay, true);
+    assert.deepEqual(retry.results.map(item => item.id), first.results.map(item => item.id));
+    assert.equal(rowCount(), 5);
+  });
+
+  it('stores a trimmed replay of a batch response too long for one cell', () => {
+    const invalid = Array.from({ length: 400 }, (item, i) => trade({ assetId: '99', notes: `item ${i}` }));
+    const trades = [trade()].concat(invalid);
+    const first = submit(trades, 'batch-large');
+
+    assert.equal(first.status, 'partial');
+    assert.ok(JSON.stringify(first).length > 50000);
+    const stored = backend.records('IdempotencyKeys')[0]['Response'];
+    assert.ok(stored.length <= 45000);
+
+    const retry = submit(trades, 'batch-large');
+    assert.equal(retry.idempotentReplay, true);
+    assert.equal(retry.responseTruncated, true);
+    assert.equal(retry.success, 1);
+    assert.equal(retry.results.length, 401);
+    assert.deepEqual(retry.results[0], { index: 1, status: 'success', id: first.results[0].id });
+    assert.equal(rowCount(), 4);
+  });
+
+  it('forgets keys after the retention period', () => {
+    add(trade({ idempotencyKey: 'trade-1' }));
+    backend.sheet('IdempotencyKeys').getRange(2, 6).setValue(new Date(Date.now() - 25 * 60 * 60 * 1000));
+
+    assert.equal(add(trade({ idempotencyKey: 'trade-1' })).idempotentReplay, undefined);
+    assert.equal(backend.records('IdempotencyKeys').length, 1);
+    assert.equal(rowCount(), 5);
+  });
+
+  it('writes journal changes under the script lock', () => {
+    const before = backend.lock.acquired;
+    add(trade());
+    assert.equal(backend.lock.acquired, before + 1);
+
+    backend.lock.heldElsewhere = true;
+    const busy = add(trade({ tradeDate: '2025-10-07' }));
+    assert.equal(busy.status, 'error');
+    assert.equal(busy.retryable, true);
+    assert.equal(backend.post({ action: 'deleteTrade', token, transactionId: 'tx-0001' }).retryable, true);
+    assert.equal(rowCount(), 4);
+    assert.equal(backend.get({ action: 'getTradingHistory', token, accountId: ACCOUNTS.likit }).total, 4);
+  });
+});
+
+describe('updateTrade', () => {
+  it('re-chains later balances of the account', () => {
+    const backend = createBackend();
+    const result = backend.context.updateTrade('tx-0001', { dailyProfit: 20 });
+
+    assert.equal(result.status, 'success');
+    assert.deepEqual(Array.from(result.changedRows, row => [row.id, row.startBalance, row.endBalance]), [
+      ['tx-0001', 1000, 1020],
+      ['tx-0002', 1020, 1015],
+      ['tx-0003', 1015, 1035]
+    ]);
+    assert.equal(journalRows(backend, ACCOUNTS.mega)[0]['เงินรวมสิ้นวัน (USD)'], 21);
+  });
+
+  it('re-chains a trade moved past later ones from its new predecessor', () => {
+    const backend = createBackend();
+    const result = backend.context.updateTrade('tx-0001', { tradeDate: '2025-10-05' });
+
+    assert.equal(result.status, 'success');
+    assert.deepEqual(Array.from(result.changedRows, row => [row.id, row.startBalance, row.endBalance]), [
+      ['tx-0001', 1025, 1035]
+    ]);
+    assert.deepEqual([result.trade.startBalance, result.trade.endBalance], [1025, 1035]);
+    const chain = backend.context.validateBalanceChain('dry-run', ACCOUNTS.likit);
+    assert.equal(chain.summary.chainMismatches, 0);
+    assert.equal(chain.summary.calculationMismatches, 0);
+  });
+
+  it('orders a typed date and a sheet date of the same day by timestamp', () => {
+    const backend = createBackend();
+    const result = backend.context.updateTrade('tx-0001', { tradeDate: '2025-10-02' });
+
+    assert.deepEqual([result.trade.startBalance, result.trade.endBalance], [1000, 1010]);
+    assert.deepEqual(Array.from(backend.context.getTradingHistory(ACCOUNTS.likit, null, { sortDir: 'asc' }).trades,
+      trade => [trade.transactionId, trade.startBalance]), [['tx-0001', 1000], ['tx-0002', 1010], ['tx-0003', 1005]]);
+  });
+
+  it('keeps a start balance given with the edit', () => {
+    const backend = createBackend();
+    const result = backend.context.updateTrade('tx-0001', { tradeDate: '2025-10-05', startBalance: 2000 });
+
+    assert.deepEqual([result.trade.startBalance, result.trade.endBalance], [2000, 2010]);
+  });
+
+  const setPolicy = (backend, accountId, policy) => {
+    const accounts = backend.sheet('Accounts');
+    const values = accounts.getDataRange().getValues();
+    const row = values.findIndex(account => account[0] === accountId) + 1;
+    accounts.getRange(row, values[0].indexOf('Duplicate Date Policy') + 1).setValue(policy);
+  };
+  const liveTrades = (backend, accountId) => journalRows(backend, accountId).filter(row => !row['Deleted At']);
+
+  it('rejects moving a trade onto a taken date when the account rejects duplicates', () => {
+    const backend = createBackend();
+    const result = backend.context.updateTrade('tx-0102', { tradeDate: '2025-10-01' });
+
+    assert.equal(result.status, 'error');
+    assert.equal(result.duplicatePolicy, 'reject');
+    assert.equal(result.existingId, 'tx-0101');
+    assert.equal(liveTrades(backend, ACCOUNTS.mega).length, 2);
+  });
+
+  it('merges a moved trade into the trade already on that date', () => {
+    const backend = createBackend();
+    setPolicy(backend, ACCOUNTS.likit, 'merge');
+    const result = backend.context.updateTrade('tx-0003', { tradeDate: '2025-10-01' });
+
+    assert.equal(result.status, 'success');
+    assert.equal(result.id, 'tx-0001');
+    assert.equal(result.deletedId, 'tx-0003');
+    assert.deepEqual(Array.from(liveTrades(backend, ACCOUNTS.likit), row => [row['Transaction_ID'], row['เงินรวมสิ้นวัน (USD)']]), [
+      ['tx-0001', 1030],
+      ['tx-0002', 1025]
+    ]);
+    const merged = journalRows(backend, ACCOUNTS.likit).find(row => row['Transaction_ID'] === 'tx-0003');
+    assert.equal(merged['Delete Reason'], 'merged into tx-0001');
+  });
+
+  it('replaces the trade already on that date', () => {
+    const backend = createBackend();
+    setPolicy(backend, ACCOUNTS.likit, 'replace');
+    const result = backend.context.updateTrade('tx-0003', { tradeDate: '2025-10-02', startBalance: 1010 });
+
+    assert.equal(result.status, 'success');
+    assert.equal(result.id, 'tx-0003');
+    assert.equal(result.deletedId, 'tx-0002');
+    assert.deepEqual(Array.from(liveTrades(backend, ACCOUNTS.likit), row => [row['Transaction_ID'], row['เงินรวมสิ้นวัน (USD)']]), [
+      ['tx-0001', 1010],
+      ['tx-0003', 1030]
+    ]);
+  });
+});
+
+describe('soft delete', () => {
+  let backend;
+  let token;
+
+  beforeEach(() => {
+    backend = createBackend();
+    token = login(backend, USERS.likit);
+  });
+
+  const balances = () => Array.from(backend.context.getTradingHistory(ACCOUNTS.likit, null, { sortDir: 'asc' }).trades,
+    trade => [trade.transactionId, trade.startBalance, trade.endBalance]);
+  const remove = (transactionId, reason = 'duplicate entry') => backend.post({ action: 'deleteTrade', token, transactionId, reason });
+  const restore = transactionId => backend.post({ action: 'restoreTrade', token, transactionId });
+
+  it('marks the row deleted with who, when and why', () => {
+    const result = remove('tx-0002');
+    assert.equal(result.status, 'success');
+    assert.equal(result.deletedId, 'tx-0002');
+
+    const row = journalRows(backend, ACCOUNTS.likit)[1];
+    assert.equal(row['Transaction_ID'], 'tx-0002');
+    assert.equal(row['Deleted By'], USERS.likit.username);
+    assert.equal(row['Delete Reason'], 'duplicate entry');
+    assert.ok(row['Deleted At'] instanceof Date || !isNaN(Date.parse(row['Deleted At'])));
+  });
+
+  it('leaves deleted trades out of history and statistics unless asked', () => {
+    remove('tx-0002');
+    assert.deepEqual(balances().map(row => row[0]), ['tx-0001', 'tx-0003']);
+    assert.equal(backend.context.getTradingStatistics(ACCOUNTS.likit).statistics.totalTrades, 2);
+    assert.equal(backend.context.getAccountSummary(ACCOUNTS.likit).statistics.totalTrades, 2);
+
+    const all = backend.get({ action: 'getTradingHistory', token, accountId: ACCOUNTS.likit, includeDeleted: 'true' });
+    assert.equal(all.total, 3);
+    assert.equal(all.trades.find(trade => trade.transactionId === 'tx-0002').deleteReason, 'duplicate entry');
+  });
+
+  it('re-chains later balances on delete and restore', () => {
+    remove('tx-0002');
+    assert.deepEqual(balances(), [['tx-0001', 1000, 1010], ['tx-0003', 1010, 1030]]);
+
+    const result = restore('tx-0002');
+    assert.equal(result.status, 'success');
+    assert.equal(result.trade.deletedAt, null);
+    assert.deepEqual(balances(), [['tx-0001', 1000, 1010], ['tx-0002', 1010, 1005], ['tx-0003', 1005, 1025]]);
+    assert.equal(journalRows(backend, ACCOUNTS.likit)[1]['Deleted By'], '');
+  });
+
+  it('starts the next trade from the deleted first trade', () => {
+    remove('tx-0001');
+    assert.deepEqual(balances(), [['tx-0002', 1000, 995], ['tx-0003', 995, 1015]]);
+    restore('tx-0001');
+    assert.deepEqual(balances(), [['tx-0001', 1000, 1010], ['tx-0002', 1010, 1005], ['tx-0003', 1005, 1025]]);
+  });
+
+  it('refuses to delete twice, restore live trades or edit deleted ones', () => {
+    remove('tx-0003');
+    assert.equal(remove('tx-0003').status, 'error');
+    assert.equal(restore('tx-0001').status, 'error');
+    assert.equal(backend.post({ action: 'updateTrade', token, transactionId: 'tx-0003', dailyProfit: 1 }).status, 'error');
+  });
+
+  it('lets a deleted day be entered again', () => {
+    remove('tx-0003');
+    assert.equal(backend.context.findTradeByAccountAndDate(ACCOUNTS.likit, '2025-10-03'), null);
+  });
+
+  it('adds the soft delete columns to older journals', () => {
+    backend.sheet('Trading_Journal').getRange(1, 11, 1, 3).clearContent();
+    backend.context.resetSchemaCache('Trading_Journal');
+
+    assert.equal(remove('tx-0002').status, 'success');
+    assert.equal(journalRows(backend, ACCOUNTS.likit)[1]['Delete Reason'], 'duplicate entry');
+  });
+
+  it('purges deleted trades for admins only', () => {
+    remove('tx-0002');
+    assert.equal(backend.post({ action: 'purgeDeletedTrades', token }).message,
+      'Permission denied: purgeDeletedTrades requires system:admin');
+
+    const adminToken = login(backend, USERS.admin);
+    assert.equal(backend.post({ action: 'purgeDeletedTrades', token: adminToken, olderThanDays: 1 }).purged, 0);
+
+    const result = backend.post({ action: 'purgeDeletedTrades', token: adminToken });
+    assert.deepEqual(Array.from(result.purgedIds), ['tx-0002']);
+    assert.equal(journalRows(backend, ACCOUNTS.likit).length, 2);
+    assert.equal(restore('tx-0002').status, 'error');
+  });
+
+  it('keeps deleted trades whose deletion time cannot be read', () => {
+    remove('tx-0002');
+    const journal = backend.sheet('Trading_Journal');
+    journal.getRange(3, journal.getDataRange().getValues()[0].indexOf('Deleted At') + 1).setValue('not a date');
+
+    const result = backend.post({ action: 'purgeDeletedTrades', token: login(backend, USERS.admin), olderThanDays: 1 });
+    assert.equal(result.purged, 0);
+    assert.deepEqual(Array.from(result.skippedIds), ['tx-0002']);
+    assert.equal(journalRows(backend, ACCOUNTS.likit).length, 3);
+  });
+});
+
+describe('getTradingHistory', () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = createBackend();
+  });
+
+  const ids = result => Array.from(result.trades, trade => trade.transactionId);
+
+  it('sorts by Trade Date, newest first', () => {
+    assert.deepEqual(ids(backend.context.getTradingHistory(ACCOUNTS.likit)), ['tx-0003', 'tx-0002', 'tx-0001']);
+  });
+
+  it('returns camelCase DTOs unless format=raw', () => {
+    const dto = backend.context.getTradingHistory(ACCOUNTS.likit).trades[0];
+    assert.equal(dto.tradeDate, '2025-10-03');
+    assert.equal(dto.dailyProfit, 20);
+
+    const raw = backend.context.getTradingHistory(ACCOUNTS.likit, 'raw').trades[0];
+    assert.equal(raw['กำไร/ขาดทุนรายวัน (USD)'], 20);
+  });
+
+  it('filters by date range, asset, profit sign and notes', () => {
+    const query = q => ids(backend.context.getTradingHistory(ACCOUNTS.likit, null, q));
+    assert.deepEqual(query({ from: '2025-10-02', to: '2025-10-02' }), ['tx-0002']);
+    assert.deepEqual(query({ assetId: '1' }), ['tx-0003', 'tx-0001']);
+    assert.deepEqual(query({ profit: 'negative' }), ['tx-0002']);
+    assert.deepEqual(query({ search: 'TREND' }), ['tx-0003']);
+  });
+
+  it('pages with total and cursor', () => {
+    const first = backend.context.getTradingHistory(ACCOUNTS.likit, null, { pageSize: 2, sortDir: 'asc' });
+    assert.deepEqual(ids(first), ['tx-0001', 'tx-0002']);
+    assert.equal(first.total, 3);
+    assert.equal(first.totalPages, 2);
+    assert.equal(first.hasMore, true);
+
+    const second = backend.context.getTradingHistory(ACCOUNTS.likit, null, { pageSize: 2, sortDir: 'asc', cursor: first.nextCursor });
+    assert.deepEqual(ids(second), ['tx-0003']);
+    assert.equal(second.hasMore, false);
+    assert.equal(second.nextCursor, null);
+  });
+
+  it('rejects invalid query parameters', () => {
+    assert.equal(backend.context.getTradingHistory(ACCOUNTS.likit, null, { sortBy: 'password' }).status, 'error');
+    assert.equal(backend.context.getTradingHistory(ACCOUNTS.likit, null, { from: '10/01/2025' }).status, 'error');
+    assert.equal(backend.context.getTradingHistory(ACCOUNTS.likit, null, { pageSize: 0 }).status, 'error');
+  });
+});
@@ -0,0 +1,61 @@
+import { APPS_SCRIPT_URL } from './config.js';
+
+// Apps Script web apps cannot answer CORS preflights, so requests must stay "simple":
+// no custom headers, and POST bodies are JSON sent as text/plain. The token is a parameter.
+
+const EXPIRED_TOKEN_MESSAGE = 'Invalid or expired token';
+
+async function get(action, params) {
+  const query = new URLSearchParams({ action, token: localStorage.getItem('token') || '', ...params });
+  const response = await fetch(`${APPS_SCRIPT_URL}?${query}`);
+  return response.json();
+}
+
+async function post(action, payload) {
+  const response = await fetch(APPS_SCRIPT_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+    body: JSON.stringify({ action, token: localStorage.getItem('token') || '', ...payload })
+  });
+  return response.json();
+}
+
+// Trade the stored refresh token for a new token pair; false when the session is over
+async function refreshSession() {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) return false;
+
+  const result = await post('refreshToken', { refreshToken });
+  if (result.status !== 'success') return false;
+
+  localStorage.setItem('token', result.token);
+  localStorage.setItem('refreshToken', result.refreshToken);
+  return true;
+}
+
+// Retry once with a refreshed token when the access token has expired
+async function withRefresh(request) {
+  const result = await request();
+  if (result.status === 'error' && result.message === EXPIRED_TOKEN_MESSAGE && await refreshSession()) {
+    return request();
+  }
+  return result;
+}
+
+// Random ID that stays in this browser; the backend counts failed logins per client with it
+export function getClientId() {
+  let clientId = localStorage.getItem('clientId');
+  if (!clientId) {
+    clientId = crypto.randomUUID();
+    localStorage.setItem('clientId', clientId);
+  }
+  return clientId;
+}
+
+export function apiGet(action, params = {}) {
+  return withRefresh(() => get(action, params));
+}
+
+export function apiPost(action, payload = {}) {
+  return withRefresh(() => post(action, payload));
+}
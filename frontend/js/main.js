@@ -1,9 +1,10 @@
 import { setupMenuNavigation, renderMenu } from './menu.js';
-import { APPS_SCRIPT_URL } from './config.js';
+import { apiGet } from './api.js';
 
 // Global state
 let currentUser = null;
 let currentToken = null;
+let currentAccountId = null;
 
 // Authentication functions
 async function checkAuthentication() {
@@ -19,11 +20,17 @@ async function checkAuthentication() {
     currentToken = token;
     currentUser = JSON.parse(user);
     
+    // Render the menus the backend says this user's role may use
+    const access = await apiGet('getMyPermissions');
+    if (access.status !== 'success') {
+      redirectToLogin();
+      return false;
+    }
+    currentUser.role = access.role;
+    
     // Update user info display
     updateUserDisplay();
-    
-    // Render menu based on user role
-    renderMenu(currentUser.role);
+    renderMenu(access.permissions);
     
     return true;
   } catch (error) {
@@ -33,8 +40,40 @@ async function checkAuthentication() {
   }
 }
 
+// Pick the account to show from the accounts the user is a member of
+async function loadAccounts() {
+  const result = await apiGet('getMyAccounts');
+  const accounts = result.status === 'success' ? result.accounts : [];
+  const saved = localStorage.getItem('accountId');
+  
+  currentAccountId = accounts.some(account => account.accountId === saved)
+    ? saved
+    : (accounts[0] ? accounts[0].accountId : null);
+  
+  const select = document.getElementById('accountSelect');
+  if (!select) return;
+  
+  select.innerHTML = accounts.map(account => {
+    const option = document.createElement('option');
+    option.value = account.accountId;
+    option.textContent = `${account.accountName || account.accountId} (${account.accessLevel})`;
+    option.selected = account.accountId === currentAccountId;
+    return option.outerHTML;
+  }).join('');
+  select.classList.toggle('hidden', accounts.length < 2);
+  
+  select.onchange = async () => {
+    currentAccountId = select.value;
+    localStorage.setItem('accountId', currentAccountId);
+    await fetchBalance();
+    fetchDashboardData();
+  };
+}
+
 function redirectToLogin() {
   localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('sessionId');
   localStorage.removeItem('user');
   window.location.href = 'index.html';
 }
@@ -52,28 +91,14 @@ function updateUserDisplay() {
   }
 }
 
-// API functions
-async function fetchWithAuth(url, options = {}) {
-  const defaultOptions = {
-    headers: {
-      'Authorization': `Bearer ${currentToken}`,
-      'Content-Type': 'application/json',
-      ...options.headers
-    }
-  };
-  
-  return fetch(url, { ...defaultOptions, ...options });
-}
-
 async function fetchBalance() {
   try {
-    if (!currentUser || !currentToken) return;
+    if (!currentUser || !currentToken || !currentAccountId) return;
     
-    const response = await fetch(`${APPS_SCRIPT_URL}?action=getAccountSummary&token=${currentToken}&accountId=${currentUser.id}`);
-    const result = await response.json();
+    const result = await apiGet('getAccountSummary', { accountId: currentAccountId });
     
-    if (result.status === 'success' && result.data) {
-      const balance = result.data.currentBalance || 0;
+    if (result.status === 'success' && result.statistics) {
+      const balance = result.statistics.currentBalance || 0;
       updateBalanceDisplay(balance);
     }
   } catch (error) {
@@ -96,13 +121,12 @@ function updateBalanceDisplay(balance) {
 
 async function fetchTradingHistory() {
   try {
-    if (!currentUser || !currentToken) return [];
+    if (!currentUser || !currentToken || !currentAccountId) return [];
     
-    const response = await fetch(`${APPS_SCRIPT_URL}?action=getTradingHistory&token=${currentToken}&accountId=${currentUser.id}`);
-    const result = await response.json();
+    const result = await apiGet('getTradingHistory', { accountId: currentAccountId });
     
-    if (result.status === 'success' && result.data) {
-      return result.data.trades || [];
+    if (result.status === 'success') {
+      return result.trades || [];
     }
     return [];
   } catch (error) {
@@ -117,7 +141,7 @@ async function fetchDashboardData() {
     
     // Calculate statistics
     const totalTrades = trades.length;
-    const winningTrades = trades.filter(trade => parseFloat(trade['กำไร_ขาดทุนรายวัน_USD']) > 0).length;
+    const winningTrades = trades.filter(trade => trade.dailyProfit > 0).length;
     const winRate = totalTrades > 0 ? (winningTrades / totalTrades * 100).toFixed(1) : 0;
     
     // Update dashboard
@@ -128,7 +152,7 @@ async function fetchDashboardData() {
     if (winRateEl) winRateEl.textContent = `${winRate}%`;
     
     // Update recent trades
-    updateRecentTrades(trades.slice(-5)); // Last 5 trades
+    updateRecentTrades(trades.slice(0, 5)); // Last 5 trades (history is newest first)
     
   } catch (error) {
     console.error('Error fetching dashboard data:', error);
@@ -145,14 +169,14 @@ function updateRecentTrades(trades) {
   }
   
   const tradesHTML = trades.map(trade => {
-    const profit = parseFloat(trade['กำไร_ขาดทุนรายวัน_USD']);
+    const profit = trade.dailyProfit;
     const isProfit = profit > 0;
     
     return `
       <div class="flex justify-between items-center p-3 bg-gray-50 rounded border">
         <div>
-          <span class="font-medium">${trade['Trade_Date']}</span>
-          <span class="text-sm text-gray-600 ml-2">${trade['หมายเหตุ'] || 'No notes'}</span>
+          <span class="font-medium">${trade.tradeDate}</span>
+          <span class="text-sm text-gray-600 ml-2">${trade.notes || 'No notes'}</span>
         </div>
         <span class="font-semibold ${isProfit ? 'text-green-600' : 'text-red-600'}">
           ${isProfit ? '+' : ''}$${profit.toFixed(2)}
@@ -174,6 +198,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   setupMenuNavigation();
   
   // Load initial data
+  await loadAccounts();
   await fetchBalance();
   
   // Load dashboard by default
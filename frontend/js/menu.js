@@ -1,19 +1,22 @@
+import { apiGet, apiPost, getClientId } from './api.js';
+
+// `permission` names the permission (see getMyPermissions) a menu needs; null = every signed-in user
 export const userMenus = [
-  { id: 'dashboard', label: '📊 Dashboard', permission: 'read', icon: '📊' },
-  { id: 'compound', label: '🚀 Compound Planner', permission: 'read', icon: '🚀' },
-  { id: 'trading', label: '✍️ Trading Journal', permission: 'read', icon: '✍️' },
-  { id: 'history', label: '📈 Trading History', permission: 'read', icon: '📈' },
+  { id: 'dashboard', label: '📊 Dashboard', permission: null, icon: '📊' },
+  { id: 'compound', label: '🚀 Compound Planner', permission: null, icon: '🚀' },
+  { id: 'trading', label: '✍️ Trading Journal', permission: 'trade:create', icon: '✍️' },
+  { id: 'history', label: '📈 Trading History', permission: null, icon: '📈' },
 ];
 
 export const adminMenus = [
-  { id: 'admin', label: '⚙️ Admin Panel', action: 'getAdminData', permission: 'CRUD', icon: '⚙️' },
-  { id: 'users', label: '👥 User Management', action: 'getUsersData', permission: 'CRUD', icon: '👥' },
-  { id: 'reports', label: '📊 Reports', action: 'getReports', permission: 'CRUD', icon: '📊' },
+  { id: 'admin', label: '⚙️ Admin Panel', action: 'getAdminData', permission: 'system:admin', icon: '⚙️' },
+  { id: 'users', label: '👥 User Management', action: 'getUsersData', permission: 'user:manage', icon: '👥' },
+  { id: 'reports', label: '📊 Reports', action: 'getReports', permission: 'report:view', icon: '📊' },
 ];
 
 export const authMenus = [
-  { id: 'profile', label: '👤 Profile', permission: 'read', icon: '👤' },
-  { id: 'logout', label: '🚪 Logout', action: 'logout', permission: 'read', icon: '🚪' },
+  { id: 'profile', label: '👤 Profile', permission: null, icon: '👤' },
+  { id: 'logout', label: '🚪 Logout', action: 'logout', permission: null, icon: '🚪' },
 ];
 
 export const allMenus = [
@@ -22,11 +25,8 @@ export const allMenus = [
   ...authMenus,
 ];
 
-export function getMenusByPermission(userRole) {
-  if (userRole === 'admin') {
-    return [...userMenus, ...adminMenus, ...authMenus];
-  }
-  return [...userMenus, ...authMenus];
+export function getMenusByPermission(permissions = []) {
+  return allMenus.filter(menu => !menu.permission || permissions.includes(menu.permission));
 }
 
 export function setupMenuNavigation() {
@@ -46,11 +46,11 @@ export function setupMenuNavigation() {
   });
 }
 
-export function renderMenu(userRole = 'user') {
+export function renderMenu(permissions = []) {
   const menuContainer = document.getElementById('menu');
   if (!menuContainer) return;
   
-  const menus = getMenusByPermission(userRole);
+  const menus = getMenusByPermission(permissions);
   
   const menuHTML = menus.map(menu => `
     <button 
@@ -195,11 +195,140 @@ function loadAdminPanel() {
     <div class="space-y-6">
       <h2 class="text-2xl font-bold text-gray-800">⚙️ Admin Panel</h2>
       <div class="bg-white p-6 rounded-lg shadow border border-gray-200">
-        <p class="text-gray-600 mb-4">Administrative tools and system management.</p>
-        <p class="text-blue-600">Admin features will be implemented soon...</p>
+        <h3 class="text-lg font-semibold text-gray-800 mb-4">การเข้าสู่ระบบที่ผิดพลาด</h3>
+        <div id="loginLockoutList" class="divide-y divide-gray-200">
+          <p class="text-gray-500">Loading lockouts...</p>
+        </div>
+      </div>
+      <div class="bg-white p-6 rounded-lg shadow border border-gray-200">
+        <h3 class="text-lg font-semibold text-gray-800 mb-4">Audit Log</h3>
+        <form id="auditLogFilters" class="grid grid-cols-1 md:grid-cols-6 gap-2 mb-4">
+          <input name="actor" placeholder="ผู้ใช้ (EmpId)" class="px-3 py-2 border border-gray-300 rounded-md">
+          <input name="event" placeholder="การกระทำ เช่น trade หรือ trade.delete" class="px-3 py-2 border border-gray-300 rounded-md">
+          <input name="targetId" placeholder="Target ID" class="px-3 py-2 border border-gray-300 rounded-md">
+          <input name="from" type="date" class="px-3 py-2 border border-gray-300 rounded-md">
+          <input name="to" type="date" class="px-3 py-2 border border-gray-300 rounded-md">
+          <button type="submit" class="px-4 py-2 rounded-md text-white bg-blue-600 hover:bg-blue-700">ค้นหา</button>
+        </form>
+        <div id="auditLogList" class="overflow-x-auto">
+          <p class="text-gray-500">Loading audit log...</p>
+        </div>
+        <div class="flex items-center justify-between mt-4 text-sm">
+          <button id="auditLogPrevious" class="text-blue-600 hover:text-blue-800 disabled:text-gray-300" disabled>&larr; ใหม่กว่า</button>
+          <span id="auditLogPage" class="text-gray-500"></span>
+          <button id="auditLogNext" class="text-blue-600 hover:text-blue-800 disabled:text-gray-300" disabled>เก่ากว่า &rarr;</button>
+        </div>
       </div>
     </div>
   `;
+
+  let auditPage = 1;
+  const form = document.getElementById('auditLogFilters');
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    auditPage = 1;
+    loadAuditLog(form, auditPage);
+  });
+  document.getElementById('auditLogPrevious').addEventListener('click', () => loadAuditLog(form, --auditPage));
+  document.getElementById('auditLogNext').addEventListener('click', () => loadAuditLog(form, ++auditPage));
+
+  loadLoginLockouts();
+  loadAuditLog(form, auditPage);
+}
+
+async function loadAuditLog(form, page) {
+  const list = document.getElementById('auditLogList');
+  const filters = { page, pageSize: 25 };
+  new FormData(form).forEach((value, key) => {
+    if (value) filters[key] = value;
+  });
+
+  const result = await apiGet('getAuditLog', filters);
+  if (result.status !== 'success') {
+    list.innerHTML = `<p class="text-red-500">${escapeHTML(result.message)}</p>`;
+    return;
+  }
+
+  document.getElementById('auditLogPrevious').disabled = result.page <= 1;
+  document.getElementById('auditLogNext').disabled = !result.hasMore;
+  document.getElementById('auditLogPage').textContent = `หน้า ${result.page} / ${Math.max(result.totalPages, 1)} (${result.total} รายการ)`;
+
+  if (result.entries.length === 0) {
+    list.innerHTML = '<p class="text-gray-500">ไม่พบรายการ</p>';
+    return;
+  }
+
+  const formatValue = value => value === null ? '' : escapeHTML(JSON.stringify(value, null, 2));
+  list.innerHTML = `
+    <table class="min-w-full text-sm text-left">
+      <thead class="text-gray-500 border-b border-gray-200">
+        <tr><th class="py-2 pr-4">เวลา</th><th class="py-2 pr-4">ผู้ใช้</th><th class="py-2 pr-4">การกระทำ</th><th class="py-2 pr-4">Target ID</th><th class="py-2">รายละเอียด</th></tr>
+      </thead>
+      <tbody class="divide-y divide-gray-200">
+        ${result.entries.map(entry => `
+          <tr class="align-top">
+            <td class="py-2 pr-4 whitespace-nowrap">${new Date(entry.timestamp).toLocaleString()}</td>
+            <td class="py-2 pr-4">${escapeHTML(entry.actor)}</td>
+            <td class="py-2 pr-4 font-medium text-gray-800">${escapeHTML(entry.action)}</td>
+            <td class="py-2 pr-4 break-all">${escapeHTML(entry.targetId)}</td>
+            <td class="py-2">
+              ${entry.before !== null || entry.after !== null || entry.details !== null ? `
+                <details>
+                  <summary class="cursor-pointer text-blue-600">ดู</summary>
+                  ${entry.before !== null ? `<p class="mt-2 text-gray-500">ก่อน</p><pre class="text-xs whitespace-pre-wrap">${formatValue(entry.before)}</pre>` : ''}
+                  ${entry.after !== null ? `<p class="mt-2 text-gray-500">หลัง</p><pre class="text-xs whitespace-pre-wrap">${formatValue(entry.after)}</pre>` : ''}
+                  ${entry.details !== null ? `<p class="mt-2 text-gray-500">เพิ่มเติม</p><pre class="text-xs whitespace-pre-wrap">${formatValue(entry.details)}</pre>` : ''}
+                </details>
+              ` : ''}
+            </td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+async function loadLoginLockouts() {
+  const list = document.getElementById('loginLockoutList');
+  const result = await apiGet('getLoginLockouts');
+
+  if (result.status !== 'success') {
+    list.innerHTML = `<p class="text-red-500">${escapeHTML(result.message)}</p>`;
+    return;
+  }
+  if (result.lockouts.length === 0) {
+    list.innerHTML = '<p class="text-gray-500">ไม่มีการเข้าสู่ระบบที่ผิดพลาด</p>';
+    return;
+  }
+
+  list.innerHTML = result.lockouts.map(lockout => `
+    <div class="flex items-center justify-between py-3">
+      <div>
+        <p class="font-medium text-gray-800">
+          ${lockout.type === 'user' ? 'ผู้ใช้' : 'อุปกรณ์'} ${escapeHTML(lockout.id)}
+          ${lockout.locked ? '<span class="ml-2 text-xs text-red-600">(ถูกระงับ)</span>' : ''}
+        </p>
+        <p class="text-sm text-gray-500">
+          ผิด ${lockout.failures} ครั้ง · ล่าสุด ${new Date(lockout.lastFailureAt).toLocaleString()}
+          ${lockout.locked ? ` · ระงับถึง ${new Date(lockout.lockedUntil).toLocaleString()}` : ''}
+        </p>
+      </div>
+      <button class="text-sm text-blue-600 hover:text-blue-800">ปลดล็อก</button>
+    </div>
+  `).join('');
+
+  // Ids are whatever was typed at the login form, so they never go into markup
+  list.querySelectorAll('button').forEach((button, index) => {
+    const lockout = result.lockouts[index];
+    button.addEventListener('click', async () => {
+      const target = lockout.type === 'user' ? { username: lockout.id } : { clientId: lockout.id };
+      const unlock = await apiPost('unlockLogin', target);
+      if (unlock.status !== 'success') {
+        alert(unlock.message);
+      }
+      loadLoginLockouts();
+    });
+  });
 }
 
 function loadUserManagement() {
@@ -231,17 +360,150 @@ function loadProfile() {
     <div class="space-y-6">
       <h2 class="text-2xl font-bold text-gray-800">👤 Profile</h2>
       <div class="bg-white p-6 rounded-lg shadow border border-gray-200">
-        <p class="text-gray-600 mb-4">Manage your profile and account settings.</p>
-        <p class="text-blue-600">Profile management will be implemented soon...</p>
+        <div class="flex items-center justify-between mb-4">
+          <h3 class="text-lg font-semibold text-gray-800">อุปกรณ์ที่เข้าสู่ระบบ</h3>
+          <button id="revokeOtherSessions" class="text-sm text-red-600 hover:text-red-800">ออกจากระบบอุปกรณ์อื่นทั้งหมด</button>
+        </div>
+        <div id="sessionList" class="divide-y divide-gray-200">
+          <p class="text-gray-500">Loading sessions...</p>
+        </div>
+      </div>
+      <div class="bg-white p-6 rounded-lg shadow border border-gray-200">
+        <h3 class="text-lg font-semibold text-gray-800 mb-4">เปลี่ยนรหัสผ่าน</h3>
+        <form id="changePasswordForm" class="space-y-4 max-w-md">
+          <input type="password" id="currentPassword" placeholder="รหัสผ่านปัจจุบัน" required autocomplete="current-password"
+                 class="block w-full px-3 py-2 border border-gray-300 rounded-md">
+          <input type="password" id="newPassword" placeholder="รหัสผ่านใหม่ (อย่างน้อย 8 ตัวอักษร)" minlength="8" required autocomplete="new-password"
+                 class="block w-full px-3 py-2 border border-gray-300 rounded-md">
+          <input type="password" id="confirmPassword" placeholder="ยืนยันรหัสผ่านใหม่" minlength="8" required autocomplete="new-password"
+                 class="block w-full px-3 py-2 border border-gray-300 rounded-md">
+          <button type="submit" class="px-4 py-2 rounded-md text-white bg-blue-600 hover:bg-blue-700">บันทึกรหัสผ่านใหม่</button>
+          <p id="changePasswordStatus" class="text-sm hidden"></p>
+        </form>
       </div>
     </div>
   `;
+
+  document.getElementById('changePasswordForm').addEventListener('submit', handleChangePassword);
+
+  document.getElementById('revokeOtherSessions').addEventListener('click', async () => {
+    if (!confirm('Sign out of every other device?')) return;
+    const result = await apiPost('revokeAllOtherSessions');
+    if (result.status !== 'success') {
+      alert(result.message);
+    }
+    loadSessions();
+  });
+
+  loadSessions();
+}
+
+async function loadSessions() {
+  const list = document.getElementById('sessionList');
+  const result = await apiGet('listSessions');
+
+  if (result.status !== 'success') {
+    list.innerHTML = `<p class="text-red-500">${escapeHTML(result.message)}</p>`;
+    return;
+  }
+
+  list.innerHTML = result.sessions.map(session => `
+    <div class="flex items-center justify-between py-3">
+      <div>
+        <p class="font-medium text-gray-800">
+          ${escapeHTML(session.deviceLabel)}
+          ${session.current ? '<span class="ml-2 text-xs text-green-600">(อุปกรณ์นี้)</span>' : ''}
+        </p>
+        <p class="text-sm text-gray-500">
+          เข้าสู่ระบบ ${new Date(session.createdAt).toLocaleString()} · ใช้งานล่าสุด ${new Date(session.lastSeenAt).toLocaleString()}
+        </p>
+      </div>
+      <button data-session-id="${escapeHTML(session.sessionId)}" class="text-sm text-red-600 hover:text-red-800">
+        ${session.current ? 'ออกจากระบบ' : 'เพิกถอน'}
+      </button>
+    </div>
+  `).join('');
+
+  list.querySelectorAll('button[data-session-id]').forEach(button => {
+    button.addEventListener('click', () => revokeSession(button.dataset.sessionId));
+  });
 }
 
-function handleLogout() {
+async function revokeSession(sessionId) {
+  const result = await apiPost('revokeSession', { sessionId });
+  if (result.status !== 'success') {
+    alert(result.message);
+    return;
+  }
+
+  // Revoking this device's own session is a logout
+  if (result.current) {
+    clearSession();
+    window.location.href = 'index.html';
+    return;
+  }
+  loadSessions();
+}
+
+// Changing the password signs out every device, so the new session replaces this one
+async function handleChangePassword(event) {
+  event.preventDefault();
+  const status = document.getElementById('changePasswordStatus');
+  const newPassword = document.getElementById('newPassword').value;
+  const showStatus = (message, ok) => {
+    status.textContent = message;
+    status.className = `text-sm ${ok ? 'text-green-600' : 'text-red-500'}`;
+  };
+
+  if (newPassword !== document.getElementById('confirmPassword').value) {
+    showStatus('รหัสผ่านใหม่ทั้งสองช่องไม่ตรงกัน', false);
+    return;
+  }
+
+  const user = JSON.parse(localStorage.getItem('user') || '{}');
+  const result = await apiPost('changePassword', {
+    username: user.id,
+    currentPassword: document.getElementById('currentPassword').value,
+    newPassword,
+    userAgent: navigator.userAgent,
+    clientId: getClientId()
+  });
+
+  if (result.status !== 'success') {
+    showStatus(result.message, false);
+    return;
+  }
+
+  localStorage.setItem('token', result.token);
+  localStorage.setItem('refreshToken', result.refreshToken);
+  localStorage.setItem('sessionId', result.sessionId);
+  event.target.reset();
+  showStatus(result.message, true);
+  loadSessions();
+}
+
+function escapeHTML(value) {
+  const div = document.createElement('div');
+  div.textContent = value == null ? '' : String(value);
+  // innerHTML leaves quotes as they are; escape them so the result is safe in attributes too
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+function clearSession() {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('sessionId');
+  localStorage.removeItem('user');
+}
+
+async function handleLogout() {
   if (confirm('Are you sure you want to logout?')) {
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+    try {
+      await apiPost('logout');
+    } catch (error) {
+      console.error('Error revoking token:', error);
+    }
+    clearSession();
     window.location.href = 'index.html';
   }
 }
\ No newline at end of file